@@ -0,0 +1,169 @@
+// backend/dev/mockOidcProvider.js
+require('dotenv').config();
+const express = require('express');
+const crypto = require('crypto');
+const { signJwt } = require('../utils/jwt');
+
+/**
+ * Local OpenID Connect provider for development and tests. Never deploy it:
+ * anyone who can reach it signs in as any listed user.
+ *
+ *   npm run mock-oidc
+ *
+ * and start the API with
+ *   OIDC_ISSUER=http://localhost:4011
+ *   OIDC_CLIENT_ID=terraform-ai-local
+ *   OIDC_CLIENT_SECRET=local-secret
+ *
+ * The authorize page lists the users to sign in as; adding
+ * login_hint=<user id> to the authorize URL skips it, for scripted tests.
+ */
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4011;
+const ISSUER = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`).replace(/\/$/, '');
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'terraform-ai-local';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'local-secret';
+const REDIRECT_URIS = (process.env.MOCK_OIDC_REDIRECT_URIS || 'http://localhost:3001/api/auth/callback').split(',');
+
+const USERS = process.env.MOCK_OIDC_USERS
+  ? JSON.parse(process.env.MOCK_OIDC_USERS)
+  : [
+    { sub: 'alice', email: 'alice@example.com', name: 'Alice Example' },
+    { sub: 'bob', email: 'bob@example.com', name: 'Bob Example' }
+  ];
+
+const CODE_TTL_MS = 60 * 1000;
+
+// A fresh signing key per run; the API fetches it from the JWKS endpoint
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Authorization codes waiting to be exchanged
+const codes = new Map();
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+function tokenError(res, status, error, description) {
+  return res.status(status).json({ error, error_description: description });
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, login_hint: loginHint } = req.query;
+
+  if (clientId !== CLIENT_ID || !REDIRECT_URIS.includes(redirectUri)) {
+    return res.status(400).send('Unknown client or redirect_uri');
+  }
+  if (responseType !== 'code' || req.query.code_challenge_method !== 'S256' || !req.query.code_challenge) {
+    return res.status(400).send('Only the code flow with S256 PKCE is supported');
+  }
+
+  if (loginHint) {
+    return approve(req, res, loginHint);
+  }
+
+  const hidden = Object.entries(req.query)
+    .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+    .join('');
+  const buttons = USERS
+    .map(user => `<button name="login_hint" value="${escapeHtml(user.sub)}">${escapeHtml(user.name)} (${escapeHtml(user.email)})</button>`)
+    .join('<br>');
+
+  res.send(`<!doctype html><title>Mock sign-in</title>
+<h1>Mock identity provider</h1>
+<p>Sign in to Terraform AI as:</p>
+<form method="get" action="/authorize">${hidden}${buttons}</form>`);
+});
+
+function approve(req, res, sub) {
+  const user = USERS.find(candidate => candidate.sub === sub);
+  if (!user) {
+    return res.status(400).send('Unknown user');
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    user,
+    redirectUri: req.query.redirect_uri,
+    nonce: req.query.nonce,
+    codeChallenge: req.query.code_challenge,
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  const url = new URL(req.query.redirect_uri);
+  url.searchParams.set('code', code);
+  if (req.query.state) url.searchParams.set('state', req.query.state);
+
+  console.log(`🎭 Mock sign-in as ${user.sub}`);
+  res.redirect(url.toString());
+}
+
+app.post('/token', (req, res) => {
+  let { client_id: clientId, client_secret: clientSecret } = req.body;
+  const basic = /^Basic (.+)$/.exec(req.get('authorization') || '');
+  if (basic) {
+    [clientId, clientSecret] = Buffer.from(basic[1], 'base64').toString('utf8').split(':').map(decodeURIComponent);
+  }
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return tokenError(res, 401, 'invalid_client', 'Unknown client or wrong secret');
+  }
+  if (req.body.grant_type !== 'authorization_code') {
+    return tokenError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  if (!grant || grant.expiresAt < Date.now()) {
+    return tokenError(res, 400, 'invalid_grant', 'Unknown or expired code');
+  }
+  if (grant.redirectUri !== req.body.redirect_uri) {
+    return tokenError(res, 400, 'invalid_grant', 'redirect_uri does not match the authorization request');
+  }
+  const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return tokenError(res, 400, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const { user } = grant;
+  res.json({
+    token_type: 'Bearer',
+    expires_in: 3600,
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    id_token: signJwt({
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      sub: user.sub,
+      email: user.email,
+      email_verified: true,
+      name: user.name,
+      nonce: grant.nonce
+    }, privateKey, { algorithm: 'RS256', kid: KEY_ID, expiresIn: 3600 })
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🎭 Mock OIDC provider at ${ISSUER} (client ${CLIENT_ID})`);
+  console.log(`👥 Users: ${USERS.map(user => user.sub).join(', ')}`);
+});
\ No newline at end of file
@@ -0,0 +1,148 @@
+// backend/generators/apiGatewayRestApi.js
+const { terraformHeader, defaultTags, tagsBlock, uniqueName, keywordScore } = require('./common');
+const { extractPattern, extractName } = require('./params');
+
+module.exports = {
+  type: 'api-gateway-rest-api',
+  service: 'apigateway',
+  label: 'API Gateway REST APIs',
+
+  match(message) {
+    return keywordScore(message, [
+      { pattern: /\bapi ?gateway\b/, weight: 3 },
+      { pattern: /\brest ?api\b/, weight: 2 },
+      { pattern: /\b(api|endpoint)s?\b/, weight: 1 }
+    ]);
+  },
+
+  parameters: [
+    {
+      key: 'name',
+      label: 'API name',
+      extract: extractName,
+      validate: name => name.length > 128 ? 'API names can be at most 128 characters' : null
+    },
+    {
+      key: 'stageName',
+      label: 'Stage',
+      extract: message => extractPattern(
+        message,
+        /\bstage\s+(?:named\s+|called\s+)?["'`]?([\w-]+)|\b(?!(?:a|an|the|one)\s)([\w-]+)\s+stage\b/i,
+        match => match[1] || match[2]
+      ),
+      validate: stage => /^[A-Za-z0-9_-]{1,128}$/.test(stage)
+        ? null
+        : 'stage names may only use letters, numbers, hyphens and underscores'
+    }
+  ],
+
+  defaults() {
+    return {
+      name: uniqueName(),
+      region: 'us-east-1',
+      stageName: 'dev'
+    };
+  },
+
+  terraform(config, { actionId, createdAt }) {
+    const tags = defaultTags({ name: config.name, actionId, createdAt, tags: config.tags });
+
+    return `${terraformHeader(config.region)}
+
+resource "aws_api_gateway_rest_api" "main" {
+  name = "${config.name}"
+
+  endpoint_configuration {
+    types = ["REGIONAL"]
+  }
+
+${tagsBlock(tags)}
+}
+
+# GET / answers from a mock integration until a real backend is wired in
+resource "aws_api_gateway_method" "root_get" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_rest_api.main.root_resource_id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "root_get" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_rest_api.main.root_resource_id
+  http_method = aws_api_gateway_method.root_get.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = jsonencode({ statusCode = 200 })
+  }
+}
+
+resource "aws_api_gateway_method_response" "root_get" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_rest_api.main.root_resource_id
+  http_method = aws_api_gateway_method.root_get.http_method
+  status_code = "200"
+}
+
+resource "aws_api_gateway_integration_response" "root_get" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_rest_api.main.root_resource_id
+  http_method = aws_api_gateway_method.root_get.http_method
+  status_code = aws_api_gateway_method_response.root_get.status_code
+
+  response_templates = {
+    "application/json" = jsonencode({ message = "Hello from Terraform AI" })
+  }
+
+  depends_on = [aws_api_gateway_integration.root_get]
+}
+
+resource "aws_api_gateway_deployment" "main" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+
+  depends_on = [aws_api_gateway_integration_response.root_get]
+
+  lifecycle {
+    create_before_destroy = true
+  }
+}
+
+resource "aws_api_gateway_stage" "main" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  deployment_id = aws_api_gateway_deployment.main.id
+  stage_name    = "${config.stageName}"
+
+${tagsBlock(tags)}
+}
+
+output "invoke_url" {
+  value = aws_api_gateway_stage.main.invoke_url
+}`;
+  },
+
+  summary(config) {
+    return `I'll create the API Gateway REST API "${config.name}" with a "${config.stageName}" stage in ${config.region} with the following features:`;
+  },
+
+  resources(config) {
+    return [
+      'Regional REST API',
+      'GET / method backed by a mock integration',
+      `Deployment and "${config.stageName}" stage with a public invoke URL`,
+      'Resource tags for management'
+    ];
+  },
+
+  costResources(config) {
+    return [{ address: 'aws_api_gateway_rest_api.main', type: 'aws_api_gateway_rest_api', values: { name: config.name } }];
+  },
+
+  warnings() {
+    return [
+      '🌐 The invoke URL is public and has no authorization',
+      '💰 Requests beyond the free tier are billed',
+      '🔄 Destroy the resources from the chat when done'
+    ];
+  }
+};
\ No newline at end of file
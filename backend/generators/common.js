@@ -0,0 +1,91 @@
+// backend/generators/common.js
+
+/**
+ * Building blocks shared by the resource generators
+ */
+
+// Version constraints for every provider a generator may use, so none is left unpinned
+const PROVIDER_VERSIONS = {
+  'hashicorp/aws': '~> 5.0',
+  'hashicorp/random': '~> 3.6',
+  'hashicorp/archive': '~> 2.4'
+};
+
+// `terraform` + `provider "aws"` header every generated configuration starts with.
+// extraProviders: { name: 'source' } for providers like hashicorp/random.
+function terraformHeader(region, extraProviders = {}) {
+  const extras = Object.entries(extraProviders)
+    .map(([name, source]) => `
+    ${name} = {
+      source  = "${source}"
+      version = "${PROVIDER_VERSIONS[source]}"
+    }`)
+    .join('');
+
+  return `terraform {
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = "${PROVIDER_VERSIONS['hashicorp/aws']}"
+    }${extras}
+  }
+}
+
+provider "aws" {
+  region = "${region}"
+}`;
+}
+
+// Tags every agent-created resource carries; ManagedBy and ActionId feed the inventory.
+// tags: user-requested tags; they may replace Environment but not the agent's own tags.
+// createdAt stays fixed while a draft is revised, so it doesn't show up in diffs.
+function defaultTags({ name, actionId, createdAt, tags = {} }) {
+  return {
+    Name: name,
+    Environment: 'Development',
+    ...tags,
+    ManagedBy: 'TerraformAI',
+    CreatedAt: createdAt || new Date().toISOString(),
+    ActionId: actionId
+  };
+}
+
+// HCL string literal; ${ and %{ are escaped so user text can't become an interpolation
+function hclString(value) {
+  return JSON.stringify(String(value)).replace(/([$%])\{/g, '$1$1{');
+}
+
+// HCL `tags = { ... }` with aligned keys, indented to sit inside a resource
+function tagsBlock(tags, indent = '  ') {
+  // Keys like "team:owner" aren't valid identifiers and have to be quoted
+  const entries = Object.entries(tags)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => [/^[A-Za-z_][\w-]*$/.test(key) ? key : hclString(key), value]);
+  const width = Math.max(...entries.map(([key]) => key.length));
+  const lines = entries
+    .map(([key, value]) => `${indent}  ${key.padEnd(width)} = ${hclString(value)}`)
+    .join('\n');
+
+  return `${indent}tags = {\n${lines}\n${indent}}`;
+}
+
+// Names that won't collide between requests
+function uniqueName(prefix = 'terraform-ai') {
+  return `${prefix}-${Date.now()}`;
+}
+
+// Score a message against weighted keyword patterns
+function keywordScore(message, keywords) {
+  return keywords.reduce(
+    (score, { pattern, weight }) => score + (pattern.test(message) ? weight : 0),
+    0
+  );
+}
+
+module.exports = {
+  terraformHeader,
+  defaultTags,
+  tagsBlock,
+  uniqueName,
+  keywordScore
+};
\ No newline at end of file
@@ -0,0 +1,100 @@
+// backend/generators/dynamodbTable.js
+const { terraformHeader, defaultTags, tagsBlock, uniqueName, keywordScore } = require('./common');
+const { extractPattern, extractName } = require('./params');
+
+module.exports = {
+  type: 'dynamodb-table',
+  service: 'dynamodb',
+  label: 'DynamoDB tables',
+
+  match(message) {
+    return keywordScore(message, [
+      { pattern: /\bdynamo(db)?\b/, weight: 3 },
+      { pattern: /\b(nosql|key-value)\b/, weight: 2 },
+      { pattern: /\btables?\b/, weight: 1 }
+    ]);
+  },
+
+  parameters: [
+    {
+      key: 'tableName',
+      label: 'Table name',
+      extract: extractName,
+      validate: name => /^[A-Za-z0-9_.-]{3,255}$/.test(name)
+        ? null
+        : 'table names must be 3-255 letters, numbers, underscores, hyphens or dots'
+    },
+    {
+      key: 'hashKey',
+      label: 'Partition key',
+      extract: message => extractPattern(
+        message,
+        /\b(?:partition|hash|primary)\s+key\s+(?:of\s+|named\s+|called\s+)?["'`]?([\w.-]+)/i
+      ),
+      validate: key => key.length > 255 ? 'partition key names can be at most 255 characters' : null
+    }
+  ],
+
+  defaults() {
+    return {
+      tableName: uniqueName(),
+      region: 'us-east-1',
+      billingMode: 'PAY_PER_REQUEST',
+      hashKey: 'id'
+    };
+  },
+
+  terraform(config, { actionId, createdAt }) {
+    return `${terraformHeader(config.region)}
+
+resource "aws_dynamodb_table" "main" {
+  name         = "${config.tableName}"
+  billing_mode = "${config.billingMode}"
+  hash_key     = "${config.hashKey}"
+
+  attribute {
+    name = "${config.hashKey}"
+    type = "S"
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+${tagsBlock(defaultTags({ name: config.tableName, actionId, createdAt, tags: config.tags }))}
+}
+
+output "table_name" {
+  value = aws_dynamodb_table.main.name
+}
+
+output "table_arn" {
+  value = aws_dynamodb_table.main.arn
+}`;
+  },
+
+  summary(config) {
+    return `I'll create the DynamoDB table "${config.tableName}" in ${config.region} with the following features:`;
+  },
+
+  resources(config) {
+    return [
+      `DynamoDB table with string partition key "${config.hashKey}"`,
+      'On-demand (pay-per-request) capacity',
+      'Server-side encryption',
+      'Resource tags for management'
+    ];
+  },
+
+  costResources(config) {
+    return [{ address: 'aws_dynamodb_table.main', type: 'aws_dynamodb_table', values: { billing_mode: config.billingMode } }];
+  },
+
+  warnings() {
+    return [
+      '💰 On-demand capacity bills every read and write',
+      '🗑️ Destroying the table deletes all of its items',
+      '🔄 Destroy the resources from the chat when done'
+    ];
+  }
+};
\ No newline at end of file
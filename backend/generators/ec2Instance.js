@@ -0,0 +1,128 @@
+// backend/generators/ec2Instance.js
+const { terraformHeader, defaultTags, tagsBlock, uniqueName, keywordScore } = require('./common');
+const { extractPattern, extractName, extractSize } = require('./params');
+
+// Graviton families (t4g, m7g, c7gn, ...) need an arm64 AMI
+function amiArchitecture(instanceType) {
+  return /^[a-z]+\d+[a-z]*g[a-z]*\./.test(instanceType) ? 'arm64' : 'x86_64';
+}
+
+module.exports = {
+  type: 'ec2-instance',
+  service: 'ec2',
+  label: 'EC2 instances',
+
+  match(message) {
+    return keywordScore(message, [
+      { pattern: /\bec2\b/, weight: 3 },
+      { pattern: /\b(virtual machine|vm|server)s?\b/, weight: 2 },
+      { pattern: /\binstances?\b/, weight: 1 }
+    ]);
+  },
+
+  parameters: [
+    {
+      key: 'name',
+      label: 'Name',
+      extract: extractName
+    },
+    {
+      key: 'instanceType',
+      label: 'Instance type',
+      extract: message => extractPattern(
+        message,
+        /(?<![\w.-])([a-z]\d[a-z0-9-]*\.(?:nano|micro|small|medium|\d*x?large|metal))\b/i,
+        match => match[1].toLowerCase()
+      )
+    },
+    {
+      key: 'volumeSize',
+      label: 'Root volume',
+      extract: message => extractSize(message, 'GB'),
+      validate: size => size < 8 || size > 16384 ? 'root volumes must be between 8GB and 16384GB' : null,
+      format: size => `${size}GB`
+    }
+  ],
+
+  defaults() {
+    return {
+      name: uniqueName(),
+      region: 'us-east-1',
+      instanceType: 't3.micro',
+      volumeSize: 8
+    };
+  },
+
+  terraform(config, { actionId, createdAt }) {
+    return `${terraformHeader(config.region)}
+
+# Latest Amazon Linux 2023 AMI
+data "aws_ami" "amazon_linux" {
+  most_recent = true
+  owners      = ["amazon"]
+
+  filter {
+    name   = "name"
+    values = ["al2023-ami-*-${amiArchitecture(config.instanceType)}"]
+  }
+}
+
+resource "aws_instance" "main" {
+  ami           = data.aws_ami.amazon_linux.id
+  instance_type = "${config.instanceType}"
+
+  metadata_options {
+    http_tokens = "required"
+  }
+
+  root_block_device {
+    volume_size = ${config.volumeSize}
+    volume_type = "gp3"
+    encrypted   = true
+  }
+
+${tagsBlock(defaultTags({ name: config.name, actionId, createdAt, tags: config.tags }))}
+}
+
+output "instance_id" {
+  value = aws_instance.main.id
+}
+
+output "public_ip" {
+  value = aws_instance.main.public_ip
+}`;
+  },
+
+  summary(config) {
+    return `I'll launch the EC2 instance "${config.name}" (${config.instanceType}) in ${config.region} with the following features:`;
+  },
+
+  resources(config) {
+    return [
+      `EC2 instance (${config.instanceType}, Amazon Linux 2023)`,
+      `Encrypted ${config.volumeSize}GB gp3 root volume`,
+      'IMDSv2 required for instance metadata',
+      'Resource tags for management'
+    ];
+  },
+
+  costResources(config) {
+    return [{
+      address: 'aws_instance.main',
+      type: 'aws_instance',
+      values: {
+        instance_type: config.instanceType,
+        root_block_device: [{ volume_size: config.volumeSize, volume_type: 'gp3' }]
+      }
+    }];
+  },
+
+  warnings() {
+    return [
+      '💰 You are billed for every hour the instance runs',
+      '🔌 Uses the default VPC and its default security group',
+      '🔑 No SSH key pair is attached; use SSM Session Manager to connect',
+      '🔄 Destroy the resources from the chat when done'
+    ];
+  }
+};
\ No newline at end of file
@@ -0,0 +1,72 @@
+// backend/generators/index.js
+
+/**
+ * Registry of resource generators.
+ *
+ * A generator describes one kind of resource the agent can create:
+ *   type, service, label
+ *   match(lowerMessage)      -> score; 0 means "not this resource"
+ *   defaults()               -> resource config
+ *   terraform(config, ctx)   -> Terraform code (ctx: { actionId, createdAt })
+ *   summary(config), resources(config), warnings(config)
+ *   costResources(config)    -> billable resources to price: [{ address, type, values }]
+ */
+
+const REQUIRED_FIELDS = ['type', 'service', 'label', 'match', 'defaults', 'terraform',
+  'summary', 'resources', 'costResources', 'warnings'];
+
+const generators = [];
+
+function registerGenerator(generator) {
+  const missing = REQUIRED_FIELDS.filter(field => !generator[field]);
+  if (missing.length > 0) {
+    throw new Error(`Generator ${generator.type || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  }
+  if (generators.some(existing => existing.type === generator.type)) {
+    throw new Error(`Generator already registered: ${generator.type}`);
+  }
+
+  generators.push(generator);
+}
+
+// Best-scoring generator for a request; earlier registrations win ties
+function findGenerator(message) {
+  const lowerMessage = message.toLowerCase();
+  let best = null;
+  let bestScore = 0;
+
+  for (const generator of generators) {
+    const score = generator.match(lowerMessage);
+    if (score > bestScore) {
+      best = generator;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+function getGenerator(type) {
+  return generators.find(generator => generator.type === type) || null;
+}
+
+function listGenerators() {
+  return [...generators];
+}
+
+[
+  require('./s3Bucket'),
+  require('./ec2Instance'),
+  require('./lambdaFunction'),
+  require('./dynamodbTable'),
+  require('./rdsInstance'),
+  require('./vpc'),
+  require('./apiGatewayRestApi')
+].forEach(registerGenerator);
+
+module.exports = {
+  registerGenerator,
+  findGenerator,
+  getGenerator,
+  listGenerators
+};
\ No newline at end of file
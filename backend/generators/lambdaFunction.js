@@ -0,0 +1,181 @@
+// backend/generators/lambdaFunction.js
+const { terraformHeader, defaultTags, tagsBlock, uniqueName, keywordScore } = require('./common');
+const { extractPattern, extractName, extractSize } = require('./params');
+
+const RUNTIMES = ['nodejs18.x', 'nodejs20.x', 'nodejs22.x', 'python3.9', 'python3.10', 'python3.11', 'python3.12', 'python3.13'];
+
+// Hello-world handler per language; both are served as index.handler
+const HANDLERS = {
+  nodejs: {
+    filename: 'index.js',
+    content: `exports.handler = async (event) => {
+        return { statusCode: 200, body: JSON.stringify({ message: 'Hello from Terraform AI' }) };
+      };`
+  },
+  python: {
+    filename: 'index.py',
+    content: `import json
+      def handler(event, context):
+          return {"statusCode": 200, "body": json.dumps({"message": "Hello from Terraform AI"})}`
+  }
+};
+
+// "python", "python 3.11", "node", "nodejs 22" -> Lambda runtime identifiers
+function parseRuntime(match) {
+  const language = match[1].toLowerCase().startsWith('python') ? 'python' : 'nodejs';
+  const version = match[2];
+  const runtime = language === 'python'
+    ? `python${version || '3.12'}`
+    : `nodejs${version ? version.split('.')[0] : '20'}.x`;
+
+  if (!RUNTIMES.includes(runtime)) {
+    throw new Error(`${match[0].trim()} is not a supported runtime (${RUNTIMES.join(', ')})`);
+  }
+  return runtime;
+}
+
+module.exports = {
+  type: 'lambda-function',
+  service: 'lambda',
+  label: 'Lambda functions',
+
+  match(message) {
+    return keywordScore(message, [
+      { pattern: /\blambda\b/, weight: 3 },
+      { pattern: /\bserverless\b/, weight: 2 },
+      { pattern: /\bfunctions?\b/, weight: 1 }
+    ]);
+  },
+
+  parameters: [
+    {
+      key: 'functionName',
+      label: 'Function name',
+      extract: extractName,
+      // The execution role is named TerraformAI-<function>, and role names stop at 64 characters
+      validate: name => /^[A-Za-z0-9_-]{1,52}$/.test(name)
+        ? null
+        : 'function names may use up to 52 letters, numbers, hyphens and underscores'
+    },
+    {
+      key: 'runtime',
+      label: 'Runtime',
+      extract: message => extractPattern(message, /\b(python|node(?:\.?js)?)\s*(\d+(?:\.\d+)?)?/i, parseRuntime)
+    },
+    {
+      key: 'memorySize',
+      label: 'Memory',
+      extract: message => extractSize(message, 'MB'),
+      validate: size => size < 128 || size > 10240 ? 'Lambda memory must be between 128MB and 10240MB' : null,
+      format: size => `${size}MB`
+    },
+    {
+      key: 'timeout',
+      label: 'Timeout',
+      extract: message => extractPattern(
+        message,
+        /\btimeout\s+(?:of\s+)?(\d+)\s*(s|secs?|seconds?|mins?|minutes?)\b|\b(\d+)\s*(s|secs?|seconds?|mins?|minutes?)\s+timeout\b/i,
+        match => parseInt(match[1] || match[3], 10) * (/^m/i.test(match[2] || match[4]) ? 60 : 1)
+      ),
+      validate: seconds => seconds < 1 || seconds > 900 ? 'Lambda timeouts must be between 1 second and 15 minutes' : null,
+      format: seconds => `${seconds}s`
+    }
+  ],
+
+  defaults() {
+    return {
+      functionName: uniqueName(),
+      region: 'us-east-1',
+      runtime: 'nodejs20.x',
+      memorySize: 128,
+      timeout: 10
+    };
+  },
+
+  terraform(config, { actionId, createdAt }) {
+    const tags = tagsBlock(defaultTags({ name: config.functionName, actionId, createdAt, tags: config.tags }));
+    const handler = HANDLERS[config.runtime.startsWith('python') ? 'python' : 'nodejs'];
+
+    return `${terraformHeader(config.region, { archive: 'hashicorp/archive' })}
+
+data "archive_file" "code" {
+  type        = "zip"
+  output_path = "\${path.module}/lambda.zip"
+
+  source {
+    filename = "${handler.filename}"
+    content  = <<-EOT
+      ${handler.content}
+    EOT
+  }
+}
+
+# Execution role; the TerraformAI- prefix is what the agent's IAM role may manage
+resource "aws_iam_role" "lambda" {
+  name = "TerraformAI-${config.functionName}"
+
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [{
+      Effect    = "Allow"
+      Principal = { Service = "lambda.amazonaws.com" }
+      Action    = "sts:AssumeRole"
+    }]
+  })
+
+${tags}
+}
+
+resource "aws_iam_role_policy_attachment" "logs" {
+  role       = aws_iam_role.lambda.name
+  policy_arn = "arn:aws:iam::aws:policy/service-role/AWSLambdaBasicExecutionRole"
+}
+
+resource "aws_lambda_function" "main" {
+  function_name    = "${config.functionName}"
+  role             = aws_iam_role.lambda.arn
+  runtime          = "${config.runtime}"
+  handler          = "index.handler"
+  filename         = data.archive_file.code.output_path
+  source_code_hash = data.archive_file.code.output_base64sha256
+  memory_size      = ${config.memorySize}
+  timeout          = ${config.timeout}
+
+${tags}
+}
+
+output "function_name" {
+  value = aws_lambda_function.main.function_name
+}
+
+output "function_arn" {
+  value = aws_lambda_function.main.arn
+}`;
+  },
+
+  summary(config) {
+    return `I'll deploy the Lambda function "${config.functionName}" (${config.runtime}) in ${config.region} with the following features:`;
+  },
+
+  resources(config) {
+    return [
+      `Lambda function (${config.runtime}, ${config.memorySize}MB, ${config.timeout}s timeout)`,
+      'IAM execution role with CloudWatch Logs access',
+      'Hello-world handler you can replace later',
+      'Resource tags for management'
+    ];
+  },
+
+  costResources(config) {
+    return [{ address: 'aws_lambda_function.main', type: 'aws_lambda_function', values: { memory_size: config.memorySize } }];
+  },
+
+  warnings() {
+    return [
+      '💰 Charges apply per invocation beyond the free tier',
+      '🔐 Creates an IAM role prefixed with TerraformAI-',
+      '📜 CloudWatch Logs storage is billed separately',
+      '🔄 Destroy the resources from the chat when done'
+    ];
+  }
+};
\ No newline at end of file
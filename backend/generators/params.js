@@ -0,0 +1,279 @@
+// backend/generators/params.js
+
+/**
+ * Pull resource settings out of a chat message.
+ *
+ * Every extractor gets the original message and returns:
+ *   undefined                    the setting isn't mentioned
+ *   { value, spans }             the setting was found and understood
+ *   { error, spans }             the setting was mentioned but is invalid
+ * spans are [start, end) offsets of the text the extractor used, so
+ * resolveParameters can flag whatever looked like a setting but wasn't used.
+ *
+ * A generator lists its settings in `parameters`:
+ *   { key, label, extract(message), validate?(value) -> error,
+ *     assign?(config, value) for values that set several keys, format?(value, config) }
+ * Region and tags apply to every generator and are added here.
+ */
+
+const AWS_REGIONS = [
+  'us-east-1', 'us-east-2', 'us-west-1', 'us-west-2',
+  'ca-central-1', 'ca-west-1', 'sa-east-1', 'mx-central-1',
+  'eu-west-1', 'eu-west-2', 'eu-west-3', 'eu-central-1', 'eu-central-2',
+  'eu-north-1', 'eu-south-1', 'eu-south-2',
+  'ap-south-1', 'ap-south-2', 'ap-east-1', 'ap-northeast-1', 'ap-northeast-2', 'ap-northeast-3',
+  'ap-southeast-1', 'ap-southeast-2', 'ap-southeast-3', 'ap-southeast-4', 'ap-southeast-5',
+  'me-south-1', 'me-central-1', 'il-central-1', 'af-south-1'
+];
+
+// Tags the agent sets itself; the inventory depends on them
+const RESERVED_TAG_KEYS = ['managedby', 'actionid', 'createdat'];
+
+const REGION_PATTERN = /(?<![\w-])([a-z]{2}(?:-gov)?-(?:north|south|east|west|central|northeast|northwest|southeast|southwest)-\d+)(?![\w-])/i;
+
+// Places regions are named after; generators only understand region codes
+const REGION_PLACES = [
+  'virginia', 'ohio', 'california', 'oregon', 'canada', 'calgary', 'sao paulo', 'são paulo', 'mexico',
+  'ireland', 'london', 'paris', 'frankfurt', 'zurich', 'stockholm', 'milan', 'spain',
+  'mumbai', 'hyderabad', 'hong kong', 'tokyo', 'seoul', 'osaka', 'singapore', 'sydney', 'jakarta',
+  'melbourne', 'malaysia', 'bahrain', 'uae', 'tel aviv', 'cape town'
+];
+
+// Things that look like a setting; anything not claimed by an extractor is flagged
+const MENTION_PATTERNS = [
+  new RegExp(REGION_PATTERN.source, 'gi'),
+  /\bregion\s*[:=]?\s*[a-z]+(?:-[a-z0-9]+)+/gi,
+  new RegExp(`(?<![\\w-])(?:${REGION_PLACES.join('|')})(?![\\w-])`, 'gi'),
+  /\b(?:lifecycle(?:\s+(?:rules?|polic(?:y|ies)|configuration))?|expir(?:e|es|ation)(?:\s+after\s+\d+\s+days?)?|transitions?|transitioned)\b/gi,
+  /\b(?:(?:glacier(?:\s+(?:instant|flexible)\s+retrieval|\s+deep\s+archive|\s+ir)?|deep\s+archive|intelligent[\s_-]tiering|standard[\s_-]ia|one[\s_-]zone(?:[\s_-]ia)?|reduced\s+redundancy)(?:\s+(?:storage\s+)?(?:class|tier))?|storage\s+class(?:es)?)\b/gi,
+  /\b\d+(?:\.\d+)?\s*(?:tb|gib|gb|mib|mb)\b/gi,
+  /(?<![\w-])(?:db\.)?[a-z]\d[a-z0-9]*\.(?:nano|micro|small|medium|\d*x?large|metal)\b/gi,
+  /\b\d{1,3}(?:\.\d{1,3}){3}\/\d{1,2}\b/g,
+  /\b\d+\s*(?:seconds?|secs?|minutes?|mins?)\b/gi,
+  /\b(?:versioning|encryption|encrypted|kms|aes256|multi-az|python|node(?:\.?js)?)\b/gi,
+  /(?<![\w-])[A-Za-z][\w.:/@+-]*\s*=\s*(?:"[^"]*"|'[^']*'|[^\s,;]+)/g
+];
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+
+function spanOf(match) {
+  return [match.index, match.index + match[0].length];
+}
+
+// First regex match as { value, spans }; transform may throw to report an error
+function extractPattern(message, pattern, transform = match => match[1]) {
+  const match = message.match(pattern);
+  if (!match) return undefined;
+
+  const spans = [spanOf(match)];
+  try {
+    return { value: transform(match), spans };
+  } catch (error) {
+    return { error: error.message, spans };
+  }
+}
+
+function extractRegion(message) {
+  return extractPattern(message, REGION_PATTERN, match => {
+    const region = match[1].toLowerCase();
+    if (!AWS_REGIONS.includes(region)) {
+      throw new Error(`"${match[1]}" is not an AWS region`);
+    }
+    return region;
+  });
+}
+
+// "called team-logs", "named 'team-logs'", "name=team-logs"
+function extractName(message) {
+  return extractPattern(
+    message,
+    /(?<!(?:key|stage)\s+)\b(?:called|named|name\s*=)\s*["'`]?([\w.-]+?)["'`]?(?=[\s,;]|$|\.(?:\s|$))/i
+  );
+}
+
+// key=value pairs, e.g. "with tag owner=data, team=platform"
+function extractTags(message) {
+  const pattern = /(?<![\w-])([A-Za-z][\w.:/@+-]*)\s*=\s*("[^"]*"|'[^']*'|[^\s,;]+)/g;
+  const tags = {};
+  const spans = [];
+  const errors = [];
+
+  for (const match of message.matchAll(pattern)) {
+    const key = match[1];
+    if (key.toLowerCase() === 'name') continue;
+
+    const value = match[2].replace(/^["']|["']$/g, '').replace(/[.)]+$/, '');
+    spans.push(spanOf(match));
+
+    if (RESERVED_TAG_KEYS.includes(key.toLowerCase())) {
+      errors.push(`tag "${key}" is set by Terraform AI and can't be overridden`);
+    } else if (key.toLowerCase().startsWith('aws:')) {
+      errors.push(`tag keys can't start with "aws:" (${key})`);
+    } else if (key.length > 128 || value.length > 256) {
+      errors.push(`tag "${key}" is too long (keys up to 128, values up to 256 characters)`);
+    } else {
+      tags[key] = value;
+    }
+  }
+
+  if (spans.length === 0) return undefined;
+  if (errors.length > 0) return { error: errors.join('; '), spans };
+  return { value: tags, spans };
+}
+
+// A size like "50GB" or "512 MB", converted to unit ('GB' or 'MB')
+function extractSize(message, unit) {
+  return extractPattern(message, /\b(\d+(?:\.\d+)?)\s*(tb|gib|gb|mib|mb)\b/i, match => {
+    const amount = parseFloat(match[1]);
+    const from = match[2].toLowerCase().replace('i', '');
+    const megabytes = amount * { mb: 1, gb: 1024, tb: 1024 * 1024 }[from];
+    const value = unit === 'MB' ? megabytes : megabytes / 1024;
+
+    if (!Number.isInteger(value)) {
+      throw new Error(`"${match[0]}" is not a whole number of ${unit}`);
+    }
+    return value;
+  });
+}
+
+// A small count written as digits or a word ("3 subnets", "two subnets")
+function extractCount(message, noun) {
+  const words = Object.keys(NUMBER_WORDS).join('|');
+  return extractPattern(
+    message,
+    new RegExp(`\\b(\\d+|${words})\\s+(?:\\w+\\s+)?${noun}`, 'i'),
+    match => NUMBER_WORDS[match[1].toLowerCase()] || parseInt(match[1], 10)
+  );
+}
+
+/**
+ * Feature switch: "without versioning", "versioning disabled" -> false,
+ * "with versioning", "versioning on" or a bare mention -> true.
+ */
+function extractToggle(message, feature) {
+  const off = new RegExp(
+    `\\b(?:without|no|disable|disabled|turn off|skip)\\s+(?:\\w+\\s+)?${feature}\\b|\\b${feature}\\s+(?:disabled|off|turned off)\\b`,
+    'i'
+  );
+  const on = new RegExp(
+    `\\b(?:with|enable|enabled|turn on)\\s+(?:\\w+\\s+)?${feature}\\b|\\b${feature}\\s+(?:enabled|on)\\b|\\b${feature}\\b`,
+    'i'
+  );
+
+  return extractPattern(message, off, () => false) || extractPattern(message, on, () => true);
+}
+
+// First matching choice: choices = [{ pattern, value }]; value may be an Error
+function extractChoice(message, choices) {
+  for (const { pattern, value } of choices) {
+    const found = extractPattern(message, pattern, () => {
+      if (value instanceof Error) throw value;
+      return value;
+    });
+    if (found) return found;
+  }
+  return undefined;
+}
+
+function overlaps([start, end], spans) {
+  return spans.some(([otherStart, otherEnd]) => start < otherEnd && otherStart < end);
+}
+
+const REGION_PARAMETER = {
+  key: 'region',
+  label: 'Region',
+  extract: extractRegion
+};
+
+const TAGS_PARAMETER = {
+  key: 'tags',
+  label: 'Tags',
+  extract: extractTags,
+  // Tags from follow-up messages add to the draft's tags
+  assign: (config, tags) => {
+    config.tags = { ...config.tags, ...tags };
+  },
+  format: tags => Object.entries(tags).map(([key, value]) => `${key}=${value}`).join(', ') || 'none'
+};
+
+/**
+ * Resolve a generator's config from a message. Returns:
+ *   config             defaults overridden by everything understood
+ *   parameters         [{ key, label, value, source: 'request' | 'default' }] for the summary
+ *   invalidParameters  [{ key, label, input, error }] settings that were given but are invalid
+ *   unresolved         text that looked like a setting but wasn't used
+ *   changedKeys        settings this message set
+ *   requestedKeys      settings the user has set so far (requested + changedKeys)
+ *
+ * To revise a draft, pass its config as base and the keys the user already
+ * set as requested; the message then only changes what it mentions.
+ */
+function resolveParameters(generator, message, { base = null, requested = [] } = {}) {
+  const config = { tags: {}, ...generator.defaults(), ...base };
+  config.tags = { ...config.tags };
+  const specs = [REGION_PARAMETER, ...(generator.parameters || []), TAGS_PARAMETER];
+  const parameters = [];
+  const invalidParameters = [];
+  const claimed = [];
+  const changedKeys = [];
+
+  for (const spec of specs) {
+    const found = spec.extract(message);
+
+    if (found) {
+      claimed.push(...found.spans);
+      const error = found.error || (spec.validate && spec.validate(found.value));
+
+      if (error) {
+        invalidParameters.push({
+          key: spec.key,
+          label: spec.label,
+          input: found.spans.map(([start, end]) => message.slice(start, end)).join(', '),
+          error
+        });
+      } else {
+        if (spec.assign) {
+          spec.assign(config, found.value);
+        } else {
+          config[spec.key] = found.value;
+        }
+        changedKeys.push(spec.key);
+      }
+    }
+
+    const source = changedKeys.includes(spec.key) || requested.includes(spec.key) ? 'request' : 'default';
+    const format = spec.format || String;
+    parameters.push({ key: spec.key, label: spec.label, value: format(config[spec.key], config), source });
+  }
+
+  const unresolved = [];
+  for (const pattern of MENTION_PATTERNS) {
+    for (const match of message.matchAll(pattern)) {
+      const span = spanOf(match);
+      if (!overlaps(span, claimed)) {
+        claimed.push(span);
+        unresolved.push(match[0]);
+      }
+    }
+  }
+
+  return {
+    config,
+    parameters,
+    invalidParameters,
+    unresolved,
+    changedKeys,
+    requestedKeys: [...new Set([...requested, ...changedKeys])]
+  };
+}
+
+module.exports = {
+  AWS_REGIONS,
+  extractPattern,
+  extractName,
+  extractSize,
+  extractCount,
+  extractToggle,
+  extractChoice,
+  resolveParameters
+};
\ No newline at end of file
@@ -0,0 +1,159 @@
+// backend/generators/rdsInstance.js
+const { terraformHeader, defaultTags, tagsBlock, uniqueName, keywordScore } = require('./common');
+const { extractPattern, extractName, extractSize } = require('./params');
+
+// Major versions offered per engine; the first one is the default
+const ENGINE_VERSIONS = {
+  postgres: ['16', '17', '15', '14', '13'],
+  mysql: ['8.0', '8.4'],
+  mariadb: ['10.11', '11.4', '10.6']
+};
+
+function parseEngine(match) {
+  const engine = match[1].toLowerCase().startsWith('postgres') ? 'postgres' : match[1].toLowerCase();
+  const version = match[2] || ENGINE_VERSIONS[engine][0];
+
+  if (!ENGINE_VERSIONS[engine].includes(version)) {
+    throw new Error(`${engine} ${version} is not offered (choose ${ENGINE_VERSIONS[engine].join(', ')})`);
+  }
+  return { engine, engineVersion: version };
+}
+
+module.exports = {
+  type: 'rds-instance',
+  service: 'rds',
+  label: 'RDS databases',
+
+  match(message) {
+    return keywordScore(message, [
+      { pattern: /\brds\b/, weight: 3 },
+      { pattern: /\b(postgres(ql)?|mysql|mariadb|relational)\b/, weight: 2 },
+      { pattern: /\b(database|db)s?\b/, weight: 1 }
+    ]);
+  },
+
+  parameters: [
+    {
+      key: 'identifier',
+      label: 'Identifier',
+      extract: extractName,
+      validate: name => /^[a-z][a-z0-9-]{0,62}$/.test(name) && !name.endsWith('-') && !name.includes('--')
+        ? null
+        : 'DB identifiers must start with a lowercase letter and use up to 63 lowercase letters, numbers and single hyphens'
+    },
+    {
+      key: 'engine',
+      label: 'Engine',
+      extract: message => extractPattern(message, /\b(postgres(?:ql)?|mysql|mariadb)(?:\s+(\d+(?:\.\d+)?))?\b/i, parseEngine),
+      // Sets both engine and engineVersion
+      assign: (config, value) => Object.assign(config, value),
+      format: (engine, config) => `${engine} ${config.engineVersion}`
+    },
+    {
+      key: 'instanceClass',
+      label: 'Instance class',
+      extract: message => extractPattern(
+        message,
+        /(?<![\w.-])(db\.[a-z]\d[a-z0-9-]*\.(?:micro|small|medium|\d*x?large))\b/i,
+        match => match[1].toLowerCase()
+      )
+    },
+    {
+      key: 'allocatedStorage',
+      label: 'Storage',
+      extract: message => extractSize(message, 'GB'),
+      validate: size => size < 20 || size > 65536 ? 'RDS storage must be between 20GB and 65536GB' : null,
+      format: size => `${size}GB`
+    }
+  ],
+
+  defaults() {
+    return {
+      identifier: uniqueName(),
+      region: 'us-east-1',
+      engine: 'postgres',
+      engineVersion: '16',
+      instanceClass: 'db.t3.micro',
+      allocatedStorage: 20,
+      username: 'dbadmin'
+    };
+  },
+
+  terraform(config, { actionId, createdAt }) {
+    return `${terraformHeader(config.region, { random: 'hashicorp/random' })}
+
+resource "random_password" "master" {
+  length  = 24
+  special = false
+}
+
+resource "aws_db_instance" "main" {
+  identifier        = "${config.identifier}"
+  engine            = "${config.engine}"
+  engine_version    = "${config.engineVersion}"
+  instance_class    = "${config.instanceClass}"
+  allocated_storage = ${config.allocatedStorage}
+  storage_type      = "gp3"
+  storage_encrypted = true
+
+  username = "${config.username}"
+  password = random_password.master.result
+
+  publicly_accessible     = false
+  backup_retention_period = 1
+  skip_final_snapshot     = true
+
+${tagsBlock(defaultTags({ name: config.identifier, actionId, createdAt, tags: config.tags }))}
+}
+
+output "endpoint" {
+  value = aws_db_instance.main.endpoint
+}
+
+output "username" {
+  value = aws_db_instance.main.username
+}
+
+output "password" {
+  value     = random_password.master.result
+  sensitive = true
+}`;
+  },
+
+  summary(config) {
+    return `I'll create the RDS ${config.engine} database "${config.identifier}" (${config.instanceClass}) in ${config.region} with the following features:`;
+  },
+
+  resources(config) {
+    return [
+      `RDS ${config.engine} ${config.engineVersion} on ${config.instanceClass}`,
+      `Encrypted ${config.allocatedStorage}GB gp3 storage`,
+      'Generated master password (kept in Terraform state)',
+      'Private (not publicly accessible), 1-day backups',
+      'Resource tags for management'
+    ];
+  },
+
+  costResources(config) {
+    return [{
+      address: 'aws_db_instance.main',
+      type: 'aws_db_instance',
+      values: {
+        engine: config.engine,
+        instance_class: config.instanceClass,
+        allocated_storage: config.allocatedStorage,
+        storage_type: 'gp3'
+      }
+    }];
+  },
+
+  warnings() {
+    return [
+      '💰 Databases bill every hour they run, even when idle',
+      '⏱️ Creation takes 5-10 minutes',
+      '🔒 Only reachable from inside the default VPC',
+      '🗑️ No final snapshot is taken on destroy',
+      '🔄 Destroy the resources from the chat when done'
+    ];
+  }
+};
\ No newline at end of file
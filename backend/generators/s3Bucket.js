@@ -0,0 +1,144 @@
+// backend/generators/s3Bucket.js
+const { terraformHeader, defaultTags, tagsBlock, uniqueName, keywordScore } = require('./common');
+const { extractName, extractToggle, extractChoice } = require('./params');
+
+const ENCRYPTION_LABELS = {
+  AES256: 'SSE-S3 (AES256)',
+  'aws:kms': 'SSE-KMS (AWS managed key)'
+};
+
+// The whole phrase naming an algorithm, so "kms encryption" or "encrypted
+// with sse-s3" claims the word "encryption" too
+const encryptionPhrase = (algorithm) => new RegExp(
+  `\\b(?:(?:encryption|encrypted)\\s+(?:with|using|via|by)\\s+)?(?:${algorithm})(?:[\\s-]+(?:key\\s+)?(?:encryption|encrypted))?\\b`,
+  'i'
+);
+
+// https://docs.aws.amazon.com/AmazonS3/latest/userguide/bucketnamingrules.html
+function validateBucketName(name) {
+  if (name.length < 3 || name.length > 63) return 'bucket names must be 3-63 characters long';
+  if (!/^[a-z0-9][a-z0-9.-]*[a-z0-9]$/.test(name)) {
+    return 'bucket names may only use lowercase letters, numbers, dots and hyphens, and must start and end with a letter or number';
+  }
+  if (name.includes('..')) return 'bucket names can\'t contain two dots in a row';
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(name)) return 'bucket names can\'t look like an IP address';
+  return null;
+}
+
+module.exports = {
+  type: 's3-bucket',
+  service: 's3',
+  label: 'S3 buckets',
+
+  match(message) {
+    return keywordScore(message, [
+      { pattern: /\bs3\b/, weight: 2 },
+      { pattern: /\bbuckets?\b/, weight: 2 },
+      { pattern: /\b(object storage|static website|backups?)\b/, weight: 1 }
+    ]);
+  },
+
+  parameters: [
+    {
+      key: 'bucketName',
+      label: 'Bucket name',
+      extract: extractName,
+      validate: validateBucketName
+    },
+    {
+      key: 'versioning',
+      label: 'Versioning',
+      extract: message => extractToggle(message, 'versioning'),
+      format: enabled => enabled ? 'Enabled' : 'Disabled'
+    },
+    {
+      key: 'encryption',
+      label: 'Encryption',
+      extract: message => extractChoice(message, [
+        { pattern: /\b(?:without|no|disable|disabled)\s+(?:\w+\s+)?encryption\b|\bunencrypted\b/i, value: new Error('S3 encrypts every bucket; encryption can\'t be turned off') },
+        { pattern: encryptionPhrase('sse-?kms|aws:kms|kms'), value: 'aws:kms' },
+        { pattern: encryptionPhrase('sse-?s3|aes-?256'), value: 'AES256' }
+      ]),
+      format: algorithm => ENCRYPTION_LABELS[algorithm]
+    }
+  ],
+
+  defaults() {
+    return {
+      bucketName: uniqueName(),
+      region: 'us-east-1',
+      versioning: true,
+      encryption: 'AES256'
+    };
+  },
+
+  terraform(config, { actionId, createdAt }) {
+    const tags = defaultTags({ name: config.bucketName, actionId, createdAt, tags: config.tags });
+
+    const versioning = config.versioning ? `
+
+resource "aws_s3_bucket_versioning" "main" {
+  bucket = aws_s3_bucket.main.id
+
+  versioning_configuration {
+    status = "Enabled"
+  }
+}` : '';
+
+    const bucketKey = config.encryption === 'aws:kms' ? `
+    bucket_key_enabled = true` : '';
+
+    return `${terraformHeader(config.region)}
+
+resource "aws_s3_bucket" "main" {
+  bucket = "${config.bucketName}"
+
+${tagsBlock(tags)}
+}${versioning}
+
+resource "aws_s3_bucket_server_side_encryption_configuration" "main" {
+  bucket = aws_s3_bucket.main.id
+
+  rule {
+    apply_server_side_encryption_by_default {
+      sse_algorithm = "${config.encryption}"
+    }${bucketKey}
+  }
+}
+
+output "bucket_name" {
+  value = aws_s3_bucket.main.id
+}
+
+output "bucket_arn" {
+  value = aws_s3_bucket.main.arn
+}`;
+  },
+
+  summary(config) {
+    return `I'll create the S3 bucket "${config.bucketName}" in ${config.region} with the following features:`;
+  },
+
+  resources(config) {
+    return [
+      config.versioning ? 'S3 Bucket with versioning enabled' : 'S3 Bucket without versioning',
+      `Server-side encryption: ${ENCRYPTION_LABELS[config.encryption]}`,
+      'Resource tags for management'
+    ];
+  },
+
+  costResources() {
+    return [{ address: 'aws_s3_bucket.main', type: 'aws_s3_bucket', values: {} }];
+  },
+
+  warnings(config) {
+    return [
+      '💰 You will be charged by AWS starting immediately',
+      '🌍 Bucket name must be globally unique',
+      '🗑️ Destroying the bucket permanently deletes every object in it',
+      '💵 Data transfer costs $0.09/GB after 100GB/month',
+      ...(config.encryption === 'aws:kms' ? ['🔑 KMS requests are billed at $0.03 per 10,000 (the bucket key keeps them low)'] : []),
+      '🔄 Destroy the resources from the chat when done'
+    ];
+  }
+};
\ No newline at end of file
@@ -0,0 +1,144 @@
+// backend/generators/vpc.js
+const { terraformHeader, defaultTags, tagsBlock, uniqueName, keywordScore } = require('./common');
+const { extractPattern, extractName, extractCount } = require('./params');
+
+// Public subnets are carved out as /(prefix + 8) blocks with cidrsubnet()
+function validateCidr(cidr) {
+  const [address, prefix] = cidr.split('/');
+  const octets = address.split('.').map(Number);
+  const bits = Number(prefix);
+
+  if (octets.some(octet => octet > 255)) return `${cidr} is not a valid IPv4 CIDR block`;
+  if (bits < 16 || bits > 20) return 'VPC CIDR blocks must be between /16 and /20';
+
+  const value = octets.reduce((total, octet) => total * 256 + octet, 0);
+  if (value % 2 ** (32 - bits) !== 0) return `${cidr} has host bits set; did you mean a network address?`;
+  return null;
+}
+
+module.exports = {
+  type: 'vpc',
+  service: 'ec2',
+  label: 'VPCs',
+
+  match(message) {
+    return keywordScore(message, [
+      { pattern: /\bvpc\b/, weight: 3 },
+      { pattern: /\b(subnets?|internet gateway)\b/, weight: 2 },
+      { pattern: /\bnetwork\b/, weight: 1 }
+    ]);
+  },
+
+  parameters: [
+    {
+      key: 'name',
+      label: 'Name',
+      extract: extractName
+    },
+    {
+      key: 'cidrBlock',
+      label: 'CIDR block',
+      extract: message => extractPattern(message, /\b(\d{1,3}(?:\.\d{1,3}){3}\/\d{1,2})\b/),
+      validate: validateCidr
+    },
+    {
+      key: 'publicSubnets',
+      label: 'Public subnets',
+      extract: message => extractCount(message, 'subnets?'),
+      validate: count => count < 1 || count > 3 ? 'between 1 and 3 public subnets are supported' : null
+    }
+  ],
+
+  defaults() {
+    return {
+      name: uniqueName(),
+      region: 'us-east-1',
+      cidrBlock: '10.0.0.0/16',
+      publicSubnets: 2
+    };
+  },
+
+  terraform(config, { actionId, createdAt }) {
+    const tags = defaultTags({ name: config.name, actionId, createdAt, tags: config.tags });
+
+    return `${terraformHeader(config.region)}
+
+data "aws_availability_zones" "available" {
+  state = "available"
+}
+
+resource "aws_vpc" "main" {
+  cidr_block           = "${config.cidrBlock}"
+  enable_dns_support   = true
+  enable_dns_hostnames = true
+
+${tagsBlock(tags)}
+}
+
+resource "aws_internet_gateway" "main" {
+  vpc_id = aws_vpc.main.id
+
+${tagsBlock(tags)}
+}
+
+resource "aws_subnet" "public" {
+  count                   = ${config.publicSubnets}
+  vpc_id                  = aws_vpc.main.id
+  cidr_block              = cidrsubnet(aws_vpc.main.cidr_block, 8, count.index)
+  availability_zone       = data.aws_availability_zones.available.names[count.index]
+  map_public_ip_on_launch = true
+
+${tagsBlock(tags)}
+}
+
+resource "aws_route_table" "public" {
+  vpc_id = aws_vpc.main.id
+
+  route {
+    cidr_block = "0.0.0.0/0"
+    gateway_id = aws_internet_gateway.main.id
+  }
+
+${tagsBlock(tags)}
+}
+
+resource "aws_route_table_association" "public" {
+  count          = ${config.publicSubnets}
+  subnet_id      = aws_subnet.public[count.index].id
+  route_table_id = aws_route_table.public.id
+}
+
+output "vpc_id" {
+  value = aws_vpc.main.id
+}
+
+output "public_subnet_ids" {
+  value = aws_subnet.public[*].id
+}`;
+  },
+
+  summary(config) {
+    return `I'll create the VPC "${config.name}" (${config.cidrBlock}) in ${config.region} with the following features:`;
+  },
+
+  resources(config) {
+    return [
+      `VPC ${config.cidrBlock} with DNS support`,
+      `${config.publicSubnets} public subnets across availability zones`,
+      'Internet gateway and public route table',
+      'Resource tags for management'
+    ];
+  },
+
+  costResources() {
+    return [{ address: 'aws_vpc.main', type: 'aws_vpc', values: {} }];
+  },
+
+  warnings() {
+    return [
+      '🌐 Subnets are public: instances launched in them get public IPs',
+      '💵 Data transfer out to the internet is billed at $0.09/GB',
+      '🔄 Destroy the resources from the chat when done'
+    ];
+  }
+};
\ No newline at end of file
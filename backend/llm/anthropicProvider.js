@@ -0,0 +1,60 @@
+// backend/llm/anthropicProvider.js
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API over plain fetch.
+ *
+ * options:
+ *   apiKey     defaults to ANTHROPIC_API_KEY
+ *   model      defaults to LLM_MODEL
+ *   timeoutMs  defaults to LLM_TIMEOUT_MS, then 60s
+ */
+function createAnthropicProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+  const model = options.model || process.env.LLM_MODEL || 'claude-sonnet-4-20250514';
+  const timeoutMs = options.timeoutMs || parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60 * 1000;
+
+  if (!apiKey) {
+    throw new Error('LLM_PROVIDER=anthropic requires ANTHROPIC_API_KEY');
+  }
+
+  return {
+    name: 'anthropic',
+
+    async complete({ system, prompt, maxTokens = 4096 }) {
+      const response = await fetch(API_URL, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': API_VERSION
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          temperature: 0,
+          system,
+          messages: [{ role: 'user', content: prompt }]
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const message = (body.error && body.error.message) || response.statusText;
+        throw new Error(`Anthropic API error ${response.status}: ${message}`);
+      }
+
+      return (body.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    }
+  };
+}
+
+module.exports = {
+  createAnthropicProvider
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+// backend/llm/index.js
+const { renderPrompt } = require('./prompts');
+const {
+  ANSWER_SCHEMA,
+  GENERATION_SCHEMA,
+  EXPLANATION_SCHEMA,
+  validateSchema,
+  checkTerraformCode,
+  parseJsonReply
+} = require('./schema');
+const { createAnthropicProvider } = require('./anthropicProvider');
+const { createMockProvider } = require('./mockProvider');
+
+/**
+ * Language-model layer for chat answers and Terraform generation.
+ *
+ * A provider only has to implement
+ *   complete({ template, system, prompt, vars, maxTokens }) -> reply text
+ * Everything else (prompts, schema checks, fallback) lives here. Callers get
+ * null whenever the model is off, fails or returns something unusable, and
+ * fall back to the rule-based paths.
+ */
+
+/**
+ * Pick a provider from the environment:
+ *   LLM_PROVIDER=anthropic | mock | none
+ * Defaults to anthropic when ANTHROPIC_API_KEY is set, none otherwise.
+ */
+function createLLMProvider(options = {}) {
+  const type = options.type || process.env.LLM_PROVIDER ||
+    (process.env.ANTHROPIC_API_KEY ? 'anthropic' : 'none');
+
+  switch (type) {
+    case 'anthropic':
+      return createAnthropicProvider(options);
+    case 'mock':
+      return createMockProvider(options);
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown LLM provider: ${type}`);
+  }
+}
+
+function checkGeneratedCode(actionId) {
+  return value => (typeof value.terraformCode === 'string'
+    ? checkTerraformCode(value.terraformCode, { actionId }).map(error => `terraformCode ${error}`)
+    : []);
+}
+
+// Model reply -> the result shape generateTerraformPlan returns
+function toPlanResult(generated, generatedBy) {
+  const region = (generated.terraformCode.match(/provider\s+"aws"\s*\{[^}]*?\bregion\s*=\s*"([\w-]+)"/) || [])[1];
+
+  return {
+    resourceType: generated.resourceType,
+    resourceConfig: { region: region || 'us-east-1' },
+    parameters: (generated.parameters || []).map(({ label, value }) => ({
+      key: label,
+      label,
+      value,
+      source: 'request'
+    })),
+    invalidParameters: [],
+    unresolved: generated.unresolved || [],
+    summary: generated.summary,
+    terraformCode: generated.terraformCode,
+    resources: generated.resources,
+    estimatedCost: generated.estimatedCost,
+    warnings: generated.warnings,
+    generatedBy
+  };
+}
+
+function createLLM({ provider = createLLMProvider() } = {}) {
+  // Render a template, call the model and check the JSON reply against schema
+  async function ask(template, vars, schema, check = () => []) {
+    const { system, prompt } = renderPrompt(template, vars);
+    const reply = await provider.complete({ template, system, prompt, vars });
+    const value = parseJsonReply(reply);
+
+    const errors = [...validateSchema(value, schema), ...check(value)];
+    if (errors.length > 0) {
+      throw new Error(`invalid ${template} reply: ${errors.join('; ')}`);
+    }
+    return value;
+  }
+
+  async function withFallback(template, fn) {
+    if (!provider) return null;
+
+    try {
+      return await fn();
+    } catch (error) {
+      console.warn(`⚠️ LLM ${template} failed (${provider.name}), using rules:`, error.message);
+      return null;
+    }
+  }
+
+  return {
+    enabled: Boolean(provider),
+
+    async answerQuestion(question) {
+      return withFallback('answer', async () => {
+        const { answer } = await ask('answer', { question }, ANSWER_SCHEMA);
+        return answer;
+      });
+    },
+
+    /**
+     * Returns the same shape as the rule-based generateTerraformPlan, or null.
+     * supportedTypes: resource types the rule-based generators cover.
+     */
+    async generateTerraform(request, { actionId, supportedTypes = [] }) {
+      return withFallback('generate-terraform', async () => toPlanResult(await ask(
+        'generate-terraform',
+        { request, actionId, supportedTypes: supportedTypes.join(', ') || 'none' },
+        GENERATION_SCHEMA,
+        checkGeneratedCode(actionId)
+      ), provider.name));
+    },
+
+    // Plain-language { summary, resources, warnings } for user-supplied code, or null
+    async explainTerraform(terraformCode, { planSummary }) {
+      return withFallback('explain-terraform', async () => ask(
+        'explain-terraform',
+        {
+          terraformCode,
+          planSummary: `${planSummary.create} to create, ${planSummary.update} to update, ${planSummary.delete} to delete`
+        },
+        EXPLANATION_SCHEMA
+      ));
+    },
+
+    // Apply a follow-up message to a session draft; same result shape, or null
+    async reviseTerraform(request, draft, { actionId, supportedTypes = [] }) {
+      return withFallback('revise-terraform', async () => toPlanResult(await ask(
+        'revise-terraform',
+        {
+          request,
+          actionId,
+          resourceType: draft.resourceType,
+          terraformCode: draft.terraformCode,
+          supportedTypes: supportedTypes.join(', ') || 'none'
+        },
+        GENERATION_SCHEMA,
+        checkGeneratedCode(actionId)
+      ), provider.name));
+    }
+  };
+}
+
+module.exports = {
+  createLLMProvider,
+  createLLM
+};
\ No newline at end of file
@@ -0,0 +1,122 @@
+// backend/llm/mockProvider.js
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Deterministic offline provider for development and tests.
+ *
+ * Replies come from fixtures first: [{ template?, match?, response }], where
+ * match is a regex source tested against the rendered prompt and response is
+ * a string or an object (sent as JSON). Fixtures load from LLM_MOCK_FIXTURES
+ * (a JSON file) unless passed in. Without a matching fixture, the same input
+ * always gets the same built-in reply.
+ */
+function createMockProvider(options = {}) {
+  const fixtures = options.fixtures || loadFixtures(process.env.LLM_MOCK_FIXTURES);
+
+  return {
+    name: 'mock',
+
+    async complete({ template, prompt, vars = {} }) {
+      const fixture = fixtures.find(candidate =>
+        (!candidate.template || candidate.template === template) &&
+        (!candidate.match || new RegExp(candidate.match, 'i').test(prompt))
+      );
+
+      if (fixture) {
+        return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+      }
+
+      switch (template) {
+        case 'answer':
+          return JSON.stringify({ answer: `[mock] You asked: ${vars.question}` });
+        case 'generate-terraform':
+          return JSON.stringify(mockGeneration(vars));
+        case 'revise-terraform':
+          return JSON.stringify(mockRevision(vars));
+        case 'explain-terraform':
+          return JSON.stringify(mockExplanation(vars));
+        default:
+          throw new Error(`Mock provider has no reply for template ${template}`);
+      }
+    }
+  };
+}
+
+function loadFixtures(filePath) {
+  if (!filePath) return [];
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// A private S3 bucket whose name is derived from the request text
+function mockGeneration({ request, actionId }) {
+  const bucketName = `terraform-ai-mock-${crypto.createHash('sha256').update(request).digest('hex').slice(0, 12)}`;
+
+  return {
+    resourceType: 's3-bucket',
+    summary: `[mock] I'll create the S3 bucket "${bucketName}" in us-east-1.`,
+    terraformCode: `terraform {
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = "~> 5.0"
+    }
+  }
+}
+
+provider "aws" {
+  region = "us-east-1"
+}
+
+resource "aws_s3_bucket" "main" {
+  bucket = "${bucketName}"
+
+  tags = {
+    ManagedBy = "TerraformAI"
+    ActionId  = "${actionId}"
+  }
+}
+
+output "bucket_name" {
+  value = aws_s3_bucket.main.id
+}`,
+    resources: ['S3 bucket (mock)'],
+    estimatedCost: '$0.023/month for 1GB storage',
+    warnings: ['🧪 Generated by the mock LLM provider'],
+    parameters: [
+      { label: 'Bucket name', value: bucketName },
+      { label: 'Region', value: 'us-east-1' }
+    ],
+    unresolved: []
+  };
+}
+
+// The draft unchanged apart from a comment recording the follow-up
+function mockRevision({ request, resourceType, terraformCode }) {
+  return {
+    resourceType,
+    summary: `[mock] I've revised the ${resourceType} draft.`,
+    terraformCode: `${terraformCode}\n\n# [mock] revised: ${request.replace(/\s+/g, ' ')}`,
+    resources: [`${resourceType} (mock revision)`],
+    estimatedCost: 'Unchanged',
+    warnings: ['🧪 Generated by the mock LLM provider'],
+    parameters: [],
+    unresolved: []
+  };
+}
+
+// One line per resource block found in the code
+function mockExplanation({ terraformCode }) {
+  const resources = [...terraformCode.matchAll(/resource\s+"([\w-]+)"\s+"([\w-]+)"/g)]
+    .map(([, type, name]) => `[mock] ${type}.${name}`);
+
+  return {
+    summary: `[mock] This configuration defines ${resources.length} resource${resources.length === 1 ? '' : 's'}.`,
+    resources,
+    warnings: ['🧪 Explained by the mock LLM provider']
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
\ No newline at end of file
@@ -0,0 +1,97 @@
+// backend/llm/prompts.js
+
+/**
+ * Prompt templates. {{name}} placeholders are filled by renderPrompt;
+ * every template asks for JSON so the reply can be schema-checked.
+ */
+
+// Constraints every generated configuration must meet (see schema.js)
+const TERRAFORM_RULES = `Rules:
+- Use only the providers hashicorp/aws (~> 5.0), hashicorp/random and hashicorp/archive, declared in required_providers.
+- Include one provider "aws" block with the region the user asked for, or us-east-1. Never put credentials in it.
+- Do not add a backend block, modules, provisioners or the external data source.
+- Tag every taggable resource with ManagedBy = "TerraformAI" and ActionId = "{{actionId}}".
+- IAM roles you create must be named with the prefix TerraformAI-.
+- Prefer encrypted, private, least-privilege defaults. Add outputs for the values a user needs.
+- Resource types this agent already knows well: {{supportedTypes}}.`;
+
+const GENERATION_REPLY = `{
+  "resourceType": "<kebab-case type, e.g. s3-bucket>",
+  "summary": "<one sentence saying what will be created, where, and the key settings>",
+  "terraformCode": "<the complete Terraform configuration>",
+  "resources": ["<short description of each resource>"],
+  "estimatedCost": "<monthly cost estimate with free-tier notes>",
+  "warnings": ["<cost, security or lifecycle warnings>"],
+  "parameters": [{"label": "<setting>", "value": "<resolved value>"}],
+  "unresolved": ["<parts of the request you could not interpret>"]
+}`;
+
+const TEMPLATES = {
+  answer: {
+    system: `You are Terraform AI, an assistant for AWS infrastructure and Terraform.
+Answer the user's question accurately and concisely (at most 150 words).
+Mention costs or security trade-offs when they matter. Do not invent AWS features.
+Reply with JSON only, no prose around it: {"answer": "<your answer>"}`,
+    user: 'Question: {{question}}'
+  },
+
+  'generate-terraform': {
+    system: `You are Terraform AI. You turn a request into Terraform for AWS that will be planned and applied in the user's account.
+
+${TERRAFORM_RULES}
+
+Reply with JSON only, no prose or code fences around it:
+${GENERATION_REPLY}`,
+    user: 'Request: {{request}}'
+  },
+
+  'explain-terraform': {
+    system: `You are Terraform AI. A user uploaded their own Terraform configuration for AWS. Explain in plain language what applying it will create or change, for someone who may not read Terraform.
+Mention anything risky: public access, open security groups, missing encryption, deletion protection turned off, or resources that cost money while idle.
+
+Reply with JSON only, no prose or code fences around it:
+{
+  "summary": "<two or three sentences on what the configuration builds and why someone would use it>",
+  "resources": ["<one plain-language line per resource, e.g. 'A private S3 bucket for logs (aws_s3_bucket.logs)'>"],
+  "warnings": ["<security, cost or lifecycle concerns>"]
+}`,
+    user: `Plan: {{planSummary}}
+
+Configuration:
+{{terraformCode}}`
+  },
+
+  'revise-terraform': {
+    system: `You are Terraform AI. You revise a draft Terraform configuration for AWS according to the user's follow-up message. Change only what the message asks for and keep everything else as it is.
+
+${TERRAFORM_RULES}
+
+Reply with JSON only, no prose or code fences around it, describing the whole revised draft:
+${GENERATION_REPLY}`,
+    user: `Current draft ({{resourceType}}):
+{{terraformCode}}
+
+Follow-up: {{request}}`
+  }
+};
+
+function renderPrompt(name, vars = {}) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown prompt template: ${name}`);
+  }
+
+  const fill = (text) => text.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => {
+    if (vars[key] === undefined) {
+      throw new Error(`Prompt template ${name} needs "${key}"`);
+    }
+    return String(vars[key]);
+  });
+
+  return { system: fill(template.system), prompt: fill(template.user) };
+}
+
+module.exports = {
+  TEMPLATES,
+  renderPrompt
+};
\ No newline at end of file
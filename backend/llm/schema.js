@@ -0,0 +1,127 @@
+// backend/llm/schema.js
+const { forbiddenConstructs } = require('../utils/terraformLint');
+
+/**
+ * Output checks for model replies. A reply that fails any of these is
+ * thrown away and the rule-based path answers instead.
+ */
+
+const ANSWER_SCHEMA = {
+  type: 'object',
+  required: ['answer'],
+  properties: {
+    answer: { type: 'string', minLength: 1, maxLength: 4000 }
+  }
+};
+
+const STRING_LIST = { type: 'array', items: { type: 'string', maxLength: 500 } };
+
+const GENERATION_SCHEMA = {
+  type: 'object',
+  required: ['resourceType', 'summary', 'terraformCode', 'resources', 'estimatedCost', 'warnings'],
+  properties: {
+    resourceType: { type: 'string', pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/ },
+    summary: { type: 'string', minLength: 1, maxLength: 1000 },
+    terraformCode: { type: 'string', minLength: 1, maxLength: 100000 },
+    resources: STRING_LIST,
+    estimatedCost: { type: 'string', maxLength: 500 },
+    warnings: STRING_LIST,
+    parameters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['label', 'value'],
+        properties: {
+          label: { type: 'string', maxLength: 100 },
+          value: { type: 'string', maxLength: 500 }
+        }
+      }
+    },
+    unresolved: STRING_LIST
+  }
+};
+
+const EXPLANATION_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'resources', 'warnings'],
+  properties: {
+    summary: { type: 'string', minLength: 1, maxLength: 2000 },
+    resources: STRING_LIST,
+    warnings: STRING_LIST
+  }
+};
+
+// The small JSON-schema subset the schemas above use. Returns a list of errors.
+function validateSchema(value, schema, at = 'reply') {
+  const errors = [];
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (actualType !== schema.type) {
+    return [`${at} should be ${schema.type}, got ${actualType}`];
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength && value.length < schema.minLength) errors.push(`${at} is empty`);
+    if (schema.maxLength && value.length > schema.maxLength) errors.push(`${at} is longer than ${schema.maxLength} characters`);
+    if (schema.pattern && !schema.pattern.test(value)) errors.push(`${at} doesn't match ${schema.pattern}`);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${at}[${index}]`)));
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is missing`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Generated code runs on this server with the user's credentials, so
+ * anything that could reach outside Terraform's AWS API calls is refused.
+ */
+function checkTerraformCode(code, { actionId }) {
+  const errors = [];
+
+  if (!/\bresource\s+"[\w-]+"\s+"[\w-]+"/.test(code)) errors.push('no resource blocks');
+  if (/\bbackend\s+"/.test(code)) errors.push('declares a backend');
+  if (/\b(access_key|secret_key|token|profile|shared_credentials_files)\s*=/.test(code)) {
+    errors.push('sets provider credentials');
+  }
+  errors.push(...forbiddenConstructs(code).map(({ line, summary }) => `line ${line} ${summary}`));
+
+  if (!code.includes('"TerraformAI"')) errors.push('resources are not tagged ManagedBy = "TerraformAI"');
+  if (actionId && !code.includes(actionId)) errors.push('resources are not tagged with the action ID');
+
+  return errors;
+}
+
+// Pull a JSON object out of a reply, tolerating code fences or stray prose
+function parseJsonReply(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  if (start === -1 || end < start) {
+    throw new Error('reply contains no JSON object');
+  }
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+module.exports = {
+  ANSWER_SCHEMA,
+  GENERATION_SCHEMA,
+  EXPLANATION_SCHEMA,
+  validateSchema,
+  checkTerraformCode,
+  parseJsonReply
+};
\ No newline at end of file
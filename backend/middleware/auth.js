@@ -0,0 +1,58 @@
+// backend/middleware/auth.js
+
+/**
+ * API authentication: who is calling, and turning away anyone signed out
+ */
+
+const { SESSION_COOKIE, readCookie, verifySession } = require('../utils/auth');
+
+// Cookie-authenticated writes must carry this header. Browsers only send
+// custom headers cross-origin after a CORS preflight, which other sites fail.
+const CSRF_HEADER = 'x-requested-with';
+const CSRF_VALUE = 'terraform-ai';
+
+/**
+ * Attach the signed-in user (if any) as req.user. Never rejects a request;
+ * requireUser does that.
+ */
+function authenticate(users) {
+  return async (req, res, next) => {
+    try {
+      const token = readCookie(req, SESSION_COOKIE);
+      req.user = token ? await verifySession(token, users) : null;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Reject requests without a signed-in user
+ */
+function requireUser() {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'AUTH_REQUIRED',
+        message: 'Please sign in to continue'
+      });
+    }
+
+    if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && req.get(CSRF_HEADER) !== CSRF_VALUE) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Requests must include the ${CSRF_HEADER}: ${CSRF_VALUE} header`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  CSRF_HEADER,
+  CSRF_VALUE,
+  authenticate,
+  requireUser
+};
\ No newline at end of file
@@ -0,0 +1,153 @@
+// backend/policies/builtinRules.js
+const { AWS_REGIONS } = require('../generators/params');
+
+/**
+ * Guardrails that apply to every plan.
+ *
+ * A rule is { id, description, effect: 'warn' | 'deny', check(resource, context) },
+ * where check returns a violation message (or a list of them) for a planned
+ * resource and nothing when it passes. Rules about the plan as a whole use
+ * checkPlan(context) instead. context is { region }.
+ * A user rule file can replace any of these by reusing its id.
+ */
+
+// Instance sizes in increasing order; anything above POLICY_MAX_INSTANCE_SIZE is denied
+const INSTANCE_SIZES = ['nano', 'micro', 'small', 'medium', 'large', 'xlarge', '2xlarge', '4xlarge',
+  '8xlarge', '9xlarge', '12xlarge', '16xlarge', '18xlarge', '24xlarge', '32xlarge', '48xlarge', 'metal'];
+
+const MAX_INSTANCE_SIZE = process.env.POLICY_MAX_INSTANCE_SIZE || '2xlarge';
+
+const ALLOWED_REGIONS = process.env.POLICY_ALLOWED_REGIONS
+  ? process.env.POLICY_ALLOWED_REGIONS.split(',').map(region => region.trim()).filter(Boolean)
+  : AWS_REGIONS;
+
+const PUBLIC_ACLS = ['public-read', 'public-read-write', 'authenticated-read'];
+
+const ADMIN_PORTS = { 22: 'SSH', 3389: 'RDP' };
+
+function sizeRank(instanceType) {
+  return INSTANCE_SIZES.indexOf(instanceType.split('.').pop());
+}
+
+// Statements in an IAM/bucket policy document (a JSON string in the plan)
+function policyStatements(document) {
+  try {
+    const parsed = typeof document === 'string' ? JSON.parse(document) : document;
+    const statements = parsed && parsed.Statement;
+    return Array.isArray(statements) ? statements : statements ? [statements] : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+const isAnyone = (principal) => principal === '*' ||
+  (principal && typeof principal === 'object' && [].concat(principal.AWS).includes('*'));
+
+module.exports = [
+  {
+    id: 'allowed-regions',
+    description: process.env.POLICY_ALLOWED_REGIONS
+      ? `Resources may only be created in: ${ALLOWED_REGIONS.join(', ')}`
+      : 'Resources may only be created in supported AWS regions',
+    effect: 'deny',
+    checkPlan({ region }) {
+      if (!ALLOWED_REGIONS.includes(region)) {
+        return `${region} is not an allowed region`;
+      }
+    }
+  },
+  {
+    id: 's3-no-public-access',
+    description: 'S3 buckets must not be readable or writable by the public',
+    effect: 'deny',
+    check({ type, values }) {
+      if (type === 'aws_s3_bucket_acl' && PUBLIC_ACLS.includes(values.acl)) {
+        return `the bucket ACL "${values.acl}" makes objects public`;
+      }
+      if (type === 'aws_s3_bucket_public_access_block') {
+        const off = ['block_public_acls', 'block_public_policy', 'ignore_public_acls', 'restrict_public_buckets']
+          .filter(setting => values[setting] === false);
+        if (off.length > 0) {
+          return `public access blocking is turned off (${off.join(', ')})`;
+        }
+      }
+      if (type === 'aws_s3_bucket_policy' && policyStatements(values.policy)
+        .some(statement => statement.Effect === 'Allow' && isAnyone(statement.Principal))) {
+        return 'the bucket policy allows access to anyone (Principal "*")';
+      }
+    }
+  },
+  {
+    id: 'storage-encrypted',
+    description: 'Disks and databases must be encrypted at rest',
+    effect: 'deny',
+    check({ type, values }) {
+      if (type === 'aws_db_instance' && values.storage_encrypted === false) {
+        return 'database storage is not encrypted (storage_encrypted = false)';
+      }
+      if (type === 'aws_ebs_volume' && values.encrypted === false) {
+        return 'the EBS volume is not encrypted';
+      }
+      if (type === 'aws_instance' && (values.root_block_device || []).some(device => device.encrypted === false)) {
+        return 'the root volume is not encrypted';
+      }
+      if (type === 'aws_dynamodb_table' && (values.server_side_encryption || []).some(sse => sse.enabled === false)) {
+        return 'server-side encryption is disabled';
+      }
+    }
+  },
+  {
+    id: 'rds-not-public',
+    description: 'Databases must not be publicly accessible',
+    effect: 'deny',
+    check({ type, values }) {
+      if (type === 'aws_db_instance' && values.publicly_accessible === true) {
+        return 'the database is publicly accessible';
+      }
+    }
+  },
+  {
+    id: 'no-open-admin-ports',
+    description: 'SSH and RDP must not be open to the internet',
+    effect: 'deny',
+    check({ type, values }) {
+      const rules = type === 'aws_security_group'
+        ? values.ingress || []
+        : type === 'aws_security_group_rule' && values.type === 'ingress'
+          ? [values]
+          : type === 'aws_vpc_security_group_ingress_rule'
+            ? [{ ...values, cidr_blocks: [values.cidr_ipv4], ipv6_cidr_blocks: [values.cidr_ipv6] }]
+            : [];
+
+      const messages = [];
+      for (const rule of rules) {
+        const open = [...(rule.cidr_blocks || []), ...(rule.ipv6_cidr_blocks || [])]
+          .some(cidr => cidr === '0.0.0.0/0' || cidr === '::/0');
+        if (!open) continue;
+
+        for (const [port, name] of Object.entries(ADMIN_PORTS)) {
+          const allPorts = rule.ip_protocol === '-1' || rule.protocol === '-1';
+          if (allPorts || (rule.from_port <= Number(port) && Number(port) <= rule.to_port)) {
+            messages.push(`${name} (port ${port}) is open to the internet`);
+          }
+        }
+      }
+      return messages;
+    }
+  },
+  {
+    id: 'instance-size-limit',
+    description: `Instances and databases may be at most ${MAX_INSTANCE_SIZE}`,
+    effect: 'deny',
+    check({ type, values }) {
+      const instanceType = type === 'aws_instance' ? values.instance_type
+        : type === 'aws_db_instance' ? values.instance_class
+          : type === 'aws_launch_template' ? values.instance_type
+            : null;
+
+      if (instanceType && sizeRank(instanceType) > INSTANCE_SIZES.indexOf(MAX_INSTANCE_SIZE)) {
+        return `${instanceType} is larger than the ${MAX_INSTANCE_SIZE} limit`;
+      }
+    }
+  }
+];
\ No newline at end of file
@@ -0,0 +1,237 @@
+// backend/policies/index.js
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const builtinRules = require('./builtinRules');
+
+/**
+ * Policy-as-code guardrails, checked against every plan before it can be
+ * confirmed.
+ *
+ * Built-in rules (builtinRules.js) are combined with user rules from the
+ * .json/.yaml/.yml files in POLICY_DIR. A user file holds { rules: [...] }:
+ *
+ *   rules:
+ *     - id: lambda-memory
+ *       description: Lambda functions may use at most 1GB of memory
+ *       effect: deny                  # or warn
+ *       resource: aws_lambda_function # a type, a list of types, or "*"
+ *       when:                         # the condition that is a violation
+ *         attribute: memory_size      # dotted path into the planned values
+ *         operator: gt
+ *         value: 1024
+ *
+ * `when` can also be { all: [...] } or { any: [...] } of conditions, and the
+ * attribute "@region" is the plan's region. A user rule with a built-in's id
+ * replaces it; { id, enabled: false } turns a rule off.
+ *
+ * Every rule ends up pass, warn or deny; the plan's decision is the worst of them.
+ */
+
+const DEFAULT_POLICY_DIR = path.join(__dirname, 'rules');
+
+const EFFECTS = ['warn', 'deny'];
+
+const OPERATORS = {
+  equals: (actual, expected) => actual === expected,
+  notEquals: (actual, expected) => actual !== expected,
+  in: (actual, expected) => [].concat(expected).includes(actual),
+  notIn: (actual, expected) => !([].concat(expected).includes(actual)),
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  matches: (actual, expected) => typeof actual === 'string' && new RegExp(expected).test(actual),
+  exists: (actual) => actual !== undefined && actual !== null,
+  notExists: (actual) => actual === undefined || actual === null
+};
+
+let cachedRules = null;
+
+// Values at a dotted path; arrays without an index fan out to every element
+function attributeValues(values, attribute) {
+  let current = [values];
+  for (const key of attribute.split('.')) {
+    current = current.flatMap(value => {
+      if (Array.isArray(value) && !/^\d+$/.test(key)) {
+        return value.map(element => element && element[key]);
+      }
+      return value === null || value === undefined ? [undefined] : [value[key]];
+    });
+  }
+  return current;
+}
+
+function conditionHolds(condition, resource, context) {
+  if (condition.all) return condition.all.every(inner => conditionHolds(inner, resource, context));
+  if (condition.any) return condition.any.some(inner => conditionHolds(inner, resource, context));
+
+  const actuals = condition.attribute === '@region'
+    ? [context.region]
+    : attributeValues(resource.values, condition.attribute);
+  return actuals.some(actual => OPERATORS[condition.operator](actual, condition.value));
+}
+
+function validateCondition(condition, where) {
+  if (!condition || typeof condition !== 'object') {
+    throw new Error(`${where}: "when" must be an object`);
+  }
+  if (condition.all || condition.any) {
+    const inner = condition.all || condition.any;
+    if (!Array.isArray(inner) || inner.length === 0) {
+      throw new Error(`${where}: "all"/"any" must be a non-empty list`);
+    }
+    inner.forEach(nested => validateCondition(nested, where));
+    return;
+  }
+  if (typeof condition.attribute !== 'string') {
+    throw new Error(`${where}: every condition needs an attribute`);
+  }
+  if (!OPERATORS[condition.operator]) {
+    throw new Error(`${where}: unknown operator "${condition.operator}" (use ${Object.keys(OPERATORS).join(', ')})`);
+  }
+  if (condition.operator === 'matches') {
+    new RegExp(condition.value);
+  }
+}
+
+// Turn a declarative rule from a file into the { id, effect, check } form
+function compileRule(rule, source) {
+  const where = `${source} rule ${rule && rule.id ? `"${rule.id}"` : '(no id)'}`;
+
+  if (!rule || typeof rule.id !== 'string' || !rule.id) {
+    throw new Error(`${where}: every rule needs an id`);
+  }
+  if (rule.enabled === false) {
+    return { id: rule.id, enabled: false, source };
+  }
+  if (!EFFECTS.includes(rule.effect)) {
+    throw new Error(`${where}: effect must be ${EFFECTS.join(' or ')}`);
+  }
+  validateCondition(rule.when, where);
+
+  const types = [].concat(rule.resource || '*');
+  const matchesType = (type) => types.includes('*') || types.includes(type);
+  const message = rule.message || rule.description || `violates ${rule.id}`;
+
+  return {
+    id: rule.id,
+    description: rule.description || rule.id,
+    effect: rule.effect,
+    source,
+    check(resource, context) {
+      if (matchesType(resource.type) && conditionHolds(rule.when, resource, context)) {
+        return message;
+      }
+    }
+  };
+}
+
+function readRuleFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const parsed = file.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+  const rules = parsed && (Array.isArray(parsed) ? parsed : parsed.rules);
+
+  if (!Array.isArray(rules)) {
+    throw new Error(`${path.basename(file)}: expected a "rules" list`);
+  }
+  return rules.map(rule => compileRule(rule, path.basename(file)));
+}
+
+/**
+ * Active rules: built-ins, replaced or disabled by user rules with the same
+ * id. Invalid rule files are skipped with a warning so one typo doesn't turn
+ * every guardrail off.
+ */
+function loadPolicies({ reload = false } = {}) {
+  if (cachedRules && !reload) {
+    return cachedRules;
+  }
+
+  const byId = new Map(builtinRules.map(rule => [rule.id, { ...rule, source: 'builtin' }]));
+  const dir = process.env.POLICY_DIR || DEFAULT_POLICY_DIR;
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(file => /\.(json|ya?ml)$/.test(file)).sort()
+    : [];
+
+  for (const file of files) {
+    try {
+      for (const rule of readRuleFile(path.join(dir, file))) {
+        byId.set(rule.id, rule);
+      }
+    } catch (error) {
+      console.error(`⚠️ Skipping policy file ${file}:`, error.message);
+    }
+  }
+
+  cachedRules = [...byId.values()].filter(rule => rule.enabled !== false);
+  console.log(`🛡️ Loaded ${cachedRules.length} policy rules (${files.length} user files)`);
+  return cachedRules;
+}
+
+/**
+ * Check planned resources ([{ address, type, values }]) against every rule.
+ * Returns:
+ *   decision    'pass' | 'warn' | 'deny' for the plan as a whole
+ *   rules       [{ id, description, source, result, violations: [{ address, message }] }]
+ *   violations  [{ ruleId, effect, address, message }] across all rules
+ */
+function evaluatePolicies(resources, { region }) {
+  const context = { region };
+
+  const rules = loadPolicies().map(rule => {
+    const found = [];
+    const record = (address, messages) => {
+      for (const message of [].concat(messages || []).filter(Boolean)) {
+        found.push({ address, message });
+      }
+    };
+
+    try {
+      if (rule.checkPlan) {
+        record('(plan)', rule.checkPlan(context));
+      }
+      if (rule.check) {
+        for (const resource of resources) {
+          record(resource.address, rule.check({ ...resource, values: resource.values || {} }, context));
+        }
+      }
+    } catch (error) {
+      // A broken rule must not let a plan through unchecked
+      record('(policy)', `rule failed to evaluate: ${error.message}`);
+    }
+
+    return {
+      id: rule.id,
+      description: rule.description,
+      source: rule.source,
+      result: found.length > 0 ? rule.effect : 'pass',
+      violations: found
+    };
+  });
+
+  const violations = rules.flatMap(rule => rule.violations.map(violation => ({
+    ruleId: rule.id,
+    effect: rule.result,
+    ...violation
+  })));
+
+  const decision = violations.some(violation => violation.effect === 'deny') ? 'deny'
+    : violations.length > 0 ? 'warn'
+      : 'pass';
+
+  return { decision, rules, violations };
+}
+
+// Human-readable lines for the chat's warnings list
+function describeViolations({ violations }) {
+  return violations.map(({ ruleId, effect, address, message }) =>
+    `${effect === 'deny' ? '⛔ Blocked by policy' : '⚠️ Policy warning'} [${ruleId}] ${address}: ${message}`
+  );
+}
+
+module.exports = {
+  loadPolicies,
+  evaluatePolicies,
+  describeViolations
+};
\ No newline at end of file
@@ -0,0 +1,367 @@
+// backend/pricing/index.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Monthly cost estimates from a bundled, offline price table.
+ *
+ * The estimator prices planned resources: [{ address, type, values, before }],
+ * where values are the resource's attributes as Terraform plans them
+ * (change.after in `terraform show -json`) and before, for a resource that
+ * already exists, its current attributes (change.before). Existing resources
+ * are priced as the difference between the two, so a plan that only retags an
+ * instance adds nothing. Generators describe their resources the same way
+ * (costResources), so a request can be priced before anything is planned.
+ *
+ * Usage-based services (S3, Lambda, DynamoDB on-demand, API Gateway) are
+ * priced at the baseline usage in the table, which is listed in the
+ * assumptions. Free-tier allowances are mentioned, never deducted.
+ */
+
+const DEFAULT_PRICE_TABLE = path.join(__dirname, 'prices.json');
+
+let priceTable = null;
+
+function loadPriceTable() {
+  if (!priceTable) {
+    const file = process.env.PRICE_TABLE_PATH || DEFAULT_PRICE_TABLE;
+    priceTable = JSON.parse(fs.readFileSync(file, 'utf8'));
+    console.log(`💲 Loaded price table ${priceTable.version} (${Object.keys(priceTable.regions).length} regions)`);
+  }
+  return priceTable;
+}
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const STORAGE_CLASS_LABELS = {
+  STANDARD: 'Standard',
+  INTELLIGENT_TIERING: 'Intelligent-Tiering',
+  STANDARD_IA: 'Standard-IA',
+  ONEZONE_IA: 'One Zone-IA',
+  GLACIER_IR: 'Glacier Instant Retrieval',
+  GLACIER: 'Glacier Flexible Retrieval',
+  DEEP_ARCHIVE: 'Glacier Deep Archive'
+};
+
+// The storage class a bucket's objects settle in: the last transition of its
+// enabled lifecycle rules (inline lifecycle_rule blocks from AWS provider v3,
+// or the rules of its aws_s3_bucket_lifecycle_configuration), else
+// storage_class when the resource sets one, else STANDARD
+function s3StorageClass(values) {
+  const last = (values.lifecycle_rule || [])
+    .filter(rule => rule.enabled !== false && rule.status !== 'Disabled')
+    .flatMap(rule => rule.transition || [])
+    .filter(transition => transition.storage_class)
+    .sort((a, b) => (a.days || 0) - (b.days || 0))
+    .pop();
+
+  return last
+    ? { storageClass: last.storage_class, transitionDays: last.days || 0 }
+    : { storageClass: values.storage_class || 'STANDARD' };
+}
+
+// Lifecycle rules are their own resource since AWS provider v4; copy each
+// configuration's rules onto the bucket it names (matched by bucket name, or
+// the only bucket in the plan when the name isn't known until apply)
+function withLifecycleRules(resources) {
+  const configurations = resources.filter(resource => resource.type === 'aws_s3_bucket_lifecycle_configuration');
+  const buckets = resources.filter(resource => resource.type === 'aws_s3_bucket');
+  if (configurations.length === 0) return resources;
+
+  const rulesFor = (values = {}) => {
+    const named = configurations.filter(({ values: configuration = {} }) => values.bucket && configuration.bucket === values.bucket);
+    const matched = named.length > 0 ? named : buckets.length === 1 ? configurations : [];
+    return matched.flatMap(({ values: configuration = {} }) => configuration.rule || []);
+  };
+
+  return resources.map(resource => {
+    if (resource.type !== 'aws_s3_bucket') return resource;
+    const rules = rulesFor(resource.values);
+    return rules.length === 0 ? resource : {
+      ...resource,
+      values: { ...resource.values, lifecycle_rule: [...((resource.values || {}).lifecycle_rule || []), ...rules] }
+    };
+  });
+}
+
+// Price one resource; returns line items, null when the type isn't known
+const PRICERS = {
+  aws_instance(values, prices, table) {
+    const items = [];
+    const hourly = prices.ec2[values.instance_type];
+    items.push(hourly === undefined
+      ? { description: `EC2 ${values.instance_type}`, missingPrice: `instance type ${values.instance_type}` }
+      : { description: `EC2 ${values.instance_type} (on-demand, 24/7)`, quantity: table.hoursPerMonth, unit: 'hours', unitPrice: hourly });
+
+    const root = (values.root_block_device || [])[0] || {};
+    const volumeType = root.volume_type || 'gp3';
+    items.push({
+      description: `Root volume ${volumeType}`,
+      quantity: root.volume_size || 8,
+      unit: 'GB-month',
+      unitPrice: prices.ebs[volumeType],
+      assumption: root.volume_size ? null : 'EC2 root volume size assumed to be the 8GB AMI default'
+    });
+    return items;
+  },
+
+  aws_ebs_volume(values, prices) {
+    const volumeType = values.type || 'gp3';
+    return [{ description: `EBS ${volumeType} volume`, quantity: values.size || 0, unit: 'GB-month', unitPrice: prices.ebs[volumeType] }];
+  },
+
+  aws_db_instance(values, prices, table) {
+    const hourly = prices.rds.instances[values.instance_class];
+    const multiAz = values.multi_az === true;
+    const storageType = values.storage_type || 'gp2';
+    return [
+      hourly === undefined
+        ? { description: `RDS ${values.instance_class}`, missingPrice: `instance class ${values.instance_class}` }
+        : {
+          description: `RDS ${values.engine || ''} ${values.instance_class}${multiAz ? ' (Multi-AZ)' : ''}`.replace(/\s+/g, ' '),
+          quantity: table.hoursPerMonth * (multiAz ? 2 : 1),
+          unit: 'hours',
+          unitPrice: hourly
+        },
+      {
+        description: `RDS ${storageType} storage`,
+        quantity: (values.allocated_storage || 20) * (multiAz ? 2 : 1),
+        unit: 'GB-month',
+        unitPrice: prices.rds.storage[storageType]
+      }
+    ];
+  },
+
+  aws_s3_bucket(values, prices, table) {
+    const { s3StorageGb, s3PutRequests, s3GetRequests } = table.usage;
+    const { storageClass, transitionDays } = s3StorageClass(values);
+    return [
+      {
+        description: `S3 ${STORAGE_CLASS_LABELS[storageClass] || storageClass} storage`,
+        quantity: s3StorageGb,
+        unit: 'GB-month',
+        unitPrice: prices.s3.storage[storageClass],
+        assumption: transitionDays === undefined
+          ? null
+          : `S3 storage priced as ${storageClass}, where lifecycle rules move objects after ${transitionDays} days; newer objects are billed at their earlier storage class`
+      },
+      {
+        description: 'S3 PUT/LIST requests',
+        quantity: s3PutRequests / 1000,
+        unit: '1K requests',
+        unitPrice: prices.s3.putRequestsPer1000,
+        assumption: `S3 usage assumed at ${s3StorageGb}GB stored, ${s3PutRequests.toLocaleString('en-US')} writes and ${s3GetRequests.toLocaleString('en-US')} reads a month`
+      },
+      { description: 'S3 GET requests', quantity: s3GetRequests / 1000, unit: '1K requests', unitPrice: prices.s3.getRequestsPer1000 }
+    ];
+  },
+
+  aws_lambda_function(values, prices, table) {
+    const { lambdaRequests, lambdaDurationMs } = table.usage;
+    const architecture = (values.architectures || [])[0] || 'x86_64';
+    const memoryGb = (values.memory_size || 128) / 1024;
+    return [
+      {
+        description: 'Lambda requests',
+        quantity: lambdaRequests / 1000000,
+        unit: '1M requests',
+        unitPrice: prices.lambda.requestsPerMillion,
+        assumption: `Lambda usage assumed at ${lambdaRequests.toLocaleString('en-US')} invocations a month of ${lambdaDurationMs}ms each`
+      },
+      {
+        description: `Lambda compute (${values.memory_size || 128}MB, ${architecture})`,
+        quantity: round(lambdaRequests * (lambdaDurationMs / 1000) * memoryGb),
+        unit: 'GB-seconds',
+        unitPrice: prices.lambda.gbSecond[architecture]
+      }
+    ];
+  },
+
+  aws_dynamodb_table(values, prices, table) {
+    const { dynamodbWrites, dynamodbReads, dynamodbStorageGb } = table.usage;
+    const storage = { description: 'DynamoDB storage', quantity: dynamodbStorageGb, unit: 'GB-month', unitPrice: prices.dynamodb.storageGbMonth };
+
+    if (values.billing_mode === 'PROVISIONED') {
+      return [
+        { description: 'DynamoDB write capacity', quantity: (values.write_capacity || 0) * table.hoursPerMonth, unit: 'WCU-hours', unitPrice: prices.dynamodb.wcuHour },
+        { description: 'DynamoDB read capacity', quantity: (values.read_capacity || 0) * table.hoursPerMonth, unit: 'RCU-hours', unitPrice: prices.dynamodb.rcuHour },
+        { ...storage, assumption: `DynamoDB storage assumed at ${dynamodbStorageGb}GB` }
+      ];
+    }
+    return [
+      {
+        description: 'DynamoDB on-demand writes',
+        quantity: dynamodbWrites / 1000000,
+        unit: '1M requests',
+        unitPrice: prices.dynamodb.writeRequestsPerMillion,
+        assumption: `DynamoDB usage assumed at ${dynamodbWrites.toLocaleString('en-US')} writes, ${dynamodbReads.toLocaleString('en-US')} reads and ${dynamodbStorageGb}GB stored a month`
+      },
+      { description: 'DynamoDB on-demand reads', quantity: dynamodbReads / 1000000, unit: '1M requests', unitPrice: prices.dynamodb.readRequestsPerMillion },
+      storage
+    ];
+  },
+
+  aws_api_gateway_rest_api(values, prices, table) {
+    const { apiGatewayRequests } = table.usage;
+    return [{
+      description: 'API Gateway REST requests',
+      quantity: apiGatewayRequests / 1000000,
+      unit: '1M requests',
+      unitPrice: prices.apiGateway.restRequestsPerMillion,
+      assumption: `API Gateway usage assumed at ${apiGatewayRequests.toLocaleString('en-US')} requests a month`
+    }];
+  },
+
+  aws_nat_gateway(values, prices, table) {
+    const { natGatewayGb } = table.usage;
+    return [
+      { description: 'NAT gateway (24/7)', quantity: table.hoursPerMonth, unit: 'hours', unitPrice: prices.natGatewayHour },
+      {
+        description: 'NAT gateway data processed',
+        quantity: natGatewayGb,
+        unit: 'GB',
+        unitPrice: prices.natGatewayGb,
+        assumption: `NAT gateway traffic assumed at ${natGatewayGb}GB a month`
+      }
+    ];
+  },
+
+  aws_eip(values, prices, table) {
+    return [{ description: 'Elastic IP (public IPv4)', quantity: table.hoursPerMonth, unit: 'hours', unitPrice: prices.publicIpv4Hour }];
+  },
+
+  aws_lb(values, prices, table) {
+    const type = values.load_balancer_type || 'application';
+    const hourly = prices.loadBalancerHour[type];
+    return [hourly === undefined
+      ? { description: `${type} load balancer`, missingPrice: `${type} load balancers` }
+      : {
+        description: `${type[0].toUpperCase()}${type.slice(1)} load balancer (24/7, excluding LCUs)`,
+        quantity: table.hoursPerMonth,
+        unit: 'hours',
+        unitPrice: hourly
+      }];
+  },
+
+  aws_kms_key(values, prices) {
+    return [{ description: 'KMS customer managed key', quantity: 1, unit: 'key-month', unitPrice: prices.kmsKeyMonth }];
+  }
+};
+PRICERS.aws_alb = PRICERS.aws_lb;
+
+/**
+ * Estimate the monthly cost of planned resources in a region.
+ * Returns:
+ *   currency, region, priceRegion, priceTableVersion
+ *   monthlyTotal   sum of the line items; negative when changes save money
+ *   lineItems      [{ address, type, description, quantity, unit, unitPrice, monthly }],
+ *                  where a changed resource's current items have a negative monthly
+ *   assumptions    what the numbers rest on (usage, free tier, fallbacks)
+ *   unpriced       addresses of billable resources the table can't price
+ *   unchanged      addresses of existing resources whose change costs nothing
+ */
+function estimateCost(resources, region = 'us-east-1') {
+  const table = loadPriceTable();
+  const assumptions = new Set([
+    `On-demand ${table.currency} prices from the bundled price table (${table.version}); taxes, data transfer and support plans are not included`,
+    `A month is ${table.hoursPerMonth} hours`
+  ]);
+
+  let priceRegion = region;
+  if (!table.regions[priceRegion]) {
+    priceRegion = table.defaultRegion;
+    assumptions.add(`No prices for ${region} in the price table; ${priceRegion} prices used instead`);
+  }
+  const prices = table.regions[priceRegion];
+
+  const lineItems = [];
+  const unpriced = [];
+  const unchanged = [];
+
+  // Line items for one set of a resource's attributes
+  const price = (address, type, values) => {
+    const items = [];
+    for (const item of PRICERS[type](values, prices, table)) {
+      if (item.assumption) assumptions.add(item.assumption);
+
+      if (item.missingPrice || item.unitPrice === undefined) {
+        unpriced.push(address);
+        assumptions.add(`No price for ${item.missingPrice || item.description} in ${priceRegion}; not included`);
+        continue;
+      }
+
+      items.push({
+        address,
+        type,
+        description: item.description,
+        quantity: item.quantity,
+        unit: item.unit,
+        unitPrice: item.unitPrice,
+        monthly: round(item.quantity * item.unitPrice)
+      });
+    }
+    return items;
+  };
+  const sum = (items) => round(items.reduce((total, item) => total + item.monthly, 0));
+
+  for (const { address, type, values = {}, before = null } of withLifecycleRules(resources)) {
+    if (table.freeResourceTypes.includes(type)) continue;
+
+    if (!PRICERS[type]) {
+      unpriced.push(address);
+      assumptions.add(`${type} is not in the price table and is not included`);
+      continue;
+    }
+
+    const planned = price(address, type, values);
+    if (!before) {
+      lineItems.push(...planned);
+    } else {
+      // Already running: only the difference the change makes is new cost
+      const current = price(address, type, before);
+      if (sum(current) === sum(planned)) {
+        unchanged.push(address);
+        continue;
+      }
+      assumptions.add('Resources that already exist are priced as the difference between their current and planned settings');
+      lineItems.push(
+        ...current.map(item => ({ ...item, description: `${item.description} (current)`, monthly: -item.monthly })),
+        ...planned.map(item => ({ ...item, description: `${item.description} (planned)` }))
+      );
+    }
+
+    if (table.freeTier[type]) {
+      assumptions.add(`Free tier not deducted: ${table.freeTier[type]}`);
+    }
+  }
+
+  return {
+    currency: table.currency,
+    region,
+    priceRegion,
+    priceTableVersion: table.version,
+    monthlyTotal: sum(lineItems),
+    lineItems,
+    assumptions: [...assumptions],
+    unpriced: [...new Set(unpriced)],
+    unchanged
+  };
+}
+
+// One-line summary, e.g. "~$8.23/month", or "~-$4.10/month" for a saving
+function formatCost(estimate) {
+  const total = `~${estimate.monthlyTotal < 0 ? '-' : ''}$${Math.abs(estimate.monthlyTotal).toFixed(2)}/month`;
+  if (estimate.unpriced.length > 0) {
+    return `${total} plus ${estimate.unpriced.length} resource${estimate.unpriced.length === 1 ? '' : 's'} not priced`;
+  }
+  if (estimate.lineItems.length === 0) {
+    return estimate.unchanged.length > 0 ? '$0.00/month (no change in cost)' : '$0.00/month (no billable resources)';
+  }
+  return total;
+}
+
+module.exports = {
+  loadPriceTable,
+  estimateCost,
+  formatCost
+};
\ No newline at end of file
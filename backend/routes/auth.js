@@ -0,0 +1,150 @@
+// backend/routes/auth.js
+const express = require('express');
+const crypto = require('crypto');
+const { oidcConfig, createOidcClient } = require('../utils/oidc');
+const {
+  SESSION_COOKIE,
+  LOGIN_COOKIE,
+  SESSION_TTL_SECONDS,
+  LOGIN_TTL_SECONDS,
+  issueSession,
+  issueLoginState,
+  verifyLoginState,
+  cookieOptions,
+  readCookie,
+  publicUser
+} = require('../utils/auth');
+const { CSRF_HEADER, CSRF_VALUE } = require('../middleware/auth');
+
+const LOGIN_COOKIE_PATH = '/api/auth';
+
+// Where the browser goes after signing in or failing to
+function frontendUrl(returnTo, query) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  // Only paths on the frontend, never another site
+  const pathPart = typeof returnTo === 'string' && /^\/(?!\/)/.test(returnTo) ? returnTo : '/';
+  const url = new URL(`${base}${pathPart}`);
+  Object.entries(query || {}).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+const sameValue = (a, b) => typeof a === 'string' && typeof b === 'string' && a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Sign-in routes, mounted before the API requires a user
+ */
+function createAuthRouter({ users }) {
+  const router = express.Router();
+  const config = oidcConfig();
+  const oidc = config ? createOidcClient(config) : null;
+
+  if (!config) {
+    console.warn('⚠️ OIDC_ISSUER and OIDC_CLIENT_ID are not set; nobody can sign in');
+  }
+
+  const redirectUriFor = (req) => config.redirectUri || `${req.protocol}://${req.get('host')}/api/auth/callback`;
+
+  // Start signing in at the identity provider
+  router.get('/auth/login', async (req, res) => {
+    try {
+      if (!oidc) {
+        return res.status(503).json({
+          error: 'AUTH_NOT_CONFIGURED',
+          message: 'Sign-in is not configured on this server'
+        });
+      }
+
+      const redirectUri = redirectUriFor(req);
+      const { url, state, nonce, verifier } = await oidc.authorizationUrl({ redirectUri });
+
+      res.cookie(LOGIN_COOKIE, issueLoginState({ state, nonce, verifier, returnTo: req.query.returnTo }), {
+        ...cookieOptions(LOGIN_TTL_SECONDS),
+        path: LOGIN_COOKIE_PATH
+      });
+      res.redirect(url);
+
+    } catch (error) {
+      console.error('❌ Sign-in error:', error);
+      res.status(502).json({
+        error: 'Failed to reach the identity provider',
+        message: error.message
+      });
+    }
+  });
+
+  // The identity provider sends the browser back here with a code
+  router.get('/auth/callback', async (req, res) => {
+    const login = await verifyLoginState(readCookie(req, LOGIN_COOKIE));
+    res.clearCookie(LOGIN_COOKIE, { ...cookieOptions(0), maxAge: undefined, path: LOGIN_COOKIE_PATH });
+
+    try {
+      if (!oidc) {
+        throw new Error('Sign-in is not configured on this server');
+      }
+      if (req.query.error) {
+        throw new Error(`Identity provider refused: ${req.query.error_description || req.query.error}`);
+      }
+      if (!login || !sameValue(login.state, req.query.state)) {
+        throw new Error('Sign-in expired or did not start here');
+      }
+      if (typeof req.query.code !== 'string') {
+        throw new Error('No authorization code');
+      }
+
+      const claims = await oidc.exchangeCode(req.query.code, {
+        redirectUri: redirectUriFor(req),
+        verifier: login.verifier,
+        nonce: login.nonce
+      });
+      const user = await users.upsertFromClaims(config.issuer, claims);
+
+      console.log('🔑 Signed in:', user.id, user.email || '');
+
+      res.cookie(SESSION_COOKIE, issueSession(user), cookieOptions(SESSION_TTL_SECONDS));
+      res.redirect(frontendUrl(login.returnTo));
+
+    } catch (error) {
+      console.error('❌ Sign-in failed:', error.message);
+      res.redirect(frontendUrl(login && login.returnTo, { authError: 'Sign-in failed. Please try again.' }));
+    }
+  });
+
+  // The signed-in user, if any
+  router.get('/auth/me', (req, res) => {
+    res.json(req.user
+      ? { authenticated: true, user: publicUser(req.user) }
+      : { authenticated: false, loginAvailable: Boolean(oidc) });
+  });
+
+  // Sign out, ending every session the user has open
+  router.post('/auth/logout', async (req, res) => {
+    try {
+      if (req.get(CSRF_HEADER) !== CSRF_VALUE) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `Requests must include the ${CSRF_HEADER}: ${CSRF_VALUE} header`
+        });
+      }
+
+      if (req.user) {
+        await users.signOut(req.user.id);
+        console.log('👋 Signed out:', req.user.id);
+      }
+
+      res.clearCookie(SESSION_COOKIE, { ...cookieOptions(0), maxAge: undefined });
+      res.json({ signedOut: true });
+
+    } catch (error) {
+      console.error('❌ Sign-out error:', error);
+      res.status(500).json({
+        error: 'Failed to sign out',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
\ No newline at end of file
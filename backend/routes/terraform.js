@@ -2,20 +2,226 @@
 const express = require('express');
 const router = express.Router();
 const AWS = require('aws-sdk');
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  COMMAND_TIMEOUT_MS,
+  GENERATED_CONFIG_FILE,
+  writeConfigFiles,
+  generateTerraformFiles,
+  executeTerraform,
+  readSavedPlan,
+  writeSavedPlan,
+  isStalePlan,
+  parseOutputs,
+  summarizePlan,
+  summarizeDrift,
+  plannedResources,
+  stateResources,
+  workspacePath,
+  hasState
+} = require('../utils/terraformExecutor');
+const {
+  MANAGED_BY_TAG,
+  IMPORTABLE_TYPES,
+  emptyS3Bucket,
+  listManagedResources,
+  discoverUnmanagedResources,
+  tagResources
+} = require('../utils/awsResources');
+const { accountIdFromRoleArn, stateBucketName, resolveStateBackend } = require('../utils/stateBackend');
+const { createJobQueue } = require('../utils/jobQueue');
+const { createDriftScheduler } = require('../utils/driftSchedule');
+const { createWorkspaceLocks } = require('../utils/workspaceLock');
+const { findGenerator, getGenerator, listGenerators } = require('../generators');
+const { resolveParameters } = require('../generators/params');
+const { createLLM } = require('../llm');
+const { estimateCost, formatCost } = require('../pricing');
+const { loadPolicies, evaluatePolicies, describeViolations } = require('../policies');
+const { runPreflight, deniedActions } = require('../utils/iamPreflight');
+const { validateTerraform, describeDiagnostics } = require('../utils/terraformValidator');
+const { readUpload, prepareUpload } = require('../utils/terraformUpload');
+const {
+  validateImportRequest,
+  assignAddresses,
+  renderImportConfig,
+  combineGeneratedConfig
+} = require('../utils/terraformImport');
+const {
+  STACK_NAME,
+  ROLE_SERVICES,
+  servicesForActions,
+  validateScope,
+  buildRoleTemplate,
+  publishRoleTemplate,
+  quickCreateUrl
+} = require('../utils/roleTemplate');
+const { AWS_REGIONS } = require('../generators/params');
+const { INTENTS, classifyIntent } = require('../utils/intentClassifier');
+const { createChatSessions } = require('../utils/chatSessions');
+const { createConnectionStore, describeConnection } = require('../utils/connections');
+const { createQuotas } = require('../utils/quotas');
+const { SESSION_DURATION_SECONDS, sessionName, createCredentialBroker } = require('../utils/credentialBroker');
+const { unifiedDiff } = require('../utils/textDiff');
+const { EVENTS, codeHash, connectionActor, createAuditLog, toJsonl, toCsv } = require('../utils/auditLog');
+const {
+  setLogStore,
+  openChannel,
+  closeChannel,
+  subscribe,
+  getLines,
+  channelOwner,
+  requestCancel
+} = require('../utils/logStream');
+const {
+  PENDING_TTL_MS,
+  newActionId,
+  actionOwner,
+  isActionOwner,
+  createActionStore
+} = require('../utils/actionStore');
+
+const actionStore = createActionStore();
+
+const llm = createLLM();
+
+const connections = createConnectionStore();
+
+const quotas = createQuotas();
+
+const credentialBroker = createCredentialBroker();
+
+// Jobs fetch credentials again before every Terraform command, and each
+// fetch has to outlast the longest command; no session outlasts the role's
+// maximum, though
+const JOB_MIN_VALIDITY_MS = Math.min(COMMAND_TIMEOUT_MS + 60 * 1000, (SESSION_DURATION_SECONDS - 60) * 1000);
+if (JOB_MIN_VALIDITY_MS < COMMAND_TIMEOUT_MS) {
+  console.warn(`⚠️ TERRAFORM_TIMEOUT_MS is longer than a ${SESSION_DURATION_SECONDS}s role session; a command that runs that long loses its credentials`);
+}
+
+const audit = createAuditLog();
+
+const chatSessions = createChatSessions({
+  store: createActionStore({
+    dir: process.env.SESSION_STORE_DIR || path.join(__dirname, '..', 'session-store'),
+    prefix: 'terraform-ai:session:'
+  })
+});
+
+// Terraform output is stored too, so any instance can show a run's logs
+const logStore = createActionStore({
+  dir: process.env.LOG_STORE_DIR || path.join(__dirname, '..', 'log-store'),
+  prefix: 'terraform-ai:logs:'
+});
+setLogStore(logStore);
+
+const jobQueue = createJobQueue({
+  store: createActionStore({
+    dir: process.env.JOB_STORE_DIR || path.join(__dirname, '..', 'job-store'),
+    prefix: 'terraform-ai:job:'
+  }),
+  maxConcurrent: Number(process.env.MAX_CONCURRENT_JOBS) || 2,
+  maxPerAccount: Number(process.env.MAX_JOBS_PER_ACCOUNT) || 1
+});
+
+// Runs in an applied action's workspace take turns, on every instance
+const workspaceLocks = createWorkspaceLocks();
+
+// Scheduled drift checks queue a drift job for every applied action of a
+// user's connection; schedules are keyed by user ID, and the connection is
+// looked up when a check is due so it always uses the current role
+const driftScheduler = createDriftScheduler({
+  run: async (userId) => {
+    const connection = await connections.get(userId);
+    if (!connection || connection.status !== 'verified') {
+      throw new Error('AWS connection is not verified');
+    }
+    const job = await queueDriftCheck(connection.roleArn, connection.externalId, { userId, scheduled: true });
+    console.log('⏰ Queued scheduled drift check:', job.id);
+    return job.id;
+  }
+});
+
+// The signed-in user's AWS connection
+router.get('/connection', async (req, res) => {
+  try {
+    res.json(describeConnection(await connections.get(req.user.id)));
+
+  } catch (error) {
+    console.error('❌ Connection error:', error);
+    res.status(500).json({
+      error: 'Failed to load connection',
+      message: error.message
+    });
+  }
+});
+
+// Start connecting: the external ID to put in the role's trust policy
+router.post('/connection/start', async (req, res) => {
+  try {
+    const connection = await connections.start(req.user.id);
+
+    res.json({
+      ...describeConnection(connection),
+      externalId: connection.externalId
+    });
+
+  } catch (error) {
+    console.error('❌ Connection error:', error);
+    res.status(500).json({
+      error: 'Failed to start connection',
+      message: error.message
+    });
+  }
+});
 
-const pendingActions = new Map();
+// Disconnect: forget the role (the external ID stays, for reconnecting the same stack)
+router.delete('/connection', async (req, res) => {
+  try {
+    const connection = await connections.disconnect(req.user.id);
+    await driftScheduler.disable(req.user.id);
+    credentialBroker.invalidateUser(req.user.id);
+
+    if (connection && connection.roleArn) {
+      console.log('🔌 Disconnected:', connection.roleArn);
+    }
+
+    res.json({ connected: false });
+
+  } catch (error) {
+    console.error('❌ Connection error:', error);
+    res.status(500).json({
+      error: 'Failed to disconnect',
+      message: error.message
+    });
+  }
+});
 
-// Verify IAM Role
+// Verify the IAM role the user created and bind it to their connection
 router.post('/auth/verify-role', async (req, res) => {
   try {
-    const { roleArn, externalId } = req.body;
+    const { roleArn, scope } = req.body;
+    const pending = await connections.get(req.user.id);
 
-    if (!roleArn || !externalId) {
-      return res.status(400).json({ 
-        valid: false, 
-        error: 'Role ARN and External ID are required' 
+    if (!roleArn) {
+      return res.status(400).json({
+        valid: false,
+        error: 'Role ARN is required'
+      });
+    }
+    if (!/^arn:aws:iam::\d{12}:role\/[\w+=,.@\/-]+$/.test(roleArn)) {
+      return res.status(400).json({
+        valid: false,
+        error: 'Role ARN must look like arn:aws:iam::123456789012:role/RoleName'
+      });
+    }
+    if (!pending) {
+      return res.status(400).json({
+        valid: false,
+        error: 'Start the connection setup first'
       });
     }
+    const { externalId } = pending;
 
     console.log('🔐 Verifying role:', roleArn);
 
@@ -27,7 +233,7 @@ router.post('/auth/verify-role', async (req, res) => {
 
     const assumeParams = {
       RoleArn: roleArn,
-      RoleSessionName: `verification-${Date.now()}`,
+      RoleSessionName: sessionName(`verify-${req.user.id}`),
       ExternalId: externalId,
       DurationSeconds: 900
     };
@@ -44,9 +250,24 @@ router.post('/auth/verify-role', async (req, res) => {
 
     console.log('✅ Role verified for account:', identity.Account);
 
+    // A new role means the old connection's schedule would check the wrong account
+    if (pending.status === 'verified' && pending.roleArn !== roleArn) {
+      await driftScheduler.disable(req.user.id);
+    }
+    // Sessions for the previous role, or cached as untagged before the stack was updated
+    credentialBroker.invalidateUser(req.user.id);
+    const connection = await connections.verify(req.user.id, {
+      roleArn,
+      accountId: identity.Account,
+      scope: scope && typeof scope === 'object' && !validateScope(scope)
+        ? { services: scope.services, regions: scope.regions }
+        : null
+    });
+
     res.json({
       valid: true,
       accountId: identity.Account,
+      connection: describeConnection(connection),
       message: 'Successfully verified IAM Role'
     });
 
@@ -65,10 +286,125 @@ router.post('/auth/verify-role', async (req, res) => {
   }
 });
 
+// Services and regions a role template can be scoped to
+router.get('/role-template/options', (req, res) => {
+  res.json({
+    services: Object.entries(ROLE_SERVICES).map(([id, { label, description }]) => ({ id, label, description })),
+    regions: AWS_REGIONS,
+    defaults: {
+      services: Object.keys(ROLE_SERVICES),
+      regions: ['us-east-1']
+    }
+  });
+});
+
+// Role template for a new connection, scoped to the chosen services and regions
+router.post('/role-template', async (req, res) => {
+  try {
+    const { services, regions } = req.body;
+
+    const scopeError = validateScope({ services, regions });
+    if (scopeError) {
+      return res.status(400).json({ error: 'Invalid scope', message: scopeError });
+    }
+
+    const built = buildRoleTemplate({ services, regions });
+    const templateUrl = await publishRoleTemplate(built);
+    const { externalId } = await connections.start(req.user.id);
+
+    console.log(`📜 Role template ${built.hash} for: ${services.join(', ')} in ${regions.join(', ')}`);
+
+    res.json({
+      services,
+      regions,
+      template: built.template,
+      templateUrl,
+      externalId,
+      launchUrl: templateUrl ? quickCreateUrl(templateUrl, externalId) : null,
+      consoleUrl: 'https://console.aws.amazon.com/cloudformation/home?region=us-east-1#/stacks/create/template'
+    });
+
+  } catch (error) {
+    console.error('❌ Role template error:', error);
+    res.status(500).json({
+      error: 'Failed to build role template',
+      message: error.message
+    });
+  }
+});
+
+// Updated template for an existing stack that also grants a preflight's missing actions
+router.post('/role-template/update', async (req, res) => {
+  try {
+    const { services = [], regions, missingActions } = req.body;
+
+    if (!Array.isArray(missingActions) || missingActions.length === 0) {
+      return res.status(400).json({ error: 'missingActions is required' });
+    }
+
+    const covered = servicesForActions(missingActions);
+    const scope = {
+      services: [...new Set([...services, ...covered.services])],
+      regions,
+      extraActions: covered.uncovered
+    };
+
+    const scopeError = validateScope(scope);
+    if (scopeError) {
+      return res.status(400).json({ error: 'Invalid scope', message: scopeError });
+    }
+
+    const built = buildRoleTemplate(scope);
+    const templateUrl = await publishRoleTemplate(built);
+
+    console.log(`📜 Updated role template ${built.hash} adding: ${missingActions.join(', ')}`);
+
+    // The connection remembers the widened scope for the next update
+    await connections.updateScope(req.user.id, { services: scope.services, regions: scope.regions });
+
+    res.json({
+      ...scope,
+      addedServices: covered.services.filter(service => !services.includes(service)),
+      template: built.template,
+      templateUrl,
+      consoleUrl: `https://console.aws.amazon.com/cloudformation/home?region=us-east-1#/stacks?filteringText=${STACK_NAME}`,
+      instructions: `Select the ${STACK_NAME} stack, choose Update, then "Replace existing template" and ${templateUrl ? 'paste the template URL' : 'upload the downloaded template'}. The role ARN and External ID stay the same.`
+    });
+
+  } catch (error) {
+    console.error('❌ Role template error:', error);
+    res.status(500).json({
+      error: 'Failed to build role template',
+      message: error.message
+    });
+  }
+});
+
+// Everything below acts through the signed-in user's verified connection:
+// roleArn and externalId in the body are replaced with the connection's own
+router.use(async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next();
+    }
+
+    const connection = await connections.get(req.user.id);
+    const verified = connection && connection.status === 'verified' ? connection : null;
+
+    req.body = req.body || {};
+    req.body.roleArn = verified ? verified.roleArn : undefined;
+    req.body.externalId = verified ? verified.externalId : undefined;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Chat endpoint
 router.post('/chat', async (req, res) => {
   try {
-    const { message, roleArn, externalId } = req.body;
+    const { message, roleArn, externalId, streamId, sessionId, intent: chosenIntent } = req.body;
 
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
@@ -76,28 +412,120 @@ router.post('/chat', async (req, res) => {
 
     console.log('💬 Chat message:', message);
 
-    const lowerMessage = message.toLowerCase();
-    const isCreationRequest = ['create', 'deploy', 'setup', 'build', 'launch', 'make', 'provision'].some(
-      word => lowerMessage.includes(word)
-    );
+    let session = null;
+    if (sessionId) {
+      session = await chatSessions.get(sessionId);
+      if (!session || session.userId !== req.user.id) {
+        return res.status(404).json({
+          error: 'Session not found',
+          message: 'This chat session has expired or was deleted',
+          sessionExpired: true
+        });
+      }
+      if (session.owner && roleArn && externalId && !isActionOwner(session, roleArn, externalId, req.user.id)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'This chat session belongs to a different AWS connection'
+        });
+      }
+    }
+    const overQuota = await quotas.consume(quotaSubjects(req), 'chatMessages');
+    if (overQuota) {
+      return quotaExceeded(res, overQuota);
+    }
 
-    if (!isCreationRequest) {
-      const answer = await generateAnswer(message);
-      return res.json({
-        message: answer,
-        requiresConfirmation: false
+    const draft = session && session.draft;
+
+    // Record the exchange in the session (if any) and send the reply
+    const reply = async (body, status = 200) => {
+      if (session) {
+        await chatSessions.append(
+          session,
+          { role: 'user', content: message },
+          { role: 'assistant', content: body.message, intent: body.intent, actionId: body.actionId }
+        );
+        body = { ...body, sessionId: session.id };
+      }
+      return res.status(status).json(body);
+    };
+
+    // The client sends an intent back when the user answered a clarifying question
+    let classification = INTENTS.includes(chosenIntent)
+      ? { intent: chosenIntent, confidence: 1, ambiguous: false }
+      : classifyIntent(message, { draftResourceType: draft ? draft.resourceType : null });
+
+    // "without versioning" or "in eu-west-1" on their own only make sense as draft edits
+    if (draft && classification.intent === 'question' && classification.confidence === 0 &&
+        draftChanges(draft, message).length > 0) {
+      classification = { intent: 'modify', confidence: 0.5, ambiguous: false };
+    }
+    const { intent, confidence } = classification;
+
+    console.log(`🧭 Intent: ${intent} (${confidence})${classification.ambiguous ? ' - ambiguous' : ''}`);
+
+    if (classification.ambiguous) {
+      return reply({
+        message: classification.clarifyingQuestion,
+        requiresConfirmation: false,
+        intent,
+        confidence,
+        clarification: { options: classification.options }
+      });
+    }
+
+    if (intent === 'question') {
+      return reply({
+        message: await generateAnswer(message),
+        requiresConfirmation: false,
+        intent,
+        confidence
+      });
+    }
+
+    if (intent === 'explain-cost') {
+      return reply({
+        message: await explainCost(message),
+        requiresConfirmation: false,
+        intent,
+        confidence
+      });
+    }
+
+    if (intent === 'destroy') {
+      return reply({
+        message: 'To delete resources, use "Destroy These Resources" under the message that created them, or open the Resources panel to see everything Terraform AI manages in your account. Destroying always shows a plan and asks for confirmation first.',
+        requiresConfirmation: false,
+        intent,
+        confidence
+      });
+    }
+
+    if ((intent === 'modify' && !draft) || intent === 'import') {
+      return reply({
+        message: intent === 'modify'
+          ? 'I can\'t change existing resources yet. I can create a new resource with the settings you want, and you can destroy the old one from the chat once you\'re done.'
+          : 'To bring existing resources under management, open the Resources panel and use "Import existing resources": I\'ll find what Terraform AI doesn\'t manage yet in a region, and importing always shows a plan that changes nothing and asks for confirmation first.',
+        requiresConfirmation: false,
+        intent,
+        confidence
       });
     }
 
     if (!roleArn || !externalId) {
-      return res.status(401).json({
+      return reply({
         error: 'AWS connection required',
-        message: 'Please setup AWS connection to create resources'
-      });
+        message: intent === 'list'
+          ? 'Please setup AWS connection to list resources'
+          : 'Please setup AWS connection to create resources',
+        needsConnection: true,
+        intent,
+        confidence
+      }, 401);
     }
 
+    let credentials;
     try {
-      await assumeRole(roleArn, externalId);
+      credentials = await credentialBroker.get(roleArn, externalId, { userId: req.user.id });
     } catch (error) {
       return res.status(401).json({
         error: 'Failed to assume role',
@@ -105,31 +533,195 @@ router.post('/chat', async (req, res) => {
       });
     }
 
-    const result = await generateTerraformPlan(message);
-    
-    const actionId = `action_${Date.now()}`;
-    pendingActions.set(actionId, {
+    if (session && !session.owner) {
+      session.owner = actionOwner(roleArn, externalId, req.user.id);
+    }
+
+    if (intent === 'list') {
+      const inventory = await listManagedResources(credentials);
+      return reply({
+        message: describeInventory(inventory),
+        requiresConfirmation: false,
+        intent,
+        confidence
+      });
+    }
+
+    // Edits keep the draft's pending action, so its ID and tags stay stable
+    const editingDraft = intent === 'modify';
+    const previousAction = editingDraft ? await actionStore.get(draft.actionId) : null;
+    const actionId = previousAction && previousAction.status === 'pending' &&
+      isActionOwner(previousAction, roleArn, externalId, req.user.id)
+      ? draft.actionId
+      : newActionId();
+    const createdAt = editingDraft ? draft.createdAt : new Date().toISOString();
+    const accountId = accountIdFromRoleArn(roleArn);
+    const logChannel = isValidStreamId(streamId) ? streamId : actionId;
+
+    const result = editingDraft
+      ? await reviseTerraformPlan(draft, message, { actionId, createdAt })
+      : await generateTerraformPlan(message, { actionId, createdAt });
+
+    if (result.invalidParameters.length > 0) {
+      return reply({
+        message: result.summary,
+        requiresConfirmation: false,
+        parameters: result.parameters,
+        invalidParameters: result.invalidParameters,
+        intent,
+        confidence
+      });
+    }
+
+    if (result.resourceType === 'unknown' || result.unchanged) {
+      return reply({
+        message: result.summary,
+        requiresConfirmation: false,
+        unresolved: result.unresolved,
+        intent,
+        confidence
+      });
+    }
+
+    // Only requests that get as far as a plan count against the plan quota
+    const overPlanQuota = await quotas.consume(quotaSubjects(req), 'plans');
+    if (overPlanQuota) {
+      return quotaExceeded(res, overPlanQuota);
+    }
+
+    // Format and check the code before anything runs against AWS
+    const { terraformCode: formattedCode, ...validation } = await validateTerraform(result.terraformCode, {
+      region: result.resourceConfig.region || 'us-east-1'
+    });
+    result.terraformCode = formattedCode;
+
+    if (validation.status === 'invalid') {
+      return reply({
+        error: 'Terraform validation failed',
+        message: `${result.summary}\n\n❌ The generated configuration didn't pass \`terraform validate\`, so it wasn't planned:\n${describeDiagnostics(validation.diagnostics.filter(d => d.severity === 'error')).join('\n')}`,
+        terraformCode: result.terraformCode,
+        validation
+      }, 422);
+    }
+
+    const auditAction = { id: actionId, type: 'apply', owner: actionOwner(roleArn, externalId, req.user.id), accountId, terraformCode: result.terraformCode };
+
+    let planOutput;
+    let stateBackend;
+    try {
+      stateBackend = await resolveStateBackend(accountId, actionId, credentials);
+      planOutput = await withLogChannel(logChannel, actionOwner(roleArn, externalId, req.user.id), () =>
+        planTerraform(actionId, result, credentials, { stateBackend, channel: logChannel })
+      );
+    } catch (error) {
+      console.error('❌ Plan failed:', error);
+      auditPlan(auditAction, { source: 'chat', error });
+
+      if (error.message === 'TERRAFORM_CANCELLED') {
+        return reply({
+          error: 'Cancelled',
+          message: 'Terraform plan was cancelled',
+          cancelled: true
+        }, 409);
+      }
+
+      if (error.message === 'PERMISSION_UPDATE_REQUIRED') {
+        return reply({
+          error: 'Permission update required',
+          message: 'PERMISSION_UPDATE_REQUIRED',
+          needsPermissionUpdate: true,
+          missingActions: error.missingActions
+        }, 403);
+      }
+
+      return reply({
+        error: 'Terraform plan failed',
+        message: error.message,
+        terraformCode: result.terraformCode
+      }, 422);
+    }
+
+    const preflight = await runPreflight(planOutput.resources, { roleArn, credentials });
+    if (preflight.status === 'missing') {
+      console.log(`🔑 Role is missing ${preflight.missing.length} actions for:`, actionId);
+    }
+
+    const now = Date.now();
+    await actionStore.save(actionId, {
+      id: actionId,
+      type: 'apply',
+      status: 'pending',
+      owner: actionOwner(roleArn, externalId, req.user.id),
+      accountId,
+      stateBackend,
       message,
-      roleArn,
-      externalId,
       resourceType: result.resourceType,
       resourceConfig: result.resourceConfig,
-      timestamp: Date.now()
+      terraformCode: result.terraformCode,
+      policy: {
+        decision: planOutput.policy.decision,
+        violations: planOutput.policy.violations
+      },
+      plannedResources: planOutput.resources.map(({ address, type }) => ({ address, type })),
+      savedPlan: planOutput.savedPlan,
+      preflight,
+      createdAt: now,
+      expiresAt: now + PENDING_TTL_MS
     });
 
+    auditPlan(auditAction, { source: 'chat', planOutput });
     cleanupOldActions();
 
-    console.log('📋 Generated plan for action:', actionId);
+    const blocked = planOutput.policy.decision === 'deny';
+    if (planOutput.policy.decision !== 'pass') {
+      console.log(`🛡️ Policy ${planOutput.policy.decision} for action:`, actionId);
+    }
+
+    console.log(`📋 ${editingDraft ? 'Revised' : 'Generated'} plan for action:`, actionId);
+
+    const diff = editingDraft ? draftDiff(draft, result) : null;
+    if (session) {
+      session.draft = {
+        version: editingDraft ? draft.version + 1 : 1,
+        actionId,
+        createdAt,
+        resourceType: result.resourceType,
+        resourceConfig: result.resourceConfig,
+        requestedKeys: result.requestedKeys || [],
+        terraformCode: result.terraformCode,
+        resources: result.resources,
+        generatedBy: result.generatedBy || 'rules'
+      };
+    }
 
-    return res.json({
+    return reply({
       requiresConfirmation: true,
+      intent,
+      confidence,
       actionId: actionId,
-      message: result.summary,
+      logChannel,
+      draftVersion: session ? session.draft.version : undefined,
+      diff,
+      message: blocked
+        ? `${result.summary}\n\n⛔ This plan breaks your organization's policies and can't be applied. Ask me to change it, e.g. a smaller instance or another region.`
+        : result.summary,
       terraformCode: result.terraformCode,
-      plan: result.plan,
+      plan: planOutput.plan,
+      planSummary: planOutput.planSummary,
+      generatedBy: result.generatedBy || 'rules',
+      parameters: result.parameters,
+      unresolved: result.unresolved,
       resources: result.resources,
-      estimatedCost: result.estimatedCost,
-      warnings: result.warnings
+      estimatedCost: formatCost(planOutput.costEstimate),
+      costEstimate: planOutput.costEstimate,
+      validation,
+      policy: planOutput.policy,
+      blocked,
+      preflight,
+      warnings: [
+        ...planWarnings(planOutput.policy, preflight),
+        ...(result.warnings || [])
+      ]
     });
 
   } catch (error) {
@@ -141,95 +733,1845 @@ router.post('/chat', async (req, res) => {
   }
 });
 
-// Apply endpoint
-router.post('/apply', async (req, res) => {
+// Review user-supplied Terraform (pasted/uploaded .tf files or a zip):
+// explain it, plan it and run the guardrails, leaving a pending action that
+// /apply confirms like any other
+router.post('/review', async (req, res) => {
   try {
-    const { actionId, roleArn, externalId } = req.body;
+    const { files, zip, roleArn, externalId, region, streamId } = req.body;
 
-    if (!actionId || !roleArn || !externalId) {
+    if (!roleArn || !externalId) {
+      return res.status(401).json({
+        error: 'AWS connection required',
+        message: 'Please setup AWS connection to review and apply Terraform',
+        needsConnection: true
+      });
+    }
+    if (region && !AWS_REGIONS.includes(region)) {
       return res.status(400).json({
-        error: 'Missing required parameters'
+        error: 'Invalid region',
+        message: `${region} is not a supported AWS region`
       });
     }
 
-    const pendingAction = pendingActions.get(actionId);
-    
-    if (!pendingAction) {
-      return res.status(404).json({
-        error: 'Action not found or expired'
+    const upload = readUpload({ files, zip });
+    if (upload.error) {
+      return res.status(400).json({ error: 'Invalid upload', message: upload.error });
+    }
+
+    const names = upload.files.map(file => file.name);
+    console.log('📤 Reviewing uploaded Terraform:', names.join(', '));
+
+    let credentials;
+    try {
+      credentials = await credentialBroker.get(roleArn, externalId, { userId: req.user.id });
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Failed to assume role',
+        message: error.message
       });
     }
 
-    console.log('🚀 Executing action:', actionId);
-    console.log('📦 Resource type:', pendingAction.resourceType);
+    const actionId = newActionId();
+    const prepared = prepareUpload(upload.files, { region, actionId });
 
-    const credentials = await assumeRole(roleArn, externalId);
+    if (prepared.diagnostics.length > 0) {
+      return res.status(422).json({
+        error: 'Unsupported Terraform',
+        message: `❌ This configuration can't run here:\n${describeDiagnostics(prepared.diagnostics).join('\n')}`,
+        terraformCode: prepared.terraformCode,
+        validation: { status: 'invalid', diagnostics: prepared.diagnostics }
+      });
+    }
+    if (!prepared.region || !AWS_REGIONS.includes(prepared.region)) {
+      return res.status(400).json({
+        error: 'Invalid region',
+        message: `The configuration's provider region ${prepared.region} is not a supported AWS region`
+      });
+    }
 
-    const result = await createAWSResource(
-      pendingAction.resourceType,
-      pendingAction.resourceConfig,
-      credentials
-    );
+    const overQuota = await quotas.consume(quotaSubjects(req), 'plans');
+    if (overQuota) {
+      return quotaExceeded(res, overQuota);
+    }
+
+    const { terraformCode: formattedCode, ...validation } = await validateTerraform(prepared.terraformCode, {
+      region: prepared.region
+    });
+    const result = {
+      resourceType: 'custom',
+      resourceConfig: { region: prepared.region },
+      terraformCode: formattedCode
+    };
+
+    if (validation.status === 'invalid') {
+      return res.status(422).json({
+        error: 'Terraform validation failed',
+        message: `❌ The configuration didn't pass \`terraform validate\`:\n${describeDiagnostics(validation.diagnostics.filter(d => d.severity === 'error')).join('\n')}`,
+        terraformCode: result.terraformCode,
+        validation
+      });
+    }
+
+    const accountId = accountIdFromRoleArn(roleArn);
+    const logChannel = isValidStreamId(streamId) ? streamId : actionId;
+
+    const auditAction = { id: actionId, type: 'apply', owner: actionOwner(roleArn, externalId, req.user.id), accountId, terraformCode: result.terraformCode };
+
+    let planOutput;
+    let stateBackend;
+    try {
+      stateBackend = await resolveStateBackend(accountId, actionId, credentials);
+      planOutput = await withLogChannel(logChannel, actionOwner(roleArn, externalId, req.user.id), () =>
+        planTerraform(actionId, result, credentials, { stateBackend, channel: logChannel })
+      );
+    } catch (error) {
+      console.error('❌ Plan failed:', error);
+      auditPlan(auditAction, { source: 'upload', error });
+
+      if (error.message === 'TERRAFORM_CANCELLED') {
+        return res.status(409).json({
+          error: 'Cancelled',
+          message: 'Terraform plan was cancelled',
+          cancelled: true
+        });
+      }
+
+      if (error.message === 'PERMISSION_UPDATE_REQUIRED') {
+        return res.status(403).json({
+          error: 'Permission update required',
+          message: 'PERMISSION_UPDATE_REQUIRED',
+          needsPermissionUpdate: true,
+          missingActions: error.missingActions
+        });
+      }
+
+      return res.status(422).json({
+        error: 'Terraform plan failed',
+        message: error.message,
+        terraformCode: result.terraformCode,
+        validation
+      });
+    }
+
+    const explanation = await llm.explainTerraform(result.terraformCode, { planSummary: planOutput.planSummary }) ||
+      describePlan(planOutput.planSummary, prepared.region);
+
+    if (planOutput.planSummary.resources.length === 0) {
+      auditPlan(auditAction, { source: 'upload', planOutput });
+      return res.json({
+        requiresConfirmation: false,
+        message: explanation.summary,
+        terraformCode: result.terraformCode,
+        validation
+      });
+    }
+
+    const preflight = await runPreflight(planOutput.resources, { roleArn, credentials });
+
+    const now = Date.now();
+    await actionStore.save(actionId, {
+      id: actionId,
+      type: 'apply',
+      status: 'pending',
+      owner: actionOwner(roleArn, externalId, req.user.id),
+      accountId,
+      stateBackend,
+      message: `Uploaded Terraform: ${names.join(', ')}`,
+      resourceType: result.resourceType,
+      resourceConfig: result.resourceConfig,
+      terraformCode: result.terraformCode,
+      uploadedFiles: names,
+      policy: {
+        decision: planOutput.policy.decision,
+        violations: planOutput.policy.violations
+      },
+      plannedResources: planOutput.resources.map(({ address, type }) => ({ address, type })),
+      savedPlan: planOutput.savedPlan,
+      preflight,
+      createdAt: now,
+      expiresAt: now + PENDING_TTL_MS
+    });
 
-    pendingActions.delete(actionId);
+    auditPlan(auditAction, { source: 'upload', planOutput });
+    cleanupOldActions();
 
-    console.log('✅ Resource created:', result.resourceId);
+    const blocked = planOutput.policy.decision === 'deny';
+    console.log(`📋 Planned uploaded Terraform for action: ${actionId} (policy ${planOutput.policy.decision})`);
 
     res.json({
-      success: true,
-      message: result.message,
-      outputs: result.outputs
+      requiresConfirmation: true,
+      actionId,
+      logChannel,
+      message: blocked
+        ? `${explanation.summary}\n\n⛔ This configuration breaks your organization's policies and can't be applied. Fix it and upload it again.`
+        : explanation.summary,
+      files: names,
+      overrides: prepared.overrides,
+      terraformCode: result.terraformCode,
+      plan: planOutput.plan,
+      planSummary: planOutput.planSummary,
+      generatedBy: 'upload',
+      resources: explanation.resources,
+      estimatedCost: formatCost(planOutput.costEstimate),
+      costEstimate: planOutput.costEstimate,
+      validation,
+      policy: planOutput.policy,
+      blocked,
+      preflight,
+      warnings: [
+        ...planWarnings(planOutput.policy, preflight),
+        ...prepared.overrides.map(note => `🔒 ${note}`),
+        ...(explanation.warnings || [])
+      ]
     });
 
   } catch (error) {
-    console.error('❌ Apply error:', error);
-    
-    if (error.message === 'PERMISSION_UPDATE_REQUIRED') {
-      return res.status(403).json({
-        success: false,
-        error: 'Permission update required',
-        message: 'PERMISSION_UPDATE_REQUIRED',
-        needsPermissionUpdate: true
-      });
-    }
-    
+    console.error('❌ Review error:', error);
     res.status(500).json({
-      success: false,
-      error: 'Failed to create resources',
+      error: 'Failed to review Terraform',
       message: error.message
     });
   }
 });
 
-async function assumeRole(roleArn, externalId) {
-  const sts = new AWS.STS({
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    region: process.env.AWS_REGION || 'us-east-1'
-  });
-  
-  const params = {
-    RoleArn: roleArn,
-    RoleSessionName: `terraform-ai-${Date.now()}`,
-    ExternalId: externalId,
-    DurationSeconds: 3600
-  };
-
+// Start a chat session
+router.post('/sessions', async (req, res) => {
   try {
-    const assumedRole = await sts.assumeRole(params).promise();
-    
-    return {
-      accessKeyId: assumedRole.Credentials.AccessKeyId,
-      secretAccessKey: assumedRole.Credentials.SecretAccessKey,
-      sessionToken: assumedRole.Credentials.SessionToken,
-      expiration: assumedRole.Credentials.Expiration
-    };
+    const session = await chatSessions.create({ userId: req.user.id });
+    console.log('🗨️ Chat session started:', session.id);
+
+    res.status(201).json({
+      sessionId: session.id,
+      expiresAt: session.expiresAt
+    });
+
   } catch (error) {
-    throw new Error(`Failed to assume role: ${error.message}`);
+    console.error('❌ Session error:', error);
+    res.status(500).json({
+      error: 'Failed to start session',
+      message: error.message
+    });
   }
+});
+
+// Session history and current draft
+router.get('/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await chatSessions.get(req.params.sessionId);
+    if (!session || session.userId !== req.user.id) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'This chat session has expired or was deleted'
+      });
+    }
+
+    res.json({
+      sessionId: session.id,
+      messages: session.messages,
+      draft: session.draft,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt
+    });
+
+  } catch (error) {
+    console.error('❌ Session error:', error);
+    res.status(500).json({
+      error: 'Failed to load session',
+      message: error.message
+    });
+  }
+});
+
+router.delete('/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await chatSessions.get(req.params.sessionId);
+    if (session && session.userId !== req.user.id) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'This chat session has expired or was deleted'
+      });
+    }
+
+    await chatSessions.delete(req.params.sessionId);
+    console.log('🗑️ Chat session deleted:', req.params.sessionId);
+
+    res.json({ deleted: true });
+
+  } catch (error) {
+    console.error('❌ Session error:', error);
+    res.status(500).json({
+      error: 'Failed to delete session',
+      message: error.message
+    });
+  }
+});
+
+// Today's quota usage for the user and their connected AWS account
+router.get('/quotas', async (req, res) => {
+  try {
+    res.json({ subjects: await quotas.usage(quotaSubjects(req), activeJobs) });
+
+  } catch (error) {
+    console.error('❌ Quota error:', error);
+    res.status(500).json({
+      error: 'Failed to load quotas',
+      message: error.message
+    });
+  }
+});
+
+// Active guardrails
+router.get('/policies', (req, res) => {
+  try {
+    const rules = loadPolicies({ reload: req.query.reload === 'true' });
+
+    res.json({
+      rules: rules.map(({ id, description, effect, source }) => ({ id, description, effect, source }))
+    });
+
+  } catch (error) {
+    console.error('❌ Policy error:', error);
+    res.status(500).json({
+      error: 'Failed to load policies',
+      message: error.message
+    });
+  }
+});
+
+// Format, validate and lint Terraform code, e.g. after the user edits it
+router.post('/validate', async (req, res) => {
+  try {
+    const { terraformCode, region = 'us-east-1' } = req.body;
+
+    if (typeof terraformCode !== 'string' || !terraformCode.trim()) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'terraformCode is required'
+      });
+    }
+    if (!AWS_REGIONS.includes(region)) {
+      return res.status(400).json({
+        error: 'Invalid region',
+        message: `${region} is not a supported AWS region`
+      });
+    }
+
+    res.json(await validateTerraform(terraformCode, { region }));
+
+  } catch (error) {
+    console.error('❌ Validation error:', error);
+    res.status(500).json({
+      error: 'Failed to validate Terraform code',
+      message: error.message
+    });
+  }
+});
+
+// Apply endpoint
+router.post('/apply', async (req, res) => {
+  try {
+    const { actionId, roleArn, externalId } = req.body;
+
+    if (!actionId || !roleArn || !externalId) {
+      return res.status(400).json({
+        error: 'Missing required parameters'
+      });
+    }
+
+    const pendingAction = await actionStore.get(actionId);
+    
+    if (!pendingAction) {
+      return res.status(404).json({
+        error: 'Action not found or expired'
+      });
+    }
+
+    if (!isActionOwner(pendingAction, roleArn, externalId, req.user.id)) {
+      return res.status(403).json({
+        error: 'Action belongs to a different AWS connection'
+      });
+    }
+
+    if (pendingAction.type === 'destroy') {
+      return res.status(400).json({
+        error: 'Use /api/destroy/confirm to confirm a destroy action'
+      });
+    }
+
+    if (pendingAction.type === 'reconcile') {
+      const target = await actionStore.get(pendingAction.targetActionId);
+      if (!target || target.status !== 'applied') {
+        return res.status(409).json({
+          error: 'Resources for this action are no longer applied'
+        });
+      }
+    }
+
+    if (!['pending', 'failed'].includes(pendingAction.status)) {
+      return res.status(409).json({
+        error: `Action is already ${pendingAction.status}`
+      });
+    }
+
+    // Planned before plans were kept, or Terraform already refused the saved one
+    if (!pendingAction.savedPlan || pendingAction.replanRequired) {
+      auditConfirm(pendingAction, { result: 'rejected', error: 'REPLAN_REQUIRED' });
+      return res.status(409).json({
+        error: 'REPLAN_REQUIRED',
+        message: REPLAN_MESSAGE
+      });
+    }
+
+    if (pendingAction.policy && pendingAction.policy.decision === 'deny') {
+      auditConfirm(pendingAction, { result: 'rejected', error: 'POLICY_DENIED' });
+      return res.status(403).json({
+        error: 'Blocked by policy',
+        message: 'POLICY_DENIED',
+        violations: pendingAction.policy.violations.filter(({ effect }) => effect === 'deny')
+      });
+    }
+
+    // Fail fast on a broken connection or missing permissions instead of after waiting in the queue
+    const credentials = await credentialBroker.get(roleArn, externalId, { userId: req.user.id });
+
+    let preflight = pendingAction.preflight;
+    if (pendingAction.plannedResources) {
+      preflight = await runPreflight(pendingAction.plannedResources, { roleArn, credentials });
+
+      if (preflight.status === 'missing') {
+        await actionStore.save(actionId, { ...pendingAction, preflight });
+        auditConfirm(pendingAction, { result: 'rejected', error: 'PERMISSION_UPDATE_REQUIRED' });
+        return res.status(403).json({
+          error: 'Permission update required',
+          message: 'PERMISSION_UPDATE_REQUIRED',
+          needsPermissionUpdate: true,
+          missingActions: preflight.missing.map(({ action }) => action)
+        });
+      }
+    }
+
+    // Claim the action, so a second confirm arriving meanwhile can't queue it again
+    const queuedAction = await actionStore.transition(actionId, ['pending', 'failed'], {
+      preflight,
+      status: 'queued',
+      expiresAt: null,
+      updatedAt: Date.now()
+    });
+    if (!queuedAction) {
+      return res.status(409).json({
+        error: 'Action is already being applied'
+      });
+    }
+
+    const subjects = quotaSubjects(req);
+    const overQuota = await quotas.checkConcurrent(subjects, activeJobs) || await quotas.consume(subjects, 'applies');
+    if (overQuota) {
+      await actionStore.transition(actionId, ['queued'], {
+        status: pendingAction.status,
+        expiresAt: pendingAction.expiresAt,
+        updatedAt: Date.now()
+      });
+      auditConfirm(pendingAction, {
+        result: 'rejected',
+        error: 'QUOTA_EXCEEDED',
+        details: { quota: overQuota.quota, scope: overQuota.scope }
+      });
+      return quotaExceeded(res, overQuota);
+    }
+
+    const job = await jobQueue.enqueue('apply', {
+      accountId: pendingAction.accountId,
+      owner: pendingAction.owner,
+      logChannel: actionId,
+      actionId
+    }, { roleArn, externalId });
+
+    console.log('📥 Queued apply job:', job.id, 'for action:', actionId);
+    auditConfirm(pendingAction, { result: 'queued', details: { jobId: job.id } });
+
+    res.status(202).json({
+      jobId: job.id,
+      actionId,
+      status: job.status,
+      position: job.position
+    });
+
+  } catch (error) {
+    console.error('❌ Apply error:', error);
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue apply',
+      message: error.message
+    });
+  }
+});
+
+// Destroy endpoint: preview tearing down an applied action's resources
+router.post('/destroy', async (req, res) => {
+  try {
+    const { actionId, roleArn, externalId, streamId } = req.body;
+
+    if (!actionId || !roleArn || !externalId) {
+      return res.status(400).json({
+        error: 'Missing required parameters'
+      });
+    }
+
+    const appliedAction = await actionStore.get(actionId);
+
+    if (!appliedAction) {
+      return res.status(404).json({
+        error: 'Action not found'
+      });
+    }
+
+    if (!isActionOwner(appliedAction, roleArn, externalId, req.user.id)) {
+      return res.status(403).json({
+        error: 'Action belongs to a different AWS connection'
+      });
+    }
+
+    if (appliedAction.type !== 'apply' || appliedAction.status !== 'applied') {
+      return res.status(409).json({
+        error: 'Only applied actions can be destroyed'
+      });
+    }
+
+    if (!appliedAction.stateBackend && !(await hasState(actionId))) {
+      return res.status(410).json({
+        error: 'Terraform state for this action is no longer available'
+      });
+    }
+
+    const credentials = await credentialBroker.get(roleArn, externalId, { userId: req.user.id });
+
+    const overQuota = await quotas.consume(quotaSubjects(req), 'plans');
+    if (overQuota) {
+      return quotaExceeded(res, overQuota);
+    }
+
+    const destroyActionId = newActionId();
+    const logChannel = isValidStreamId(streamId) ? streamId : destroyActionId;
+
+    const auditAction = {
+      id: destroyActionId,
+      type: 'destroy',
+      owner: appliedAction.owner,
+      accountId: appliedAction.accountId,
+      targetActionId: actionId,
+      terraformCode: appliedAction.terraformCode
+    };
+
+    let preview;
+    try {
+      preview = await withLogChannel(logChannel, appliedAction.owner, () =>
+        workspaceLocks.withWorkspace(actionId, () =>
+          planDestroy(actionId, appliedAction, credentials, { channel: logChannel }),
+        { holder: destroyActionId })
+      );
+    } catch (error) {
+      auditPlan(auditAction, { source: 'destroy', error });
+      throw error;
+    }
+
+    const now = Date.now();
+    await actionStore.save(destroyActionId, {
+      id: destroyActionId,
+      type: 'destroy',
+      status: 'pending',
+      owner: appliedAction.owner,
+      accountId: appliedAction.accountId,
+      targetActionId: actionId,
+      resourceType: appliedAction.resourceType,
+      resourceConfig: appliedAction.resourceConfig,
+      planSummary: preview.planSummary,
+      createdAt: now,
+      expiresAt: now + PENDING_TTL_MS
+    });
+
+    auditPlan(auditAction, { source: 'destroy', planOutput: preview });
+    cleanupOldActions();
+
+    console.log('📋 Generated destroy plan for action:', actionId);
+
+    res.json({
+      requiresConfirmation: true,
+      actionId: destroyActionId,
+      targetActionId: actionId,
+      message: `I'll destroy ${preview.planSummary.delete} resource(s) created by this action:`,
+      plan: preview.plan,
+      planSummary: preview.planSummary,
+      warnings: [
+        '🗑️ All objects and versions in S3 buckets will be permanently deleted',
+        '⚠️ This cannot be undone'
+      ]
+    });
+
+  } catch (error) {
+    console.error('❌ Destroy plan error:', error);
+
+    if (error.message === 'WORKSPACE_BUSY') {
+      return workspaceBusy(res);
+    }
+
+    if (error.message === 'TERRAFORM_CANCELLED') {
+      return res.status(409).json({
+        error: 'Cancelled',
+        message: 'Destroy plan was cancelled',
+        cancelled: true
+      });
+    }
+
+    if (error.message === 'PERMISSION_UPDATE_REQUIRED') {
+      return res.status(403).json({
+        error: 'Permission update required',
+        message: 'PERMISSION_UPDATE_REQUIRED',
+        needsPermissionUpdate: true,
+        missingActions: error.missingActions
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to plan destroy',
+      message: error.message
+    });
+  }
+});
+
+// Destroy confirmation: actually tear the resources down
+router.post('/destroy/confirm', async (req, res) => {
+  try {
+    const { actionId, roleArn, externalId } = req.body;
+
+    if (!actionId || !roleArn || !externalId) {
+      return res.status(400).json({
+        error: 'Missing required parameters'
+      });
+    }
+
+    const destroyAction = await actionStore.get(actionId);
+
+    if (!destroyAction || destroyAction.type !== 'destroy') {
+      return res.status(404).json({
+        error: 'Destroy action not found or expired'
+      });
+    }
+
+    if (!isActionOwner(destroyAction, roleArn, externalId, req.user.id)) {
+      return res.status(403).json({
+        error: 'Action belongs to a different AWS connection'
+      });
+    }
+
+    if (!['pending', 'failed'].includes(destroyAction.status)) {
+      return res.status(409).json({
+        error: `Action is already ${destroyAction.status}`
+      });
+    }
+
+    const appliedAction = await actionStore.get(destroyAction.targetActionId);
+    if (!appliedAction || appliedAction.status !== 'applied') {
+      return res.status(409).json({
+        error: 'Resources for this action are no longer applied'
+      });
+    }
+
+    await credentialBroker.get(roleArn, externalId, { userId: req.user.id });
+
+    // Claim the action, so a second confirm arriving meanwhile can't queue it again
+    const queuedAction = await actionStore.transition(actionId, ['pending', 'failed'], {
+      status: 'queued',
+      expiresAt: null,
+      updatedAt: Date.now()
+    });
+    if (!queuedAction) {
+      return res.status(409).json({
+        error: 'Action is already being destroyed'
+      });
+    }
+
+    const subjects = quotaSubjects(req);
+    const overQuota = await quotas.checkConcurrent(subjects, activeJobs) || await quotas.consume(subjects, 'applies');
+    if (overQuota) {
+      await actionStore.transition(actionId, ['queued'], {
+        status: destroyAction.status,
+        expiresAt: destroyAction.expiresAt,
+        updatedAt: Date.now()
+      });
+      auditConfirm({ ...destroyAction, terraformCode: appliedAction.terraformCode }, {
+        result: 'rejected',
+        error: 'QUOTA_EXCEEDED',
+        details: { quota: overQuota.quota, scope: overQuota.scope }
+      });
+      return quotaExceeded(res, overQuota);
+    }
+
+    const job = await jobQueue.enqueue('destroy', {
+      accountId: appliedAction.accountId,
+      owner: destroyAction.owner,
+      logChannel: actionId,
+      actionId,
+      targetActionId: destroyAction.targetActionId
+    }, { roleArn, externalId });
+
+    console.log('📥 Queued destroy job:', job.id, 'for action:', destroyAction.targetActionId);
+    auditConfirm({ ...destroyAction, terraformCode: appliedAction.terraformCode }, { result: 'queued', details: { jobId: job.id } });
+
+    res.status(202).json({
+      jobId: job.id,
+      actionId,
+      status: job.status,
+      position: job.position
+    });
+
+  } catch (error) {
+    console.error('❌ Destroy error:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue destroy',
+      message: error.message
+    });
+  }
+});
+
+// Job status, live logs so far, and the result once finished
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found or expired'
+      });
+    }
+
+    if (!job.owner || job.owner.userId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Job belongs to a different user'
+      });
+    }
+
+    res.json({
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      position: job.position,
+      actionId: job.actionId,
+      targetActionId: job.targetActionId,
+      logs: await getLines(job.logChannel),
+      result: job.result || null,
+      error: job.error || null,
+      errorDetails: job.errorDetails || null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt || null,
+      finishedAt: job.finishedAt || null
+    });
+
+  } catch (error) {
+    console.error('❌ Job status error:', error);
+    res.status(500).json({
+      error: 'Failed to get job status',
+      message: error.message
+    });
+  }
+});
+
+// Cancel a queued or running job
+router.post('/jobs/:jobId/cancel', async (req, res) => {
+  try {
+    const { roleArn, externalId } = req.body;
+
+    if (!roleArn || !externalId) {
+      return res.status(400).json({
+        error: 'Missing required parameters'
+      });
+    }
+
+    const job = await jobQueue.get(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found or expired'
+      });
+    }
+
+    if (!isActionOwner(job, roleArn, externalId, req.user.id)) {
+      return res.status(403).json({
+        error: 'Job belongs to a different AWS connection'
+      });
+    }
+
+    const cancelled = await jobQueue.cancel(job.id);
+    console.log(cancelled ? '🛑 Cancelling job:' : 'ℹ️ Job already finished:', job.id);
+
+    res.json({
+      cancelled,
+      message: cancelled ? 'Cancellation requested' : 'Job already finished'
+    });
+
+  } catch (error) {
+    console.error('❌ Job cancel error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel job',
+      message: error.message
+    });
+  }
+});
+
+// Inventory of everything the agent manages in the connected account;
+// ?regions=us-east-1,eu-west-1 limits the regions searched
+router.get('/resources', async (req, res) => {
+  try {
+    const { roleArn, externalId } = req.body;
+    const regions = typeof req.query.regions === 'string'
+      ? req.query.regions.split(',').map(region => region.trim()).filter(Boolean)
+      : undefined;
+
+    if (!roleArn || !externalId) {
+      return res.status(401).json({
+        error: 'AWS connection required',
+        message: 'Please setup AWS connection to list resources'
+      });
+    }
+    const unknown = (regions || []).filter(region => !AWS_REGIONS.includes(region));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid region',
+        message: `${unknown.join(', ')} ${unknown.length === 1 ? 'is not a supported AWS region' : 'are not supported AWS regions'}`
+      });
+    }
+
+    const credentials = await credentialBroker.get(roleArn, externalId, { userId: req.user.id });
+
+    console.log('📚 Listing managed resources for:', roleArn);
+
+    const inventory = await listManagedResources(credentials, { regions });
+
+    res.json({
+      resources: inventory.resources,
+      regions: inventory.regions,
+      errors: inventory.errors
+    });
+
+  } catch (error) {
+    console.error('❌ Inventory error:', error);
+    res.status(500).json({
+      error: 'Failed to list resources',
+      message: error.message
+    });
+  }
+});
+
+// Existing resources in a region that the agent could take over
+router.post('/import/discover', async (req, res) => {
+  try {
+    const { roleArn, externalId, region = 'us-east-1' } = req.body;
+
+    if (!roleArn || !externalId) {
+      return res.status(401).json({
+        error: 'AWS connection required',
+        message: 'Please setup AWS connection to find resources to import'
+      });
+    }
+    if (!AWS_REGIONS.includes(region)) {
+      return res.status(400).json({
+        error: 'Invalid region',
+        message: `${region} is not a supported AWS region`
+      });
+    }
+
+    let credentials;
+    try {
+      credentials = await credentialBroker.get(roleArn, externalId, { userId: req.user.id });
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Failed to assume role',
+        message: error.message
+      });
+    }
+
+    const accountId = accountIdFromRoleArn(roleArn);
+    console.log(`🔎 Discovering unmanaged resources in ${region} for:`, roleArn);
+
+    const discovered = await discoverUnmanagedResources(credentials, {
+      region,
+      accountId,
+      exclude: [stateBucketName(accountId)]
+    });
+
+    res.json({
+      region,
+      resources: discovered.resources,
+      errors: discovered.errors,
+      importableTypes: Object.entries(IMPORTABLE_TYPES).map(([type, { label }]) => ({ type, label }))
+    });
+
+  } catch (error) {
+    console.error('❌ Discovery error:', error);
+    res.status(500).json({
+      error: 'Failed to discover resources',
+      message: error.message
+    });
+  }
+});
+
+// Plan importing existing resources: generate their configuration, check the
+// plan changes nothing, and leave a pending action that /apply confirms
+router.post('/import/plan', async (req, res) => {
+  try {
+    const { roleArn, externalId, region = 'us-east-1', resources, streamId } = req.body;
+
+    if (!roleArn || !externalId) {
+      return res.status(401).json({
+        error: 'AWS connection required',
+        message: 'Please setup AWS connection to import resources',
+        needsConnection: true
+      });
+    }
+    if (!AWS_REGIONS.includes(region)) {
+      return res.status(400).json({
+        error: 'Invalid region',
+        message: `${region} is not a supported AWS region`
+      });
+    }
+
+    const request = validateImportRequest(resources);
+    if (request.error) {
+      return res.status(400).json({ error: 'Invalid import', message: request.error });
+    }
+
+    let credentials;
+    try {
+      credentials = await credentialBroker.get(roleArn, externalId, { userId: req.user.id });
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Failed to assume role',
+        message: error.message
+      });
+    }
+
+    const overQuota = await quotas.consume(quotaSubjects(req), 'plans');
+    if (overQuota) {
+      return quotaExceeded(res, overQuota);
+    }
+
+    const actionId = newActionId();
+    const accountId = accountIdFromRoleArn(roleArn);
+    const logChannel = isValidStreamId(streamId) ? streamId : actionId;
+    const imports = assignAddresses(request.resources)
+      .map(resource => ({ ...resource, arn: IMPORTABLE_TYPES[resource.type].arn(resource.id, region, accountId) }));
+
+    console.log(`📥 Planning import of ${imports.length} resource(s) in ${region}:`, imports.map(({ address }) => address).join(', '));
+
+    const auditAction = { id: actionId, type: 'apply', owner: actionOwner(roleArn, externalId, req.user.id), accountId };
+
+    let planOutput;
+    let stateBackend;
+    try {
+      stateBackend = await resolveStateBackend(accountId, actionId, credentials);
+      planOutput = await withLogChannel(logChannel, actionOwner(roleArn, externalId, req.user.id), () =>
+        planImport(actionId, imports, credentials, { region, stateBackend, channel: logChannel })
+      );
+    } catch (error) {
+      console.error('❌ Import plan failed:', error);
+      auditPlan({ ...auditAction, terraformCode: error.terraformCode }, { source: 'import', error });
+
+      if (error.message === 'TERRAFORM_CANCELLED') {
+        return res.status(409).json({
+          error: 'Cancelled',
+          message: 'Terraform plan was cancelled',
+          cancelled: true
+        });
+      }
+
+      if (error.message === 'PERMISSION_UPDATE_REQUIRED') {
+        return res.status(403).json({
+          error: 'Permission update required',
+          message: 'PERMISSION_UPDATE_REQUIRED',
+          needsPermissionUpdate: true,
+          missingActions: error.missingActions
+        });
+      }
+
+      return res.status(422).json({
+        error: 'Import plan failed',
+        message: error.message,
+        terraformCode: error.terraformCode,
+        validation: error.validation
+      });
+    }
+
+    const { planSummary } = planOutput;
+    const explanation = describePlan(planSummary, region);
+
+    // An import should only adopt resources; anything else means the generated
+    // configuration doesn't match what exists
+    if (planSummary.create + planSummary.update + planSummary.delete > 0) {
+      auditPlan({ ...auditAction, terraformCode: planOutput.terraformCode }, {
+        source: 'import',
+        error: new Error('The generated configuration would change the imported resources')
+      });
+      return res.status(422).json({
+        error: 'Import would change resources',
+        message: `❌ The generated configuration doesn't match these resources exactly, so importing them would change them:\n${explanation.resources.filter(line => !line.startsWith('Import')).map(line => `• ${line}`).join('\n')}\n\nNothing was imported.`,
+        terraformCode: planOutput.terraformCode,
+        plan: planOutput.plan,
+        planSummary,
+        validation: planOutput.validation
+      });
+    }
+
+    const now = Date.now();
+    await actionStore.save(actionId, {
+      id: actionId,
+      type: 'apply',
+      status: 'pending',
+      owner: actionOwner(roleArn, externalId, req.user.id),
+      accountId,
+      stateBackend,
+      message: `Import ${imports.map(({ id }) => id).join(', ')}`,
+      resourceType: 'import',
+      resourceConfig: { region },
+      terraformCode: planOutput.terraformCode,
+      importedResources: imports,
+      policy: { decision: 'pass', violations: [] },
+      plannedResources: [],
+      savedPlan: planOutput.savedPlan,
+      createdAt: now,
+      expiresAt: now + PENDING_TTL_MS
+    });
+
+    auditPlan({ ...auditAction, terraformCode: planOutput.terraformCode }, { source: 'import', planOutput });
+    cleanupOldActions();
+
+    console.log(`📋 Planned import for action: ${actionId}`);
+
+    res.json({
+      requiresConfirmation: true,
+      actionId,
+      logChannel,
+      message: `📥 I'll bring ${imports.length} existing resource${imports.length === 1 ? '' : 's'} in ${region} under management. The plan changes nothing in AWS: Terraform records ${imports.length === 1 ? 'it' : 'them'} in state, then I tag ${imports.length === 1 ? 'it' : 'them'} ${MANAGED_BY_TAG.Key} = "${MANAGED_BY_TAG.Value}" so ${imports.length === 1 ? 'it shows' : 'they show'} up in your inventory.`,
+      terraformCode: planOutput.terraformCode,
+      plan: planOutput.plan,
+      planSummary,
+      generatedBy: 'import',
+      resources: explanation.resources,
+      estimatedCost: 'No new cost - these resources already exist',
+      validation: planOutput.validation,
+      policy: { decision: 'pass', violations: [] },
+      blocked: false,
+      warnings: [
+        '⚠️ Once imported, destroying this action deletes these resources',
+        ...describeDiagnostics(planOutput.validation.diagnostics)
+      ]
+    });
+
+  } catch (error) {
+    console.error('❌ Import error:', error);
+    res.status(500).json({
+      error: 'Failed to plan import',
+      message: error.message
+    });
+  }
+});
+
+// Latest drift report of every applied action, and the connection's schedule
+router.get('/drift', async (req, res) => {
+  try {
+    const { roleArn, externalId } = req.body;
+
+    if (!roleArn || !externalId) {
+      return res.status(401).json({
+        error: 'AWS connection required',
+        message: 'Please setup AWS connection to check for drift'
+      });
+    }
+
+    const owner = actionOwner(roleArn, externalId, req.user.id);
+    const actions = await appliedActions(owner);
+
+    res.json({
+      reports: actions.map(action => ({
+        actionId: action.id,
+        message: action.message,
+        region: action.resourceConfig.region,
+        appliedAt: action.appliedAt,
+        drift: action.drift || null
+      })),
+      schedule: await driftScheduler.status(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('❌ Drift report error:', error);
+    res.status(500).json({
+      error: 'Failed to load drift reports',
+      message: error.message
+    });
+  }
+});
+
+// Check applied actions for drift now (all of them, or actionIds)
+router.post('/drift/check', async (req, res) => {
+  try {
+    const { roleArn, externalId, actionIds, streamId } = req.body;
+
+    if (!roleArn || !externalId) {
+      return res.status(401).json({
+        error: 'AWS connection required',
+        message: 'Please setup AWS connection to check for drift'
+      });
+    }
+    if (actionIds !== undefined && (!Array.isArray(actionIds) || actionIds.some(id => typeof id !== 'string'))) {
+      return res.status(400).json({
+        error: 'actionIds must be a list of action IDs'
+      });
+    }
+
+    // Fail fast on a broken connection instead of after waiting in the queue
+    await credentialBroker.get(roleArn, externalId, { userId: req.user.id });
+
+    const subjects = quotaSubjects(req);
+    const overQuota = await quotas.checkConcurrent(subjects, activeJobs) || await quotas.consume(subjects, 'plans');
+    if (overQuota) {
+      return quotaExceeded(res, overQuota);
+    }
+
+    const job = await queueDriftCheck(roleArn, externalId, {
+      userId: req.user.id,
+      actionIds,
+      logChannel: isValidStreamId(streamId) ? streamId : undefined
+    });
+
+    console.log('📥 Queued drift check:', job.id);
+
+    res.status(202).json({
+      jobId: job.id,
+      logChannel: job.logChannel,
+      status: job.status,
+      position: job.position
+    });
+
+  } catch (error) {
+    console.error('❌ Drift check error:', error);
+    res.status(500).json({
+      error: 'Failed to queue drift check',
+      message: error.message
+    });
+  }
+});
+
+// Turn scheduled drift checks on or off for a connection
+router.post('/drift/schedule', async (req, res) => {
+  try {
+    const { roleArn, externalId, enabled = true, intervalHours } = req.body;
+
+    if (!roleArn || !externalId) {
+      return res.status(401).json({
+        error: 'AWS connection required',
+        message: 'Please setup AWS connection to schedule drift checks'
+      });
+    }
+
+    if (!enabled) {
+      console.log('⏰ Drift checks unscheduled for:', roleArn);
+      return res.json({ schedule: await driftScheduler.disable(req.user.id) });
+    }
+
+    await credentialBroker.get(roleArn, externalId, { userId: req.user.id });
+
+    const schedule = await driftScheduler.enable(req.user.id, { intervalHours });
+    if (schedule.error) {
+      return res.status(400).json({ error: 'Invalid schedule', message: schedule.error });
+    }
+
+    console.log(`⏰ Drift checks scheduled every ${schedule.intervalHours}h for:`, roleArn);
+    res.json({ schedule });
+
+  } catch (error) {
+    console.error('❌ Drift schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to schedule drift checks',
+      message: error.message
+    });
+  }
+});
+
+// Plan putting a drifted action's resources back the way its configuration
+// says; confirmed through /apply like any other action
+router.post('/drift/reconcile', async (req, res) => {
+  try {
+    const { actionId, roleArn, externalId, streamId } = req.body;
+
+    if (!actionId || !roleArn || !externalId) {
+      return res.status(400).json({
+        error: 'Missing required parameters'
+      });
+    }
+
+    const appliedAction = await actionStore.get(actionId);
+
+    if (!appliedAction) {
+      return res.status(404).json({
+        error: 'Action not found'
+      });
+    }
+
+    if (!isActionOwner(appliedAction, roleArn, externalId, req.user.id)) {
+      return res.status(403).json({
+        error: 'Action belongs to a different AWS connection'
+      });
+    }
+
+    if (appliedAction.type !== 'apply' || appliedAction.status !== 'applied') {
+      return res.status(409).json({
+        error: 'Only applied actions can be reconciled'
+      });
+    }
+
+    if (!appliedAction.stateBackend && !(await hasState(actionId))) {
+      return res.status(410).json({
+        error: 'Terraform state for this action is no longer available'
+      });
+    }
+
+    const credentials = await credentialBroker.get(roleArn, externalId, { userId: req.user.id });
+
+    const overQuota = await quotas.consume(quotaSubjects(req), 'plans');
+    if (overQuota) {
+      return quotaExceeded(res, overQuota);
+    }
+
+    const reconcileActionId = newActionId();
+    const logChannel = isValidStreamId(streamId) ? streamId : reconcileActionId;
+
+    const auditAction = {
+      id: reconcileActionId,
+      type: 'reconcile',
+      owner: appliedAction.owner,
+      accountId: appliedAction.accountId,
+      targetActionId: actionId,
+      terraformCode: appliedAction.terraformCode
+    };
+
+    let planOutput;
+    try {
+      planOutput = await withLogChannel(logChannel, appliedAction.owner, () =>
+        workspaceLocks.withWorkspace(actionId, () =>
+          planTerraform(actionId, appliedAction, credentials, { stateBackend: appliedAction.stateBackend, channel: logChannel }),
+        { holder: reconcileActionId })
+      );
+    } catch (error) {
+      auditPlan(auditAction, { source: 'drift', error });
+      throw error;
+    }
+
+    if (planOutput.planSummary.resources.length === 0) {
+      auditPlan(auditAction, { source: 'drift', planOutput });
+      return res.json({
+        requiresConfirmation: false,
+        message: '✅ These resources already match their Terraform configuration. Nothing to reconcile.'
+      });
+    }
+
+    const preflight = await runPreflight(planOutput.resources, { roleArn, credentials });
+
+    const now = Date.now();
+    await actionStore.save(reconcileActionId, {
+      id: reconcileActionId,
+      type: 'reconcile',
+      status: 'pending',
+      owner: appliedAction.owner,
+      accountId: appliedAction.accountId,
+      targetActionId: actionId,
+      stateBackend: appliedAction.stateBackend,
+      message: `Reconcile drift for ${actionId}`,
+      resourceType: appliedAction.resourceType,
+      resourceConfig: appliedAction.resourceConfig,
+      terraformCode: appliedAction.terraformCode,
+      policy: {
+        decision: planOutput.policy.decision,
+        violations: planOutput.policy.violations
+      },
+      plannedResources: planOutput.resources.map(({ address, type }) => ({ address, type })),
+      savedPlan: planOutput.savedPlan,
+      preflight,
+      createdAt: now,
+      expiresAt: now + PENDING_TTL_MS
+    });
+
+    auditPlan(auditAction, { source: 'drift', planOutput });
+    cleanupOldActions();
+
+    const blocked = planOutput.policy.decision === 'deny';
+    console.log('📋 Planned drift reconcile for action:', actionId);
+
+    res.json({
+      requiresConfirmation: true,
+      actionId: reconcileActionId,
+      targetActionId: actionId,
+      logChannel,
+      message: blocked
+        ? '⛔ Putting these resources back would break your organization\'s policies, so it can\'t be applied.'
+        : `🔁 I'll put the resources from ${actionId} back the way their Terraform configuration describes, undoing the changes made outside Terraform:`,
+      terraformCode: appliedAction.terraformCode,
+      plan: planOutput.plan,
+      planSummary: planOutput.planSummary,
+      resources: describePlan(planOutput.planSummary, appliedAction.resourceConfig.region).resources,
+      estimatedCost: formatCost(planOutput.costEstimate),
+      costEstimate: planOutput.costEstimate,
+      policy: planOutput.policy,
+      blocked,
+      preflight,
+      warnings: [
+        '⚠️ Changes made by hand to these resources will be overwritten',
+        ...planWarnings(planOutput.policy, preflight)
+      ]
+    });
+
+  } catch (error) {
+    console.error('❌ Reconcile plan error:', error);
+
+    if (error.message === 'WORKSPACE_BUSY') {
+      return workspaceBusy(res);
+    }
+
+    if (error.message === 'TERRAFORM_CANCELLED') {
+      return res.status(409).json({
+        error: 'Cancelled',
+        message: 'Terraform plan was cancelled',
+        cancelled: true
+      });
+    }
+
+    if (error.message === 'PERMISSION_UPDATE_REQUIRED') {
+      return res.status(403).json({
+        error: 'Permission update required',
+        message: 'PERMISSION_UPDATE_REQUIRED',
+        needsPermissionUpdate: true,
+        missingActions: error.missingActions
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to plan reconcile',
+      message: error.message
+    });
+  }
+});
+
+// The user said no to a pending plan; recorded so the trail shows the decision
+router.post('/decline', async (req, res) => {
+  try {
+    const { actionId, roleArn, externalId } = req.body;
+
+    if (!actionId || !roleArn || !externalId) {
+      return res.status(400).json({
+        error: 'Missing required parameters'
+      });
+    }
+
+    const pendingAction = await actionStore.get(actionId);
+
+    if (!pendingAction) {
+      return res.status(404).json({
+        error: 'Action not found or expired'
+      });
+    }
+
+    if (!isActionOwner(pendingAction, roleArn, externalId, req.user.id)) {
+      return res.status(403).json({
+        error: 'Action belongs to a different AWS connection'
+      });
+    }
+
+    if (!['pending', 'failed'].includes(pendingAction.status)) {
+      return res.status(409).json({
+        error: `Action is already ${pendingAction.status}`
+      });
+    }
+
+    const declined = await actionStore.transition(actionId, ['pending', 'failed'], { status: 'declined', updatedAt: Date.now() });
+    if (!declined) {
+      return res.status(409).json({
+        error: 'Action was confirmed meanwhile'
+      });
+    }
+
+    const target = pendingAction.targetActionId ? await actionStore.get(pendingAction.targetActionId) : null;
+    auditConfirm(target ? { ...pendingAction, terraformCode: target.terraformCode } : pendingAction, {
+      decision: 'cancelled',
+      result: 'cancelled'
+    });
+
+    console.log('🙅 Action declined:', actionId);
+    res.json({ actionId, status: 'declined' });
+
+  } catch (error) {
+    console.error('❌ Decline error:', error);
+    res.status(500).json({
+      error: 'Failed to decline action',
+      message: error.message
+    });
+  }
+});
+
+// Query the audit trail, or export it as JSONL/CSV. The trail spans every
+// connection, so only users listed in AUDIT_ADMIN_USERS (user IDs, as
+// /auth/me shows them) may read it, and every read is itself recorded.
+router.get('/audit', async (req, res) => {
+  try {
+    const admins = (process.env.AUDIT_ADMIN_USERS || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (admins.length === 0) {
+      return res.status(503).json({
+        error: 'Audit API disabled',
+        message: 'Set AUDIT_ADMIN_USERS to enable the audit API'
+      });
+    }
+
+    if (!admins.includes(req.user.id)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only audit administrators can read the audit log'
+      });
+    }
+
+    const { event, actor, accountId, roleArn, actionId, decision, result, from, to, format = 'json' } = req.query;
+
+    if (event && !EVENTS.includes(event)) {
+      return res.status(400).json({ error: 'Invalid filter', message: `event must be one of ${EVENTS.join(', ')}` });
+    }
+    if (!['json', 'jsonl', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format', message: 'format must be json, jsonl or csv' });
+    }
+
+    const range = {};
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value === undefined) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ error: 'Invalid filter', message: `${name} must be a date or ISO timestamp` });
+      }
+      range[name] = date.toISOString();
+    }
+
+    const limit = req.query.limit === undefined ? (format === 'json' ? 1000 : undefined) : Number(req.query.limit);
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      return res.status(400).json({ error: 'Invalid filter', message: 'limit must be a positive integer' });
+    }
+
+    const filters = { event, actor, accountId, roleArn, actionId, decision, result, ...range, limit };
+    const entries = await audit.query(filters);
+    audit.record('audit-read', {
+      actor: `user:${req.user.id}`,
+      result: 'succeeded',
+      details: { format, count: entries.length, filters: JSON.parse(JSON.stringify(filters)) }
+    });
+
+    if (format === 'json') {
+      return res.json({ entries, count: entries.length });
+    }
+
+    const filename = `terraform-ai-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+    res.send(format === 'csv' ? toCsv(entries) : toJsonl(entries));
+
+  } catch (error) {
+    console.error('❌ Audit query error:', error);
+    res.status(500).json({
+      error: 'Failed to query audit log',
+      message: error.message
+    });
+  }
+});
+
+// Live Terraform output for an action (Server-Sent Events)
+router.get('/actions/:channelId/logs', (req, res) => {
+  const { channelId } = req.params;
+
+  if (!/^[\w-]+$/.test(channelId)) {
+    return res.status(400).json({ error: 'Invalid action ID' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Clients subscribe before their run opens the channel, so ownership is
+  // checked per event: nothing goes out unless the run is this user's
+  const unsubscribe = subscribe(channelId, (event) => {
+    // Nothing opened this channel in time; the browser reconnects if it still cares
+    if (event.type === 'expired') {
+      res.end();
+      return;
+    }
+
+    if (!event.owner || event.owner.userId !== req.user.id) {
+      return;
+    }
+    if (event.type === 'end') {
+      res.write(`event: end\ndata: ${JSON.stringify({ status: event.status })}\n\n`);
+      return;
+    }
+    res.write(`data: ${JSON.stringify({ stream: event.stream, line: event.line, timestamp: event.timestamp })}\n\n`);
+  });
+
+  // Keep proxies from closing an idle stream during long applies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Cancel a running plan/apply/destroy
+router.post('/actions/:channelId/cancel', (req, res) => {
+  const { channelId } = req.params;
+  const { roleArn, externalId } = req.body;
+
+  if (!roleArn || !externalId) {
+    return res.status(400).json({
+      error: 'Missing required parameters'
+    });
+  }
+
+  const owner = channelOwner(channelId);
+  if (!owner) {
+    return res.status(404).json({
+      error: 'No Terraform run found for this action'
+    });
+  }
+
+  if (!isActionOwner({ owner }, roleArn, externalId, req.user.id)) {
+    return res.status(403).json({
+      error: 'Action belongs to a different AWS connection'
+    });
+  }
+
+  const cancelled = requestCancel(channelId);
+  console.log(cancelled ? '🛑 Cancelling Terraform run:' : 'ℹ️ Nothing running for:', channelId);
+
+  res.json({
+    cancelled,
+    message: cancelled ? 'Cancellation requested' : 'Terraform run already finished'
+  });
+});
+
+// Credentials for a job, fetched again before each command: the cached
+// session while it has JOB_MIN_VALIDITY_MS left, a new one otherwise
+function jobCredentials(roleArn, externalId, { userId, actionId }) {
+  return () => credentialBroker.get(roleArn, externalId, { userId, actionId, minValidityMs: JOB_MIN_VALIDITY_MS });
+}
+
+// Apply job: run the reviewed Terraform for an action
+async function runApplyJob(job, { roleArn, externalId }) {
+  const action = await actionStore.transition(job.actionId, ['queued'], { status: 'applying', updatedAt: Date.now() });
+  if (!action) {
+    throw new Error('Action not found or no longer queued');
+  }
+
+  console.log('🚀 Executing action:', action.id);
+  console.log('📦 Resource type:', action.resourceType);
+
+  // A reconcile re-applies another action's configuration in that action's workspace
+  const workspaceId = action.targetActionId || action.id;
+
+  let result;
+  try {
+    const credentials = jobCredentials(roleArn, externalId, { userId: job.owner.userId, actionId: action.id });
+    result = await withLogChannel(action.id, action.owner, () =>
+      workspaceLocks.withWorkspace(workspaceId, () =>
+        applyTerraform(workspaceId, action, credentials, { channel: action.id }),
+      { holder: job.id, wait: true, channel: action.id })
+    );
+  } catch (error) {
+    await actionStore.save(action.id, {
+      ...action,
+      status: 'failed',
+      lastError: error.message,
+      replanRequired: error.message === 'REPLAN_REQUIRED',
+      updatedAt: Date.now()
+    });
+    auditResult('apply', action, { job, error });
+    throw jobError(error);
+  }
+
+  // Applied actions are kept (without expiry) as the record of what was created
+  await actionStore.save(action.id, {
+    ...action,
+    status: 'applied',
+    outputs: result.outputs,
+    appliedAt: Date.now(),
+    updatedAt: Date.now(),
+    expiresAt: null
+  });
+
+  if (action.type === 'reconcile') {
+    const target = await actionStore.get(action.targetActionId);
+    if (target) {
+      await actionStore.save(target.id, {
+        ...target,
+        drift: { status: 'in-sync', checkedAt: new Date().toISOString(), resources: [], reconciledBy: action.id },
+        updatedAt: Date.now()
+      });
+    }
+  }
+
+  console.log('✅ Terraform apply complete:', action.id);
+  auditResult('apply', action, { job, outputs: result.outputs });
+
+  return {
+    actionId: action.id,
+    message: result.message,
+    outputs: result.outputs,
+    applyOutput: result.applyOutput
+  };
+}
+
+// Destroy job: tear down what an applied action created
+async function runDestroyJob(job, { roleArn, externalId }) {
+  const appliedAction = await actionStore.get(job.targetActionId);
+  if (!appliedAction) {
+    throw new Error('Action not found');
+  }
+  const destroyAction = await actionStore.transition(job.actionId, ['queued'], { status: 'applying', updatedAt: Date.now() });
+  if (!destroyAction) {
+    throw new Error('Action not found or no longer queued');
+  }
+
+  console.log('🗑️ Destroying resources for action:', appliedAction.id);
+
+  let result;
+  try {
+    const credentials = jobCredentials(roleArn, externalId, { userId: job.owner.userId, actionId: destroyAction.id });
+    result = await withLogChannel(destroyAction.id, destroyAction.owner, () =>
+      workspaceLocks.withWorkspace(appliedAction.id, () =>
+        destroyTerraform(appliedAction.id, appliedAction, credentials, { channel: destroyAction.id }),
+      { holder: job.id, wait: true, channel: destroyAction.id })
+    );
+  } catch (error) {
+    await actionStore.save(destroyAction.id, {
+      ...destroyAction,
+      status: 'failed',
+      lastError: error.message,
+      updatedAt: Date.now()
+    });
+    auditResult('destroy', { ...destroyAction, terraformCode: appliedAction.terraformCode }, { job, error });
+    throw jobError(error);
+  }
+
+  const now = Date.now();
+  await actionStore.save(destroyAction.id, {
+    ...destroyAction,
+    status: 'applied',
+    removed: result.removed,
+    appliedAt: now,
+    updatedAt: now,
+    expiresAt: null
+  });
+  await actionStore.save(appliedAction.id, {
+    ...appliedAction,
+    status: 'destroyed',
+    destroyedBy: destroyAction.id,
+    destroyedAt: now,
+    updatedAt: now
+  });
+
+  console.log('✅ Terraform destroy complete:', appliedAction.id);
+  auditResult('destroy', { ...destroyAction, terraformCode: appliedAction.terraformCode }, {
+    job,
+    details: { removed: result.removed }
+  });
+
+  return {
+    message: result.message,
+    removed: result.removed,
+    emptiedBuckets: result.emptiedBuckets
+  };
+}
+
+// Drift job: refresh-only plans for a connection's applied actions. Each
+// action's latest report is kept on it as action.drift.
+async function runDriftJob(job, { roleArn, externalId }) {
+  const credentials = jobCredentials(roleArn, externalId, { userId: job.owner.userId });
+  // A broken connection fails the whole check, not each action in turn
+  await credentials();
+  const actions = (await appliedActions(job.owner))
+    .filter(action => !job.actionIds || job.actionIds.includes(action.id));
+
+  console.log(`🔍 Checking drift for ${actions.length} action(s)`);
+
+  const reports = await withLogChannel(job.logChannel, job.owner, async () => {
+    const checked = [];
+
+    for (const action of actions) {
+      let report;
+      if (!action.stateBackend && !(await hasState(action.id))) {
+        report = { status: 'unavailable', error: 'Terraform state for this action is no longer available' };
+      } else {
+        try {
+          const { resources } = await workspaceLocks.withWorkspace(action.id, () =>
+            checkDrift(action.id, action, credentials, { channel: job.logChannel }),
+          { holder: job.id, wait: true, channel: job.logChannel });
+          report = { status: resources.length > 0 ? 'drifted' : 'in-sync', resources };
+        } catch (error) {
+          if (error.message === 'TERRAFORM_CANCELLED') throw error;
+          report = { status: 'error', error: error.message };
+        }
+      }
+
+      const drift = { ...report, checkedAt: new Date().toISOString() };
+      audit.record('drift-check', {
+        ...auditFields(action),
+        actor: job.scheduled ? 'scheduler' : connectionActor(job.owner),
+        result: drift.status,
+        error: drift.error,
+        details: { jobId: job.id, resources: (drift.resources || []).map(({ address, change }) => ({ address, change })) }
+      });
+      const latest = await actionStore.get(action.id);
+      if (latest) {
+        await actionStore.save(action.id, { ...latest, drift, updatedAt: Date.now() });
+      }
+      checked.push({ actionId: action.id, message: action.message, region: action.resourceConfig.region, drift });
+    }
+
+    return checked;
+  });
+
+  const drifted = reports.filter(({ drift }) => drift.status === 'drifted');
+  const failed = reports.filter(({ drift }) => drift.status === 'error');
+
+  return {
+    message: drifted.length > 0
+      ? `⚠️ ${drifted.length} of ${reports.length} action${reports.length === 1 ? ' has' : 's have'} drifted from what Terraform recorded. Review the differences and reconcile them from the Resources panel.`
+      : `✅ Checked ${reports.length} action${reports.length === 1 ? '' : 's'}: no drift found.${failed.length > 0 ? ` ${failed.length} couldn't be checked.` : ''}`,
+    reports
+  };
+}
+
+// Shown when a saved plan can't be applied as it was reviewed
+const REPLAN_MESSAGE = 'Re-plan required: your AWS resources or the Terraform providers changed since this plan was reviewed, so it can no longer be applied as approved. Ask for the change again to get a fresh plan.';
+
+// Put the details clients need to react to a failure on the error
+function jobError(error) {
+  if (error.message === 'PERMISSION_UPDATE_REQUIRED') {
+    error.details = { needsPermissionUpdate: true, missingActions: error.missingActions };
+  }
+  if (error.message === 'REPLAN_REQUIRED') {
+    error.message = REPLAN_MESSAGE;
+    error.details = { replanRequired: true };
+  }
+  return error;
+}
+
+// A job cancelled while queued leaves its action ready to confirm again
+async function resetQueuedAction(job) {
+  const action = await actionStore.transition(job.actionId, ['queued'], {
+    status: 'failed',
+    lastError: 'Cancelled',
+    updatedAt: Date.now()
+  });
+  if (action) {
+    auditResult(job.type, action, { job, error: new Error('TERRAFORM_CANCELLED') });
+  }
+}
+
+// So does a job lost to a restart, whether it had started or not
+async function resetInterruptedAction(job) {
+  const action = await actionStore.transition(job.actionId, ['queued', 'applying'], {
+    status: 'failed',
+    lastError: job.error,
+    updatedAt: Date.now()
+  });
+  if (action) {
+    console.log('♻️ Action interrupted by a restart is ready to confirm again:', action.id);
+    auditResult(job.type, action, { job, error: new Error(job.error) });
+  }
+}
+
+jobQueue.register('apply', runApplyJob, { onCancelled: resetQueuedAction, onInterrupted: resetInterruptedAction });
+jobQueue.register('destroy', runDestroyJob, { onCancelled: resetQueuedAction, onInterrupted: resetInterruptedAction });
+jobQueue.register('drift', runDriftJob);
+
+// Actions of a connection whose resources currently exist
+async function appliedActions(owner) {
+  return (await actionStore.list())
+    .filter(action => action.type === 'apply' && action.status === 'applied' && action.owner &&
+      action.owner.userId === owner.userId &&
+      action.owner.roleArn === owner.roleArn && action.owner.externalIdHash === owner.externalIdHash)
+    .sort((a, b) => (b.appliedAt || 0) - (a.appliedAt || 0));
+}
+
+async function queueDriftCheck(roleArn, externalId, { userId, actionIds, logChannel = newActionId(), scheduled } = {}) {
+  return jobQueue.enqueue('drift', {
+    accountId: accountIdFromRoleArn(roleArn),
+    owner: actionOwner(roleArn, externalId, userId),
+    logChannel,
+    actionIds,
+    scheduled
+  }, { roleArn, externalId });
+}
+
+// Audit fields every event about an action carries
+function auditFields(action) {
+  return {
+    actor: connectionActor(action.owner),
+    accountId: action.accountId,
+    roleArn: action.owner && action.owner.roleArn,
+    actionId: action.id,
+    actionType: action.type,
+    targetActionId: action.targetActionId,
+    codeHash: codeHash(action.terraformCode) || undefined
+  };
+}
+
+const auditOutcome = (error) => !error ? 'succeeded' : error.message === 'TERRAFORM_CANCELLED' ? 'cancelled' : 'failed';
+
+// A plan that finished (planOutput) or didn't (error); source says what asked for it
+function auditPlan(action, { source, planOutput, error }) {
+  const summary = planOutput && planOutput.planSummary;
+  audit.record('plan', {
+    ...auditFields(action),
+    result: error ? auditOutcome(error) : 'planned',
+    error: error ? error.message : undefined,
+    details: {
+      source,
+      ...(summary ? { create: summary.create, update: summary.update, delete: summary.delete, import: summary.import } : {}),
+      ...(planOutput && planOutput.policy ? { policy: planOutput.policy.decision } : {})
+    }
+  });
+}
+
+// The user's answer to a plan; result says what came of it
+function auditConfirm(action, { decision = 'approved', result, error, details }) {
+  audit.record('confirm', { ...auditFields(action), decision, result, error, details });
+}
+
+// How an apply or destroy job ended
+function auditResult(event, action, { job, outputs, error, details }) {
+  audit.record(event, {
+    ...auditFields(action),
+    result: auditOutcome(error),
+    outputs,
+    error: error ? error.message : undefined,
+    details: { jobId: job.id, ...details }
+  });
 }
 
 async function generateAnswer(question) {
+  const modelAnswer = await llm.answerQuestion(question);
+  if (modelAnswer) {
+    return modelAnswer;
+  }
+
   const knowledgeBase = {
     's3': 'Amazon S3 (Simple Storage Service) is object storage for any amount of data. Use it for backups, static websites, data lakes, and application data. It offers high durability (99.999999999%), multiple storage classes, and lifecycle policies to optimize costs.',
     'ec2': 'Amazon EC2 (Elastic Compute Cloud) provides resizable virtual servers. Choose from various instance types optimized for compute, memory, storage, or GPU workloads. Pay only for what you use with on-demand pricing, or save up to 75% with Reserved Instances.',
@@ -249,210 +2591,576 @@ async function generateAnswer(question) {
   return 'I can help with AWS and Terraform! Ask about S3, EC2, Lambda, VPC, pricing, or tell me what infrastructure to create.';
 }
 
-async function generateTerraformPlan(request) {
-  const lowerRequest = request.toLowerCase();
-  
-  if (lowerRequest.includes('s3') && lowerRequest.includes('bucket')) {
-    const bucketName = `terraform-ai-${Date.now()}`;
-    
-    return {
-      resourceType: 's3-bucket',
-      resourceConfig: { bucketName },
-      summary: `I'll create an S3 bucket in your AWS account with the following features:`,
-      terraformCode: `terraform {
-  required_providers {
-    aws = {
-      source  = "hashicorp/aws"
-      version = "~> 5.0"
-    }
+// Cost notes for the resource a message asks about, from its generator
+async function explainCost(message) {
+  const generator = findGenerator(message);
+  if (!generator) {
+    return generateAnswer(message);
   }
-}
 
-provider "aws" {
-  region = "us-east-1"
+  const { config } = resolveParameters(generator, message);
+  const estimate = estimateCost(generator.costResources(config), config.region);
+  const lines = estimate.lineItems.map(item => `• ${item.description}: $${item.monthly.toFixed(2)}`);
+
+  return `💰 ${generator.label}: ${formatCost(estimate)} in ${config.region}${lines.length ? `\n${lines.join('\n')}` : ''}\n\nAssumptions:\n${estimate.assumptions.map(assumption => `• ${assumption}`).join('\n')}\n\nAsk me to create one to see the full Terraform plan and an estimate based on it first.`;
 }
 
-resource "aws_s3_bucket" "main" {
-  bucket = "${bucketName}"
+// Policy and permission lines for a plan's warnings list
+function planWarnings(policy, preflight) {
+  return [
+    ...describeViolations(policy),
+    ...(preflight.status === 'missing'
+      ? [`🔑 Your role is missing ${preflight.missing.length} permission${preflight.missing.length === 1 ? '' : 's'} this plan needs: ${preflight.missing.map(({ action }) => action).join(', ')}`]
+      : preflight.status === 'unverified'
+        ? ['🔑 Your role\'s permissions couldn\'t be checked in advance (it needs iam:SimulatePrincipalPolicy)']
+        : [])
+  ];
+}
 
-  tags = {
-    Name        = "Terraform AI Bucket"
-    Environment = "Development"
-    ManagedBy   = "TerraformAI"
-    CreatedAt   = "${new Date().toISOString()}"
-  }
+// Words for resource types in plain-language descriptions, e.g. aws_db_instance -> RDS database
+const TYPE_LABELS = {
+  aws_instance: 'EC2 instance',
+  aws_db_instance: 'RDS database',
+  aws_eip: 'Elastic IP address',
+  aws_lb: 'load balancer',
+  aws_alb: 'load balancer'
+};
+const ACRONYMS = ['s3', 'ec2', 'ebs', 'iam', 'vpc', 'kms', 'sns', 'sqs', 'rds', 'db', 'api', 'nat', 'acl', 'ecr', 'ecs', 'eks'];
+
+function resourceLabel(type) {
+  if (TYPE_LABELS[type]) return TYPE_LABELS[type];
+  return type.replace(/^aws_/, '').split('_')
+    .map(word => ACRONYMS.includes(word) ? word.toUpperCase() : word)
+    .join(' ');
 }
 
-resource "aws_s3_bucket_versioning" "main" {
-  bucket = aws_s3_bucket.main.id
+// Plain-language { summary, resources } of a plan, when the model can't explain it
+function describePlan(planSummary, region) {
+  const verbs = { create: 'Create', update: 'Update', replace: 'Replace', delete: 'Delete', import: 'Import' };
+  const resources = planSummary.resources.map(({ address, type, action }) =>
+    `${verbs[action]} ${resourceLabel(type)} (${address})`);
 
-  versioning_configuration {
-    status = "Enabled"
-  }
+  const counts = ['import', 'create', 'update', 'delete']
+    .filter(action => planSummary[action] > 0)
+    .map(action => `${action} ${planSummary[action]}`);
+
+  return {
+    summary: counts.length > 0
+      ? `📄 Applying this configuration in ${region} will ${counts.join(', ')} resource${resources.length === 1 ? '' : 's'}. Review the plan below before confirming.`
+      : `📄 This configuration doesn't change anything in ${region}.`,
+    resources
+  };
 }
 
-resource "aws_s3_bucket_server_side_encryption_configuration" "main" {
-  bucket = aws_s3_bucket.main.id
+// Chat reply for a "what do I have" question
+function describeInventory({ resources, errors }) {
+  if (resources.length === 0) {
+    return errors.length > 0
+      ? `I couldn't list your resources: ${errors.map(error => `${error.region}: ${error.message}`).join('; ')}`
+      : 'Terraform AI isn\'t managing any resources in your account right now.';
+  }
 
-  rule {
-    apply_server_side_encryption_by_default {
-      sse_algorithm = "AES256"
-    }
+  const byService = {};
+  for (const resource of resources) {
+    byService[resource.service] = (byService[resource.service] || []).concat(resource.name || resource.arn);
   }
-}
 
-output "bucket_name" {
-  value = aws_s3_bucket.main.id
+  const lines = Object.entries(byService).map(([service, names]) => `• ${service} (${names.length}): ${names.join(', ')}`);
+  return `Terraform AI manages ${resources.length} resource${resources.length === 1 ? '' : 's'} in your account:\n${lines.join('\n')}\n\nOpen the Resources panel for regions, creation dates and source actions.`;
 }
 
-output "bucket_arn" {
-  value = aws_s3_bucket.main.arn
-}`,
-      plan: `Terraform will perform the following actions:
+async function generateTerraformPlan(request, { actionId, createdAt } = {}) {
+  const generated = await llm.generateTerraform(request, {
+    actionId,
+    supportedTypes: listGenerators().map(({ type }) => type)
+  });
+  if (generated) {
+    return generated;
+  }
 
-  # aws_s3_bucket.main will be created
-  + resource "aws_s3_bucket" "main" {
-      + bucket                      = "${bucketName}"
-      + bucket_domain_name          = (known after apply)
-      + region                      = "us-east-1"
-    }
+  const generator = findGenerator(request);
 
-Plan: 3 to add, 0 to change, 0 to destroy.`,
-      resources: [
-        'S3 Bucket with versioning enabled',
-        'Server-side encryption (AES256)',
-        'Resource tags for management'
-      ],
-      estimatedCost: '$0.023/month for 1GB storage. FREE for first 12 months (5GB free)',
-      warnings: [
-        '💰 You will be charged by AWS starting immediately',
-        '🌍 Bucket name must be globally unique',
-        '🗑️ Delete all objects before deleting bucket',
-        '💵 Data transfer costs $0.09/GB after 100GB/month',
-        '🔄 Run "terraform destroy" when done'
-      ]
-    };
+  if (generator) {
+    return generatorPlan(generator, resolveParameters(generator, request), { actionId, createdAt });
   }
 
+  const supported = listGenerators().map(({ label }) => label).join(', ');
+
   return {
     resourceType: 'unknown',
     resourceConfig: {},
-    summary: 'Please specify what AWS resource you want to create.',
+    parameters: [],
+    invalidParameters: [],
+    unresolved: [],
+    summary: `Please specify what AWS resource you want to create. I can build: ${supported}.`,
     terraformCode: '# Specify resource type',
-    plan: 'No plan available',
     resources: [],
     estimatedCost: 'Unknown',
     warnings: ['Specify a valid resource type']
   };
 }
 
-async function createAWSResource(resourceType, config, credentials) {
-  console.log('🔨 Creating resource:', resourceType);
-  
-  if (resourceType === 's3-bucket') {
-    return await createS3Bucket(config, credentials);
+// Apply a follow-up message to a session's draft plan
+async function reviseTerraformPlan(draft, request, { actionId, createdAt }) {
+  const revised = await llm.reviseTerraform(request, draft, {
+    actionId,
+    supportedTypes: listGenerators().map(({ type }) => type)
+  });
+  if (revised && revised.terraformCode.trim() !== draft.terraformCode.trim()) {
+    return revised;
+  }
+
+  const generator = getGenerator(draft.resourceType);
+  if (!generator) {
+    return {
+      resourceType: draft.resourceType,
+      parameters: [],
+      invalidParameters: [],
+      unresolved: [],
+      unchanged: true,
+      summary: 'I couldn\'t work out how to change the current draft. Try describing the whole resource again, e.g. "create an S3 bucket called my-logs in eu-west-1".'
+    };
   }
-  
-  throw new Error(`Unsupported resource type: ${resourceType}`);
-}
 
-async function createS3Bucket(config, credentials) {
-  const s3 = new AWS.S3({
-    accessKeyId: credentials.accessKeyId,
-    secretAccessKey: credentials.secretAccessKey,
-    sessionToken: credentials.sessionToken,
-    region: 'us-east-1'
+  const resolved = resolveParameters(generator, request, {
+    base: draft.resourceConfig,
+    requested: draft.requestedKeys
   });
 
-  try {
-    console.log('📦 Creating S3 bucket:', config.bucketName);
-    
-    await s3.createBucket({
-      Bucket: config.bucketName,
-      ObjectOwnership: 'BucketOwnerEnforced'
-    }).promise();
-    console.log('✅ Bucket created');
-
-    console.log('🔄 Enabling versioning...');
-    await s3.putBucketVersioning({
-      Bucket: config.bucketName,
-      VersioningConfiguration: {
-        Status: 'Enabled'
-      }
-    }).promise();
-    console.log('✅ Versioning enabled');
-
-    console.log('🔒 Enabling encryption...');
-    await s3.putBucketEncryption({
-      Bucket: config.bucketName,
-      ServerSideEncryptionConfiguration: {
-        Rules: [{
-          ApplyServerSideEncryptionByDefault: {
-            SSEAlgorithm: 'AES256'
-          }
-        }]
-      }
-    }).promise();
-    console.log('✅ Encryption enabled');
-
-    console.log('🏷️ Adding tags...');
-    await s3.putBucketTagging({
-      Bucket: config.bucketName,
-      Tagging: {
-        TagSet: [
-          { Key: 'Name', Value: 'Terraform AI Bucket' },
-          { Key: 'Environment', Value: 'Development' },
-          { Key: 'ManagedBy', Value: 'TerraformAI' },
-          { Key: 'CreatedAt', Value: new Date().toISOString() }
-        ]
-      }
-    }).promise();
-    console.log('✅ Tags added');
+  if (resolved.changedKeys.length === 0 && resolved.invalidParameters.length === 0) {
+    const adjustable = ['region', ...generator.parameters.map(({ label }) => label.toLowerCase()), 'tags'];
+    return {
+      resourceType: draft.resourceType,
+      parameters: resolved.parameters,
+      invalidParameters: [],
+      unresolved: resolved.unresolved,
+      unchanged: true,
+      summary: `That doesn't change the current draft. You can adjust the ${adjustable.join(', ')}.`
+    };
+  }
+
+  return generatorPlan(generator, resolved, { actionId, createdAt });
+}
+
+// Settings in a follow-up message that would change the draft
+function draftChanges(draft, message) {
+  const generator = getGenerator(draft.resourceType);
+  if (!generator) return [];
+
+  return resolveParameters(generator, message, {
+    base: draft.resourceConfig,
+    requested: draft.requestedKeys
+  }).changedKeys;
+}
 
-    const bucketUrl = `https://s3.console.aws.amazon.com/s3/buckets/${config.bucketName}`;
+function generatorPlan(generator, resolved, { actionId, createdAt }) {
+  const { config: resourceConfig, parameters, invalidParameters, unresolved, requestedKeys } = resolved;
 
+  if (invalidParameters.length > 0) {
     return {
-      resourceId: config.bucketName,
-      message: `✅ Successfully created S3 bucket!\n\n📦 Bucket: ${config.bucketName}\n🔗 Console: ${bucketUrl}\n\n✨ Features:\n• Versioning enabled\n• AES256 encryption\n• Management tags`,
-      outputs: {
-        bucket_name: config.bucketName,
-        bucket_region: 'us-east-1',
-        bucket_arn: `arn:aws:s3:::${config.bucketName}`,
-        console_url: bucketUrl,
-        created_at: new Date().toISOString()
-      }
+      resourceType: generator.type,
+      resourceConfig,
+      parameters,
+      invalidParameters,
+      unresolved,
+      summary: `I couldn't use some of the settings in your request:\n${invalidParameters
+        .map(({ label, input, error }) => `• ${label} (${input}): ${error}`)
+        .join('\n')}\n\nPlease fix them and ask again.`
     };
+  }
 
-  } catch (error) {
-    console.error('❌ S3 creation failed:', error);
-    
-    if (error.code === 'AccessDenied' || error.message.includes('not authorized')) {
-      if (error.message.includes('PutEncryptionConfiguration') || 
-          error.message.includes('PutBucketVersioning') ||
-          error.message.includes('PutBucketTagging')) {
-        throw new Error('PERMISSION_UPDATE_REQUIRED');
-      }
-    }
-    
-    if (error.code === 'BucketAlreadyExists') {
-      throw new Error(`Bucket "${config.bucketName}" already exists globally. Try again for a new unique name.`);
-    }
-    
-    if (error.code === 'InvalidBucketName') {
-      throw new Error(`Invalid bucket name. Must be 3-63 lowercase characters.`);
+  const costEstimate = estimateCost(generator.costResources(resourceConfig), resourceConfig.region);
+
+  return {
+    resourceType: generator.type,
+    resourceConfig,
+    requestedKeys,
+    parameters,
+    invalidParameters,
+    unresolved,
+    summary: generator.summary(resourceConfig),
+    terraformCode: generator.terraform(resourceConfig, { actionId, createdAt }),
+    resources: generator.resources(resourceConfig),
+    estimatedCost: formatCost(costEstimate),
+    costEstimate,
+    warnings: generator.warnings(resourceConfig)
+  };
+}
+
+// What a revision changed: code diff plus resources added/removed
+function draftDiff(draft, result) {
+  return {
+    fromVersion: draft.version,
+    code: unifiedDiff(draft.terraformCode, result.terraformCode),
+    resources: {
+      added: result.resources.filter(resource => !draft.resources.includes(resource)),
+      removed: draft.resources.filter(resource => !result.resources.includes(resource))
     }
-    
-    throw new Error(`Failed to create S3 bucket: ${error.message}`);
+  };
+}
+
+// Run a real plan for generated code and summarize what it will change
+async function planTerraform(actionId, result, credentials, { stateBackend, channel } = {}) {
+  const runCredentials = {
+    ...credentials,
+    region: result.resourceConfig.region || 'us-east-1'
+  };
+
+  const workDir = await generateTerraformFiles(actionId, result.terraformCode, runCredentials, {
+    backend: stateBackend,
+    channel
+  });
+
+  const planResult = await executeTerraform(workDir, 'plan', runCredentials, { channel });
+  if (!planResult.success) {
+    throw terraformError('plan', planResult);
+  }
+
+  const showResult = await executeTerraform(workDir, 'show', runCredentials);
+  if (!showResult.success) {
+    throw terraformError('show', showResult);
   }
+
+  // Price what the plan creates; fall back to the estimate from the resource config
+  const planned = plannedResources(showResult.output);
+  const costEstimate = planned.length > 0
+    ? estimateCost(planned, runCredentials.region)
+    : result.costEstimate || estimateCost([], runCredentials.region);
+
+  return {
+    plan: planResult.output,
+    planSummary: summarizePlan(showResult.output),
+    costEstimate,
+    policy: evaluatePolicies(planned, { region: runCredentials.region }),
+    resources: planned,
+    savedPlan: await readSavedPlan(workDir)
+  };
 }
 
-function cleanupOldActions() {
-  const tenMinutesAgo = Date.now() - (10 * 60 * 1000);
-  for (const [actionId, action] of pendingActions.entries()) {
-    if (action.timestamp < tenMinutesAgo) {
-      pendingActions.delete(actionId);
-    }
+// Generate configuration for resources being imported and plan the import.
+// Returns the combined code (import blocks plus generated resources) and its plan.
+async function planImport(actionId, imports, credentials, { region, stateBackend, channel } = {}) {
+  const runCredentials = { ...credentials, region };
+  const importConfig = renderImportConfig(imports, { region });
+
+  const workDir = await generateTerraformFiles(actionId, importConfig, runCredentials, {
+    backend: stateBackend,
+    channel
+  });
+
+  // Terraform writes the resource blocks even when the plan itself then fails
+  // on the missing configuration, so the result is judged by the file
+  const generateResult = await executeTerraform(workDir, 'plan-generate-config', runCredentials, { channel });
+  if (generateResult.cancelled) {
+    throw new Error('TERRAFORM_CANCELLED');
+  }
+
+  let generatedConfig;
+  try {
+    generatedConfig = await fs.readFile(path.join(workDir, GENERATED_CONFIG_FILE), 'utf8');
+  } catch (error) {
+    throw terraformError('plan', generateResult.success
+      ? { ...generateResult, error: 'Terraform generated no configuration for these resources' }
+      : generateResult);
+  }
+  await fs.rm(path.join(workDir, GENERATED_CONFIG_FILE), { force: true });
+
+  const { terraformCode, ...validation } = await validateTerraform(
+    combineGeneratedConfig(importConfig, generatedConfig),
+    { region }
+  );
+  if (validation.status === 'invalid') {
+    const error = new Error(`❌ The configuration Terraform generated for these resources didn't pass \`terraform validate\`:\n${describeDiagnostics(validation.diagnostics.filter(d => d.severity === 'error')).join('\n')}`);
+    error.terraformCode = terraformCode;
+    error.validation = validation;
+    throw error;
+  }
+
+  await writeConfigFiles(workDir, terraformCode, { region, backend: stateBackend });
+
+  const planResult = await executeTerraform(workDir, 'plan', runCredentials, { channel });
+  if (!planResult.success) {
+    throw terraformError('plan', planResult);
+  }
+
+  const showResult = await executeTerraform(workDir, 'show', runCredentials);
+  if (!showResult.success) {
+    throw terraformError('show', showResult);
+  }
+
+  return {
+    terraformCode,
+    validation,
+    plan: planResult.output,
+    planSummary: summarizePlan(showResult.output),
+    savedPlan: await readSavedPlan(workDir)
+  };
+}
+
+// Tag imported resources as the agent's, so the inventory finds them. Returns
+// a line for the apply message; a failure here doesn't undo the import.
+async function tagImportedResources(action, credentials) {
+  const tags = {
+    [MANAGED_BY_TAG.Key]: MANAGED_BY_TAG.Value,
+    ActionId: action.id,
+    ImportedAt: new Date().toISOString()
+  };
+
+  const failed = await tagResources(
+    action.importedResources.map(({ arn }) => arn),
+    tags,
+    credentials,
+    action.resourceConfig.region
+  );
+
+  if (failed.length === 0) {
+    return `🏷️ Tagged ${action.importedResources.length} imported resource${action.importedResources.length === 1 ? '' : 's'} ${MANAGED_BY_TAG.Key} = "${MANAGED_BY_TAG.Value}"`;
+  }
+
+  console.error('❌ Tagging imported resources failed:', failed);
+  return `⚠️ The import succeeded but ${failed.length} resource${failed.length === 1 ? '' : 's'} couldn't be tagged, so ${failed.length === 1 ? 'it' : 'they'} won't show in your inventory:\n${failed.map(({ arn, message }) => `• ${arn}: ${message}`).join('\n')}`;
+}
+
+// Apply the plan the user reviewed, exactly as saved when it was made.
+// Terraform refuses it once state has moved on; that's REPLAN_REQUIRED.
+// credentials() returns credentials fresh enough for the next command
+async function applyTerraform(actionId, action, credentials, { channel } = {}) {
+  if (action.resourceType === 'unknown' || !action.terraformCode) {
+    throw new Error('Nothing to apply for this action');
+  }
+  if (!action.savedPlan) {
+    throw new Error('REPLAN_REQUIRED');
+  }
+
+  const runCredentials = async () => ({
+    ...(await credentials()),
+    region: action.resourceConfig.region || 'us-east-1'
+  });
+
+  console.log('🔨 Running Terraform for:', action.resourceType);
+
+  const workDir = await generateTerraformFiles(actionId, action.terraformCode, await runCredentials(), {
+    backend: action.stateBackend,
+    channel,
+    lockFile: action.savedPlan.lockFile
+  });
+  await writeSavedPlan(workDir, action.savedPlan);
+
+  const applyResult = await executeTerraform(workDir, 'apply', await runCredentials(), { channel });
+  if (!applyResult.success) {
+    throw isStalePlan(applyResult) ? new Error('REPLAN_REQUIRED') : terraformError('apply', applyResult);
+  }
+
+  const outputResult = await executeTerraform(workDir, 'output', await runCredentials());
+  if (!outputResult.success) {
+    throw terraformError('output', outputResult);
+  }
+
+  const outputs = parseOutputs(outputResult.output);
+  const summaryLine = (applyResult.output.match(/Apply complete!.*$/m) || ['Apply complete!'])[0];
+  const outputLines = Object.entries(outputs)
+    .map(([name, value]) => `• ${name}: ${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join('\n');
+  const tagLine = action.importedResources ? await tagImportedResources(action, await runCredentials()) : '';
+
+  return {
+    message: `✅ ${summaryLine}${tagLine ? `\n\n${tagLine}` : ''}${outputLines ? `\n\n📤 Outputs:\n${outputLines}` : ''}`,
+    outputs,
+    applyOutput: applyResult.output
+  };
+}
+
+// Preview what destroying an applied action would remove
+async function planDestroy(actionId, action, credentials, { channel } = {}) {
+  const runCredentials = {
+    ...credentials,
+    region: action.resourceConfig.region || 'us-east-1'
+  };
+
+  // Re-initialize the workspace from the action's state backend
+  const workDir = await generateTerraformFiles(actionId, action.terraformCode, runCredentials, {
+    backend: action.stateBackend,
+    channel
+  });
+
+  const planResult = await executeTerraform(workDir, 'plan-destroy', runCredentials, { channel });
+  if (!planResult.success) {
+    throw terraformError('plan', planResult);
+  }
+
+  const showResult = await executeTerraform(workDir, 'show', runCredentials);
+  if (!showResult.success) {
+    throw terraformError('show', showResult);
+  }
+
+  return {
+    plan: planResult.output,
+    planSummary: summarizePlan(showResult.output)
+  };
+}
+
+// Compare an applied action's state with what exists in AWS; credentials()
+// as for applyTerraform
+async function checkDrift(actionId, action, credentials, { channel } = {}) {
+  const runCredentials = async () => ({
+    ...(await credentials()),
+    region: action.resourceConfig.region || 'us-east-1'
+  });
+
+  const workDir = await generateTerraformFiles(actionId, action.terraformCode, await runCredentials(), {
+    backend: action.stateBackend,
+    channel
+  });
+
+  const planResult = await executeTerraform(workDir, 'plan-refresh-only', await runCredentials(), { channel });
+  if (!planResult.success) {
+    throw terraformError('plan', planResult);
+  }
+
+  const showResult = await executeTerraform(workDir, 'show', await runCredentials());
+  if (!showResult.success) {
+    throw terraformError('show', showResult);
+  }
+
+  return {
+    plan: planResult.output,
+    resources: summarizeDrift(showResult.output)
+  };
+}
+
+// Empty any S3 buckets in state, then run terraform destroy; credentials()
+// as for applyTerraform
+async function destroyTerraform(actionId, action, credentials, { channel } = {}) {
+  const region = action.resourceConfig.region || 'us-east-1';
+  const runCredentials = async () => ({ ...(await credentials()), region });
+
+  // Rebuild the workspace so it reflects the latest state in the backend
+  const workDir = action.stateBackend
+    ? await generateTerraformFiles(actionId, action.terraformCode, await runCredentials(), {
+      backend: action.stateBackend,
+      channel
+    })
+    : workspacePath(actionId);
+
+  const stateResult = await executeTerraform(workDir, 'state', await runCredentials());
+  if (!stateResult.success) {
+    throw terraformError('show', stateResult);
+  }
+  const resources = stateResources(stateResult.output);
+
+  const emptiedBuckets = [];
+  for (const bucket of resources.filter(r => r.type === 'aws_s3_bucket')) {
+    const bucketName = bucket.values.bucket;
+    console.log('🧹 Emptying S3 bucket:', bucketName);
+    const objectsDeleted = await emptyS3Bucket(
+      bucketName,
+      await credentials(),
+      bucket.values.region || region
+    );
+    emptiedBuckets.push({ bucket: bucketName, objectsDeleted });
+  }
+
+  const destroyResult = await executeTerraform(workDir, 'destroy', await runCredentials(), { channel });
+  if (!destroyResult.success) {
+    throw terraformError('destroy', destroyResult);
+  }
+
+  const removed = resources.map(r => r.address);
+  const summaryLine = (destroyResult.output.match(/Destroy complete!.*$/m) || ['Destroy complete!'])[0];
+  const bucketLines = emptiedBuckets
+    .map(({ bucket, objectsDeleted }) => `• Emptied ${bucket} (${objectsDeleted} object versions)`)
+    .join('\n');
+
+  return {
+    message: `✅ ${summaryLine}\n\n🗑️ Removed:\n${removed.map(address => `• ${address}`).join('\n')}${bucketLines ? `\n\n${bucketLines}` : ''}`,
+    removed,
+    emptiedBuckets
+  };
+}
+
+// Turn a failed Terraform run into an error the apply route understands
+function terraformError(command, result) {
+  if (result.cancelled) {
+    return new Error('TERRAFORM_CANCELLED');
+  }
+
+  const details = `${result.error}\n${result.output}`;
+
+  if (/AccessDenied|not authorized to perform/i.test(details)) {
+    const error = new Error('PERMISSION_UPDATE_REQUIRED');
+    error.missingActions = deniedActions(details);
+    return error;
+  }
+
+  if (details.includes('BucketAlreadyExists')) {
+    return new Error('Bucket name already exists globally. Try again for a new unique name.');
+  }
+
+  return new Error(`Terraform ${command} failed: ${result.error.trim() || result.output.trim()}`);
+}
+
+// Quota subjects for a request: the user, and the connected AWS account if any
+function quotaSubjects(req) {
+  return quotas.subjectsFor(req.user, req.body.roleArn ? accountIdFromRoleArn(req.body.roleArn) : null);
+}
+
+// Queued and running jobs a quota subject has, on every instance
+function activeJobs(subject) {
+  return jobQueue.countActive(job => subject.scope === 'account'
+    ? job.accountId === subject.id
+    : Boolean(job.owner) && job.owner.userId === subject.id);
+}
+
+// 429 naming the quota that was hit and when it resets
+function quotaExceeded(res, exceeded) {
+  const retryAfter = exceeded.resetsAt ? Math.ceil((Date.parse(exceeded.resetsAt) - Date.now()) / 1000) : 30;
+  res.set('Retry-After', String(Math.max(retryAfter, 1)));
+  return res.status(429).json({
+    error: 'QUOTA_EXCEEDED',
+    message: exceeded.message,
+    quota: exceeded.quota,
+    scope: exceeded.scope,
+    tier: exceeded.tier,
+    limit: exceeded.limit,
+    used: exceeded.used,
+    resetsAt: exceeded.resetsAt
+  });
+}
+
+// Another run (a job, or someone else's plan) is using the action's workspace
+function workspaceBusy(res) {
+  return res.status(409).json({
+    error: 'Workspace busy',
+    message: 'Another Terraform run is using this action\'s workspace. Try again when it finishes.',
+    workspaceBusy: true
+  });
+}
+
+// Client-chosen IDs for following a run that has no action ID yet
+function isValidStreamId(streamId) {
+  return typeof streamId === 'string' && /^[\w-]{16,64}$/.test(streamId);
+}
+
+// Run fn with a log channel open, closing it with the outcome
+async function withLogChannel(channel, owner, fn) {
+  openChannel(channel, { owner });
+  try {
+    const result = await fn();
+    closeChannel(channel, 'succeeded');
+    return result;
+  } catch (error) {
+    closeChannel(channel, error.message === 'TERRAFORM_CANCELLED' ? 'cancelled' : 'failed');
+    throw error;
   }
 }
 
+function cleanupOldActions() {
+  quotas.cleanup().catch(error => console.error('Quota cleanup error:', error));
+  workspaceLocks.cleanup().catch(error => console.error('Workspace lock cleanup error:', error));
+  logStore.cleanup().catch(error => console.error('Log cleanup error:', error));
+  actionStore.cleanup().catch(error => {
+    console.error('Action cleanup error:', error);
+  });
+}
+
 module.exports = router;
\ No newline at end of file
@@ -4,10 +4,20 @@ const express = require('express');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const terraformRouter = require('./routes/terraform');
+const createAuthRouter = require('./routes/auth');
+const { authenticate, requireUser } = require('./middleware/auth');
+const { oidcConfig } = require('./utils/oidc');
+const { createUserStore } = require('./utils/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Sessions can't be signed without it, so don't start half-working
+if (process.env.NODE_ENV === 'production' && !process.env.AUTH_SESSION_SECRET) {
+  console.error('❌ AUTH_SESSION_SECRET must be set in production');
+  process.exit(1);
+}
+
 // CRITICAL: Trust first proxy (required for Render)
 app.set('trust proxy', 1);
 
@@ -23,16 +33,6 @@ app.use(cors({
 // Body parser
 app.use(express.json({ limit: '1mb' }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 100,
-  message: { error: 'Too many requests, please try again later.' },
-  standardHeaders: true,
-  legacyHeaders: false
-});
-app.use(limiter);
-
 // Health check routes
 app.get('/', (req, res) => {
   res.json({
@@ -50,7 +50,36 @@ app.get('/health', (req, res) => {
   });
 });
 
-// API routes
+// API routes: sign-in is open, everything else needs a signed-in user
+const users = createUserStore();
+app.use('/api', authenticate(users));
+
+// Burst limit on API requests, per signed-in user (per IP before sign-in).
+// Daily chat, plan and apply quotas are enforced by the routes themselves.
+app.use('/api', rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: (req) => (req.user ? Number(process.env.USER_REQUESTS_PER_15_MIN) || 300 : 100),
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+  // Polling a job and following its logs are cheap and last as long as the job
+  skip: (req) => req.method === 'GET' && /^\/(jobs\/[\w-]+|actions\/[\w-]+\/logs)$/.test(req.path),
+  handler: (req, res) => {
+    const resetsAt = req.rateLimit.resetTime ? req.rateLimit.resetTime.toISOString() : null;
+    res.status(429).json({
+      error: 'QUOTA_EXCEEDED',
+      message: `Too many requests (${req.rateLimit.limit} per 15 minutes). Try again${resetsAt ? ` after ${resetsAt}` : ' shortly'}.`,
+      quota: 'requests',
+      scope: req.user ? 'user' : 'ip',
+      limit: req.rateLimit.limit,
+      used: req.rateLimit.used,
+      resetsAt
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+}));
+
+app.use('/api', createAuthRouter({ users }));
+app.use('/api', requireUser());
 app.use('/api', terraformRouter);
 
 // Error handling
@@ -71,7 +100,9 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Terraform AI Backend running on port ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔐 Auth Methods: AWS SSO, CLI Profile, Cognito`);
+  const oidc = oidcConfig();
+  console.log(`🔐 Sign-in: ${oidc ? `OIDC via ${oidc.issuer}` : 'not configured (set OIDC_ISSUER and OIDC_CLIENT_ID)'}`);
+  console.log('☁️ AWS access: IAM role per user connection (AssumeRole with external ID)');
   console.log(`⏰ Started: ${new Date().toISOString()}`);
 });
 
@@ -0,0 +1,190 @@
+// backend/test/actionStore.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createActionStore, actionOwner, isActionOwner } = require('../utils/actionStore');
+
+// Enough of a node-redis v4 client for the store: keys carry a version so a
+// WATCHed key that changes before EXEC fails the transaction
+function fakeRedisClient({ interfere } = {}) {
+  const keys = new Map();
+  const write = (key, value) => keys.set(key, { value, version: ((keys.get(key) || {}).version || 0) + 1 });
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  return {
+    async get(key) {
+      await tick();
+      return keys.has(key) ? keys.get(key).value : null;
+    },
+    async set(key, value) {
+      await tick();
+      write(key, value);
+    },
+    async del(key) {
+      keys.delete(key);
+    },
+    async *scanIterator({ MATCH }) {
+      const prefix = MATCH.replace(/\*$/, '');
+      for (const key of [...keys.keys()].filter(key => key.startsWith(prefix))) yield key;
+    },
+    async executeIsolated(fn) {
+      const watched = new Map();
+      const version = key => (keys.get(key) || {}).version || 0;
+      return fn({
+        async watch(key) {
+          watched.set(key, version(key));
+        },
+        async unwatch() {
+          watched.clear();
+        },
+        get: this.get,
+        multi() {
+          const writes = [];
+          return {
+            set(key, value) {
+              writes.push([key, value]);
+              return this;
+            },
+            async exec() {
+              await tick();
+              if (interfere) interfere(write);
+              if ([...watched].some(([key, seen]) => version(key) !== seen)) {
+                throw Object.assign(new Error('One (or more) of the watched keys has been changed'), { name: 'WatchError' });
+              }
+              writes.forEach(([key, value]) => write(key, value));
+            }
+          };
+        }
+      });
+    }
+  };
+}
+
+const pending = (id, extra = {}) => ({ id, status: 'pending', expiresAt: Date.now() + 60000, ...extra });
+
+const stores = {
+  memory: () => createActionStore({ type: 'memory' }),
+  file: (dir) => createActionStore({ type: 'file', dir }),
+  redis: () => createActionStore({ type: 'redis', client: fakeRedisClient() })
+};
+
+for (const [type, createStore] of Object.entries(stores)) {
+  describe(`${type} action store`, () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terraform-ai-actions-'));
+      store = createStore(dir);
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('saves, reads and deletes actions', async () => {
+      await store.save('action_1', pending('action_1'));
+
+      assert.equal((await store.get('action_1')).status, 'pending');
+      assert.deepEqual((await store.list()).map(action => action.id), ['action_1']);
+
+      await store.delete('action_1');
+      assert.equal(await store.get('action_1'), null);
+    });
+
+    it('treats expired actions as gone', async () => {
+      await store.save('action_old', pending('action_old', { expiresAt: Date.now() - 1 }));
+      await store.save('action_new', pending('action_new'));
+
+      assert.equal(await store.get('action_old'), null);
+      assert.deepEqual((await store.list()).map(action => action.id), ['action_new']);
+      assert.equal(await store.transition('action_old', ['pending'], { status: 'confirmed' }), null);
+    });
+
+    it('moves an action on only from the given statuses', async () => {
+      await store.save('action_1', pending('action_1'));
+
+      const confirmed = await store.transition('action_1', ['pending'], { status: 'confirmed', confirmedBy: 'user-1' });
+      assert.equal(confirmed.status, 'confirmed');
+      assert.equal(confirmed.confirmedBy, 'user-1');
+
+      assert.equal(await store.transition('action_1', ['pending'], { status: 'cancelled' }), null);
+      assert.equal((await store.get('action_1')).status, 'confirmed');
+    });
+
+    it('lets one of two concurrent transitions win', async () => {
+      await store.save('action_1', pending('action_1'));
+
+      const results = await Promise.all([
+        store.transition('action_1', ['pending'], { status: 'confirmed' }),
+        store.transition('action_1', ['pending'], { status: 'cancelled' })
+      ]);
+
+      const winners = results.filter(Boolean);
+      assert.equal(winners.length, 1);
+      assert.equal((await store.get('action_1')).status, winners[0].status);
+    });
+
+    it('counts every concurrent update', async () => {
+      await Promise.all(Array.from({ length: 4 }, () => store.update('counter', counter => ({
+        id: 'counter',
+        count: ((counter && counter.count) || 0) + 1
+      }))));
+
+      assert.equal((await store.get('counter')).count, 4);
+    });
+
+    it('leaves the action alone when update returns null', async () => {
+      await store.save('action_1', pending('action_1'));
+
+      assert.equal(await store.update('action_1', () => null), null);
+      assert.equal((await store.get('action_1')).status, 'pending');
+    });
+  });
+}
+
+describe('file action store', () => {
+  it('refuses IDs that could leave the store directory', async () => {
+    const store = createActionStore({ type: 'file', dir: os.tmpdir() });
+
+    await assert.rejects(store.get('../etc/passwd'), /Invalid action ID/);
+  });
+
+  it('drops expired actions on cleanup', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terraform-ai-actions-'));
+    const store = createActionStore({ type: 'file', dir });
+    await store.save('action_old', pending('action_old', { expiresAt: Date.now() - 1 }));
+    await store.save('action_new', pending('action_new'));
+
+    await store.cleanup();
+
+    assert.deepEqual(fs.readdirSync(dir), ['action_new.json']);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('redis action store', () => {
+  it('gives up when another instance keeps changing the action', async () => {
+    const client = fakeRedisClient({ interfere: write => write('terraform-ai:action:action_1', JSON.stringify(pending('action_1'))) });
+    const store = createActionStore({ type: 'redis', client });
+    await store.save('action_1', pending('action_1'));
+
+    assert.equal(await store.transition('action_1', ['pending'], { status: 'confirmed' }), null);
+    assert.equal((await store.get('action_1')).status, 'pending');
+  });
+});
+
+describe('action owners', () => {
+  it('matches the user, role and external ID without storing the ID', () => {
+    const roleArn = 'arn:aws:iam::123456789012:role/TerraformAI';
+    const action = { owner: actionOwner(roleArn, 'external-id', 'user-1') };
+
+    assert.ok(!JSON.stringify(action).includes('external-id'));
+    assert.ok(isActionOwner(action, roleArn, 'external-id', 'user-1'));
+    assert.ok(!isActionOwner(action, roleArn, 'other-id', 'user-1'));
+    assert.ok(!isActionOwner(action, roleArn, 'external-id', 'user-2'));
+    assert.ok(!isActionOwner({}, roleArn, 'external-id', 'user-1'));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,110 @@
+// backend/test/auth.test.js
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { signJwt } = require('../utils/jwt');
+const { createActionStore } = require('../utils/actionStore');
+const {
+  issueSession, verifySession, issueLoginState, verifyLoginState, readCookie, createUserStore
+} = require('../utils/auth');
+const { CSRF_HEADER, CSRF_VALUE, requireUser } = require('../middleware/auth');
+
+const ISSUER = 'https://login.example.com';
+
+// The status and body a middleware answered with, or 'next' when it passed
+function run(middleware, req) {
+  return new Promise(resolve => {
+    const res = {
+      status(code) {
+        return { json: body => resolve({ status: code, body }) };
+      }
+    };
+    middleware({ get: name => (req.headers || {})[name.toLowerCase()], ...req }, res, () => resolve('next'));
+  });
+}
+
+describe('sessions', () => {
+  let users;
+  let user;
+
+  before(async () => {
+    process.env.AUTH_SESSION_SECRET = 'test-session-secret';
+    users = createUserStore({ store: createActionStore({ type: 'memory' }) });
+    user = await users.upsertFromClaims(ISSUER, { sub: 'alice', email: 'alice@example.com' });
+  });
+
+  it('keys users by issuer and subject', async () => {
+    const again = await users.upsertFromClaims(ISSUER, { sub: 'alice', name: 'Alice' });
+    const other = await users.upsertFromClaims('https://other.example.com', { sub: 'alice' });
+
+    assert.equal(again.id, user.id);
+    assert.equal(again.email, 'alice@example.com');
+    assert.equal(again.createdAt, user.createdAt);
+    assert.notEqual(other.id, user.id);
+  });
+
+  it('resolves a session to its user', async () => {
+    assert.equal((await verifySession(issueSession(user), users)).id, user.id);
+  });
+
+  it('ends every earlier session on sign-out', async () => {
+    const signedIn = await users.upsertFromClaims(ISSUER, { sub: 'bob' });
+    const token = issueSession(signedIn);
+
+    await users.signOut(signedIn.id);
+
+    assert.equal(await verifySession(token, users), null);
+    assert.equal((await verifySession(issueSession(await users.get(signedIn.id)), users)).id, signedIn.id);
+  });
+
+  it('refuses sessions that are forged, expired or for someone unknown', async () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    assert.equal(await verifySession(signJwt({ sub: user.id, typ: 'session', ver: 0 }, 'guessed-secret'), users), null);
+    assert.equal(await verifySession(signJwt({ sub: user.id, typ: 'session', ver: 0, exp: now - 3600 }, process.env.AUTH_SESSION_SECRET), users), null);
+    assert.equal(await verifySession(signJwt({ sub: 'user_nobody', typ: 'session', ver: 0 }, process.env.AUTH_SESSION_SECRET), users), null);
+    assert.equal(await verifySession('garbage', users), null);
+  });
+
+  it('keeps login state and sessions apart', async () => {
+    const login = issueLoginState({ state: 's', nonce: 'n', verifier: 'v', returnTo: '/' });
+
+    assert.equal((await verifyLoginState(login)).nonce, 'n');
+    assert.equal(await verifySession(login, users), null);
+    assert.equal(await verifyLoginState(issueSession(user)), null);
+  });
+});
+
+describe('readCookie', () => {
+  it('reads one cookie out of the header', () => {
+    const req = { headers: { cookie: 'theme=dark; tfai_session=abc%3D; other=1' } };
+
+    assert.equal(readCookie(req, 'tfai_session'), 'abc=');
+    assert.equal(readCookie(req, 'missing'), null);
+    assert.equal(readCookie({ headers: { cookie: 'tfai_session=%E0%A4%A' } }, 'tfai_session'), null);
+  });
+});
+
+describe('requireUser', () => {
+  const user = { id: 'user_1' };
+
+  it('turns away requests without a user', async () => {
+    const { status, body } = await run(requireUser(), { method: 'GET', user: null });
+
+    assert.equal(status, 401);
+    assert.equal(body.error, 'AUTH_REQUIRED');
+  });
+
+  it('lets signed-in reads through', async () => {
+    assert.equal(await run(requireUser(), { method: 'GET', user }), 'next');
+  });
+
+  it('requires the CSRF header on writes', async () => {
+    const { status } = await run(requireUser(), { method: 'POST', user, headers: {} });
+    assert.equal(status, 403);
+
+    const { status: wrongValue } = await run(requireUser(), { method: 'DELETE', user, headers: { [CSRF_HEADER]: 'XMLHttpRequest' } });
+    assert.equal(wrongValue, 403);
+
+    assert.equal(await run(requireUser(), { method: 'POST', user, headers: { [CSRF_HEADER]: CSRF_VALUE } }), 'next');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,126 @@
+// backend/test/credentialBroker.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCredentialBroker, sessionName } = require('../utils/credentialBroker');
+
+const ROLE_ARN = 'arn:aws:iam::123456789012:role/TerraformAI';
+
+// An STS client whose sessions last expiresInMs; calls records each AssumeRole
+function fakeSts({ expiresInMs = 60 * 60 * 1000, denyTags = false } = {}) {
+  const sts = { calls: [], expiresInMs };
+  sts.assumeRole = (params) => ({
+    promise: async () => {
+      sts.calls.push(params);
+      if (denyTags && params.Tags) {
+        throw Object.assign(new Error('not authorized to perform: sts:TagSession'), { code: 'AccessDenied' });
+      }
+      return {
+        Credentials: {
+          AccessKeyId: `AKIA${sts.calls.length}`,
+          SecretAccessKey: 'secret',
+          SessionToken: 'token',
+          Expiration: new Date(Date.now() + sts.expiresInMs)
+        }
+      };
+    }
+  });
+  return sts;
+}
+
+describe('credential broker', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('shares one session between concurrent callers', async () => {
+    const sts = fakeSts();
+    const broker = createCredentialBroker({ sts });
+
+    const [first, second] = await Promise.all([
+      broker.get(ROLE_ARN, 'ext-1', { userId: 'user_1' }),
+      broker.get(ROLE_ARN, 'ext-1', { userId: 'user_1' })
+    ]);
+    const third = await broker.get(ROLE_ARN, 'ext-1', { userId: 'user_1' });
+
+    assert.equal(sts.calls.length, 1);
+    assert.equal(first.accessKeyId, second.accessKeyId);
+    assert.equal(third.accessKeyId, first.accessKeyId);
+  });
+
+  it('replaces a session with less time left than the caller needs', async () => {
+    const sts = fakeSts({ expiresInMs: 20 * 60 * 1000 });
+    const broker = createCredentialBroker({ sts });
+
+    await broker.get(ROLE_ARN, 'ext-1', { userId: 'user_1' });
+    await broker.get(ROLE_ARN, 'ext-1', { userId: 'user_1', minValidityMs: 10 * 60 * 1000 });
+    assert.equal(sts.calls.length, 1);
+
+    const longer = await broker.get(ROLE_ARN, 'ext-1', { userId: 'user_1', minValidityMs: 30 * 60 * 1000 });
+    assert.equal(sts.calls.length, 2);
+    assert.equal(longer.accessKeyId, 'AKIA2');
+  });
+
+  it('gives each action its own named and tagged session', async () => {
+    const sts = fakeSts();
+    const broker = createCredentialBroker({ sts });
+
+    await broker.get(ROLE_ARN, 'ext-1', { userId: 'user_1' });
+    await broker.get(ROLE_ARN, 'ext-1', { userId: 'user_1', actionId: 'action_1' });
+
+    assert.deepEqual(sts.calls.map(call => call.RoleSessionName), ['terraform-ai-user_1', 'terraform-ai-action_1']);
+    assert.deepEqual(sts.calls[1].Tags, [
+      { Key: 'TerraformAIUser', Value: 'user_1' },
+      { Key: 'TerraformAIAction', Value: 'action_1' }
+    ]);
+    assert.equal(sts.calls[1].ExternalId, 'ext-1');
+  });
+
+  it('falls back to untagged sessions for roles without sts:TagSession', async () => {
+    const sts = fakeSts({ denyTags: true });
+    const broker = createCredentialBroker({ sts });
+
+    await broker.get(ROLE_ARN, 'ext-1', { userId: 'user_1' });
+    await broker.get(ROLE_ARN, 'ext-1', { userId: 'user_1', actionId: 'action_1' });
+
+    // Tags are tried once, then left off for the connection
+    assert.deepEqual(sts.calls.map(call => Boolean(call.Tags)), [true, false, false]);
+  });
+
+  it('starts over after the user\'s sessions are invalidated', async () => {
+    const sts = fakeSts();
+    const broker = createCredentialBroker({ sts });
+
+    await broker.get(ROLE_ARN, 'ext-1', { userId: 'user_1' });
+    broker.invalidateUser('user_1');
+    await broker.get(ROLE_ARN, 'ext-1', { userId: 'user_1' });
+
+    assert.equal(sts.calls.length, 2);
+  });
+
+  it('doesn\'t cache a failed AssumeRole', async () => {
+    const sts = fakeSts();
+    const { assumeRole } = sts;
+    let fail = true;
+    sts.assumeRole = (params) => (fail ? { promise: async () => { throw new Error('Role not found'); } } : assumeRole(params));
+    const broker = createCredentialBroker({ sts });
+
+    await assert.rejects(broker.get(ROLE_ARN, 'ext-1', { userId: 'user_1' }), /Failed to assume role: Role not found/);
+    fail = false;
+    assert.equal((await broker.get(ROLE_ARN, 'ext-1', { userId: 'user_1' })).accessKeyId, 'AKIA1');
+  });
+});
+
+describe('sessionName', () => {
+  it('keeps to the characters and length STS allows', () => {
+    const name = sessionName(`user_${'x'.repeat(80)}/with spaces`);
+
+    assert.equal(name.length, 64);
+    assert.match(name, /^terraform-ai-user_x+$/);
+    assert.equal(sessionName('a b/c'), 'terraform-ai-a-b-c');
+  });
+});
\ No newline at end of file
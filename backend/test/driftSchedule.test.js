@@ -0,0 +1,86 @@
+// backend/test/driftSchedule.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { createActionStore } = require('../utils/actionStore');
+const { createDriftScheduler } = require('../utils/driftSchedule');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('drift scheduler', () => {
+  it('schedules the first check one interval out', async () => {
+    const scheduler = createDriftScheduler({ run: async () => 'job', store: createActionStore({ type: 'memory' }) });
+    const before = Date.now();
+    const schedule = await scheduler.enable('user-1', { intervalHours: 6 });
+
+    assert.equal(schedule.enabled, true);
+    assert.equal(schedule.intervalHours, 6);
+    assert.ok(Date.parse(schedule.nextRunAt) >= before + 6 * HOUR);
+  });
+
+  it('keeps the next check when enabled again with the same interval', async () => {
+    const store = createActionStore({ type: 'memory' });
+    const scheduler = createDriftScheduler({ run: async () => 'job', store });
+    await scheduler.enable('user-1', { intervalHours: 6 });
+    const { nextRunAt } = await store.get('user-1');
+    await store.save('user-1', { ...(await store.get('user-1')), nextRunAt: nextRunAt - HOUR });
+
+    assert.equal((await scheduler.enable('user-1', { intervalHours: 6 })).nextRunAt, new Date(nextRunAt - HOUR).toISOString());
+    assert.ok(Date.parse((await scheduler.enable('user-1', { intervalHours: 12 })).nextRunAt) > nextRunAt);
+  });
+
+  it('refuses intervals out of range', async () => {
+    const scheduler = createDriftScheduler({ run: async () => 'job', store: createActionStore({ type: 'memory' }) });
+
+    assert.match((await scheduler.enable('user-1', { intervalHours: 0 })).error, /intervalHours must be between/);
+    assert.deepEqual(await scheduler.status('user-1'), { enabled: false });
+  });
+
+  it('disables a schedule', async () => {
+    const scheduler = createDriftScheduler({ run: async () => 'job', store: createActionStore({ type: 'memory' }) });
+    await scheduler.enable('user-1');
+
+    assert.deepEqual(await scheduler.disable('user-1'), { enabled: false });
+    assert.deepEqual(await scheduler.status('user-1'), { enabled: false });
+  });
+
+  it('starts a due check on one instance only', async () => {
+    const store = createActionStore({ type: 'memory' });
+    const runs = [];
+    const run = async key => {
+      runs.push(key);
+      await sleep(20);
+      return `job-${runs.length}`;
+    };
+    const first = createDriftScheduler({ run, store, tickMs: 10 });
+    createDriftScheduler({ run, store, tickMs: 10 });
+
+    await first.enable('user-1', { intervalHours: 1 });
+    await store.save('user-1', { ...(await store.get('user-1')), nextRunAt: Date.now() - 1 });
+    await sleep(150);
+
+    assert.deepEqual(runs, ['user-1']);
+    const schedule = await first.status('user-1');
+    assert.equal(schedule.lastJobId, 'job-1');
+    assert.ok(Date.parse(schedule.nextRunAt) > Date.now() + HOUR / 2);
+  });
+
+  it('tries again next interval when a check fails to start', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const store = createActionStore({ type: 'memory' });
+    const scheduler = createDriftScheduler({
+      run: async () => { throw new Error('AWS connection not found'); },
+      store,
+      tickMs: 10
+    });
+
+    await scheduler.enable('user-1', { intervalHours: 1 });
+    await store.save('user-1', { ...(await store.get('user-1')), nextRunAt: Date.now() - 1 });
+    await sleep(100);
+
+    const schedule = await scheduler.status('user-1');
+    assert.equal(schedule.enabled, true);
+    assert.equal(schedule.lastError, 'AWS connection not found');
+    assert.ok(Date.parse(schedule.nextRunAt) > Date.now());
+  });
+});
\ No newline at end of file
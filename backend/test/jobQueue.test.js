@@ -0,0 +1,125 @@
+// backend/test/jobQueue.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { createActionStore } = require('../utils/actionStore');
+const { createJobQueue } = require('../utils/jobQueue');
+const { openChannel, closeChannel, isCancelled } = require('../utils/logStream');
+
+async function until(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out');
+    await sleep(10);
+  }
+}
+
+// A handler that runs until its log channel is cancelled or it's released
+function blockingHandler() {
+  const started = [];
+  const released = new Set();
+  const handler = async (job) => {
+    started.push(job.id);
+    openChannel(job.logChannel);
+    try {
+      while (!released.has(job.id)) {
+        if (isCancelled(job.logChannel)) throw new Error('TERRAFORM_CANCELLED');
+        await sleep(10);
+      }
+      return { done: true };
+    } finally {
+      closeChannel(job.logChannel, 'succeeded');
+    }
+  };
+  return { handler, started, release: jobId => released.add(jobId) };
+}
+
+describe('job queue', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('runs a job and keeps its result', async () => {
+    const queue = createJobQueue({ store: createActionStore({ type: 'memory' }) });
+    queue.register('apply', async (job, payload) => ({ applied: payload.actionId }));
+
+    const job = await queue.enqueue('apply', { accountId: '111', logChannel: 'run-1' }, { actionId: 'action_1' });
+    await until(async () => (await queue.get(job.id)).status === 'succeeded');
+
+    assert.deepEqual((await queue.get(job.id)).result, { applied: 'action_1' });
+  });
+
+  it('queues jobs beyond the per-account limit', async () => {
+    const queue = createJobQueue({ store: createActionStore({ type: 'memory' }), maxPerAccount: 1 });
+    const { handler, started, release } = blockingHandler();
+    queue.register('apply', handler);
+
+    const first = await queue.enqueue('apply', { accountId: '111', logChannel: 'queue-1' });
+    const second = await queue.enqueue('apply', { accountId: '111', logChannel: 'queue-2' });
+    await until(() => started.length === 1);
+
+    assert.equal((await queue.get(second.id)).status, 'queued');
+    assert.equal(await queue.countActive(job => job.accountId === '111'), 2);
+
+    release(first.id);
+    await until(() => started.length === 2);
+    release(second.id);
+    await until(async () => (await queue.get(second.id)).status === 'succeeded');
+  });
+
+  it('cancels a queued job held by another instance when it is dequeued', async () => {
+    const store = createActionStore({ type: 'memory' });
+    const owner = createJobQueue({ store, maxConcurrent: 1 });
+    const other = createJobQueue({ store });
+    const { handler, started, release } = blockingHandler();
+    const cancelled = [];
+    owner.register('apply', handler, { onCancelled: async job => cancelled.push(job.id) });
+    other.register('apply', handler);
+
+    const first = await owner.enqueue('apply', { accountId: '111', logChannel: 'remote-queued-1' });
+    const second = await owner.enqueue('apply', { accountId: '222', logChannel: 'remote-queued-2' });
+    await until(() => started.length === 1);
+
+    assert.equal(await other.cancel(second.id), true);
+    release(first.id);
+    await until(async () => (await store.get(second.id)).status === 'cancelled');
+
+    assert.deepEqual(started, [first.id]);
+    assert.deepEqual(cancelled, [second.id]);
+  });
+
+  it('stops a running job held by another instance on its heartbeat', async () => {
+    const store = createActionStore({ type: 'memory' });
+    const owner = createJobQueue({ store, heartbeatMs: 20 });
+    const other = createJobQueue({ store });
+    const { handler, started } = blockingHandler();
+    owner.register('apply', handler);
+    other.register('apply', handler);
+
+    const job = await owner.enqueue('apply', { accountId: '111', logChannel: 'remote-running' });
+    await until(() => started.length === 1);
+
+    assert.equal(await other.cancel(job.id), true);
+    await until(async () => (await store.get(job.id)).status === 'cancelled');
+    assert.equal((await other.get(job.id)).error, 'Cancelled');
+  });
+
+  it('does not cancel finished jobs', async () => {
+    const store = createActionStore({ type: 'memory' });
+    const owner = createJobQueue({ store });
+    const other = createJobQueue({ store });
+    owner.register('apply', async () => ({}));
+    other.register('apply', async () => ({}));
+
+    const job = await owner.enqueue('apply', { accountId: '111', logChannel: 'finished' });
+    await until(async () => (await store.get(job.id)).status === 'succeeded');
+
+    assert.equal(await other.cancel(job.id), false);
+    assert.equal((await store.get(job.id)).cancelRequested, undefined);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,90 @@
+// backend/test/jwt.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signJwt, verifyJwt } = require('../utils/jwt');
+
+const SECRET = 'test-secret';
+const secret = () => SECRET;
+
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+// Re-encode one part of a token, keeping the other two
+const withPart = (token, index, value) => {
+  const parts = token.split('.');
+  parts[index] = Buffer.from(JSON.stringify(value)).toString('base64url');
+  return parts.join('.');
+};
+
+describe('jwt', () => {
+  it('round-trips HS256 claims with iat and exp', async () => {
+    const claims = await verifyJwt(signJwt({ sub: 'user-1' }, SECRET, { expiresIn: 60 }), secret);
+
+    assert.equal(claims.sub, 'user-1');
+    assert.equal(claims.exp - claims.iat, 60);
+  });
+
+  it('verifies RS256 and ES256 tokens with the public key for their kid', async () => {
+    for (const [algorithm, { privateKey, publicKey }] of [['RS256', rsa], ['ES256', ec]]) {
+      const token = signJwt({ sub: 'user-1' }, privateKey, { algorithm, kid: 'key-1' });
+      const getKey = ({ kid }) => (kid === 'key-1' ? publicKey : null);
+
+      assert.equal((await verifyJwt(token, getKey, { algorithms: [algorithm] })).sub, 'user-1');
+      // ES256 signatures are the 64-byte r || s form JWS expects
+      if (algorithm === 'ES256') assert.equal(Buffer.from(token.split('.')[2], 'base64url').length, 64);
+    }
+  });
+
+  it('rejects a token whose claims were changed', async () => {
+    const token = signJwt({ sub: 'user-1' }, SECRET);
+    const forged = withPart(token, 1, { sub: 'admin', iat: Math.floor(Date.now() / 1000) });
+
+    await assert.rejects(verifyJwt(forged, secret), /Invalid token signature/);
+  });
+
+  it('rejects a token signed with another secret', async () => {
+    await assert.rejects(verifyJwt(signJwt({ sub: 'user-1' }, 'other-secret'), secret), /Invalid token signature/);
+  });
+
+  it('rejects algorithms the caller didn\'t ask for, including none', async () => {
+    const token = signJwt({ sub: 'user-1' }, rsa.privateKey, { algorithm: 'RS256' });
+    await assert.rejects(verifyJwt(token, () => rsa.publicKey), /Unexpected token algorithm RS256/);
+
+    const unsigned = `${withPart(token, 0, { alg: 'none', typ: 'JWT' }).split('.').slice(0, 2).join('.')}.`;
+    await assert.rejects(verifyJwt(unsigned, secret, { algorithms: ['HS256', 'none'] }), /Unexpected token algorithm none/);
+  });
+
+  it('won\'t verify with a key of the wrong type', async () => {
+    // An RS256 header on a token "signed" by an EC key must not verify with it
+    const token = signJwt({ sub: 'user-1' }, ec.privateKey, { algorithm: 'ES256' });
+    const relabelled = withPart(token, 0, { alg: 'RS256', typ: 'JWT' });
+
+    await assert.rejects(verifyJwt(relabelled, () => ec.publicKey, { algorithms: ['RS256', 'ES256'] }), /Invalid token signature/);
+  });
+
+  it('rejects expired tokens, allowing for clock skew', async () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    assert.equal((await verifyJwt(signJwt({ exp: now - 30 }, SECRET), secret)).exp, now - 30);
+    await assert.rejects(verifyJwt(signJwt({ exp: now - 120 }, SECRET), secret), /Token expired/);
+    await assert.rejects(verifyJwt(signJwt({ exp: now - 30 }, SECRET), secret, { clockSkew: 0 }), /Token expired/);
+  });
+
+  it('rejects tokens that aren\'t valid yet', async () => {
+    const later = Math.floor(Date.now() / 1000) + 600;
+
+    await assert.rejects(verifyJwt(signJwt({ nbf: later }, SECRET), secret), /not yet valid/);
+    await assert.rejects(verifyJwt(signJwt({ iat: later }, SECRET), secret), /issued in the future/);
+  });
+
+  it('requires the claims the caller lists', async () => {
+    await assert.rejects(verifyJwt(signJwt({ sub: 'user-1' }, SECRET), secret, { requiredClaims: ['exp'] }), /Token has no exp claim/);
+  });
+
+  it('rejects malformed tokens and unknown keys', async () => {
+    await assert.rejects(verifyJwt('not-a-token', secret), /Malformed token/);
+    await assert.rejects(verifyJwt('a.b.c', secret), /Malformed token/);
+    await assert.rejects(verifyJwt(signJwt({}, SECRET), () => null), /No key for this token/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,133 @@
+// backend/test/llm.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLLM } = require('../llm');
+const { createMockProvider } = require('../llm/mockProvider');
+const { checkTerraformCode } = require('../llm/schema');
+
+const ACTION_ID = 'action_1700000000000_test';
+
+// The mock provider's reply with its Terraform code swapped for code
+function replyWith(terraformCode) {
+  return {
+    resourceType: 's3-bucket',
+    summary: 'A bucket',
+    terraformCode,
+    resources: ['S3 bucket'],
+    estimatedCost: '$0',
+    warnings: []
+  };
+}
+
+function llmReplying(terraformCode) {
+  return createLLM({
+    provider: createMockProvider({
+      fixtures: [{ template: 'generate-terraform', response: replyWith(terraformCode) }]
+    })
+  });
+}
+
+const bucket = (body = '') => `resource "aws_s3_bucket" "main" {
+  bucket = "team-logs"
+${body}
+  tags = {
+    ManagedBy = "TerraformAI"
+    ActionId  = "${ACTION_ID}"
+  }
+}`;
+
+describe('checkTerraformCode', () => {
+  it('accepts tagged AWS resources', () => {
+    assert.deepEqual(checkTerraformCode(bucket(), { actionId: ACTION_ID }), []);
+  });
+
+  it('refuses code without resource blocks', () => {
+    assert.deepEqual(checkTerraformCode('output "x" { value = "TerraformAI" }', {}), ['no resource blocks']);
+  });
+
+  it('refuses backend blocks', () => {
+    const code = `terraform {\n  backend "s3" {\n    bucket = "elsewhere"\n  }\n}\n${bucket()}`;
+    assert.ok(checkTerraformCode(code, { actionId: ACTION_ID }).includes('declares a backend'));
+  });
+
+  for (const setting of ['access_key = "AKIA"', 'secret_key = "x"', 'token = "x"', 'profile = "default"',
+    'shared_credentials_files = ["~/.aws/credentials"]']) {
+    it(`refuses provider credentials (${setting.split(' ')[0]})`, () => {
+      const code = `provider "aws" {\n  region = "us-east-1"\n  ${setting}\n}\n${bucket()}`;
+      assert.ok(checkTerraformCode(code, { actionId: ACTION_ID }).includes('sets provider credentials'));
+    });
+  }
+
+  const forbidden = [
+    ['provisioners', bucket('  provisioner "local-exec" {\n    command = "curl evil"\n  }'), /"local-exec" provisioner/],
+    ['the external data source', `data "external" "x" {\n  program = ["sh"]\n}\n${bucket()}`, /external data source/],
+    ['non-AWS providers', `resource "null_resource" "x" {}\n${bucket()}`, /uses null_resource/],
+    ['modules', `module "vpc" {\n  source = "terraform-aws-modules/vpc/aws"\n}\n${bucket()}`, /uses the module "vpc"/],
+    ['file functions', bucket('  policy = file("/etc/passwd")'), /calls file\(\), which reads files on the server/],
+    ['local file attributes', `resource "aws_s3_object" "x" {\n  bucket = "b"\n  key    = "k"\n  source = "/etc/passwd"\n}\n${bucket()}`, /source points at a file on the server/]
+  ];
+
+  for (const [name, code, message] of forbidden) {
+    it(`refuses ${name} with the line they're on`, () => {
+      const errors = checkTerraformCode(code, { actionId: ACTION_ID });
+      assert.ok(errors.some(error => /^line \d+ /.test(error) && message.test(error)), errors.join('; '));
+    });
+  }
+
+  it('refuses resources without the ManagedBy tag', () => {
+    const code = `resource "aws_s3_bucket" "main" {\n  bucket = "team-logs"\n  tags = { ActionId = "${ACTION_ID}" }\n}`;
+    assert.deepEqual(checkTerraformCode(code, { actionId: ACTION_ID }), ['resources are not tagged ManagedBy = "TerraformAI"']);
+  });
+
+  it('refuses resources without the action ID tag', () => {
+    assert.deepEqual(checkTerraformCode(bucket(), { actionId: 'action_other' }), ['resources are not tagged with the action ID']);
+  });
+});
+
+describe('generateTerraform with the mock provider', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns the generated plan when the code passes', async () => {
+    const llm = createLLM({ provider: createMockProvider({ fixtures: [] }) });
+    const result = await llm.generateTerraform('a bucket for logs', { actionId: ACTION_ID });
+
+    assert.equal(result.generatedBy, 'mock');
+    assert.ok(result.terraformCode.includes(ACTION_ID));
+  });
+
+  const rejected = [
+    ['a backend', `terraform {\n  backend "local" {\n    path = "/tmp/state"\n  }\n}\n${bucket()}`, /declares a backend/],
+    ['provider credentials', `provider "aws" {\n  access_key = "AKIA"\n}\n${bucket()}`, /sets provider credentials/],
+    ['a provisioner', bucket('  provisioner "local-exec" {\n    command = "id"\n  }'), /provisioner/],
+    ['missing tags', 'resource "aws_s3_bucket" "main" {\n  bucket = "team-logs"\n}', /not tagged ManagedBy/]
+  ];
+
+  for (const [name, code, message] of rejected) {
+    it(`falls back to the rules when the code has ${name}`, async () => {
+      const result = await llmReplying(code).generateTerraform('a bucket', { actionId: ACTION_ID });
+
+      assert.equal(result, null);
+      const [, warning] = console.warn.mock.calls[0].arguments;
+      assert.match(warning, /^invalid generate-terraform reply: /);
+      assert.match(warning, message);
+    });
+  }
+
+  it('checks revisions too', async () => {
+    const llm = createLLM({
+      provider: createMockProvider({
+        fixtures: [{ template: 'revise-terraform', response: replyWith(bucket('  provisioner "remote-exec" {}')) }]
+      })
+    });
+    const result = await llm.reviseTerraform('add logging', { resourceType: 's3-bucket', terraformCode: bucket() }, { actionId: ACTION_ID });
+
+    assert.equal(result, null);
+    assert.match(console.warn.mock.calls[0].arguments[1], /"remote-exec" provisioner/);
+  });
+});
\ No newline at end of file
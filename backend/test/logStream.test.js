@@ -0,0 +1,83 @@
+// backend/test/logStream.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { createActionStore } = require('../utils/actionStore');
+const {
+  setLogStore,
+  openChannel,
+  publish,
+  closeChannel,
+  subscribe,
+  getLines
+} = require('../utils/logStream');
+
+const owner = { userId: 'user-1' };
+const store = createActionStore({ type: 'memory' });
+
+// A run another instance has stored part of
+function storedRun(id, lines, { endedAt = null, total = lines.length } = {}) {
+  return {
+    id,
+    owner,
+    status: endedAt ? 'succeeded' : 'running',
+    endedAt,
+    total,
+    lines: lines.map((line, i) => ({ stream: 'stdout', line, timestamp: i })),
+    expiresAt: Date.now() + 60 * 1000
+  };
+}
+
+describe('log stream', () => {
+  before(() => setLogStore(store));
+  after(() => setLogStore(null));
+
+  it('replays the backlog, then follows the run', () => {
+    const events = [];
+    openChannel('local-run', { owner });
+    publish('local-run', 'stdout', 'first');
+    subscribe('local-run', event => events.push(event));
+    publish('local-run', 'stderr', 'second');
+    closeChannel('local-run', 'succeeded');
+
+    assert.deepEqual(events.map(({ type, line, status }) => [type, line || status]),
+      [['line', 'first'], ['line', 'second'], ['end', 'succeeded']]);
+    assert.ok(events.every(event => event.owner === owner));
+  });
+
+  it('stores the backlog when the run ends', async () => {
+    openChannel('stored-run', { owner });
+    publish('stored-run', 'stdout', 'Apply complete!');
+    closeChannel('stored-run', 'succeeded');
+    await sleep(10);
+
+    const stored = await store.get('stored-run');
+    assert.equal(stored.status, 'succeeded');
+    assert.equal(stored.total, 1);
+    assert.deepEqual(stored.owner, owner);
+    assert.equal(stored.lines[0].line, 'Apply complete!');
+  });
+
+  it('reads the lines of runs on other instances from the store', async () => {
+    await store.save('remote-lines', storedRun('remote-lines', ['Plan: 1 to add']));
+
+    assert.deepEqual((await getLines('remote-lines')).map(entry => entry.line), ['Plan: 1 to add']);
+    assert.deepEqual(await getLines('unknown-run'), []);
+  });
+
+  it('follows a run on another instance through the store', async () => {
+    const events = [];
+    await store.save('remote-run', storedRun('remote-run', ['one', 'two']));
+    const unsubscribe = subscribe('remote-run', event => events.push(event));
+    await sleep(50);
+
+    // Older lines dropped off the stored backlog meanwhile
+    await store.save('remote-run', storedRun('remote-run', ['three', 'four'], { total: 4, endedAt: Date.now() }));
+    await sleep(1100);
+    unsubscribe();
+
+    assert.deepEqual(events.map(({ type, line, status }) => [type, line || status]),
+      [['line', 'one'], ['line', 'two'], ['line', 'three'], ['line', 'four'], ['end', 'succeeded']]);
+    assert.ok(events.every(event => event.owner.userId === 'user-1'));
+  });
+});
\ No newline at end of file
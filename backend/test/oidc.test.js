@@ -0,0 +1,114 @@
+// backend/test/oidc.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signJwt } = require('../utils/jwt');
+const { createOidcClient } = require('../utils/oidc');
+
+const ISSUER = 'https://login.example.com';
+const CLIENT_ID = 'terraform-ai';
+const REDIRECT_URI = 'https://api.example.com/api/auth/callback';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const jwk = (kid, key = publicKey) => ({ ...key.export({ format: 'jwk' }), kid, alg: 'ES256', use: 'sig' });
+
+// An identity provider answering discovery, JWKS and token requests
+function identityProvider({ idToken, keys = [jwk('key-1')] }) {
+  const provider = { keys, requests: [] };
+  mock.method(global, 'fetch', async (url, options = {}) => {
+    provider.requests.push({ url, body: options.body && new URLSearchParams(options.body) });
+    const bodies = {
+      [`${ISSUER}/.well-known/openid-configuration`]: {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`
+      },
+      [`${ISSUER}/jwks`]: { keys: provider.keys },
+      [`${ISSUER}/token`]: { id_token: typeof idToken === 'function' ? idToken() : idToken }
+    };
+    return bodies[url]
+      ? { ok: true, status: 200, json: async () => bodies[url] }
+      : { ok: false, status: 404, json: async () => ({ error: 'not_found' }) };
+  });
+  return provider;
+}
+
+const idToken = (claims = {}, { kid = 'key-1', key = privateKey } = {}) => signJwt({
+  iss: ISSUER, aud: CLIENT_ID, sub: 'alice', nonce: 'nonce-1', email: 'alice@example.com', ...claims
+}, key, { algorithm: 'ES256', kid, expiresIn: 300 });
+
+describe('OIDC client', () => {
+  let client;
+  const login = { redirectUri: REDIRECT_URI, verifier: 'verifier-1', nonce: 'nonce-1' };
+
+  beforeEach(() => {
+    client = createOidcClient({ issuer: ISSUER, clientId: CLIENT_ID, clientSecret: 'secret', scopes: 'openid email' });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('sends the browser to the provider with state, nonce and a PKCE challenge', async () => {
+    identityProvider({});
+    const { url, state, nonce, verifier } = await client.authorizationUrl({ redirectUri: REDIRECT_URI });
+    const params = new URL(url).searchParams;
+
+    assert.ok(url.startsWith(`${ISSUER}/authorize?`));
+    assert.equal(params.get('state'), state);
+    assert.equal(params.get('nonce'), nonce);
+    assert.equal(params.get('code_challenge_method'), 'S256');
+    assert.equal(params.get('code_challenge'), crypto.createHash('sha256').update(verifier).digest('base64url'));
+    assert.equal(params.get('redirect_uri'), REDIRECT_URI);
+  });
+
+  it('trades a code for the verified ID token claims', async () => {
+    const provider = identityProvider({ idToken: idToken() });
+    const claims = await client.exchangeCode('code-1', login);
+
+    assert.equal(claims.sub, 'alice');
+    const token = provider.requests.find(request => request.url === `${ISSUER}/token`).body;
+    assert.equal(token.get('code'), 'code-1');
+    assert.equal(token.get('code_verifier'), 'verifier-1');
+    assert.equal(token.get('client_secret'), 'secret');
+  });
+
+  const refused = [
+    ['from another issuer', () => idToken({ iss: 'https://evil.example.com' }), /another issuer/],
+    ['for another client', () => idToken({ aud: ['someone-else'] }), /another client/],
+    ['from another login', () => idToken({ nonce: 'nonce-2' }), /nonce does not match/],
+    ['signed with another key', () => idToken({}, { key: crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey }), /Invalid token signature/],
+    ['that has expired', () => signJwt({ iss: ISSUER, aud: CLIENT_ID, sub: 'alice', nonce: 'nonce-1', iat: 1, exp: 2 }, privateKey, { algorithm: 'ES256', kid: 'key-1' }), /Token expired/],
+    ['signed with a shared secret', () => signJwt({ iss: ISSUER, aud: CLIENT_ID, sub: 'alice', nonce: 'nonce-1' }, 'secret', { expiresIn: 300 }), /Unexpected token algorithm HS256/]
+  ];
+
+  for (const [name, token, message] of refused) {
+    it(`refuses an ID token ${name}`, async () => {
+      identityProvider({ idToken: token });
+      await assert.rejects(client.exchangeCode('code-1', login), message);
+    });
+  }
+
+  it('refetches the key set once for a key it hasn\'t seen', async () => {
+    const rotated = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    let kid = 'key-1';
+    let key = privateKey;
+    const provider = identityProvider({ idToken: () => idToken({}, { kid, key }) });
+
+    await client.exchangeCode('code-1', login);
+    provider.keys = [jwk('key-2', rotated.publicKey)];
+    kid = 'key-2';
+    key = rotated.privateKey;
+    await client.exchangeCode('code-2', login);
+
+    assert.equal(provider.requests.filter(request => request.url === `${ISSUER}/jwks`).length, 2);
+  });
+
+  it('refuses a discovery document for another issuer', async () => {
+    const other = createOidcClient({ issuer: 'https://other.example.com', clientId: CLIENT_ID });
+    mock.method(global, 'fetch', async () => ({ ok: true, status: 200, json: async () => ({ issuer: ISSUER }) }));
+
+    await assert.rejects(other.authorizationUrl({ redirectUri: REDIRECT_URI }), /Discovery document is for/);
+  });
+});
\ No newline at end of file
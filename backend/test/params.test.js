@@ -0,0 +1,84 @@
+// backend/test/params.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveParameters } = require('../generators/params');
+const s3Bucket = require('../generators/s3Bucket');
+const ec2Instance = require('../generators/ec2Instance');
+
+const resolve = (message, options) => resolveParameters(s3Bucket, message, options);
+
+describe('resolveParameters', () => {
+  it('applies settings the message names', () => {
+    const { config, changedKeys, unresolved } = resolve('an s3 bucket called team-logs in eu-west-2 without versioning, kms encryption, owner=data');
+
+    assert.equal(config.bucketName, 'team-logs');
+    assert.equal(config.region, 'eu-west-2');
+    assert.equal(config.versioning, false);
+    assert.equal(config.encryption, 'aws:kms');
+    assert.deepEqual(config.tags, { owner: 'data' });
+    assert.deepEqual(changedKeys.sort(), ['bucketName', 'encryption', 'region', 'tags', 'versioning']);
+    assert.deepEqual(unresolved, []);
+  });
+
+  it('uses defaults for settings the message leaves out', () => {
+    const { config, parameters } = resolve('an s3 bucket');
+
+    assert.equal(config.region, 'us-east-1');
+    assert.equal(config.versioning, true);
+    assert.ok(parameters.every(parameter => parameter.source === 'default'));
+  });
+
+  it('reports invalid settings instead of using them', () => {
+    const { config, invalidParameters } = resolve('a bucket called Team_Logs in eu-west-9');
+
+    assert.notEqual(config.bucketName, 'Team_Logs');
+    assert.equal(config.region, 'us-east-1');
+    assert.deepEqual(invalidParameters.map(({ key, input }) => [key, input]),
+      [['region', 'eu-west-9'], ['bucketName', 'called Team_Logs']]);
+    assert.match(invalidParameters[0].error, /is not an AWS region/);
+  });
+
+  it('refuses reserved tags', () => {
+    const { config, invalidParameters } = resolve('a bucket with ManagedBy=me');
+
+    assert.deepEqual(config.tags, {});
+    assert.match(invalidParameters[0].error, /set by Terraform AI/);
+  });
+
+  const unrecognized = [
+    ['a region by its city', 'an s3 bucket in frankfurt', ['frankfurt']],
+    ['a region that does not exist', 'an s3 bucket in region mars-1', ['region mars-1']],
+    ['a storage class', 'an s3 bucket with the glacier storage class', ['glacier storage class']],
+    ['lifecycle rules', 'an s3 bucket with lifecycle rules to expire after 30 days', ['lifecycle rules', 'expire after 30 days']],
+    ['transitions', 'an s3 bucket whose objects are transitioned to deep archive', ['transitioned', 'deep archive']],
+    ['settings another resource type has', 'an s3 bucket with 50GB on a t3.micro', ['50GB', 't3.micro']]
+  ];
+
+  for (const [name, message, expected] of unrecognized) {
+    it(`flags ${name} it can't apply`, () => {
+      const { config, unresolved } = resolve(message);
+
+      assert.deepEqual(unresolved, expected);
+      assert.equal(config.region, 'us-east-1');
+    });
+  }
+
+  it('only changes what a revision mentions', () => {
+    const draft = resolve('a bucket called team-logs in eu-west-2');
+    const revised = resolve('turn off versioning', { base: draft.config, requested: draft.requestedKeys });
+
+    assert.equal(revised.config.bucketName, 'team-logs');
+    assert.equal(revised.config.region, 'eu-west-2');
+    assert.equal(revised.config.versioning, false);
+    assert.deepEqual(revised.changedKeys, ['versioning']);
+    assert.deepEqual(revised.requestedKeys.sort(), ['bucketName', 'region', 'versioning']);
+  });
+
+  it('claims sizes and instance types for the generators that use them', () => {
+    const { config, unresolved } = resolveParameters(ec2Instance, 'an ec2 instance t3.small with 30GB');
+
+    assert.equal(config.instanceType, 't3.small');
+    assert.equal(config.volumeSize, 30);
+    assert.deepEqual(unresolved, []);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,165 @@
+// backend/test/policies.test.js
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPolicies, evaluatePolicies, describeViolations } = require('../policies');
+
+const resource = (type, values, name = 'main') => ({ address: `${type}.${name}`, type, values });
+
+describe('policies', () => {
+  let dir;
+  const originalDir = process.env.POLICY_DIR;
+
+  // Reload the rules with these user rule files in POLICY_DIR
+  const withRules = (files) => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir);
+    for (const [name, text] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, name), text);
+    }
+    return loadPolicies({ reload: true });
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terraform-ai-policies-'));
+    process.env.POLICY_DIR = dir;
+  });
+
+  after(() => {
+    if (originalDir === undefined) delete process.env.POLICY_DIR;
+    else process.env.POLICY_DIR = originalDir;
+    fs.rmSync(dir, { recursive: true, force: true });
+    loadPolicies({ reload: true });
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    withRules({});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('passes a plan that breaks no rule', () => {
+    const result = evaluatePolicies([resource('aws_s3_bucket', { bucket: 'logs' })], { region: 'us-east-1' });
+
+    assert.equal(result.decision, 'pass');
+    assert.deepEqual(result.violations, []);
+    assert.ok(result.rules.every(rule => rule.result === 'pass'));
+  });
+
+  it('denies public buckets, open SSH and oversized instances', () => {
+    const result = evaluatePolicies([
+      resource('aws_s3_bucket_acl', { acl: 'public-read' }),
+      resource('aws_security_group', { ingress: [{ from_port: 22, to_port: 22, cidr_blocks: ['0.0.0.0/0'] }] }),
+      resource('aws_instance', { instance_type: 'm5.8xlarge' })
+    ], { region: 'us-east-1' });
+
+    assert.equal(result.decision, 'deny');
+    assert.deepEqual(result.violations.map(({ ruleId, address }) => `${ruleId} ${address}`), [
+      's3-no-public-access aws_s3_bucket_acl.main',
+      'no-open-admin-ports aws_security_group.main',
+      'instance-size-limit aws_instance.main'
+    ]);
+  });
+
+  it('denies regions outside the allowed list', () => {
+    const result = evaluatePolicies([], { region: 'mars-1' });
+
+    assert.equal(result.decision, 'deny');
+    assert.deepEqual(result.violations, [{ ruleId: 'allowed-regions', effect: 'deny', address: '(plan)', message: 'mars-1 is not an allowed region' }]);
+  });
+
+  it('applies user rules with nested conditions', () => {
+    withRules({
+      'team.yaml': `rules:
+  - id: lambda-tagged
+    description: Lambda functions need a Team tag outside us-east-1
+    effect: warn
+    resource: [aws_lambda_function]
+    when:
+      all:
+        - attribute: "@region"
+          operator: notEquals
+          value: us-east-1
+        - attribute: tags.Team
+          operator: notExists
+`
+    });
+
+    const lambda = resource('aws_lambda_function', { memory_size: 128, tags: {} });
+    assert.equal(evaluatePolicies([lambda], { region: 'us-east-1' }).decision, 'pass');
+
+    const result = evaluatePolicies([lambda], { region: 'eu-west-1' });
+    assert.equal(result.decision, 'warn');
+    assert.deepEqual(describeViolations(result), [
+      '⚠️ Policy warning [lambda-tagged] aws_lambda_function.main: Lambda functions need a Team tag outside us-east-1'
+    ]);
+  });
+
+  it('checks every element of a list attribute', () => {
+    withRules({
+      'volumes.json': JSON.stringify({
+        rules: [{ id: 'small-volumes', effect: 'deny', resource: 'aws_instance', when: { attribute: 'ebs_block_device.volume_size', operator: 'gt', value: 100 } }]
+      })
+    });
+
+    const result = evaluatePolicies([
+      resource('aws_instance', { instance_type: 't3.micro', ebs_block_device: [{ volume_size: 50 }, { volume_size: 500 }] })
+    ], { region: 'us-east-1' });
+
+    assert.equal(result.decision, 'deny');
+    assert.equal(result.violations[0].message, 'violates small-volumes');
+  });
+
+  it('lets user rules replace or turn off built-in ones', () => {
+    const rules = withRules({
+      'overrides.yaml': `rules:
+  - id: instance-size-limit
+    enabled: false
+  - id: rds-not-public
+    effect: warn
+    resource: aws_db_instance
+    when:
+      attribute: publicly_accessible
+      operator: equals
+      value: true
+`
+    });
+
+    assert.ok(!rules.some(rule => rule.id === 'instance-size-limit'));
+    const result = evaluatePolicies([
+      resource('aws_instance', { instance_type: 'm5.metal' }),
+      resource('aws_db_instance', { instance_class: 'db.t3.micro', publicly_accessible: true })
+    ], { region: 'us-east-1' });
+
+    assert.equal(result.decision, 'warn');
+    assert.deepEqual(result.violations.map(violation => violation.ruleId), ['rds-not-public']);
+  });
+
+  it('skips invalid rule files and keeps the rest', () => {
+    const rules = withRules({
+      'a-broken.yaml': 'rules:\n  - id: bad\n    effect: block\n',
+      'b-good.yaml': 'rules:\n  - id: good\n    effect: warn\n    when:\n      attribute: x\n      operator: exists\n'
+    });
+
+    assert.ok(rules.some(rule => rule.id === 'good'));
+    assert.ok(!rules.some(rule => rule.id === 'bad'));
+    assert.match(console.error.mock.calls[0].arguments.join(' '), /a-broken\.yaml.*effect must be warn or deny/);
+  });
+
+  it('reports a rule that fails to evaluate instead of skipping it', () => {
+    const rules = loadPolicies();
+    rules.push({ id: 'broken', description: 'broken', effect: 'warn', source: 'test', check() { throw new Error('boom'); } });
+
+    const result = evaluatePolicies([resource('aws_s3_bucket', {})], { region: 'us-east-1' });
+
+    assert.deepEqual(result.violations.map(({ ruleId, address, message }) => `${ruleId} ${address} ${message}`), [
+      'broken (policy) rule failed to evaluate: boom'
+    ]);
+  });
+});
\ No newline at end of file
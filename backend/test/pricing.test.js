@@ -0,0 +1,128 @@
+// backend/test/pricing.test.js
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateCost, formatCost, loadPriceTable } = require('../pricing');
+
+const instance = (instanceType, extra = {}) => ({
+  address: 'aws_instance.web',
+  type: 'aws_instance',
+  values: { instance_type: instanceType, root_block_device: [{ volume_size: 8, volume_type: 'gp3' }], ...extra }
+});
+
+const storageItem = (estimate) => estimate.lineItems.find(item => /^S3 .* storage$/.test(item.description));
+
+describe('estimateCost', () => {
+  let prices;
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+    const table = loadPriceTable();
+    prices = table.regions['us-east-1'];
+    mock.restoreAll();
+  });
+
+  it('prices new resources at their full monthly cost', () => {
+    const estimate = estimateCost([instance('t3.micro')]);
+
+    assert.equal(estimate.lineItems.length, 2);
+    assert.equal(estimate.monthlyTotal, estimate.lineItems[0].monthly + estimate.lineItems[1].monthly);
+    assert.ok(estimate.monthlyTotal > 0);
+  });
+
+  it('prices a resizing as the difference it makes', () => {
+    const resized = { ...instance('t3.small'), before: instance('t3.micro').values };
+    const estimate = estimateCost([resized]);
+    const hours = loadPriceTable().hoursPerMonth;
+
+    const expected = Math.round(hours * (prices.ec2['t3.small'] - prices.ec2['t3.micro']) * 100) / 100;
+    assert.ok(Math.abs(estimate.monthlyTotal - expected) <= 0.01, `${estimate.monthlyTotal} vs ${expected}`);
+    assert.ok(estimate.lineItems.some(item => item.description.endsWith('(current)') && item.monthly < 0));
+    assert.ok(estimate.lineItems.some(item => item.description.endsWith('(planned)') && item.monthly > 0));
+  });
+
+  it('reports a saving as a negative total', () => {
+    const estimate = estimateCost([{ ...instance('t3.micro'), before: instance('t3.small').values }]);
+
+    assert.ok(estimate.monthlyTotal < 0);
+    assert.match(formatCost(estimate), /^~-\$\d+\.\d{2}\/month$/);
+  });
+
+  it('adds nothing for a change that doesn\'t affect the price', () => {
+    const retagged = { ...instance('t3.micro', { tags: { Team: 'web' } }), before: instance('t3.micro').values };
+    const estimate = estimateCost([retagged]);
+
+    assert.equal(estimate.monthlyTotal, 0);
+    assert.deepEqual(estimate.lineItems, []);
+    assert.deepEqual(estimate.unchanged, ['aws_instance.web']);
+    assert.equal(formatCost(estimate), '$0.00/month (no change in cost)');
+  });
+
+  it('prices S3 storage as Standard by default', () => {
+    const estimate = estimateCost([{ address: 'aws_s3_bucket.main', type: 'aws_s3_bucket', values: {} }]);
+
+    assert.equal(storageItem(estimate).unitPrice, prices.s3.storage.STANDARD);
+  });
+
+  it('prices S3 storage in the class lifecycle rules move objects to', () => {
+    const estimate = estimateCost([
+      { address: 'aws_s3_bucket.main', type: 'aws_s3_bucket', values: { bucket: 'team-logs' } },
+      {
+        address: 'aws_s3_bucket_lifecycle_configuration.main',
+        type: 'aws_s3_bucket_lifecycle_configuration',
+        values: {
+          bucket: 'team-logs',
+          rule: [{ id: 'archive', status: 'Enabled', transition: [{ days: 30, storage_class: 'STANDARD_IA' }, { days: 90, storage_class: 'GLACIER' }] }]
+        }
+      }
+    ]);
+
+    assert.equal(storageItem(estimate).unitPrice, prices.s3.storage.GLACIER);
+    assert.ok(estimate.assumptions.some(assumption => /GLACIER, where lifecycle rules move objects after 90 days/.test(assumption)));
+  });
+
+  it('matches a lifecycle configuration to the only bucket when the name is known at apply', () => {
+    const estimate = estimateCost([
+      { address: 'aws_s3_bucket.main', type: 'aws_s3_bucket', values: {} },
+      {
+        address: 'aws_s3_bucket_lifecycle_configuration.main',
+        type: 'aws_s3_bucket_lifecycle_configuration',
+        values: { rule: [{ status: 'Enabled', transition: [{ days: 0, storage_class: 'INTELLIGENT_TIERING' }] }] }
+      }
+    ]);
+
+    assert.equal(storageItem(estimate).unitPrice, prices.s3.storage.INTELLIGENT_TIERING);
+  });
+
+  it('ignores disabled lifecycle rules', () => {
+    const estimate = estimateCost([{
+      address: 'aws_s3_bucket.main',
+      type: 'aws_s3_bucket',
+      values: { lifecycle_rule: [{ enabled: false, transition: [{ days: 30, storage_class: 'GLACIER' }] }] }
+    }]);
+
+    assert.equal(storageItem(estimate).unitPrice, prices.s3.storage.STANDARD);
+  });
+
+  it('reads storage_class when the resource sets one', () => {
+    const estimate = estimateCost([{ address: 'aws_s3_bucket.main', type: 'aws_s3_bucket', values: { storage_class: 'ONEZONE_IA' } }]);
+
+    assert.equal(storageItem(estimate).unitPrice, prices.s3.storage.ONEZONE_IA);
+  });
+
+  it('lists resources the table can\'t price', () => {
+    const estimate = estimateCost([
+      instance('x9.mega'),
+      { address: 'aws_elasticache_cluster.cache', type: 'aws_elasticache_cluster', values: {} }
+    ]);
+
+    assert.deepEqual(estimate.unpriced, ['aws_instance.web', 'aws_elasticache_cluster.cache']);
+    assert.match(formatCost(estimate), /plus 2 resources not priced$/);
+  });
+
+  it('falls back to the default region\'s prices', () => {
+    const estimate = estimateCost([instance('t3.micro')], 'mars-1');
+
+    assert.equal(estimate.priceRegion, loadPriceTable().defaultRegion);
+    assert.ok(estimate.assumptions.some(assumption => assumption.startsWith('No prices for mars-1')));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,91 @@
+// backend/test/quotas.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createActionStore } = require('../utils/actionStore');
+const { DEFAULT_TIERS, createQuotas } = require('../utils/quotas');
+
+const user = { id: 'user-1' };
+
+describe('quotas', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terraform-ai-quotas-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('counts uses up to the tier limit', async () => {
+    const quotas = createQuotas({ store: createActionStore({ type: 'memory' }) });
+    const subjects = quotas.subjectsFor(user);
+
+    for (let i = 0; i < DEFAULT_TIERS.free.applies; i++) {
+      assert.equal(await quotas.consume(subjects, 'applies'), null);
+    }
+    const exceeded = await quotas.consume(subjects, 'applies');
+
+    assert.equal(exceeded.quota, 'applies');
+    assert.equal(exceeded.scope, 'user');
+    assert.equal(exceeded.limit, DEFAULT_TIERS.free.applies);
+    assert.equal(exceeded.used, DEFAULT_TIERS.free.applies);
+    assert.match(exceeded.message, /^Daily limit of 10 applies reached for your user \(free tier\)/);
+  });
+
+  it('counts nothing when the account is over its limit', async () => {
+    const store = createActionStore({ type: 'memory' });
+    const quotas = createQuotas({ store });
+    const [userSubject, accountSubject] = quotas.subjectsFor(user, '123456789012');
+
+    for (let i = 0; i < DEFAULT_TIERS.free.applies; i++) {
+      await quotas.consume([{ ...userSubject, id: `other-${i}` }, accountSubject], 'applies');
+    }
+    const exceeded = await quotas.consume([userSubject, accountSubject], 'applies');
+    const [usage] = await quotas.usage([userSubject], async () => 0);
+
+    assert.equal(exceeded.scope, 'account');
+    assert.match(exceeded.message, /AWS account 123456789012/);
+    assert.equal(usage.quotas.applies.used, 0);
+  });
+
+  it('never counts past the limit with instances consuming at once', async () => {
+    const instances = [1, 2, 3].map(() => createQuotas({ store: createActionStore({ type: 'file', dir }) }));
+    const subjects = instances[0].subjectsFor(user, '123456789012');
+
+    const results = await Promise.all(Array.from({ length: 25 }, (_, i) =>
+      instances[i % instances.length].consume(subjects, 'applies')));
+    const [userUsage, accountUsage] = await instances[0].usage(subjects, async () => 0);
+
+    assert.equal(results.filter(result => result === null).length, DEFAULT_TIERS.free.applies);
+    assert.equal(userUsage.quotas.applies.used, DEFAULT_TIERS.free.applies);
+    assert.equal(accountUsage.quotas.applies.used, DEFAULT_TIERS.free.applies);
+  });
+
+  it('uses the tier configured for the user', async () => {
+    process.env.QUOTA_USER_TIERS = JSON.stringify({ 'user-1': 'team' });
+    try {
+      const quotas = createQuotas({ store: createActionStore({ type: 'memory' }) });
+      const [subject] = quotas.subjectsFor(user);
+
+      assert.equal(subject.tier, 'team');
+      assert.equal(quotas.subjectsFor({ id: 'user-2' })[0].tier, 'free');
+    } finally {
+      delete process.env.QUOTA_USER_TIERS;
+    }
+  });
+
+  it('refuses new jobs at the concurrent jobs cap', async () => {
+    const quotas = createQuotas({ store: createActionStore({ type: 'memory' }) });
+    const subjects = quotas.subjectsFor(user, '123456789012');
+
+    assert.equal(await quotas.checkConcurrent(subjects, async () => 0), null);
+    const exceeded = await quotas.checkConcurrent(subjects, async subject => (subject.scope === 'account' ? 1 : 0));
+    assert.equal(exceeded.quota, 'concurrentJobs');
+    assert.equal(exceeded.scope, 'account');
+    assert.match(exceeded.message, /already has 1 job\(s\) queued or running/);
+  });
+});
\ No newline at end of file
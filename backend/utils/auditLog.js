@@ -0,0 +1,148 @@
+// backend/utils/auditLog.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Append-only audit trail of the Terraform lifecycle: plans, confirmations,
+ * applies and destroys, and of who read the trail.
+ *
+ * Entries are JSON lines in one file per UTC day (audit-YYYY-MM-DD.jsonl)
+ * that are only ever appended to; nothing here rewrites or deletes them.
+ * An entry:
+ *   id, timestamp, event, actor, accountId, roleArn, actionId, actionType,
+ *   targetActionId?, codeHash?, decision?, result, outputs?, error?, details?
+ *
+ * event     'plan' | 'confirm' | 'apply' | 'destroy' | 'drift-check' | 'audit-read'
+ * decision  'approved' | 'cancelled' (confirm events)
+ * result    what happened, e.g. 'planned', 'succeeded', 'failed', 'cancelled', 'rejected'
+ */
+
+const DEFAULT_AUDIT_DIR = path.join(__dirname, '..', 'audit-log');
+
+const EVENTS = ['plan', 'confirm', 'apply', 'destroy', 'drift-check', 'audit-read'];
+
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'event', 'actor', 'accountId', 'roleArn', 'actionId', 'actionType',
+  'targetActionId', 'codeHash', 'decision', 'result', 'outputs', 'error', 'details'
+];
+
+// Hash of the Terraform code an event ran, so the exact code can be matched later
+function codeHash(terraformCode) {
+  if (!terraformCode) return null;
+  return `sha256:${crypto.createHash('sha256').update(terraformCode).digest('hex')}`;
+}
+
+// Who acted: the signed-in user, or for older records the AWS connection
+// (identified without its external ID)
+function connectionActor(owner) {
+  if (!owner) return 'anonymous';
+  return owner.userId ? `user:${owner.userId}` : `connection:${owner.externalIdHash.slice(0, 16)}`;
+}
+
+const dayOf = (timestamp) => timestamp.slice(0, 10);
+
+function createAuditLog({ dir = process.env.AUDIT_LOG_DIR || DEFAULT_AUDIT_DIR } = {}) {
+  // Appends from this process go out one at a time so lines never interleave
+  let writing = Promise.resolve();
+
+  const fileFor = (day) => path.join(dir, `audit-${day}.jsonl`);
+
+  /**
+   * Append an entry. Never throws: a failed write is logged, and the
+   * Terraform run it describes carries on.
+   */
+  function record(event, fields = {}) {
+    const timestamp = new Date().toISOString();
+    const entry = {
+      id: `audit_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`,
+      timestamp,
+      event,
+      ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined))
+    };
+
+    writing = writing
+      .then(async () => {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.appendFile(fileFor(dayOf(timestamp)), `${JSON.stringify(entry)}\n`, { flag: 'a', mode: 0o640 });
+      })
+      .catch(error => console.error('❌ Failed to write audit entry:', error.message, entry));
+
+    return entry;
+  }
+
+  /**
+   * Entries matching every given filter, oldest first:
+   *   event, actor, accountId, roleArn, actionId, decision, result  exact matches
+   *   from, to   ISO timestamps (inclusive)
+   *   limit      most recent N of the matches
+   */
+  async function query({ from, to, limit, ...filters } = {}) {
+    await writing;
+
+    let files;
+    try {
+      files = (await fs.readdir(dir)).filter(name => /^audit-\d{4}-\d{2}-\d{2}\.jsonl$/.test(name)).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    // Day files outside the range can be skipped without reading them
+    const day = (name) => name.slice(6, 16);
+    files = files.filter(name => (!from || day(name) >= dayOf(from)) && (!to || day(name) <= dayOf(to)));
+
+    const matches = [];
+    for (const file of files) {
+      const lines = (await fs.readFile(path.join(dir, file), 'utf8')).split('\n');
+      for (const line of lines.filter(Boolean)) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+        if (from && entry.timestamp < from) continue;
+        if (to && entry.timestamp > to) continue;
+        if (Object.entries(filters).some(([key, value]) => value !== undefined && entry[key] !== value)) continue;
+        matches.push(entry);
+      }
+    }
+
+    return limit ? matches.slice(-limit) : matches;
+  }
+
+  return {
+    record,
+    query
+  };
+}
+
+function toJsonl(entries) {
+  return entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : '');
+}
+
+// Nested values (outputs, details) are written as JSON inside the cell
+function toCsv(entries) {
+  const cell = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Keep spreadsheets from running a cell as a formula
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...entries.map(entry => CSV_COLUMNS.map(column => cell(entry[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  EVENTS,
+  codeHash,
+  connectionActor,
+  createAuditLog,
+  toJsonl,
+  toCsv
+};
\ No newline at end of file
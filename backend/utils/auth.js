@@ -0,0 +1,177 @@
+// backend/utils/auth.js
+const crypto = require('crypto');
+const path = require('path');
+const { signJwt, verifyJwt } = require('./jwt');
+const { createActionStore } = require('./actionStore');
+
+/**
+ * User accounts and API sessions.
+ *
+ * Users sign in through OIDC and are keyed by issuer and subject. A session
+ * is a short-lived HS256 JWT in an HttpOnly cookie, signed with
+ * AUTH_SESSION_SECRET and stamped with the user's session version. Signing
+ * out bumps the version, which ends every session issued before it.
+ */
+
+const SESSION_COOKIE = 'tfai_session';
+const LOGIN_COOKIE = 'tfai_login';
+
+const SESSION_TTL_SECONDS = (Number(process.env.AUTH_SESSION_TTL_HOURS) || 12) * 60 * 60;
+// An unfinished login (state, nonce, PKCE verifier) must come back within this
+const LOGIN_TTL_SECONDS = 10 * 60;
+
+const DEFAULT_USER_STORE_DIR = path.join(__dirname, '..', 'user-store');
+
+// Development only: sessions end when the process restarts
+let devSecret = null;
+
+function sessionSecret() {
+  if (process.env.AUTH_SESSION_SECRET) {
+    return process.env.AUTH_SESSION_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_SESSION_SECRET must be set in production');
+  }
+  if (!devSecret) {
+    console.warn('⚠️ AUTH_SESSION_SECRET is not set; using a random secret, so sessions end on restart');
+    devSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return devSecret;
+}
+
+// Stable, path-safe user ID for an identity provider account
+function userIdFor(issuer, subject) {
+  return `user_${crypto.createHash('sha256').update(`${issuer}\n${subject}`).digest('hex').slice(0, 24)}`;
+}
+
+async function verifySecret(token) {
+  return verifyJwt(token, () => sessionSecret(), { algorithms: ['HS256'] });
+}
+
+function issueSession(user) {
+  return signJwt({ sub: user.id, typ: 'session', ver: user.sessionVersion || 0 }, sessionSecret(), { expiresIn: SESSION_TTL_SECONDS });
+}
+
+// The user a session token belongs to, or null for a missing, expired or signed-out session
+async function verifySession(token, users) {
+  let claims;
+  try {
+    claims = await verifySecret(token);
+  } catch (error) {
+    return null;
+  }
+  if (claims.typ !== 'session') return null;
+
+  const user = await users.get(claims.sub);
+  // Sessions from before a sign-out, or issued before sessions carried a version
+  if (!user || claims.ver !== (user.sessionVersion || 0)) return null;
+  return user;
+}
+
+// Login state carried through the identity provider round trip in a signed cookie
+function issueLoginState({ state, nonce, verifier, returnTo }) {
+  return signJwt({ typ: 'login', state, nonce, verifier, returnTo }, sessionSecret(), { expiresIn: LOGIN_TTL_SECONDS });
+}
+
+async function verifyLoginState(token) {
+  try {
+    const claims = await verifySecret(token);
+    return claims.typ === 'login' ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function cookieOptions(maxAgeSeconds) {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    // The production frontend is on another site, so the cookie has to cross sites
+    sameSite: process.env.AUTH_COOKIE_SAMESITE || (production ? 'none' : 'lax'),
+    path: '/',
+    maxAge: maxAgeSeconds * 1000
+  };
+}
+
+// Cookie values by name; Express has no cookie parser here
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index > -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        // A malformed value (e.g. a stray %) reads as no cookie
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Users by ID:
+ *   get(userId)
+ *   upsertFromClaims(issuer, claims)  -> user (created on first sign-in)
+ *   signOut(userId)                   ends the user's current sessions
+ */
+function createUserStore({
+  store = createActionStore({
+    dir: process.env.USER_STORE_DIR || DEFAULT_USER_STORE_DIR,
+    prefix: 'terraform-ai:user:'
+  })
+} = {}) {
+  return {
+    get: (userId) => store.get(userId),
+
+    async upsertFromClaims(issuer, claims) {
+      const id = userIdFor(issuer, claims.sub);
+      const existing = await store.get(id);
+      const user = {
+        ...existing,
+        id,
+        issuer,
+        subject: claims.sub,
+        email: claims.email || (existing && existing.email) || null,
+        name: claims.name || claims.preferred_username || (existing && existing.name) || null,
+        createdAt: existing ? existing.createdAt : new Date().toISOString(),
+        lastSignInAt: new Date().toISOString()
+      };
+      await store.save(id, user);
+      return user;
+    },
+
+    async signOut(userId) {
+      const user = await store.get(userId);
+      if (user) {
+        await store.save(userId, {
+          ...user,
+          sessionVersion: (user.sessionVersion || 0) + 1,
+          signedOutAt: new Date().toISOString()
+        });
+      }
+    }
+  };
+}
+
+// What clients see of a user
+function publicUser(user) {
+  return { id: user.id, email: user.email, name: user.name };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  LOGIN_COOKIE,
+  SESSION_TTL_SECONDS,
+  LOGIN_TTL_SECONDS,
+  issueSession,
+  verifySession,
+  issueLoginState,
+  verifyLoginState,
+  cookieOptions,
+  readCookie,
+  createUserStore,
+  publicUser
+};
\ No newline at end of file
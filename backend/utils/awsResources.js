@@ -0,0 +1,339 @@
+// backend/utils/awsResources.js
+const AWS = require('aws-sdk');
+
+/**
+ * Direct AWS SDK helpers for work Terraform can't do on its own
+ */
+
+// Tag every agent-created resource carries
+const MANAGED_BY_TAG = { Key: 'ManagedBy', Value: 'TerraformAI' };
+
+// Services the agent creates resources in, as Tagging API resource type filters
+const SUPPORTED_RESOURCE_TYPES = [
+  's3',
+  'ec2:instance',
+  'ec2:vpc',
+  'lambda:function',
+  'dynamodb:table',
+  'rds:db',
+  'apigateway:restapis',
+  'logs:log-group'
+];
+
+// Regions searched when the caller doesn't pick any (INVENTORY_REGIONS overrides)
+const DEFAULT_INVENTORY_REGIONS = [
+  'us-east-1',
+  'us-east-2',
+  'us-west-1',
+  'us-west-2',
+  'eu-west-1',
+  'eu-central-1',
+  'ap-southeast-1',
+  'ap-northeast-1'
+];
+
+function s3Client(credentials, region) {
+  return new AWS.S3({
+    accessKeyId: credentials.accessKeyId,
+    secretAccessKey: credentials.secretAccessKey,
+    sessionToken: credentials.sessionToken,
+    region: region || 'us-east-1'
+  });
+}
+
+/**
+ * Delete every object version and delete marker in a bucket so Terraform
+ * can remove it. Returns how many entries were deleted.
+ */
+async function emptyS3Bucket(bucketName, credentials, region) {
+  const s3 = s3Client(credentials, region);
+  let deleted = 0;
+  let keyMarker;
+  let versionIdMarker;
+
+  do {
+    const page = await s3.listObjectVersions({
+      Bucket: bucketName,
+      KeyMarker: keyMarker,
+      VersionIdMarker: versionIdMarker
+    }).promise();
+
+    const objects = [...(page.Versions || []), ...(page.DeleteMarkers || [])]
+      .map(({ Key, VersionId }) => ({ Key, VersionId }));
+
+    if (objects.length > 0) {
+      const result = await s3.deleteObjects({
+        Bucket: bucketName,
+        Delete: { Objects: objects, Quiet: true }
+      }).promise();
+
+      if (result.Errors && result.Errors.length > 0) {
+        const first = result.Errors[0];
+        throw new Error(`Failed to empty bucket ${bucketName}: ${first.Key} - ${first.Message}`);
+      }
+      deleted += objects.length;
+    }
+
+    keyMarker = page.IsTruncated ? page.NextKeyMarker : undefined;
+    versionIdMarker = page.IsTruncated ? page.NextVersionIdMarker : undefined;
+  } while (keyMarker);
+
+  return deleted;
+}
+
+function inventoryRegions(regions) {
+  if (Array.isArray(regions) && regions.length > 0) return regions;
+  if (process.env.INVENTORY_REGIONS) {
+    return process.env.INVENTORY_REGIONS.split(',').map(r => r.trim()).filter(Boolean);
+  }
+  return DEFAULT_INVENTORY_REGIONS;
+}
+
+// arn:partition:service:region:account:resource
+function describeArn(arn, fallbackRegion) {
+  const [, , service, region, , ...rest] = arn.split(':');
+  const resource = rest.join(':');
+  const [resourceType, ...nameParts] = resource.split(/[/:]/);
+
+  return {
+    service,
+    region: region || fallbackRegion,
+    resourceType: nameParts.length > 0 ? resourceType : service,
+    name: nameParts.length > 0 ? nameParts.join('/') : resourceType
+  };
+}
+
+async function listRegionResources(credentials, region) {
+  const tagging = new AWS.ResourceGroupsTaggingAPI({
+    accessKeyId: credentials.accessKeyId,
+    secretAccessKey: credentials.secretAccessKey,
+    sessionToken: credentials.sessionToken,
+    region
+  });
+
+  const resources = [];
+  let paginationToken;
+
+  do {
+    const page = await tagging.getResources({
+      TagFilters: [{ Key: MANAGED_BY_TAG.Key, Values: [MANAGED_BY_TAG.Value] }],
+      ResourceTypeFilters: SUPPORTED_RESOURCE_TYPES,
+      PaginationToken: paginationToken
+    }).promise();
+
+    for (const mapping of page.ResourceTagMappingList || []) {
+      const tags = Object.fromEntries((mapping.Tags || []).map(({ Key, Value }) => [Key, Value]));
+      resources.push({
+        arn: mapping.ResourceARN,
+        ...describeArn(mapping.ResourceARN, region),
+        createdAt: tags.CreatedAt || null,
+        sourceAction: tags.ActionId || null,
+        tags
+      });
+    }
+
+    paginationToken = page.PaginationToken || undefined;
+  } while (paginationToken);
+
+  return resources;
+}
+
+/**
+ * List every resource tagged ManagedBy=TerraformAI across the given regions.
+ * Regions that fail (e.g. disabled opt-in regions) are reported, not fatal.
+ */
+async function listManagedResources(credentials, { regions } = {}) {
+  const searched = inventoryRegions(regions);
+  const errors = [];
+
+  const results = await Promise.all(searched.map(region =>
+    listRegionResources(credentials, region).catch(error => {
+      errors.push({ region, message: error.message });
+      return [];
+    })
+  ));
+
+  // Global resources can come back from more than one region; keep one entry per ARN
+  const byArn = new Map();
+  for (const resource of results.flat()) {
+    if (!byArn.has(resource.arn)) byArn.set(resource.arn, resource);
+  }
+
+  const resources = [...byArn.values()].sort((a, b) =>
+    String(b.createdAt || '').localeCompare(String(a.createdAt || ''))
+  );
+
+  return { resources, regions: searched, errors };
+}
+
+// Resource types existing resources can be imported as, with their ARN and a
+// check for IDs from clients (they end up in Terraform import blocks)
+const IMPORTABLE_TYPES = {
+  aws_s3_bucket: {
+    label: 'S3 bucket',
+    validId: id => /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(id),
+    arn: id => `arn:aws:s3:::${id}`
+  },
+  aws_instance: {
+    label: 'EC2 instance',
+    validId: id => /^i-[0-9a-f]{8,17}$/.test(id),
+    arn: (id, region, accountId) => `arn:aws:ec2:${region}:${accountId}:instance/${id}`
+  },
+  aws_dynamodb_table: {
+    label: 'DynamoDB table',
+    validId: id => /^[A-Za-z0-9_.-]{3,255}$/.test(id),
+    arn: (id, region, accountId) => `arn:aws:dynamodb:${region}:${accountId}:table/${id}`
+  }
+};
+
+function clientConfig(credentials, region) {
+  return {
+    accessKeyId: credentials.accessKeyId,
+    secretAccessKey: credentials.secretAccessKey,
+    sessionToken: credentials.sessionToken,
+    region
+  };
+}
+
+const tagMap = (tags = []) => Object.fromEntries(tags.map(({ Key, Value }) => [Key, Value]));
+const isManaged = (tags) => tags[MANAGED_BY_TAG.Key] === MANAGED_BY_TAG.Value;
+
+// S3 reports us-east-1 as no location and eu-west-1 as the legacy "EU"
+function bucketRegion(locationConstraint) {
+  if (!locationConstraint) return 'us-east-1';
+  return locationConstraint === 'EU' ? 'eu-west-1' : locationConstraint;
+}
+
+async function discoverBuckets(credentials, region, { exclude }) {
+  const s3 = s3Client(credentials, region);
+  const { Buckets = [] } = await s3.listBuckets().promise();
+
+  const found = await Promise.all(Buckets.filter(bucket => !exclude.includes(bucket.Name)).map(async bucket => {
+    const location = await s3.getBucketLocation({ Bucket: bucket.Name }).promise().catch(() => null);
+    if (!location || bucketRegion(location.LocationConstraint) !== region) return null;
+
+    const tagging = await s3.getBucketTagging({ Bucket: bucket.Name }).promise()
+      .catch(error => error.code === 'NoSuchTagSet' ? { TagSet: [] } : Promise.reject(error));
+    return { id: bucket.Name, name: bucket.Name, createdAt: bucket.CreationDate, tags: tagMap(tagging.TagSet) };
+  }));
+
+  return found.filter(Boolean);
+}
+
+async function discoverInstances(credentials, region) {
+  const ec2 = new AWS.EC2(clientConfig(credentials, region));
+  const found = [];
+  let nextToken;
+
+  do {
+    const page = await ec2.describeInstances({
+      Filters: [{ Name: 'instance-state-name', Values: ['pending', 'running', 'stopping', 'stopped'] }],
+      NextToken: nextToken
+    }).promise();
+
+    for (const instance of (page.Reservations || []).flatMap(reservation => reservation.Instances || [])) {
+      const tags = tagMap(instance.Tags);
+      found.push({
+        id: instance.InstanceId,
+        name: tags.Name || instance.InstanceId,
+        createdAt: instance.LaunchTime,
+        tags,
+        details: `${instance.InstanceType}, ${instance.State.Name}`
+      });
+    }
+    nextToken = page.NextToken;
+  } while (nextToken);
+
+  return found;
+}
+
+async function discoverTables(credentials, region, { accountId }) {
+  const dynamodb = new AWS.DynamoDB(clientConfig(credentials, region));
+  const names = [];
+  let lastTable;
+
+  do {
+    const page = await dynamodb.listTables({ ExclusiveStartTableName: lastTable }).promise();
+    names.push(...page.TableNames);
+    lastTable = page.LastEvaluatedTableName;
+  } while (lastTable);
+
+  return Promise.all(names.map(async name => {
+    const { Tags = [] } = await dynamodb.listTagsOfResource({
+      ResourceArn: IMPORTABLE_TYPES.aws_dynamodb_table.arn(name, region, accountId)
+    }).promise();
+    return { id: name, name, tags: tagMap(Tags) };
+  }));
+}
+
+const DISCOVERERS = {
+  aws_s3_bucket: discoverBuckets,
+  aws_instance: discoverInstances,
+  aws_dynamodb_table: discoverTables
+};
+
+/**
+ * Find resources in a region that the agent doesn't manage yet (no
+ * ManagedBy=TerraformAI tag), so they can be imported. exclude lists
+ * bucket names to leave out, like the agent's own state bucket.
+ * Returns { resources: [{ type, label, id, name, region, arn, tags, createdAt?, details? }], errors }
+ * A service that can't be listed (e.g. missing permissions) is reported in errors.
+ */
+async function discoverUnmanagedResources(credentials, { region, accountId, exclude = [] }) {
+  const errors = [];
+
+  const results = await Promise.all(Object.entries(DISCOVERERS).map(([type, discover]) =>
+    discover(credentials, region, { accountId, exclude })
+      .then(found => found
+        .filter(resource => !isManaged(resource.tags))
+        .map(resource => ({
+          type,
+          label: IMPORTABLE_TYPES[type].label,
+          region,
+          arn: IMPORTABLE_TYPES[type].arn(resource.id, region, accountId),
+          ...resource
+        })))
+      .catch(error => {
+        errors.push({ type, message: error.message });
+        return [];
+      })
+  ));
+
+  return { resources: results.flat(), errors };
+}
+
+// TagResources accepts at most this many ARNs per call
+const TAGGING_BATCH = 20;
+
+/**
+ * Add tags to resources by ARN. Returns [{ arn, message }] for the ones
+ * that couldn't be tagged.
+ */
+async function tagResources(arns, tags, credentials, region) {
+  const tagging = new AWS.ResourceGroupsTaggingAPI(clientConfig(credentials, region));
+  const failed = [];
+
+  for (let start = 0; start < arns.length; start += TAGGING_BATCH) {
+    const batch = arns.slice(start, start + TAGGING_BATCH);
+    try {
+      const { FailedResourcesMap = {} } = await tagging.tagResources({ ResourceARNList: batch, Tags: tags }).promise();
+      for (const [arn, failure] of Object.entries(FailedResourcesMap)) {
+        failed.push({ arn, message: failure.ErrorMessage || failure.ErrorCode });
+      }
+    } catch (error) {
+      failed.push(...batch.map(arn => ({ arn, message: error.message })));
+    }
+  }
+
+  return failed;
+}
+
+module.exports = {
+  MANAGED_BY_TAG,
+  SUPPORTED_RESOURCE_TYPES,
+  IMPORTABLE_TYPES,
+  emptyS3Bucket,
+  listManagedResources,
+  discoverUnmanagedResources,
+  tagResources
+};
\ No newline at end of file
@@ -0,0 +1,89 @@
+// backend/utils/chatSessions.js
+const crypto = require('crypto');
+
+/**
+ * Server-side chat sessions.
+ *
+ * A session keeps the conversation history and the current draft plan, so a
+ * follow-up like "actually put it in eu-west-1" edits the draft instead of
+ * starting over. Session IDs are unguessable, and a session belongs to the
+ * user who started it. Sessions expire after a period of inactivity.
+ *
+ * Session: { id, userId, owner, messages: [{ role, content, timestamp, ... }],
+ *            draft, createdAt, updatedAt, expiresAt }
+ */
+
+// Idle time after which a session expires
+const SESSION_TTL_MS = parseInt(process.env.CHAT_SESSION_TTL_MS, 10) || 2 * 60 * 60 * 1000;
+
+// Messages kept per session; older ones are dropped
+const MAX_HISTORY = 100;
+
+function newSessionId() {
+  return `session_${crypto.randomBytes(16).toString('hex')}`;
+}
+
+function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && /^session_[0-9a-f]{32}$/.test(sessionId);
+}
+
+/**
+ * options:
+ *   store  action store used for session records
+ *   ttlMs  idle expiry
+ */
+function createChatSessions({ store, ttlMs = SESSION_TTL_MS }) {
+  async function save(session) {
+    const now = Date.now();
+    Object.assign(session, {
+      messages: session.messages.slice(-MAX_HISTORY),
+      updatedAt: now,
+      expiresAt: now + ttlMs
+    });
+    await store.save(session.id, session);
+    return session;
+  }
+
+  return {
+    async create({ userId } = {}) {
+      const now = Date.now();
+      return save({
+        id: newSessionId(),
+        userId,
+        owner: null,
+        messages: [],
+        draft: null,
+        createdAt: now
+      });
+    },
+
+    // null for unknown, malformed or expired IDs
+    async get(sessionId) {
+      if (!isValidSessionId(sessionId)) return null;
+      return store.get(sessionId);
+    },
+
+    save,
+
+    // Append messages and push the expiry back
+    async append(session, ...messages) {
+      const timestamp = Date.now();
+      session.messages.push(...messages.map(message => ({ timestamp, ...message })));
+      return save(session);
+    },
+
+    async delete(sessionId) {
+      if (!isValidSessionId(sessionId)) return;
+      await store.delete(sessionId);
+    },
+
+    async cleanup() {
+      await store.cleanup();
+    }
+  };
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  createChatSessions
+};
\ No newline at end of file
@@ -0,0 +1,92 @@
+// backend/utils/connections.js
+const crypto = require('crypto');
+const path = require('path');
+const { createActionStore } = require('./actionStore');
+
+/**
+ * AWS connections, one per user, kept server-side.
+ *
+ * The external ID the role trusts is generated here and never leaves the
+ * user's account; clients only ever see it to paste into CloudFormation.
+ * A connection is 'pending' until its role is verified, then 'verified'
+ * with the role ARN, account and permission scope. Disconnecting drops the
+ * role but keeps the external ID, so the same stack can be reconnected.
+ */
+
+const DEFAULT_CONNECTION_STORE_DIR = path.join(__dirname, '..', 'connection-store');
+
+const newExternalId = () => crypto.randomBytes(32).toString('hex');
+
+function createConnectionStore({
+  store = createActionStore({
+    dir: process.env.CONNECTION_STORE_DIR || DEFAULT_CONNECTION_STORE_DIR,
+    prefix: 'terraform-ai:connection:'
+  })
+} = {}) {
+  return {
+    get: (userId) => store.get(userId),
+
+    // The user's connection, created with a fresh external ID on first use
+    async start(userId) {
+      const existing = await store.get(userId);
+      if (existing) return existing;
+
+      const connection = {
+        userId,
+        externalId: newExternalId(),
+        status: 'pending',
+        createdAt: new Date().toISOString()
+      };
+      await store.save(userId, connection);
+      return connection;
+    },
+
+    async verify(userId, { roleArn, accountId, scope }) {
+      const connection = {
+        ...(await this.start(userId)),
+        status: 'verified',
+        roleArn,
+        accountId,
+        scope: scope || null,
+        verifiedAt: new Date().toISOString()
+      };
+      await store.save(userId, connection);
+      return connection;
+    },
+
+    async updateScope(userId, scope) {
+      const connection = await store.get(userId);
+      if (!connection || connection.status !== 'verified') return null;
+      await store.save(userId, { ...connection, scope });
+      return { ...connection, scope };
+    },
+
+    async disconnect(userId) {
+      const connection = await store.get(userId);
+      if (!connection) return null;
+
+      const { roleArn, accountId, scope, verifiedAt, ...rest } = connection;
+      await store.save(userId, { ...rest, status: 'pending' });
+      return connection;
+    }
+  };
+}
+
+// What the connection's owner sees of it
+function describeConnection(connection) {
+  if (!connection || connection.status !== 'verified') {
+    return { connected: false };
+  }
+  return {
+    connected: true,
+    roleArn: connection.roleArn,
+    accountId: connection.accountId,
+    scope: connection.scope,
+    verifiedAt: connection.verifiedAt
+  };
+}
+
+module.exports = {
+  createConnectionStore,
+  describeConnection
+};
\ No newline at end of file
@@ -0,0 +1,160 @@
+// backend/utils/credentialBroker.js
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+
+/**
+ * Temporary credentials for users' AWS connections.
+ *
+ * Assumed-role sessions are cached per role and external ID, so a chat
+ * message, its apply and the resources list share one STS session instead
+ * of each starting their own. Jobs that change infrastructure get a session
+ * of their own per action. Sessions are named and tagged after the user and
+ * action they serve, so the account's CloudTrail shows who did what:
+ *   terraform-ai-user_<id>        tags TerraformAIUser
+ *   terraform-ai-action_<id>      tags TerraformAIUser, TerraformAIAction
+ *
+ * A cached session is reused while it has at least minValidityMs left and
+ * replaced otherwise. Terraform jobs ask again before every command, for
+ * enough time to cover the longest one, so a slow apply isn't cut off mid-run.
+ *
+ * Tagging needs sts:TagSession in the role's trust policy. Stacks created
+ * before it was added get untagged sessions until they're updated.
+ */
+
+// The role's MaxSessionDuration
+const SESSION_DURATION_SECONDS = 3600;
+const DEFAULT_MIN_VALIDITY_MS = 5 * 60 * 1000;
+
+const SESSION_NAME_PREFIX = 'terraform-ai-';
+
+// Session names allow [\w+=,.@-] and at most 64 characters
+const sessionName = (id) => `${SESSION_NAME_PREFIX}${id}`.replace(/[^\w+=,.@-]/g, '-').slice(0, 64);
+
+const connectionKey = (roleArn, externalId) =>
+  crypto.createHash('sha256').update(`${roleArn}\n${externalId}`).digest('hex');
+
+function defaultSts() {
+  return new AWS.STS({
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    region: process.env.AWS_REGION || 'us-east-1'
+  });
+}
+
+function createCredentialBroker({ sts = defaultSts(), durationSeconds = SESSION_DURATION_SECONDS } = {}) {
+  // `${connectionKey}:${actionId}` -> { connection, userId, credentials, pending }
+  const sessions = new Map();
+  // Connections whose role doesn't allow sts:TagSession yet -> their user
+  const untagged = new Map();
+
+  const remainingMs = (credentials) => new Date(credentials.expiration).getTime() - Date.now();
+
+  // Sessions past expiry are no use to anyone
+  function prune() {
+    for (const [key, entry] of sessions) {
+      if (!entry.pending && (!entry.credentials || remainingMs(entry.credentials) <= 0)) {
+        sessions.delete(key);
+      }
+    }
+  }
+
+  async function assume(roleArn, externalId, { userId, actionId, connection }) {
+    const params = {
+      RoleArn: roleArn,
+      RoleSessionName: sessionName(actionId || userId || 'session'),
+      ExternalId: externalId,
+      DurationSeconds: durationSeconds
+    };
+    const tags = [
+      userId && { Key: 'TerraformAIUser', Value: userId },
+      actionId && { Key: 'TerraformAIAction', Value: actionId }
+    ].filter(Boolean);
+
+    let assumed;
+    try {
+      if (tags.length && !untagged.has(connection)) {
+        try {
+          assumed = await sts.assumeRole({ ...params, Tags: tags }).promise();
+        } catch (error) {
+          if (error.code !== 'AccessDenied') throw error;
+          // Older role stacks only trust sts:AssumeRole; without tags it may still work
+          assumed = await sts.assumeRole(params).promise();
+          untagged.set(connection, userId);
+          console.warn(`⚠️ ${roleArn} does not allow sts:TagSession; sessions are untagged until the role stack is updated`);
+        }
+      } else {
+        assumed = await sts.assumeRole(params).promise();
+      }
+    } catch (error) {
+      throw new Error(`Failed to assume role: ${error.message}`);
+    }
+
+    console.log(`🔑 Assumed ${roleArn} as ${params.RoleSessionName}`);
+
+    return {
+      accessKeyId: assumed.Credentials.AccessKeyId,
+      secretAccessKey: assumed.Credentials.SecretAccessKey,
+      sessionToken: assumed.Credentials.SessionToken,
+      expiration: assumed.Credentials.Expiration
+    };
+  }
+
+  /**
+   * Credentials for a connection, valid for at least minValidityMs.
+   * With an actionId the session is the action's own, named and tagged
+   * after it; otherwise it's the user's shared session.
+   */
+  function get(roleArn, externalId, { userId, actionId, minValidityMs = DEFAULT_MIN_VALIDITY_MS } = {}) {
+    prune();
+
+    const connection = connectionKey(roleArn, externalId);
+    const key = `${connection}:${actionId || ''}`;
+    const cached = sessions.get(key);
+
+    if (cached && cached.pending) {
+      return cached.pending;
+    }
+    if (cached && remainingMs(cached.credentials) >= minValidityMs) {
+      return Promise.resolve(cached.credentials);
+    }
+
+    const entry = { connection, userId, credentials: null, pending: null };
+    entry.pending = assume(roleArn, externalId, { userId, actionId, connection }).then(
+      credentials => {
+        // Not kept if the user's sessions were invalidated while STS answered
+        if (sessions.get(key) === entry) {
+          entry.credentials = credentials;
+          entry.pending = null;
+        }
+        return credentials;
+      },
+      error => {
+        if (sessions.get(key) === entry) sessions.delete(key);
+        throw error;
+      }
+    );
+    sessions.set(key, entry);
+    return entry.pending;
+  }
+
+  // Forget the user's sessions, e.g. on disconnect or when their role changes
+  function invalidateUser(userId) {
+    for (const [key, entry] of sessions) {
+      if (entry.userId === userId) sessions.delete(key);
+    }
+    for (const [connection, owner] of untagged) {
+      if (owner === userId) untagged.delete(connection);
+    }
+  }
+
+  return {
+    get,
+    invalidateUser
+  };
+}
+
+module.exports = {
+  SESSION_DURATION_SECONDS,
+  sessionName,
+  createCredentialBroker
+};
\ No newline at end of file
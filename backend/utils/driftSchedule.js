@@ -0,0 +1,146 @@
+// backend/utils/driftSchedule.js
+const path = require('path');
+const { createActionStore } = require('./actionStore');
+
+/**
+ * Scheduled drift checks, one schedule per user's AWS connection.
+ *
+ * Schedules are kept in a store keyed by user, so they survive restarts and
+ * every instance sees the same ones. They hold no credentials: run() looks
+ * up the user's connection when a check is due.
+ *
+ * Any instance may start a due check. A schedule is claimed by moving it
+ * from 'scheduled' to 'starting', so only one instance starts each run; a
+ * claim left behind by an instance that died is released after a while.
+ */
+
+const DEFAULT_SCHEDULE_STORE_DIR = path.join(__dirname, '..', 'drift-schedule-store');
+
+// How often due schedules are looked for
+const TICK_MS = 60 * 1000;
+
+// A schedule 'starting' for this long was claimed by an instance that died
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+const DEFAULT_INTERVAL_HOURS = Number(process.env.DRIFT_CHECK_INTERVAL_HOURS) || 24;
+const MIN_INTERVAL_HOURS = 1;
+const MAX_INTERVAL_HOURS = 7 * 24;
+
+/**
+ * run(key) starts a check for the user's connection and returns its job ID.
+ * A schedule whose run throws stays enabled and tries again next interval.
+ */
+function createDriftScheduler({
+  run,
+  store = createActionStore({
+    dir: process.env.DRIFT_SCHEDULE_STORE_DIR || DEFAULT_SCHEDULE_STORE_DIR,
+    prefix: 'terraform-ai:drift-schedule:'
+  }),
+  tickMs = TICK_MS
+}) {
+  async function start(schedule, now) {
+    const claimed = await store.transition(schedule.id, ['scheduled'], { status: 'starting', updatedAt: now });
+    if (!claimed) return;
+
+    // Another instance ran it since it was listed
+    if (claimed.nextRunAt > now) {
+      await store.transition(schedule.id, ['starting'], { status: 'scheduled', updatedAt: Date.now() });
+      return;
+    }
+
+    const result = {
+      status: 'scheduled',
+      nextRunAt: now + claimed.intervalHours * 60 * 60 * 1000,
+      updatedAt: Date.now()
+    };
+    try {
+      result.lastJobId = await run(schedule.id);
+      result.lastRunAt = now;
+      result.lastError = null;
+    } catch (error) {
+      console.error(`❌ Scheduled drift check failed to start for ${schedule.id}:`, error.message);
+      result.lastError = error.message;
+    }
+    // Not if it was disabled or changed meanwhile
+    await store.transition(schedule.id, ['starting'], result);
+  }
+
+  async function tick() {
+    const now = Date.now();
+
+    for (const schedule of await store.list()) {
+      if (schedule.status === 'starting' && schedule.updatedAt < now - STALE_CLAIM_MS) {
+        await store.transition(schedule.id, ['starting'], { status: 'scheduled', updatedAt: now });
+      } else if (schedule.status === 'scheduled' && schedule.nextRunAt <= now) {
+        await start(schedule, now);
+      }
+    }
+  }
+
+  const timer = setInterval(() => tick().catch(error => console.error('Drift scheduler error:', error)), tickMs);
+  timer.unref();
+
+  // Schedule as clients see it
+  function describe(schedule) {
+    if (!schedule) return { enabled: false };
+    const { id, status, updatedAt, expiresAt, ...visible } = schedule;
+    return {
+      enabled: true,
+      ...visible,
+      nextRunAt: new Date(visible.nextRunAt).toISOString(),
+      lastRunAt: visible.lastRunAt ? new Date(visible.lastRunAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Enable (or change) a connection's schedule. The first check runs one
+   * interval from now; enabling it again with the same interval keeps the
+   * next check where it was. Returns the schedule, or { error } for a bad interval.
+   */
+  async function enable(key, { intervalHours = DEFAULT_INTERVAL_HOURS } = {}) {
+    const hours = Number(intervalHours);
+    if (!Number.isFinite(hours) || hours < MIN_INTERVAL_HOURS || hours > MAX_INTERVAL_HOURS) {
+      return { error: `intervalHours must be between ${MIN_INTERVAL_HOURS} and ${MAX_INTERVAL_HOURS}` };
+    }
+
+    const existing = await store.get(key);
+    if (existing && existing.intervalHours === hours) {
+      return describe(existing);
+    }
+
+    const schedule = {
+      id: key,
+      status: 'scheduled',
+      intervalHours: hours,
+      nextRunAt: Date.now() + hours * 60 * 60 * 1000,
+      lastRunAt: existing ? existing.lastRunAt : null,
+      lastJobId: existing ? existing.lastJobId : null,
+      lastError: null,
+      updatedAt: Date.now(),
+      expiresAt: null
+    };
+    await store.save(key, schedule);
+
+    return describe(schedule);
+  }
+
+  async function disable(key) {
+    await store.delete(key);
+    return describe(null);
+  }
+
+  async function status(key) {
+    return describe(await store.get(key));
+  }
+
+  return {
+    enable,
+    disable,
+    status
+  };
+}
+
+module.exports = {
+  DEFAULT_INTERVAL_HOURS,
+  createDriftScheduler
+};
\ No newline at end of file
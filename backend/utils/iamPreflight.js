@@ -0,0 +1,182 @@
+// backend/utils/iamPreflight.js
+const AWS = require('aws-sdk');
+
+/**
+ * IAM permission preflight.
+ *
+ * Lists the IAM actions Terraform needs to create a plan's resources and
+ * simulates them against the connected role (iam:SimulatePrincipalPolicy),
+ * so a role that's short on permissions is caught before apply instead of
+ * halfway through it.
+ */
+
+// Actions Terraform's AWS provider calls to create, read back and tag each resource type
+const ACTIONS_BY_TYPE = {
+  aws_s3_bucket: [
+    's3:CreateBucket', 's3:ListBucket', 's3:GetBucketAcl', 's3:GetBucketCORS', 's3:GetBucketWebsite',
+    's3:GetBucketVersioning', 's3:GetAccelerateConfiguration', 's3:GetBucketRequestPayment',
+    's3:GetBucketLogging', 's3:GetLifecycleConfiguration', 's3:GetReplicationConfiguration',
+    's3:GetEncryptionConfiguration', 's3:GetBucketObjectLockConfiguration', 's3:GetBucketPolicy',
+    's3:GetBucketTagging', 's3:PutBucketTagging'
+  ],
+  aws_s3_bucket_versioning: ['s3:PutBucketVersioning', 's3:GetBucketVersioning'],
+  aws_s3_bucket_server_side_encryption_configuration: ['s3:PutEncryptionConfiguration', 's3:GetEncryptionConfiguration'],
+  aws_s3_bucket_public_access_block: ['s3:PutBucketPublicAccessBlock', 's3:GetBucketPublicAccessBlock'],
+  aws_s3_bucket_policy: ['s3:PutBucketPolicy', 's3:GetBucketPolicy'],
+  aws_s3_bucket_acl: ['s3:PutBucketAcl', 's3:GetBucketAcl'],
+  aws_s3_bucket_lifecycle_configuration: ['s3:PutLifecycleConfiguration', 's3:GetLifecycleConfiguration'],
+
+  aws_instance: [
+    'ec2:RunInstances', 'ec2:DescribeInstances', 'ec2:DescribeInstanceAttribute', 'ec2:DescribeVolumes',
+    'ec2:DescribeInstanceTypes', 'ec2:DescribeInstanceCreditSpecifications', 'ec2:DescribeTags', 'ec2:CreateTags'
+  ],
+  aws_ebs_volume: ['ec2:CreateVolume', 'ec2:DescribeVolumes', 'ec2:CreateTags'],
+  aws_security_group: [
+    'ec2:CreateSecurityGroup', 'ec2:DescribeSecurityGroups', 'ec2:AuthorizeSecurityGroupIngress',
+    'ec2:AuthorizeSecurityGroupEgress', 'ec2:RevokeSecurityGroupEgress', 'ec2:CreateTags'
+  ],
+  aws_vpc: ['ec2:CreateVpc', 'ec2:DescribeVpcs', 'ec2:DescribeVpcAttribute', 'ec2:ModifyVpcAttribute', 'ec2:CreateTags'],
+  aws_subnet: ['ec2:CreateSubnet', 'ec2:DescribeSubnets', 'ec2:ModifySubnetAttribute', 'ec2:CreateTags'],
+  aws_internet_gateway: ['ec2:CreateInternetGateway', 'ec2:AttachInternetGateway', 'ec2:DescribeInternetGateways', 'ec2:CreateTags'],
+  aws_route_table: ['ec2:CreateRouteTable', 'ec2:CreateRoute', 'ec2:DescribeRouteTables', 'ec2:CreateTags'],
+  aws_route_table_association: ['ec2:AssociateRouteTable', 'ec2:DescribeRouteTables'],
+  aws_nat_gateway: ['ec2:CreateNatGateway', 'ec2:DescribeNatGateways', 'ec2:CreateTags'],
+  aws_eip: ['ec2:AllocateAddress', 'ec2:DescribeAddresses', 'ec2:CreateTags'],
+
+  aws_lambda_function: [
+    'lambda:CreateFunction', 'lambda:GetFunction', 'lambda:GetFunctionCodeSigningConfig',
+    'lambda:ListVersionsByFunction', 'lambda:TagResource', 'iam:PassRole'
+  ],
+  aws_lambda_permission: ['lambda:AddPermission', 'lambda:GetPolicy'],
+  aws_iam_role: ['iam:CreateRole', 'iam:GetRole', 'iam:ListRolePolicies', 'iam:ListAttachedRolePolicies', 'iam:TagRole'],
+  aws_iam_role_policy_attachment: ['iam:AttachRolePolicy', 'iam:ListAttachedRolePolicies'],
+  aws_iam_role_policy: ['iam:PutRolePolicy', 'iam:GetRolePolicy'],
+  aws_cloudwatch_log_group: ['logs:CreateLogGroup', 'logs:DescribeLogGroups', 'logs:PutRetentionPolicy', 'logs:TagResource'],
+
+  aws_dynamodb_table: [
+    'dynamodb:CreateTable', 'dynamodb:DescribeTable', 'dynamodb:DescribeContinuousBackups',
+    'dynamodb:DescribeTimeToLive', 'dynamodb:ListTagsOfResource', 'dynamodb:TagResource'
+  ],
+
+  aws_db_instance: ['rds:CreateDBInstance', 'rds:DescribeDBInstances', 'rds:ListTagsForResource', 'rds:AddTagsToResource'],
+  aws_db_subnet_group: ['rds:CreateDBSubnetGroup', 'rds:DescribeDBSubnetGroups', 'rds:AddTagsToResource'],
+
+  aws_api_gateway_rest_api: ['apigateway:POST', 'apigateway:GET', 'apigateway:PUT'],
+  aws_api_gateway_resource: ['apigateway:POST', 'apigateway:GET'],
+  aws_api_gateway_method: ['apigateway:PUT', 'apigateway:GET'],
+  aws_api_gateway_integration: ['apigateway:PUT', 'apigateway:GET'],
+  aws_api_gateway_method_response: ['apigateway:PUT', 'apigateway:GET'],
+  aws_api_gateway_integration_response: ['apigateway:PUT', 'apigateway:GET'],
+  aws_api_gateway_deployment: ['apigateway:POST', 'apigateway:GET'],
+  aws_api_gateway_stage: ['apigateway:POST', 'apigateway:GET', 'apigateway:PATCH']
+};
+
+// Resource types that never call AWS (random passwords, archives)
+const LOCAL_TYPE_PREFIXES = ['random_', 'archive_', 'null_', 'terraform_'];
+
+// SimulatePrincipalPolicy accepts at most this many actions per call
+const SIMULATION_BATCH = 100;
+
+/**
+ * IAM actions needed to apply planned resources ([{ address, type }]).
+ * Returns { actions: [{ action, resources: [address] }], unknownTypes }
+ */
+function requiredActions(resources) {
+  const byAction = new Map();
+  const unknownTypes = new Set();
+
+  for (const { address, type } of resources) {
+    if (LOCAL_TYPE_PREFIXES.some(prefix => type.startsWith(prefix))) continue;
+
+    const actions = ACTIONS_BY_TYPE[type];
+    if (!actions) {
+      unknownTypes.add(type);
+      continue;
+    }
+    for (const action of actions) {
+      if (!byAction.has(action)) byAction.set(action, []);
+      byAction.get(action).push(address);
+    }
+  }
+
+  return {
+    actions: [...byAction.entries()].map(([action, addresses]) => ({ action, resources: addresses })),
+    unknownTypes: [...unknownTypes]
+  };
+}
+
+function iamClient(credentials) {
+  return new AWS.IAM({
+    accessKeyId: credentials.accessKeyId,
+    secretAccessKey: credentials.secretAccessKey,
+    sessionToken: credentials.sessionToken,
+    region: 'us-east-1'
+  });
+}
+
+/**
+ * Simulate the actions a plan needs against the connected role.
+ * Returns:
+ *   status        'ok' | 'missing' | 'unverified' (the role may not simulate itself)
+ *   required      every action checked
+ *   missing       [{ action, decision, resources }] actions the role may not perform
+ *   unknownTypes  resource types whose actions aren't known, so weren't checked
+ */
+async function runPreflight(resources, { roleArn, credentials }) {
+  const { actions, unknownTypes } = requiredActions(resources);
+  const required = actions.map(({ action }) => action);
+  const result = { status: 'ok', required, missing: [], unknownTypes };
+
+  if (required.length === 0) {
+    return result;
+  }
+
+  const iam = iamClient(credentials);
+  const decisions = new Map();
+
+  try {
+    for (let start = 0; start < required.length; start += SIMULATION_BATCH) {
+      let marker;
+      do {
+        const page = await iam.simulatePrincipalPolicy({
+          PolicySourceArn: roleArn,
+          ActionNames: required.slice(start, start + SIMULATION_BATCH),
+          Marker: marker
+        }).promise();
+
+        for (const evaluation of page.EvaluationResults) {
+          decisions.set(evaluation.EvalActionName, evaluation.EvalDecision);
+        }
+        marker = page.IsTruncated ? page.Marker : undefined;
+      } while (marker);
+    }
+  } catch (error) {
+    // Older roles lack iam:SimulatePrincipalPolicy; Terraform errors still catch denials
+    console.warn('⚠️ IAM preflight could not run:', error.code || error.message);
+    return { ...result, status: 'unverified', error: error.message };
+  }
+
+  result.missing = actions
+    .filter(({ action }) => decisions.get(action) !== 'allowed')
+    .map(({ action, resources: addresses }) => ({
+      action,
+      decision: decisions.get(action) || 'implicitDeny',
+      resources: addresses
+    }));
+  result.status = result.missing.length > 0 ? 'missing' : 'ok';
+
+  return result;
+}
+
+// Actions named in AWS "not authorized to perform" errors
+function deniedActions(errorText) {
+  const matches = errorText.matchAll(/not authorized to perform:?\s*([a-z0-9-]+:[A-Za-z0-9]+)/gi);
+  return [...new Set([...matches].map(match => match[1]))];
+}
+
+module.exports = {
+  ACTIONS_BY_TYPE,
+  requiredActions,
+  runPreflight,
+  deniedActions
+};
\ No newline at end of file
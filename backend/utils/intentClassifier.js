@@ -0,0 +1,178 @@
+// backend/utils/intentClassifier.js
+const { findGenerator } = require('../generators');
+
+/**
+ * Rule-based intent classification for chat messages.
+ *
+ * Each intent has weighted patterns; a message's score for an intent is the
+ * sum of the weights that match. Confidence combines the intent's share of
+ * all scores with how much evidence there is, so one weak keyword never
+ * reads as certain. Close calls between intents that lead to different
+ * actions come back as ambiguous, with a question to ask the user.
+ */
+
+const INTENTS = ['question', 'create', 'modify', 'destroy', 'list', 'explain-cost', 'import'];
+
+// Intents that only produce an answer; confusing two of them is harmless
+const INFORMATIONAL_INTENTS = ['question', 'explain-cost'];
+
+// Intents that act on (or read from) the user's AWS account
+const ACCOUNT_INTENTS = ['create', 'modify', 'destroy', 'list', 'import'];
+
+const RULES = {
+  question: [
+    { pattern: /^(what|why|how|when|where|which|who|is|are|should|does|do)\b/, weight: 2 },
+    { pattern: /^(can|could|should) i\b/, weight: 2 },
+    { pattern: /\?\s*$/, weight: 1.5 },
+    { pattern: /\bhow (do|can|should|would) (i|we|you)\b/, weight: 2 },
+    { pattern: /\b(explain|tell me about|difference between|what is|what's|best practices?|recommend)\b/, weight: 1.5 }
+  ],
+  create: [
+    { pattern: /\b(create|deploy|provision|launch|spin up|set ?up|stand up)\b/, weight: 3 },
+    { pattern: /^(can|could|would|will) you (please )?(create|deploy|provision|launch|spin up|set ?up|build|make)\b/, weight: 2 },
+    { pattern: /\b(build|make|add|new|need|want)\b/, weight: 1 }
+  ],
+  modify: [
+    { pattern: /\b(change|update|modify|resize|rename|increase|decrease|upgrade|downgrade|enable|disable|turn (on|off)|switch)\b/, weight: 3 },
+    { pattern: /\bmake (my|the|it|this|that|our)\b/, weight: 2 },
+    { pattern: /\b(my|existing|current|our)\b/, weight: 1 },
+    { pattern: /\b(private|public)\b/, weight: 0.5 }
+  ],
+  destroy: [
+    { pattern: /\b(destroy|delete|remove|tear down|terminate|drop|clean ?up|get rid of)\b/, weight: 3 }
+  ],
+  list: [
+    { pattern: /\b(list|inventory)\b/, weight: 3 },
+    { pattern: /\bshow (me )?(my|all|the|what)\b/, weight: 2.5 },
+    { pattern: /\b(do i have|have i (created|deployed)|are running|is running)\b/, weight: 2 },
+    { pattern: /\b(what|which) (\w+ )?(resources|buckets|instances|tables|functions|databases|vpcs|apis)\b.*\b(have|running|deployed|exist)\b/, weight: 3 },
+    { pattern: /\bmy (resources|infrastructure|stuff)\b/, weight: 1 }
+  ],
+  'explain-cost': [
+    { pattern: /\b(costs?|price|pricing|how much|expensive|cheap(er|est)?|bill(ing|ed)?|budget|charged?)\b/, weight: 4 },
+    { pattern: /\b(per month|monthly|estimate)\b/, weight: 1 }
+  ],
+  import: [
+    { pattern: /\bimport\b/, weight: 3 },
+    { pattern: /\b(adopt|take over|start managing|bring .+ under|manage (it|them|this|that|my))\b/, weight: 2 },
+    { pattern: /\b(already (have|exists?)|created (manually|by hand|in the console))\b/, weight: 1.5 }
+  ]
+};
+
+// Follow-ups that refer back to the session's draft plan
+const FOLLOW_UP_RULES = [
+  { pattern: /\b(actually|instead|rather|also|(change|make|put|move|rename|call|name) it|switch (it )?to|use)\b/, weight: 2 }
+];
+
+// A resource mention makes "create" the natural reading when nothing else fits
+// (or "modify" when it's the resource the draft is about)
+const RESOURCE_MENTION_WEIGHT = 1;
+
+// Score at which evidence counts as strong
+const STRONG_SCORE = 3;
+
+// Runner-up within this fraction of the top score is a close call
+const AMBIGUITY_RATIO = 0.75;
+
+// Below this confidence an account action needs confirming
+const MIN_ACTION_CONFIDENCE = 0.4;
+
+function describeIntent(intent, resource) {
+  const thing = resource ? resource.label.replace(/s$/, '') : 'resource';
+  const things = resource ? resource.label : 'resources';
+
+  return {
+    question: `ask a question about ${things}`,
+    create: `create a new ${thing}`,
+    modify: `change an existing ${thing}`,
+    destroy: `delete ${things} you created`,
+    list: `list the ${things} you already have`,
+    'explain-cost': `get a cost estimate for ${things}`,
+    import: `bring an existing ${thing} under Terraform AI`
+  }[intent];
+}
+
+/**
+ * Classify a message. context.draftResourceType is the type of the session's
+ * draft plan, if there is one; follow-ups about it read as "modify".
+ * Returns:
+ *   intent              best guess (question when nothing matches)
+ *   confidence          0..1
+ *   scores              { intent: confidence } for every intent
+ *   resourceType        generator type the message mentions, if any
+ *   ambiguous           true when the user should be asked first
+ *   clarifyingQuestion  what to ask when ambiguous
+ *   options             [{ intent, label }] answers to the clarifying question
+ */
+function classifyIntent(message, { draftResourceType = null } = {}) {
+  const lowerMessage = message.trim().toLowerCase();
+  const resource = findGenerator(lowerMessage);
+
+  const raw = {};
+  for (const intent of INTENTS) {
+    raw[intent] = RULES[intent].reduce(
+      (score, { pattern, weight }) => score + (pattern.test(lowerMessage) ? weight : 0),
+      0
+    );
+  }
+  if (draftResourceType) {
+    raw.modify += FOLLOW_UP_RULES.reduce(
+      (score, { pattern, weight }) => score + (pattern.test(lowerMessage) ? weight : 0),
+      0
+    );
+  }
+  if (resource && resource.type === draftResourceType) {
+    raw.modify += RESOURCE_MENTION_WEIGHT;
+  } else if (resource) {
+    raw.create += RESOURCE_MENTION_WEIGHT;
+  }
+
+  const total = Object.values(raw).reduce((sum, score) => sum + score, 0);
+  const scores = {};
+  for (const intent of INTENTS) {
+    const share = total > 0 ? raw[intent] / total : 0;
+    const strength = Math.min(1, raw[intent] / STRONG_SCORE);
+    scores[intent] = Math.round(share * strength * 100) / 100;
+  }
+
+  const ranked = [...INTENTS].sort((a, b) => raw[b] - raw[a]);
+  const [top, runnerUp] = ranked;
+
+  // Small talk and anything unrecognised is answered as a question
+  if (raw[top] === 0) {
+    return { intent: 'question', confidence: 0, scores, resourceType: null, ambiguous: false };
+  }
+
+  let candidates = null;
+  if (raw[runnerUp] > 0 && raw[runnerUp] / raw[top] >= AMBIGUITY_RATIO &&
+      !(INFORMATIONAL_INTENTS.includes(top) && INFORMATIONAL_INTENTS.includes(runnerUp))) {
+    candidates = [top, runnerUp];
+  } else if (ACCOUNT_INTENTS.includes(top) && scores[top] < MIN_ACTION_CONFIDENCE) {
+    candidates = [top, 'question'];
+  }
+
+  const result = {
+    intent: top,
+    confidence: scores[top],
+    scores,
+    resourceType: resource ? resource.type : null,
+    ambiguous: Boolean(candidates)
+  };
+
+  if (candidates) {
+    const [first, second] = candidates.map(intent => describeIntent(intent, resource));
+    result.clarifyingQuestion = `Just to check: do you want to ${first}, or ${second}?`;
+    result.options = candidates.map(intent => ({
+      intent,
+      label: describeIntent(intent, resource).replace(/^./, letter => letter.toUpperCase())
+    }));
+  }
+
+  return result;
+}
+
+module.exports = {
+  INTENTS,
+  ACCOUNT_INTENTS,
+  classifyIntent
+};
\ No newline at end of file
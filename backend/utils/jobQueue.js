@@ -0,0 +1,305 @@
+// backend/utils/jobQueue.js
+const crypto = require('crypto');
+const { requestCancel } = require('./logStream');
+
+/**
+ * Background jobs for long-running Terraform work (apply, destroy).
+ *
+ * Routes enqueue a job and return right away; clients poll the job record.
+ * Job records (status, result, error) are persisted through an action
+ * store so any instance can answer a status request. The payload, which may
+ * hold connection secrets, only ever lives in the memory of the process
+ * running the job.
+ *
+ * Job states: queued -> running -> succeeded | failed | cancelled
+ *
+ * The queue itself is in memory, so maxConcurrent and maxPerAccount only
+ * limit the jobs of one process; countActive reads the store, so quotas on
+ * active jobs hold across instances. Each process keeps a heartbeat on the jobs
+ * it holds; when a process dies (a restart, a deploy), any instance finds
+ * its unfinished jobs by their stale heartbeat and fails them, so their
+ * actions can be confirmed again. They aren't re-run: the payload died with
+ * the process, and a half-finished apply needs a person to look at it.
+ *
+ * Any instance can cancel a job. One held elsewhere gets cancelRequested on
+ * its record; the process holding it sees the flag when the job is dequeued
+ * or on its next heartbeat, and cancels it there.
+ */
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Finished jobs are kept this long for polling
+const FINISHED_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Jobs held by this process get their heartbeat refreshed this often...
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// ...and count as lost when nobody has refreshed it for this long
+const STALE_JOB_MS = 2 * 60 * 1000;
+
+const INTERRUPTED_ERROR = 'Interrupted: the server restarted before this job finished';
+
+// Identifies this process on the job records it holds
+const INSTANCE_ID = `${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+
+function newJobId() {
+  return `job_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * options:
+ *   store          action store used for job records
+ *   maxConcurrent  jobs running at once in this process
+ *   maxPerAccount  jobs running at once for one AWS account, in this process
+ *   heartbeatMs    how often this process's jobs get their heartbeat
+ */
+function createJobQueue({ store, maxConcurrent = 2, maxPerAccount = 1, heartbeatMs = HEARTBEAT_INTERVAL_MS }) {
+  const handlers = new Map();
+  const queued = [];
+  const running = new Map();
+  // jobId -> the latest save of its record, so saves land in order
+  const saves = new Map();
+
+  /**
+   * handler(job, payload) does the work and returns the job result.
+   * onCancelled(job) runs when a job is cancelled before it started, and
+   * onInterrupted(job) when it was lost with the process holding it.
+   */
+  function register(type, handler, { onCancelled, onInterrupted } = {}) {
+    handlers.set(type, { handler, onCancelled, onInterrupted });
+  }
+
+  function runningForAccount(accountId) {
+    let count = 0;
+    for (const job of running.values()) {
+      if (job.accountId === accountId) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Save changes to a job this process holds. The write only lands while the
+   * stored job is still queued or running (not if another instance recovered
+   * it) and keeps a cancelRequested another instance set. Returns the stored
+   * job, or null when it had already finished.
+   */
+  async function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: Date.now() });
+
+    const saving = (saves.get(job.id) || Promise.resolve())
+      .catch(() => {})
+      .then(() => store.transition(job.id, ACTIVE_STATUSES, { ...job }));
+    saves.set(job.id, saving);
+    try {
+      return await saving;
+    } finally {
+      if (saves.get(job.id) === saving) saves.delete(job.id);
+    }
+  }
+
+  // A queued job's end when it's cancelled before it started
+  async function cancelQueued(job) {
+    await update(job, {
+      status: 'cancelled',
+      error: 'Cancelled',
+      finishedAt: Date.now(),
+      expiresAt: Date.now() + FINISHED_JOB_TTL_MS
+    });
+    const { onCancelled } = handlers.get(job.type);
+    if (onCancelled) await onCancelled(job);
+  }
+
+  // Start as many queued jobs as the limits allow, oldest first
+  function schedule() {
+    for (let i = 0; i < queued.length && running.size < maxConcurrent; i++) {
+      const entry = queued[i];
+      if (runningForAccount(entry.job.accountId) >= maxPerAccount) continue;
+
+      queued.splice(i, 1);
+      i--;
+      run(entry).catch(error => console.error('Job runner error:', error));
+    }
+  }
+
+  async function run({ job, payload }) {
+    running.set(job.id, job);
+    const { handler } = handlers.get(job.type);
+
+    try {
+      const stored = await update(job, { status: 'running', startedAt: Date.now() });
+      if (!stored) return;
+      if (stored.cancelRequested) {
+        await cancelQueued(job);
+        console.log(`🛑 Job ${job.id} cancelled before it started`);
+        return;
+      }
+      console.log(`⚙️ Job ${job.id} (${job.type}) started`);
+
+      const result = await handler(job, payload);
+      await update(job, {
+        status: 'succeeded',
+        result,
+        finishedAt: Date.now(),
+        expiresAt: Date.now() + FINISHED_JOB_TTL_MS
+      });
+      console.log(`✅ Job ${job.id} succeeded`);
+
+    } catch (error) {
+      const cancelled = error.message === 'TERRAFORM_CANCELLED';
+      await update(job, {
+        status: cancelled ? 'cancelled' : 'failed',
+        error: cancelled ? 'Cancelled' : error.message,
+        errorDetails: error.details || undefined,
+        finishedAt: Date.now(),
+        expiresAt: Date.now() + FINISHED_JOB_TTL_MS
+      });
+      console.error(`❌ Job ${job.id} ${cancelled ? 'cancelled' : 'failed'}:`, error.message);
+
+    } finally {
+      running.delete(job.id);
+      schedule();
+    }
+  }
+
+  /**
+   * Queue a job. fields are stored on the job record (no secrets);
+   * payload is handed to the handler only.
+   */
+  async function enqueue(type, { accountId, owner, logChannel, ...fields }, payload = {}) {
+    if (!handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const now = Date.now();
+    const job = {
+      id: newJobId(),
+      type,
+      status: 'queued',
+      accountId,
+      owner,
+      logChannel,
+      ...fields,
+      instanceId: INSTANCE_ID,
+      heartbeatAt: now,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: null
+    };
+
+    await store.save(job.id, job);
+    queued.push({ job, payload });
+    schedule();
+
+    return { ...job, position: queuePosition(job.id) };
+  }
+
+  function queuePosition(jobId) {
+    const index = queued.findIndex(entry => entry.job.id === jobId);
+    return index === -1 ? 0 : index + 1;
+  }
+
+  // Queued and running jobs on every instance that match filter(job)
+  async function countActive(filter) {
+    const active = (await store.list()).filter(job => ACTIVE_STATUSES.includes(job.status));
+    return active.filter(filter).length;
+  }
+
+  async function get(jobId) {
+    const job = running.get(jobId) ||
+      (queued.find(entry => entry.job.id === jobId) || {}).job ||
+      await store.get(jobId);
+
+    if (!job) return null;
+    return { ...job, position: job.status === 'queued' ? queuePosition(jobId) : undefined };
+  }
+
+  /**
+   * Cancel a job: queued jobs are dropped, running jobs are asked to stop
+   * through their log channel, and jobs held by another instance are flagged
+   * for it. Returns false for jobs that already finished.
+   */
+  async function cancel(jobId) {
+    const index = queued.findIndex(entry => entry.job.id === jobId);
+    if (index !== -1) {
+      const [{ job }] = queued.splice(index, 1);
+      await cancelQueued(job);
+      return true;
+    }
+
+    const job = running.get(jobId);
+    if (job) {
+      return requestCancel(job.logChannel);
+    }
+
+    const flagged = await store.transition(jobId, ACTIVE_STATUSES, { cancelRequested: true });
+    return Boolean(flagged);
+  }
+
+  // Keep this process's claim on the jobs it holds fresh, and act on
+  // cancellations other instances asked for
+  async function heartbeat() {
+    const held = [...running.values(), ...queued.map(entry => entry.job)];
+    await Promise.all(held.map(async job => {
+      const stored = await update(job, { heartbeatAt: Date.now() });
+      if (stored && stored.cancelRequested && running.has(job.id)) {
+        requestCancel(job.logChannel);
+      } else if (stored && stored.cancelRequested) {
+        await cancel(job.id);
+      }
+    }));
+  }
+
+  /**
+   * Fail queued and running jobs whose process is gone, and let their
+   * handlers put their actions back. Returns how many were recovered.
+   */
+  async function recoverInterrupted() {
+    const cutoff = Date.now() - STALE_JOB_MS;
+    const lost = (await store.list()).filter(job =>
+      ACTIVE_STATUSES.includes(job.status) &&
+      !running.has(job.id) && !queued.some(entry => entry.job.id === job.id) &&
+      (job.heartbeatAt || job.updatedAt || 0) < cutoff);
+
+    let recovered = 0;
+    for (const candidate of lost) {
+      // Only one instance gets to recover each job
+      const job = await store.transition(candidate.id, ACTIVE_STATUSES, {
+        status: 'failed',
+        error: INTERRUPTED_ERROR,
+        finishedAt: Date.now(),
+        updatedAt: Date.now(),
+        expiresAt: Date.now() + FINISHED_JOB_TTL_MS
+      });
+      if (!job) continue;
+      recovered++;
+      console.warn(`⚠️ Job ${job.id} (${job.type}) was interrupted; marked failed`);
+
+      const { onInterrupted } = handlers.get(job.type) || {};
+      if (onInterrupted) {
+        await onInterrupted(job).catch(error => console.error(`Failed to recover job ${job.id}:`, error));
+      }
+    }
+    return recovered;
+  }
+
+  // Once handlers are registered, look for jobs a previous process left
+  // behind, then keep checking: any instance may be the one that died
+  setImmediate(() => recoverInterrupted().catch(error => console.error('Job recovery error:', error)));
+  setInterval(() => {
+    heartbeat().catch(error => console.error('Job heartbeat error:', error));
+    recoverInterrupted().catch(error => console.error('Job recovery error:', error));
+  }, heartbeatMs).unref();
+
+  return {
+    register,
+    enqueue,
+    get,
+    countActive,
+    cancel,
+    recoverInterrupted
+  };
+}
+
+module.exports = {
+  createJobQueue
+};
\ No newline at end of file
@@ -0,0 +1,107 @@
+// backend/utils/jwt.js
+const crypto = require('crypto');
+
+/**
+ * Compact JWTs: HS256 for the API's own sessions, RS256 and ES256 for OIDC
+ * ID tokens (and the local mock identity provider that signs them).
+ */
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const ALGORITHMS = {
+  HS256: {
+    sign: (data, key) => crypto.createHmac('sha256', key).update(data).digest(),
+    verify: (data, signature, key) => {
+      const expected = crypto.createHmac('sha256', key).update(data).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+  },
+  RS256: {
+    sign: (data, key) => crypto.sign('RSA-SHA256', Buffer.from(data), key),
+    verify: (data, signature, key) => keyType(key) === 'rsa' &&
+      crypto.verify('RSA-SHA256', Buffer.from(data), key, signature)
+  },
+  // JWS carries ECDSA signatures as raw r || s, not DER
+  ES256: {
+    sign: (data, key) => crypto.sign('sha256', Buffer.from(data), { key, dsaEncoding: 'ieee-p1363' }),
+    verify: (data, signature, key) => keyType(key) === 'ec' &&
+      crypto.verify('sha256', Buffer.from(data), { key, dsaEncoding: 'ieee-p1363' }, signature)
+  }
+};
+
+// A key of another type must not verify a token, whatever its header says
+function keyType(key) {
+  const keyObject = key instanceof crypto.KeyObject ? key : crypto.createPublicKey(key);
+  return keyObject.asymmetricKeyType;
+}
+
+/**
+ * Sign claims. key is the HS256 secret or an RS256/ES256 private key;
+ * expiresIn (seconds) sets iat and exp.
+ */
+function signJwt(claims, key, { algorithm = 'HS256', kid, expiresIn } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: algorithm, typ: 'JWT', ...(kid ? { kid } : {}) };
+  const payload = { iat: now, ...(expiresIn ? { exp: now + expiresIn } : {}), ...claims };
+
+  const data = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  return `${data}.${ALGORITHMS[algorithm].sign(data, key).toString('base64url')}`;
+}
+
+/**
+ * Check a token's signature and expiry and return its claims; throws
+ * otherwise. getKey(header) returns the key for the token's kid (it may be
+ * async); algorithms lists what the caller accepts, and requiredClaims the
+ * claims a token must carry (e.g. exp and iat for ID tokens).
+ */
+async function verifyJwt(token, getKey, { algorithms = ['HS256'], requiredClaims = [], clockSkew = 60 } = {}) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  if (!algorithms.includes(header.alg) || !ALGORITHMS[header.alg]) {
+    throw new Error(`Unexpected token algorithm ${header.alg}`);
+  }
+
+  const key = await getKey(header);
+  if (!key) {
+    throw new Error('No key for this token');
+  }
+  if (!ALGORITHMS[header.alg].verify(`${parts[0]}.${parts[1]}`, Buffer.from(parts[2], 'base64url'), key)) {
+    throw new Error('Invalid token signature');
+  }
+
+  for (const claim of requiredClaims) {
+    if (payload[claim] === undefined) {
+      throw new Error(`Token has no ${claim} claim`);
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.exp !== undefined && now > payload.exp + clockSkew) {
+    throw new Error('Token expired');
+  }
+  if (payload.nbf !== undefined && now + clockSkew < payload.nbf) {
+    throw new Error('Token not yet valid');
+  }
+  if (payload.iat !== undefined && now + clockSkew < payload.iat) {
+    throw new Error('Token issued in the future');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  signJwt,
+  verifyJwt
+};
\ No newline at end of file
@@ -0,0 +1,308 @@
+// backend/utils/logStream.js
+const { EventEmitter } = require('events');
+
+/**
+ * Live Terraform output, keyed by channel (usually the action ID).
+ *
+ * Routes open a channel before a run and close it when the run is over;
+ * the executor publishes each output line to it. Subscribers get the
+ * buffered backlog first, so a browser that connects late still sees the
+ * whole run. A channel also carries cancellation requests to the executor.
+ *
+ * Only opening a run creates a channel. Browsers usually subscribe first;
+ * until the run opens they wait in a separate list, and are told to go
+ * away ({ type: 'expired' }) if nothing opens in time.
+ *
+ * With a store (setLogStore), each channel's backlog is also written to it
+ * every second or so, so any instance can return a run's output and follow
+ * a run going on elsewhere (by reading the store), and output outlives the
+ * process that ran it.
+ */
+
+// Lines kept per channel for late subscribers
+const MAX_BACKLOG_LINES = 2000;
+
+// How long a finished channel stays around for late subscribers
+const ENDED_CHANNEL_TTL_MS = 10 * 60 * 1000;
+
+// How long a subscriber waits for its run to open, e.g. while a job is queued
+const WAITING_SUBSCRIBER_TTL_MS = 5 * 60 * 1000;
+
+// Stored output is kept this long, like finished jobs
+const STORED_LOG_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A running channel's backlog is written to the store at most this often...
+const PERSIST_INTERVAL_MS = 1000;
+
+// ...and subscribers to runs on other instances read it this often
+const POLL_INTERVAL_MS = 1000;
+
+const channels = new Map();
+
+// Shared store for channel backlogs; null keeps them in this process only
+let store = null;
+
+// channelId -> Map(onEvent -> expiresAt), for channels not opened yet
+const waiting = new Map();
+
+/**
+ * Open a channel for a run. Throws when the channel belongs to another
+ * user, e.g. a client-chosen stream ID that collides with theirs.
+ */
+function openChannel(channelId, { owner } = {}) {
+  let channel = channels.get(channelId);
+
+  if (channel && channel.owner && owner && channel.owner.userId !== owner.userId) {
+    throw new Error('This log stream ID is already in use');
+  }
+
+  if (!channel) {
+    channel = {
+      lines: [],
+      total: 0,
+      emitter: new EventEmitter(),
+      owner: null,
+      status: 'running',
+      cancelled: false,
+      endedAt: null
+    };
+    channel.emitter.setMaxListeners(0);
+    channels.set(channelId, channel);
+
+    for (const onEvent of (waiting.get(channelId) || new Map()).keys()) {
+      channel.emitter.on('event', onEvent);
+    }
+    waiting.delete(channelId);
+  }
+
+  channel.owner = owner || channel.owner;
+  if (channel.endedAt) {
+    // A new run on a finished channel starts with a clean backlog
+    channel.lines = [];
+    channel.total = 0;
+  }
+  channel.status = 'running';
+  channel.cancelled = false;
+  channel.endedAt = null;
+  persist(channelId);
+  return channel;
+}
+
+function setLogStore(logStore) {
+  store = logStore;
+}
+
+// Write a channel's backlog to the store now; writes land in order
+function persist(channelId) {
+  const channel = channels.get(channelId);
+  if (!store || !channel) return;
+
+  clearTimeout(channel.persistTimer);
+  channel.persistTimer = null;
+
+  const record = {
+    id: channelId,
+    owner: channel.owner,
+    status: channel.status,
+    endedAt: channel.endedAt,
+    total: channel.total,
+    lines: channel.lines.slice(),
+    expiresAt: Date.now() + STORED_LOG_TTL_MS
+  };
+  channel.persisting = (channel.persisting || Promise.resolve())
+    .then(() => store.save(channelId, record))
+    .catch(error => console.error(`Failed to store logs for ${channelId}:`, error.message));
+}
+
+function schedulePersist(channelId, channel) {
+  if (!store || channel.persistTimer) return;
+  channel.persistTimer = setTimeout(() => persist(channelId), PERSIST_INTERVAL_MS);
+  channel.persistTimer.unref();
+}
+
+function publish(channelId, stream, line) {
+  const channel = channelId && channels.get(channelId);
+  if (!channel) return;
+  const entry = { stream, line, timestamp: Date.now() };
+
+  channel.lines.push(entry);
+  channel.total++;
+  if (channel.lines.length > MAX_BACKLOG_LINES) {
+    channel.lines.shift();
+  }
+  channel.emitter.emit('event', { type: 'line', ...entry, owner: channel.owner });
+  schedulePersist(channelId, channel);
+}
+
+// status: succeeded | failed | cancelled
+function closeChannel(channelId, status) {
+  const channel = channels.get(channelId);
+  if (!channel || channel.endedAt) return;
+
+  channel.status = status;
+  channel.endedAt = Date.now();
+  persist(channelId);
+  channel.emitter.emit('event', { type: 'end', status, owner: channel.owner });
+}
+
+/**
+ * Follow a channel through the store until it ends there or opens in this
+ * process. Stops waiting locally once the store has the run, since it is
+ * going on elsewhere. Returns a function that stops following.
+ */
+function followStored(channelId, onEvent) {
+  let seen = 0;
+  let timer = null;
+  let stopped = false;
+
+  const poll = async () => {
+    if (stopped || channels.has(channelId)) return;
+
+    let stored = null;
+    try {
+      stored = await store.get(channelId);
+    } catch (error) {
+      console.error(`Failed to read logs for ${channelId}:`, error.message);
+    }
+    if (stopped || channels.has(channelId)) return;
+
+    if (stored) {
+      const subscribers = waiting.get(channelId);
+      if (subscribers) {
+        subscribers.delete(onEvent);
+        if (subscribers.size === 0) waiting.delete(channelId);
+      }
+
+      // The stored backlog holds the last lines.length of total lines
+      const fresh = stored.lines.slice(Math.max(0, stored.lines.length - (stored.total - seen)));
+      seen = stored.total;
+      fresh.forEach(entry => onEvent({ type: 'line', ...entry, owner: stored.owner }));
+
+      if (stored.endedAt) {
+        onEvent({ type: 'end', status: stored.status, owner: stored.owner });
+        return;
+      }
+    }
+    timer = setTimeout(poll, POLL_INTERVAL_MS);
+  };
+  poll();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+/**
+ * Replay the backlog, then follow the channel live.
+ * Returns an unsubscribe function.
+ */
+function subscribe(channelId, onEvent) {
+  const channel = channels.get(channelId);
+
+  let stopFollowing = () => {};
+
+  if (channel) {
+    channel.lines.forEach(entry => onEvent({ type: 'line', ...entry, owner: channel.owner }));
+    if (channel.endedAt) {
+      onEvent({ type: 'end', status: channel.status, owner: channel.owner });
+    }
+    channel.emitter.on('event', onEvent);
+  } else {
+    // openChannel moves these onto the channel
+    if (!waiting.has(channelId)) waiting.set(channelId, new Map());
+    waiting.get(channelId).set(onEvent, Date.now() + WAITING_SUBSCRIBER_TTL_MS);
+    // ...unless the run is on another instance
+    if (store) stopFollowing = followStored(channelId, onEvent);
+  }
+
+  return () => {
+    stopFollowing();
+
+    const opened = channels.get(channelId);
+    if (opened) opened.emitter.off('event', onEvent);
+
+    const subscribers = waiting.get(channelId);
+    if (subscribers) {
+      subscribers.delete(onEvent);
+      if (subscribers.size === 0) waiting.delete(channelId);
+    }
+  };
+}
+
+// Lines published so far (the backlog), for status polling; from the store
+// for runs on other instances or ones this process no longer has
+async function getLines(channelId) {
+  const channel = channels.get(channelId);
+  const stored = !channel && store ? await store.get(channelId) : null;
+  const lines = channel ? channel.lines : stored ? stored.lines : [];
+  return lines.map(({ stream, line, timestamp }) => ({ stream, line, timestamp }));
+}
+
+function channelOwner(channelId) {
+  const channel = channels.get(channelId);
+  return channel ? channel.owner : null;
+}
+
+function isRunning(channelId) {
+  const channel = channels.get(channelId);
+  return Boolean(channel) && !channel.endedAt;
+}
+
+// Ask whatever is running on the channel to stop
+function requestCancel(channelId) {
+  const channel = channels.get(channelId);
+  if (!channel || channel.endedAt) return false;
+
+  channel.cancelled = true;
+  channel.emitter.emit('cancel');
+  return true;
+}
+
+function isCancelled(channelId) {
+  const channel = channels.get(channelId);
+  return Boolean(channel) && channel.cancelled;
+}
+
+function onCancel(channelId, listener) {
+  const channel = channels.get(channelId);
+  if (!channel) return () => {};
+  channel.emitter.on('cancel', listener);
+  return () => channel.emitter.off('cancel', listener);
+}
+
+// Drop finished channels nobody needs anymore, and subscribers that waited
+// too long for a run
+setInterval(() => {
+  const now = Date.now();
+  const cutoff = now - ENDED_CHANNEL_TTL_MS;
+  for (const [channelId, channel] of channels.entries()) {
+    if (channel.endedAt && channel.endedAt < cutoff) {
+      channels.delete(channelId);
+    }
+  }
+
+  for (const [channelId, subscribers] of waiting.entries()) {
+    for (const [onEvent, expiresAt] of subscribers.entries()) {
+      if (expiresAt < now) {
+        subscribers.delete(onEvent);
+        onEvent({ type: 'expired' });
+      }
+    }
+    if (subscribers.size === 0) waiting.delete(channelId);
+  }
+}, 60 * 1000).unref();
+
+module.exports = {
+  setLogStore,
+  openChannel,
+  publish,
+  closeChannel,
+  subscribe,
+  getLines,
+  channelOwner,
+  isRunning,
+  requestCancel,
+  isCancelled,
+  onCancel
+};
\ No newline at end of file
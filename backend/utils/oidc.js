@@ -0,0 +1,152 @@
+// backend/utils/oidc.js
+const crypto = require('crypto');
+const { verifyJwt } = require('./jwt');
+
+/**
+ * OpenID Connect login (authorization code flow with PKCE) against one
+ * identity provider, configured from the environment:
+ *   OIDC_ISSUER         e.g. https://login.example.com or the local mock provider
+ *   OIDC_CLIENT_ID
+ *   OIDC_CLIENT_SECRET
+ *   OIDC_REDIRECT_URI   defaults to <this API>/api/auth/callback
+ *   OIDC_SCOPES         defaults to "openid email profile"
+ */
+
+// Discovery documents and signing keys are refetched after this long
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// PKCE: the verifier stays with us, the challenge goes to the provider
+function pkcePair() {
+  const verifier = randomToken();
+  return {
+    verifier,
+    challenge: crypto.createHash('sha256').update(verifier).digest('base64url')
+  };
+}
+
+function oidcConfig() {
+  const issuer = process.env.OIDC_ISSUER;
+  if (!issuer || !process.env.OIDC_CLIENT_ID) return null;
+
+  return {
+    issuer: issuer.replace(/\/$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile'
+  };
+}
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    throw new Error(`${url} answered ${response.status}${body && body.error ? `: ${body.error_description || body.error}` : ''}`);
+  }
+  return body;
+}
+
+function createOidcClient(config) {
+  let metadata = null;
+  let keys = null;
+
+  async function discover() {
+    if (!metadata || metadata.fetchedAt < Date.now() - METADATA_TTL_MS) {
+      const document = await fetchJson(`${config.issuer}/.well-known/openid-configuration`);
+      if (document.issuer.replace(/\/$/, '') !== config.issuer) {
+        throw new Error(`Discovery document is for ${document.issuer}, not ${config.issuer}`);
+      }
+      metadata = { ...document, fetchedAt: Date.now() };
+    }
+    return metadata;
+  }
+
+  // Signing key for a kid; an unknown kid refetches the key set once (rotation)
+  async function signingKey({ kid }) {
+    const find = () => keys && keys.set.find(key => !kid || key.kid === kid);
+
+    if (!find() || keys.fetchedAt < Date.now() - METADATA_TTL_MS) {
+      const { jwks_uri: jwksUri } = await discover();
+      const { keys: set } = await fetchJson(jwksUri);
+      keys = { set, fetchedAt: Date.now() };
+    }
+
+    const jwk = find();
+    return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+  }
+
+  /**
+   * Where to send the browser to log in. Returns { url, state, nonce, verifier };
+   * the last three must come back to exchangeCode.
+   */
+  async function authorizationUrl({ redirectUri }) {
+    const { authorization_endpoint: endpoint } = await discover();
+    const state = randomToken();
+    const nonce = randomToken();
+    const { verifier, challenge } = pkcePair();
+
+    const url = new URL(endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: config.clientId,
+      redirect_uri: redirectUri,
+      scope: config.scopes,
+      state,
+      nonce,
+      code_challenge: challenge,
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return { url: url.toString(), state, nonce, verifier };
+  }
+
+  /**
+   * Trade the callback's code for tokens and return the verified ID token
+   * claims (issuer, audience, expiry and nonce checked).
+   */
+  async function exchangeCode(code, { redirectUri, verifier, nonce }) {
+    const { token_endpoint: endpoint } = await discover();
+
+    const tokens = await fetchJson(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: config.clientId,
+        ...(config.clientSecret ? { client_secret: config.clientSecret } : {}),
+        code_verifier: verifier
+      }).toString()
+    });
+
+    if (!tokens.id_token) {
+      throw new Error('The identity provider returned no ID token');
+    }
+
+    const claims = await verifyJwt(tokens.id_token, signingKey, {
+      algorithms: ['RS256', 'ES256'],
+      requiredClaims: ['iss', 'aud', 'sub', 'exp', 'iat']
+    });
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (claims.iss.replace(/\/$/, '') !== config.issuer) throw new Error('ID token is from another issuer');
+    if (!audiences.includes(config.clientId)) throw new Error('ID token is for another client');
+    if (claims.nonce !== nonce) throw new Error('ID token nonce does not match this login');
+    if (!claims.sub) throw new Error('ID token has no subject');
+
+    return claims;
+  }
+
+  return {
+    authorizationUrl,
+    exchangeCode
+  };
+}
+
+module.exports = {
+  oidcConfig,
+  createOidcClient
+};
\ No newline at end of file
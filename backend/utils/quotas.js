@@ -0,0 +1,222 @@
+// backend/utils/quotas.js
+const path = require('path');
+const { createActionStore } = require('./actionStore');
+
+/**
+ * Per-tenant quotas: daily limits on chat messages, plans and applies, and
+ * a cap on jobs queued or running at once. Each limit applies separately to
+ * the signed-in user and to the AWS account they act in, so one busy user
+ * can't use up an account and many users can't exceed it together.
+ *
+ * Limits come from the subject's tier:
+ *   QUOTA_TIERS                JSON, merged over DEFAULT_TIERS
+ *   QUOTA_DEFAULT_TIER         tier for users and accounts not listed (free)
+ *   QUOTA_USER_TIERS           JSON: user ID or email -> tier
+ *   QUOTA_ACCOUNT_TIERS        JSON: AWS account ID -> tier
+ * A user record's own `tier` wins over QUOTA_USER_TIERS.
+ *
+ * Daily counters reset at midnight UTC and live in an action store, so
+ * instances sharing the store share the counts. Each counter is checked and
+ * incremented in one atomic store update, so concurrent requests on any
+ * instance can't count past a limit.
+ */
+
+const DEFAULT_TIERS = {
+  free: { chatMessages: 200, plans: 30, applies: 10, concurrentJobs: 1 },
+  team: { chatMessages: 1000, plans: 200, applies: 100, concurrentJobs: 3 },
+  enterprise: { chatMessages: 5000, plans: 1000, applies: 500, concurrentJobs: 10 }
+};
+
+const DAILY_QUOTAS = ['chatMessages', 'plans', 'applies'];
+
+const QUOTA_LABELS = {
+  chatMessages: 'chat messages',
+  plans: 'plans',
+  applies: 'applies',
+  concurrentJobs: 'concurrent jobs'
+};
+
+const DEFAULT_QUOTA_STORE_DIR = path.join(__dirname, '..', 'quota-store');
+
+function readJsonEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`❌ ${name} is not valid JSON; ignoring it`);
+    return {};
+  }
+}
+
+function loadTiers() {
+  const overrides = readJsonEnv('QUOTA_TIERS');
+  const tiers = { ...DEFAULT_TIERS };
+  for (const [tier, limits] of Object.entries(overrides)) {
+    tiers[tier] = { ...(DEFAULT_TIERS[tier] || DEFAULT_TIERS.free), ...limits };
+  }
+  return tiers;
+}
+
+// Today's counters end at the next midnight UTC
+function nextResetAt(now = Date.now()) {
+  const reset = new Date(now);
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset.getTime();
+}
+
+const dayKey = (now = Date.now()) => new Date(now).toISOString().slice(0, 10).replace(/-/g, '');
+
+// Who a quota is counted against, e.g. 'your user' or 'AWS account 123456789012'
+function describeSubject({ scope, id }) {
+  return scope === 'account' ? `AWS account ${id}` : 'your user';
+}
+
+function describeExceeded(exceeded) {
+  const label = QUOTA_LABELS[exceeded.quota];
+  if (exceeded.quota === 'concurrentJobs') {
+    return `${describeSubject(exceeded)} already has ${exceeded.used} job(s) queued or running; the ${exceeded.tier} tier allows ${exceeded.limit} at a time. Try again when one finishes.`;
+  }
+  return `Daily limit of ${exceeded.limit} ${label} reached for ${describeSubject(exceeded)} (${exceeded.tier} tier). It resets at ${exceeded.resetsAt}.`;
+}
+
+function createQuotas({
+  store = createActionStore({
+    dir: process.env.QUOTA_STORE_DIR || DEFAULT_QUOTA_STORE_DIR,
+    prefix: 'terraform-ai:quota:'
+  })
+} = {}) {
+  const tiers = loadTiers();
+  const defaultTier = tiers[process.env.QUOTA_DEFAULT_TIER] ? process.env.QUOTA_DEFAULT_TIER : 'free';
+  const userTiers = readJsonEnv('QUOTA_USER_TIERS');
+  const accountTiers = readJsonEnv('QUOTA_ACCOUNT_TIERS');
+
+  const tierOr = (tier) => (tiers[tier] ? tier : defaultTier);
+
+  /**
+   * Subjects a request counts against: the user, plus the AWS account when
+   * there is one. Pass these to consume, checkConcurrent and usage.
+   */
+  function subjectsFor(user, accountId) {
+    const subjects = [{
+      scope: 'user',
+      id: user.id,
+      tier: tierOr(user.tier || userTiers[user.id] || (user.email && userTiers[user.email]))
+    }];
+    if (accountId) {
+      subjects.push({ scope: 'account', id: accountId, tier: tierOr(accountTiers[accountId]) });
+    }
+    return subjects;
+  }
+
+  const counterKey = (subject, quota, day) => `quota_${subject.scope}_${subject.id}_${quota}_${day}`;
+
+  async function used(subject, quota, day) {
+    const counter = await store.get(counterKey(subject, quota, day));
+    return counter ? counter.count : 0;
+  }
+
+  // Add one to a subject's counter unless it's at the limit. Returns the
+  // count before, and whether it was added.
+  async function increment(subject, quota, day, resetsAt) {
+    const limit = tiers[subject.tier][quota];
+    let count = 0;
+
+    const saved = await store.update(counterKey(subject, quota, day), counter => {
+      count = counter ? counter.count : 0;
+      if (count >= limit) return null;
+      // Kept a little past the reset, then dropped by cleanup
+      return { count: count + 1, expiresAt: resetsAt + 60 * 60 * 1000 };
+    });
+    if (!saved && count < limit) {
+      throw new Error(`Quota counter ${counterKey(subject, quota, day)} is busy; try again`);
+    }
+    return { count, added: Boolean(saved) };
+  }
+
+  async function decrement(subject, quota, day) {
+    await store.update(counterKey(subject, quota, day), counter =>
+      (counter ? { ...counter, count: Math.max(counter.count - 1, 0) } : null));
+  }
+
+  /**
+   * Count one use of a daily quota against every subject. When any subject
+   * is at its limit nothing is counted and the first one over is returned:
+   *   { quota, scope, id, tier, limit, used, resetsAt, message }
+   * Returns null when the use is allowed.
+   */
+  async function consume(subjects, quota) {
+    const now = Date.now();
+    const day = dayKey(now);
+    const resetsAt = nextResetAt(now);
+    const counted = [];
+
+    try {
+      for (const subject of subjects) {
+        const { count, added } = await increment(subject, quota, day, resetsAt);
+        if (!added) {
+          const exceeded = {
+            quota,
+            ...subject,
+            limit: tiers[subject.tier][quota],
+            used: count,
+            resetsAt: new Date(resetsAt).toISOString()
+          };
+          await Promise.all(counted.map(earlier => decrement(earlier, quota, day)));
+          return { ...exceeded, message: describeExceeded(exceeded) };
+        }
+        counted.push(subject);
+      }
+    } catch (error) {
+      await Promise.all(counted.map(earlier => decrement(earlier, quota, day))).catch(() => {});
+      throw error;
+    }
+    return null;
+  }
+
+  /**
+   * Check the concurrent jobs cap. activeJobs(subject) counts (or resolves
+   * to) the subject's queued and running jobs. Returns null or the exceeded
+   * quota, as consume.
+   */
+  async function checkConcurrent(subjects, activeJobs) {
+    for (const subject of subjects) {
+      const limit = tiers[subject.tier].concurrentJobs;
+      const active = await activeJobs(subject);
+      if (active >= limit) {
+        const exceeded = { quota: 'concurrentJobs', ...subject, limit, used: active, resetsAt: null };
+        return { ...exceeded, message: describeExceeded(exceeded) };
+      }
+    }
+    return null;
+  }
+
+  // Today's usage and limits for each subject
+  async function usage(subjects, activeJobs) {
+    const day = dayKey();
+    const resetsAt = new Date(nextResetAt()).toISOString();
+
+    return Promise.all(subjects.map(async subject => {
+      const limits = tiers[subject.tier];
+      const quotas = {};
+      for (const quota of DAILY_QUOTAS) {
+        quotas[quota] = { used: await used(subject, quota, day), limit: limits[quota], resetsAt };
+      }
+      quotas.concurrentJobs = { used: await activeJobs(subject), limit: limits.concurrentJobs, resetsAt: null };
+      return { scope: subject.scope, id: subject.id, tier: subject.tier, quotas };
+    }));
+  }
+
+  return {
+    subjectsFor,
+    consume,
+    checkConcurrent,
+    usage,
+    cleanup: () => store.cleanup()
+  };
+}
+
+module.exports = {
+  DEFAULT_TIERS,
+  DAILY_QUOTAS,
+  createQuotas
+};
\ No newline at end of file
@@ -0,0 +1,414 @@
+// backend/utils/roleTemplate.js
+const crypto = require('crypto');
+const AWS = require('aws-sdk');
+const yaml = require('js-yaml');
+const { AWS_REGIONS } = require('../generators/params');
+
+/**
+ * CloudFormation templates for the role Terraform AI assumes, built from the
+ * services and regions a team picks.
+ *
+ * Creates are only allowed when the request tags the new resource
+ * ManagedBy=TerraformAI, and changes/deletes only on resources that carry
+ * that tag, wherever the service supports tag conditions. Regional services
+ * are limited to the chosen regions with aws:RequestedRegion. Each service
+ * gets its own managed policy to stay under IAM's policy size limits.
+ */
+
+const ROLE_NAME = 'TerraformAI-ExecutionRole';
+const STACK_NAME = 'TerraformAI-Access';
+const TERRAFORM_AI_ACCOUNT_ID = process.env.TERRAFORM_AI_ACCOUNT_ID || '639713290923';
+
+const MANAGED_TAG = { 'aws:RequestTag/ManagedBy': 'TerraformAI' };
+const RESOURCE_TAG = { 'aws:ResourceTag/ManagedBy': 'TerraformAI' };
+
+const sub = (value) => ({ 'Fn::Sub': value });
+
+// Statement helpers; `condition` is merged into StringEquals
+function allow(sid, actions, resource, condition) {
+  const statement = { Sid: sid, Effect: 'Allow', Action: actions, Resource: resource };
+  if (condition && Object.keys(condition).length > 0) {
+    statement.Condition = { StringEquals: condition };
+  }
+  return statement;
+}
+
+/**
+ * Services a role can be scoped to. statements(regionCondition) returns the
+ * IAM statements for the service; regionCondition is {} when all regions
+ * are allowed.
+ */
+const ROLE_SERVICES = {
+  s3: {
+    label: 'S3 buckets',
+    description: 'Create and delete buckets and manage their settings and objects (S3 has no tag conditions on buckets)',
+    statements: (region) => [
+      allow('S3ListBuckets', ['s3:ListAllMyBuckets'], '*'),
+      allow('S3Buckets', [
+        's3:CreateBucket', 's3:DeleteBucket', 's3:GetBucket*', 's3:ListBucket*', 's3:PutBucket*',
+        's3:GetEncryptionConfiguration', 's3:PutEncryptionConfiguration',
+        's3:GetLifecycleConfiguration', 's3:PutLifecycleConfiguration',
+        's3:GetAccelerateConfiguration', 's3:GetReplicationConfiguration'
+      ], 'arn:aws:s3:::*', region),
+      allow('S3Objects', ['s3:GetObject*', 's3:PutObject*', 's3:DeleteObject*'], 'arn:aws:s3:::*/*', region)
+    ]
+  },
+
+  ec2: {
+    label: 'EC2 instances',
+    description: 'Launch, stop and terminate tagged instances, volumes and security groups',
+    statements: (region) => [
+      allow('EC2Read', ['ec2:Describe*'], '*', region),
+      allow('EC2LaunchTagged', ['ec2:RunInstances', 'ec2:CreateVolume', 'ec2:CreateSecurityGroup'], [
+        'arn:aws:ec2:*:*:instance/*', 'arn:aws:ec2:*:*:volume/*', 'arn:aws:ec2:*:*:security-group/*'
+      ], { ...region, ...MANAGED_TAG }),
+      allow('EC2LaunchInputs', ['ec2:RunInstances', 'ec2:CreateSecurityGroup'], [
+        'arn:aws:ec2:*::image/*', 'arn:aws:ec2:*:*:subnet/*', 'arn:aws:ec2:*:*:network-interface/*',
+        'arn:aws:ec2:*:*:security-group/*', 'arn:aws:ec2:*:*:key-pair/*', 'arn:aws:ec2:*:*:vpc/*'
+      ], region),
+      allow('EC2TagOnCreate', ['ec2:CreateTags'], '*', {
+        ...region,
+        'ec2:CreateAction': ['RunInstances', 'CreateVolume', 'CreateSecurityGroup']
+      }),
+      allow('EC2ManageTagged', [
+        'ec2:TerminateInstances', 'ec2:StartInstances', 'ec2:StopInstances', 'ec2:ModifyInstanceAttribute',
+        'ec2:DeleteVolume', 'ec2:DeleteSecurityGroup', 'ec2:AuthorizeSecurityGroupIngress',
+        'ec2:AuthorizeSecurityGroupEgress', 'ec2:RevokeSecurityGroupIngress', 'ec2:RevokeSecurityGroupEgress',
+        'ec2:CreateTags', 'ec2:DeleteTags'
+      ], '*', { ...region, ...RESOURCE_TAG })
+    ]
+  },
+
+  vpc: {
+    label: 'VPC networking',
+    description: 'Create and delete tagged VPCs, subnets, internet gateways and route tables',
+    statements: (region) => [
+      allow('VPCRead', ['ec2:Describe*'], '*', region),
+      allow('VPCCreateTagged', [
+        'ec2:CreateVpc', 'ec2:CreateSubnet', 'ec2:CreateInternetGateway', 'ec2:CreateRouteTable'
+      ], '*', { ...region, ...MANAGED_TAG }),
+      allow('VPCTagOnCreate', ['ec2:CreateTags'], '*', {
+        ...region,
+        'ec2:CreateAction': ['CreateVpc', 'CreateSubnet', 'CreateInternetGateway', 'CreateRouteTable']
+      }),
+      allow('VPCManageTagged', [
+        'ec2:DeleteVpc', 'ec2:ModifyVpcAttribute', 'ec2:DeleteSubnet', 'ec2:ModifySubnetAttribute',
+        'ec2:AttachInternetGateway', 'ec2:DetachInternetGateway', 'ec2:DeleteInternetGateway',
+        'ec2:CreateRoute', 'ec2:DeleteRoute', 'ec2:DeleteRouteTable', 'ec2:AssociateRouteTable',
+        'ec2:DisassociateRouteTable', 'ec2:CreateTags', 'ec2:DeleteTags'
+      ], '*', { ...region, ...RESOURCE_TAG })
+    ]
+  },
+
+  lambda: {
+    label: 'Lambda functions',
+    description: 'Deploy tagged functions with TerraformAI-* execution roles and their log groups',
+    statements: (region) => [
+      allow('LambdaList', ['lambda:ListFunctions'], '*', region),
+      allow('LambdaCreateTagged', ['lambda:CreateFunction', 'lambda:TagResource'], '*', { ...region, ...MANAGED_TAG }),
+      allow('LambdaManageTagged', [
+        'lambda:GetFunction', 'lambda:GetFunctionConfiguration', 'lambda:GetFunctionCodeSigningConfig',
+        'lambda:ListVersionsByFunction', 'lambda:UpdateFunctionCode', 'lambda:UpdateFunctionConfiguration',
+        'lambda:DeleteFunction', 'lambda:AddPermission', 'lambda:RemovePermission', 'lambda:GetPolicy',
+        'lambda:ListTags', 'lambda:TagResource', 'lambda:UntagResource'
+      ], '*', { ...region, ...RESOURCE_TAG }),
+      allow('LambdaExecutionRoles', [
+        'iam:CreateRole', 'iam:DeleteRole', 'iam:GetRole', 'iam:TagRole', 'iam:UntagRole',
+        'iam:ListRolePolicies', 'iam:ListAttachedRolePolicies', 'iam:ListInstanceProfilesForRole',
+        'iam:AttachRolePolicy', 'iam:DetachRolePolicy', 'iam:PutRolePolicy', 'iam:DeleteRolePolicy', 'iam:GetRolePolicy'
+      ], sub('arn:aws:iam::${AWS::AccountId}:role/TerraformAI-*')),
+      allow('LambdaPassRole', ['iam:PassRole'], sub('arn:aws:iam::${AWS::AccountId}:role/TerraformAI-*'), {
+        'iam:PassedToService': 'lambda.amazonaws.com'
+      }),
+      allow('LambdaLogs', [
+        'logs:CreateLogGroup', 'logs:DeleteLogGroup', 'logs:DescribeLogGroups', 'logs:PutRetentionPolicy',
+        'logs:ListTagsForResource', 'logs:TagResource', 'logs:UntagResource'
+      ], sub('arn:aws:logs:*:${AWS::AccountId}:log-group:/aws/lambda/*'), region)
+    ]
+  },
+
+  dynamodb: {
+    label: 'DynamoDB tables',
+    description: 'Create, update and delete tagged tables',
+    statements: (region) => [
+      allow('DynamoDBList', ['dynamodb:ListTables'], '*', region),
+      allow('DynamoDBCreateTagged', ['dynamodb:CreateTable', 'dynamodb:TagResource'], '*', { ...region, ...MANAGED_TAG }),
+      allow('DynamoDBManageTagged', [
+        'dynamodb:DescribeTable', 'dynamodb:UpdateTable', 'dynamodb:DeleteTable',
+        'dynamodb:DescribeContinuousBackups', 'dynamodb:UpdateContinuousBackups',
+        'dynamodb:DescribeTimeToLive', 'dynamodb:UpdateTimeToLive',
+        'dynamodb:ListTagsOfResource', 'dynamodb:TagResource', 'dynamodb:UntagResource'
+      ], '*', { ...region, ...RESOURCE_TAG })
+    ]
+  },
+
+  rds: {
+    label: 'RDS databases',
+    description: 'Create, modify and delete tagged database instances',
+    statements: (region) => [
+      allow('RDSRead', [
+        'rds:DescribeDBInstances', 'rds:DescribeDBEngineVersions', 'rds:DescribeOrderableDBInstanceOptions'
+      ], '*', region),
+      allow('RDSCreateTagged', ['rds:CreateDBInstance', 'rds:AddTagsToResource'], 'arn:aws:rds:*:*:db:*', {
+        ...region,
+        ...MANAGED_TAG
+      }),
+      allow('RDSCreateInputs', ['rds:CreateDBInstance'], [
+        'arn:aws:rds:*:*:subgrp:*', 'arn:aws:rds:*:*:pg:*', 'arn:aws:rds:*:*:og:*', 'arn:aws:rds:*:*:secgrp:*'
+      ], region),
+      allow('RDSManageTagged', [
+        'rds:ModifyDBInstance', 'rds:DeleteDBInstance', 'rds:RebootDBInstance', 'rds:ListTagsForResource',
+        'rds:AddTagsToResource', 'rds:RemoveTagsFromResource'
+      ], 'arn:aws:rds:*:*:db:*', { ...region, ...RESOURCE_TAG })
+    ]
+  },
+
+  apigateway: {
+    label: 'API Gateway REST APIs',
+    description: 'Create tagged REST APIs and manage their resources, methods and stages',
+    statements: (region) => [
+      allow('APIGatewayCreateTagged', ['apigateway:POST'], 'arn:aws:apigateway:*::/restapis', {
+        ...region,
+        ...MANAGED_TAG
+      }),
+      allow('APIGatewayManageTagged', [
+        'apigateway:GET', 'apigateway:POST', 'apigateway:PUT', 'apigateway:PATCH', 'apigateway:DELETE'
+      ], ['arn:aws:apigateway:*::/restapis/*', 'arn:aws:apigateway:*::/tags/*'], { ...region, ...RESOURCE_TAG })
+    ]
+  }
+};
+
+// Statements every role gets: state storage, inventory and the permission preflight
+function baseStatements() {
+  const stateBuckets = `arn:aws:s3:::${process.env.STATE_BUCKET_PREFIX || 'terraform-ai-state'}-*`;
+  return [
+    allow('TerraformState', [
+      's3:CreateBucket', 's3:ListBucket', 's3:GetBucket*', 's3:PutBucketVersioning',
+      's3:PutEncryptionConfiguration', 's3:PutBucketPublicAccessBlock', 's3:PutBucketTagging'
+    ], stateBuckets),
+    allow('TerraformStateObjects', ['s3:GetObject', 's3:PutObject', 's3:DeleteObject'], `${stateBuckets}/*`),
+    allow('ManagedResourceInventory', ['tag:GetResources'], '*'),
+    allow('PermissionPreflight', ['iam:SimulatePrincipalPolicy'], sub(`arn:aws:iam::\${AWS::AccountId}:role/${ROLE_NAME}`))
+  ];
+}
+
+// Turn an action pattern like "s3:GetBucket*" into a matcher
+function actionMatcher(pattern) {
+  const escaped = pattern.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function serviceActions(serviceId) {
+  return ROLE_SERVICES[serviceId].statements({}).flatMap(statement => statement.Action);
+}
+
+/**
+ * Which services cover a list of IAM actions (e.g. a preflight's missing
+ * actions). Returns { services, uncovered } where uncovered actions belong
+ * to no service.
+ */
+function servicesForActions(actions) {
+  const services = new Set();
+  const uncovered = [];
+
+  for (const action of actions) {
+    const owner = Object.keys(ROLE_SERVICES).find(serviceId =>
+      serviceActions(serviceId).some(pattern => actionMatcher(pattern).test(action.toLowerCase()))
+    );
+    if (owner) {
+      services.add(owner);
+    } else {
+      uncovered.push(action);
+    }
+  }
+
+  return { services: [...services], uncovered };
+}
+
+// Check a requested scope; returns an error message or null
+function validateScope({ services, regions, extraActions = [] }) {
+  if (!Array.isArray(services) || services.length === 0) {
+    return 'Choose at least one service';
+  }
+  const unknownServices = services.filter(service => !ROLE_SERVICES[service]);
+  if (unknownServices.length > 0) {
+    return `Unknown services: ${unknownServices.join(', ')} (choose from ${Object.keys(ROLE_SERVICES).join(', ')})`;
+  }
+  if (!Array.isArray(regions) || regions.length === 0) {
+    return 'Choose at least one region';
+  }
+  const unknownRegions = regions.filter(region => !AWS_REGIONS.includes(region));
+  if (unknownRegions.length > 0) {
+    return `Unknown regions: ${unknownRegions.join(', ')}`;
+  }
+  if (!Array.isArray(extraActions) || extraActions.some(action => !/^[a-z0-9-]+:[A-Za-z0-9]+$/.test(action))) {
+    return 'Additional actions must look like "service:Action"';
+  }
+  return null;
+}
+
+/**
+ * Build the role template for a scope:
+ *   services      ROLE_SERVICES keys
+ *   regions       regions regional services may be used in
+ *   extraActions  actions outside every service (e.g. preflight gaps), allowed in the chosen regions
+ * Returns { template (YAML), hash } — the role name and parameters never
+ * change, so the template can also update an existing stack in place.
+ */
+function buildRoleTemplate({ services, regions, extraActions = [] }) {
+  const regionCondition = regions.length === AWS_REGIONS.length ? {} : { 'aws:RequestedRegion': regions };
+
+  const resources = {
+    TerraformAIExecutionRole: {
+      Type: 'AWS::IAM::Role',
+      Properties: {
+        RoleName: ROLE_NAME,
+        Description: 'Allows Terraform AI to create and manage AWS resources securely',
+        AssumeRolePolicyDocument: {
+          Version: '2012-10-17',
+          Statement: [{
+            Sid: 'AllowTerraformAIAssumeRole',
+            Effect: 'Allow',
+            Principal: { AWS: sub('arn:aws:iam::${TerraformAIAccountId}:root') },
+            Action: 'sts:AssumeRole',
+            Condition: { StringEquals: { 'sts:ExternalId': { Ref: 'ExternalId' } } }
+          }, {
+            // Lets sessions carry the user and action they act for, shown in CloudTrail
+            Sid: 'AllowTerraformAISessionTags',
+            Effect: 'Allow',
+            Principal: { AWS: sub('arn:aws:iam::${TerraformAIAccountId}:root') },
+            Action: 'sts:TagSession'
+          }]
+        },
+        MaxSessionDuration: 3600,
+        Tags: [
+          { Key: 'Name', Value: ROLE_NAME },
+          { Key: 'ManagedBy', Value: 'TerraformAI' },
+          { Key: 'Purpose', Value: 'Secure infrastructure automation' }
+        ]
+      }
+    },
+    TerraformAIBasePolicy: managedPolicy('State storage, inventory and permission checks', baseStatements())
+  };
+
+  for (const serviceId of services) {
+    const name = `TerraformAI${serviceId[0].toUpperCase()}${serviceId.slice(1)}Policy`;
+    resources[name] = managedPolicy(ROLE_SERVICES[serviceId].label, ROLE_SERVICES[serviceId].statements(regionCondition));
+  }
+
+  if (extraActions.length > 0) {
+    resources.TerraformAIAdditionalPolicy = managedPolicy(
+      'Additional actions requested by the permission preflight',
+      [allow('PreflightAdditions', [...new Set(extraActions)].sort(), '*', regionCondition)]
+    );
+  }
+
+  const template = {
+    AWSTemplateFormatVersion: '2010-09-09',
+    Description: `IAM Role for Terraform AI Agent - ${services.map(serviceId => ROLE_SERVICES[serviceId].label).join(', ')}`,
+    Metadata: {
+      'AWS::CloudFormation::Interface': {
+        ParameterGroups: [{ Label: { default: 'Terraform AI Configuration' }, Parameters: ['TerraformAIAccountId', 'ExternalId'] }],
+        ParameterLabels: {
+          TerraformAIAccountId: { default: 'Terraform AI AWS Account ID' },
+          ExternalId: { default: 'Your Unique External ID' }
+        }
+      },
+      TerraformAI: { services, regions, extraActions }
+    },
+    Parameters: {
+      TerraformAIAccountId: {
+        Type: 'String',
+        Default: TERRAFORM_AI_ACCOUNT_ID,
+        Description: 'The AWS account ID where Terraform AI backend runs (provided by Terraform AI)',
+        AllowedPattern: '^[0-9]{12}$',
+        ConstraintDescription: 'Must be a valid 12-digit AWS account ID'
+      },
+      ExternalId: {
+        Type: 'String',
+        Description: 'Unique External ID for security (prevents confused deputy attack)',
+        MinLength: 16,
+        MaxLength: 1224,
+        AllowedPattern: '^[a-zA-Z0-9+=,.@:\\/-]*$',
+        ConstraintDescription: 'Must be 16-1224 characters'
+      }
+    },
+    Resources: resources,
+    Outputs: {
+      RoleArn: {
+        Description: 'IAM Role ARN - Copy this and paste it into Terraform AI',
+        Value: { 'Fn::GetAtt': ['TerraformAIExecutionRole', 'Arn'] },
+        Export: { Name: sub('${AWS::StackName}-RoleArn') }
+      },
+      RoleName: {
+        Description: 'IAM Role Name',
+        Value: { Ref: 'TerraformAIExecutionRole' }
+      },
+      AccountId: {
+        Description: 'Your AWS Account ID',
+        Value: { Ref: 'AWS::AccountId' }
+      }
+    }
+  };
+
+  const text = yaml.dump(template, { lineWidth: -1, noRefs: true });
+  return {
+    template: text,
+    hash: crypto.createHash('sha256').update(text).digest('hex').slice(0, 16)
+  };
+}
+
+function managedPolicy(description, statements) {
+  return {
+    Type: 'AWS::IAM::ManagedPolicy',
+    Properties: {
+      Description: `Terraform AI: ${description}`,
+      Roles: [{ Ref: 'TerraformAIExecutionRole' }],
+      PolicyDocument: { Version: '2012-10-17', Statement: statements }
+    }
+  };
+}
+
+/**
+ * CloudFormation's console only launches templates from S3, so when
+ * ROLE_TEMPLATE_BUCKET is set the template is uploaded there (keyed by its
+ * hash) and its URL returned. Returns null when there's nowhere to publish.
+ */
+async function publishRoleTemplate({ template, hash }) {
+  const bucket = process.env.ROLE_TEMPLATE_BUCKET;
+  if (!bucket) {
+    return null;
+  }
+
+  const s3 = new AWS.S3({
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    region: process.env.AWS_REGION || 'us-east-1'
+  });
+  const key = `role-templates/${hash}.yaml`;
+
+  await s3.putObject({
+    Bucket: bucket,
+    Key: key,
+    Body: template,
+    ContentType: 'application/x-yaml'
+  }).promise();
+
+  return `https://${bucket}.s3.amazonaws.com/${key}`;
+}
+
+// Console link that opens the stack form with the template and parameters filled in
+function quickCreateUrl(templateUrl, externalId) {
+  return `https://console.aws.amazon.com/cloudformation/home?region=us-east-1#/stacks/quickcreate?templateURL=${encodeURIComponent(templateUrl)}&stackName=${STACK_NAME}&param_ExternalId=${encodeURIComponent(externalId)}&param_TerraformAIAccountId=${TERRAFORM_AI_ACCOUNT_ID}`;
+}
+
+module.exports = {
+  ROLE_NAME,
+  STACK_NAME,
+  ROLE_SERVICES,
+  servicesForActions,
+  validateScope,
+  buildRoleTemplate,
+  publishRoleTemplate,
+  quickCreateUrl
+};
\ No newline at end of file
@@ -0,0 +1,127 @@
+// backend/utils/stateBackend.js
+const AWS = require('aws-sdk');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Durable Terraform state per connected AWS account.
+ *
+ * STATE_BACKEND=s3    state lives in a versioned, encrypted bucket in the
+ *                     user's own account, locked with Terraform's S3 lockfile
+ *                     (Terraform 1.10+)
+ * STATE_BACKEND=local state lives under terraform-state/<accountId> on this
+ *                     machine (development only)
+ *
+ * Each action gets its own state key, so workspace directories can be
+ * thrown away and re-created from the backend at any time.
+ */
+
+const LOCAL_STATE_BASE = path.join(__dirname, '..', 'terraform-state');
+
+function backendType() {
+  return process.env.STATE_BACKEND ||
+    (process.env.NODE_ENV === 'production' ? 's3' : 'local');
+}
+
+// arn:aws:iam::<accountId>:role/<name>
+function accountIdFromRoleArn(roleArn) {
+  const match = /^arn:aws:iam::(\d{12}):role\//.exec(roleArn || '');
+  if (!match) {
+    throw new Error(`Cannot determine AWS account from role ARN: ${roleArn}`);
+  }
+  return match[1];
+}
+
+function stateBucketName(accountId) {
+  return `${process.env.STATE_BUCKET_PREFIX || 'terraform-ai-state'}-${accountId}`;
+}
+
+/**
+ * Create the account's state bucket if it doesn't exist yet: versioned so
+ * old state can be recovered, encrypted, and closed to public access.
+ */
+async function ensureStateBucket(bucket, region, credentials) {
+  const s3 = new AWS.S3({
+    accessKeyId: credentials.accessKeyId,
+    secretAccessKey: credentials.secretAccessKey,
+    sessionToken: credentials.sessionToken,
+    region
+  });
+
+  try {
+    await s3.headBucket({ Bucket: bucket }).promise();
+    return;
+  } catch (error) {
+    if (error.code !== 'NotFound' && error.statusCode !== 404) {
+      throw new Error(`Cannot access state bucket ${bucket}: ${error.message}`);
+    }
+  }
+
+  console.log('🗄️ Creating state bucket:', bucket);
+
+  await s3.createBucket({
+    Bucket: bucket,
+    ...(region === 'us-east-1' ? {} : { CreateBucketConfiguration: { LocationConstraint: region } })
+  }).promise();
+
+  await s3.putBucketVersioning({
+    Bucket: bucket,
+    VersioningConfiguration: { Status: 'Enabled' }
+  }).promise();
+
+  await s3.putBucketEncryption({
+    Bucket: bucket,
+    ServerSideEncryptionConfiguration: {
+      Rules: [{ ApplyServerSideEncryptionByDefault: { SSEAlgorithm: 'AES256' } }]
+    }
+  }).promise();
+
+  await s3.putPublicAccessBlock({
+    Bucket: bucket,
+    PublicAccessBlockConfiguration: {
+      BlockPublicAcls: true,
+      IgnorePublicAcls: true,
+      BlockPublicPolicy: true,
+      RestrictPublicBuckets: true
+    }
+  }).promise();
+}
+
+/**
+ * Resolve (and provision, for S3) the state backend for one action in an
+ * account. The result is stored on the action and handed to
+ * generateTerraformFiles whenever its workspace is (re)built.
+ */
+async function resolveStateBackend(accountId, actionId, credentials) {
+  const key = `actions/${actionId}/terraform.tfstate`;
+
+  if (backendType() === 'local') {
+    const statePath = path.join(LOCAL_STATE_BASE, accountId, key);
+    await fs.mkdir(path.dirname(statePath), { recursive: true });
+    return {
+      type: 'local',
+      config: { path: statePath }
+    };
+  }
+
+  const bucket = stateBucketName(accountId);
+  const region = process.env.STATE_BUCKET_REGION || 'us-east-1';
+  await ensureStateBucket(bucket, region, credentials);
+
+  return {
+    type: 's3',
+    config: {
+      bucket,
+      key,
+      region,
+      encrypt: true,
+      use_lockfile: true
+    }
+  };
+}
+
+module.exports = {
+  accountIdFromRoleArn,
+  stateBucketName,
+  resolveStateBackend
+};
\ No newline at end of file
@@ -1,38 +1,108 @@
 // backend/utils/terraformExecutor.js
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const { publish, isCancelled, onCancel } = require('./logStream');
 
-const execAsync = promisify(exec);
+// Commands are killed after this long (TERRAFORM_TIMEOUT_MS overrides)
+const COMMAND_TIMEOUT_MS = Number(process.env.TERRAFORM_TIMEOUT_MS) || 30 * 60 * 1000;
+
+// Time Terraform gets to stop gracefully after SIGINT before it is killed
+const CANCEL_GRACE_MS = 30 * 1000;
+
+// Cap on captured output per stream
+const MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
+
+// Commands whose output is meant for humans and gets streamed to log channels
+const STREAMED_COMMANDS = new Set(['init', 'plan', 'apply', 'plan-destroy', 'destroy', 'plan-generate-config', 'plan-refresh-only']);
 
 // Base directory for Terraform workspaces
 const WORKSPACE_BASE = path.join(__dirname, '..', 'terraform-workspaces');
 
+// Saved plan file inside each workspace
+const PLAN_FILE = 'tfplan';
+
+// Provider versions init picked. Kept with a saved plan, so the workspace
+// it's applied in installs the same providers it was made with.
+const LOCK_FILE = '.terraform.lock.hcl';
+
+// Terraform refusing a saved plan: state moved on since it was made, or the
+// providers or Terraform itself differ from when it was made
+const STALE_PLAN_PATTERN = /Saved plan is stale|Inconsistent dependency lock file|plan files cannot be transferred|Failed to read plan from plan file/i;
+
+// Where `plan -generate-config-out` writes configuration for import blocks
+const GENERATED_CONFIG_FILE = 'generated.tf';
+
+// Provider plugins are shared between workspaces so each init doesn't download them again
+const PLUGIN_CACHE_DIR = process.env.TF_PLUGIN_CACHE_DIR || path.join(__dirname, '..', 'terraform-plugin-cache');
+
 // Ensure workspace directory exists
 async function ensureWorkspaceDir() {
   try {
     await fs.mkdir(WORKSPACE_BASE, { recursive: true });
+    await fs.mkdir(PLUGIN_CACHE_DIR, { recursive: true });
   } catch (error) {
     console.error('Failed to create workspace directory:', error);
   }
 }
 
-// Generate Terraform files for a specific action
-async function generateTerraformFiles(actionId, terraformCode, credentials) {
-  await ensureWorkspaceDir();
-  
-  const workDir = path.join(WORKSPACE_BASE, actionId);
-  await fs.mkdir(workDir, { recursive: true });
+// Build the environment Terraform runs with, so the AWS provider picks up
+// the assumed-role session (including its session token) without writing
+// secrets to disk
+function buildTerraformEnv(credentials = {}) {
+  const env = {
+    ...process.env,
+    TF_IN_AUTOMATION: '1',
+    TF_INPUT: '0',
+    TF_PLUGIN_CACHE_DIR: PLUGIN_CACHE_DIR
+  };
+
+  if (credentials.accessKeyId) {
+    env.AWS_ACCESS_KEY_ID = credentials.accessKeyId;
+    env.AWS_SECRET_ACCESS_KEY = credentials.secretAccessKey;
+    if (credentials.sessionToken) {
+      env.AWS_SESSION_TOKEN = credentials.sessionToken;
+    } else {
+      delete env.AWS_SESSION_TOKEN;
+    }
+  }
+
+  if (credentials.region) {
+    env.AWS_REGION = credentials.region;
+    env.AWS_DEFAULT_REGION = credentials.region;
+  }
 
-  // Write main.tf
+  return env;
+}
+
+// Render a backend block, e.g. { type: 's3', config: { bucket, key, ... } }
+function renderBackendConfig(backend) {
+  const settings = Object.entries(backend.config)
+    .map(([key, value]) => `    ${key} = ${typeof value === 'string' ? JSON.stringify(value) : value}`)
+    .join('\n');
+
+  return `terraform {
+  backend "${backend.type}" {
+${settings}
+  }
+}
+`;
+}
+
+// Write main.tf exactly as it was reviewed, plus the provider and backend
+// configuration it runs with
+async function writeConfigFiles(workDir, terraformCode, { region, backend } = {}) {
   await fs.writeFile(
     path.join(workDir, 'main.tf'),
     terraformCode
   );
 
-  // Write provider.tf with user's credentials
-  const providerConfig = `
+  // Only add a provider.tf when the code doesn't configure AWS itself.
+  // Credentials are passed through the environment either way.
+  const providerFile = path.join(workDir, 'provider.tf');
+  if (!/provider\s+"aws"\s*{/.test(terraformCode)) {
+    const providerConfig = `
 terraform {
   required_version = ">= 1.0"
   
@@ -45,21 +115,43 @@ terraform {
 }
 
 provider "aws" {
-  region     = "${credentials.region || 'us-east-1'}"
-  access_key = "${credentials.accessKeyId}"
-  secret_key = "${credentials.secretAccessKey}"
+  region = "${region || 'us-east-1'}"
 }
 `;
 
-  await fs.writeFile(
-    path.join(workDir, 'provider.tf'),
-    providerConfig
-  );
+    await fs.writeFile(providerFile, providerConfig);
+  } else {
+    await fs.rm(providerFile, { force: true });
+  }
+
+  const backendFile = path.join(workDir, 'backend.tf');
+  if (backend) {
+    await fs.writeFile(backendFile, renderBackendConfig(backend));
+  } else {
+    await fs.rm(backendFile, { force: true });
+  }
+}
+
+// Generate Terraform files for a specific action. With a backend, the
+// workspace is disposable: init pulls the action's state back from it.
+// A lockFile pins the providers init installs.
+async function generateTerraformFiles(actionId, terraformCode, credentials = {}, { backend, channel, lockFile } = {}) {
+  await ensureWorkspaceDir();
+  
+  const workDir = workspacePath(actionId);
+  await fs.mkdir(workDir, { recursive: true });
+  await writeConfigFiles(workDir, terraformCode, { region: credentials.region, backend });
+  if (lockFile) {
+    await fs.writeFile(path.join(workDir, LOCK_FILE), lockFile);
+  }
 
   // Initialize Terraform
   console.log('Initializing Terraform in:', workDir);
-  const initResult = await executeTerraform(workDir, 'init');
+  const initResult = await executeTerraform(workDir, 'init', credentials, { channel });
   
+  if (initResult.cancelled) {
+    throw new Error('TERRAFORM_CANCELLED');
+  }
   if (!initResult.success) {
     throw new Error(`Terraform init failed: ${initResult.error}`);
   }
@@ -67,53 +159,367 @@ provider "aws" {
   return workDir;
 }
 
-// Execute Terraform commands
-async function executeTerraform(workDir, command) {
+// Terraform arguments for each supported command
+async function commandArgs(workDir, command) {
+  switch (command) {
+    case 'init':
+      return ['init', '-input=false', '-no-color', '-reconfigure'];
+    case 'init-offline':
+      // Enough to validate: providers are installed, no backend or state is touched
+      return ['init', '-input=false', '-no-color', '-backend=false'];
+    case 'fmt':
+      return ['fmt', '-no-color', '-list=false'];
+    case 'validate':
+      return ['validate', '-json', '-no-color'];
+    case 'plan':
+      return ['plan', '-input=false', '-no-color', `-out=${PLAN_FILE}`];
+    case 'apply':
+      // Only ever the saved plan, so what runs is what was reviewed
+      return ['apply', '-auto-approve', '-input=false', '-no-color', PLAN_FILE];
+    case 'plan-generate-config':
+      // Terraform refuses to overwrite an existing file
+      await fs.rm(path.join(workDir, GENERATED_CONFIG_FILE), { force: true });
+      return ['plan', '-input=false', '-no-color', `-generate-config-out=${GENERATED_CONFIG_FILE}`];
+    case 'plan-refresh-only':
+      // Compares state with what exists in AWS; the saved plan only updates state
+      return ['plan', '-refresh-only', '-input=false', '-no-color', `-out=${PLAN_FILE}`];
+    case 'plan-destroy':
+      return ['plan', '-destroy', '-input=false', '-no-color', `-out=${PLAN_FILE}`];
+    case 'destroy':
+      return ['destroy', '-auto-approve', '-input=false', '-no-color'];
+    case 'show':
+      return ['show', '-json', PLAN_FILE];
+    case 'state':
+      return ['show', '-json'];
+    case 'output':
+      return ['output', '-json'];
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+// Execute Terraform commands. With a channel, output is streamed to it line
+// by line and the run can be cancelled through it.
+async function executeTerraform(workDir, command, credentials = {}, { channel } = {}) {
+  let args;
   try {
-    let cmd;
-    
-    switch (command) {
-      case 'init':
-        cmd = 'terraform init';
-        break;
-      case 'plan':
-        cmd = 'terraform plan -no-color';
-        break;
-      case 'apply':
-        cmd = 'terraform apply -auto-approve -no-color';
-        break;
-      case 'destroy':
-        cmd = 'terraform destroy -auto-approve -no-color';
-        break;
-      case 'output':
-        cmd = 'terraform output -json';
-        break;
-      default:
-        throw new Error(`Unknown command: ${command}`);
-    }
+    args = await commandArgs(workDir, command);
+  } catch (error) {
+    return { success: false, output: '', error: error.message };
+  }
 
-    console.log(`Executing: ${cmd} in ${workDir}`);
-    
-    const { stdout, stderr } = await execAsync(cmd, {
+  if (channel && isCancelled(channel)) {
+    return { success: false, cancelled: true, output: '', error: 'Cancelled' };
+  }
+
+  const streamed = Boolean(channel) && STREAMED_COMMANDS.has(command);
+  const cmd = `terraform ${args.join(' ')}`;
+  console.log(`Executing: ${cmd} in ${workDir}`);
+  if (streamed) publish(channel, 'system', `$ ${cmd}`);
+
+  return new Promise((resolve) => {
+    const child = spawn('terraform', args, {
       cwd: workDir,
-      timeout: 300000, // 5 minutes timeout
-      maxBuffer: 10 * 1024 * 1024 // 10MB buffer
+      env: buildTerraformEnv(credentials)
     });
 
-    return {
-      success: true,
-      output: stdout,
-      error: stderr
+    const captured = { stdout: '', stderr: '' };
+    const partial = { stdout: '', stderr: '' };
+    let cancelled = false;
+    let timedOut = false;
+    let killTimer;
+
+    const collect = (stream) => (chunk) => {
+      const text = chunk.toString();
+      if (captured[stream].length < MAX_OUTPUT_BYTES) {
+        captured[stream] += text;
+      }
+      if (!streamed) return;
+
+      const lines = (partial[stream] + text).split(/\r?\n/);
+      partial[stream] = lines.pop();
+      lines.forEach(line => publish(channel, stream, line));
     };
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
 
-  } catch (error) {
-    console.error(`Terraform ${command} failed:`, error);
-    
-    return {
-      success: false,
-      output: error.stdout || '',
-      error: error.stderr || error.message
+    // SIGINT lets Terraform stop cleanly and release state locks
+    const stop = () => {
+      child.kill('SIGINT');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), CANCEL_GRACE_MS);
     };
+
+    const stopListening = channel
+      ? onCancel(channel, () => {
+        cancelled = true;
+        stop();
+      })
+      : () => {};
+
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, COMMAND_TIMEOUT_MS);
+
+    let finished = false;
+    const finish = (result) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timeout);
+      clearTimeout(killTimer);
+      stopListening();
+
+      if (streamed) {
+        ['stdout', 'stderr'].forEach(stream => {
+          if (partial[stream]) publish(channel, stream, partial[stream]);
+        });
+      }
+
+      if (!result.success) {
+        console.error(`Terraform ${command} failed:`, result.error);
+      }
+      resolve(result);
+    };
+
+    child.on('error', (error) => {
+      finish({
+        success: false,
+        output: captured.stdout,
+        error: error.code === 'ENOENT' ? 'Terraform CLI is not installed on the server' : error.message
+      });
+    });
+
+    child.on('close', (code) => {
+      if (cancelled) {
+        return finish({ success: false, cancelled: true, output: captured.stdout, error: 'Cancelled' });
+      }
+      if (timedOut) {
+        return finish({
+          success: false,
+          output: captured.stdout,
+          error: `Timed out after ${Math.round(COMMAND_TIMEOUT_MS / 1000)}s\n${captured.stderr}`
+        });
+      }
+
+      finish({
+        success: code === 0,
+        output: captured.stdout,
+        error: code === 0 ? captured.stderr : (captured.stderr || `terraform ${command} exited with code ${code}`)
+      });
+    });
+  });
+}
+
+/**
+ * The plan `plan` just wrote to a workspace, to keep with its action:
+ *   { plan (base64), hash, lockFile }
+ */
+async function readSavedPlan(workDir) {
+  const plan = await fs.readFile(path.join(workDir, PLAN_FILE));
+  let lockFile = null;
+  try {
+    lockFile = await fs.readFile(path.join(workDir, LOCK_FILE), 'utf8');
+  } catch (error) {
+    // No providers, nothing to pin
+  }
+
+  return {
+    plan: plan.toString('base64'),
+    hash: crypto.createHash('sha256').update(plan).digest('hex'),
+    lockFile
+  };
+}
+
+// Put a saved plan back into a workspace for `apply`
+async function writeSavedPlan(workDir, savedPlan) {
+  const plan = Buffer.from(savedPlan.plan, 'base64');
+  if (crypto.createHash('sha256').update(plan).digest('hex') !== savedPlan.hash) {
+    throw new Error('Saved plan is corrupt');
+  }
+  await fs.writeFile(path.join(workDir, PLAN_FILE), plan);
+}
+
+// Whether a failed apply was Terraform refusing an outdated saved plan
+function isStalePlan(result) {
+  return STALE_PLAN_PATTERN.test(`${result.error}\n${result.output}`);
+}
+
+// Flatten `terraform output -json` into a plain name -> value map
+function parseOutputs(outputJson) {
+  const outputs = {};
+  if (!outputJson || !outputJson.trim()) return outputs;
+
+  const parsed = JSON.parse(outputJson);
+  for (const [name, output] of Object.entries(parsed)) {
+    outputs[name] = output.sensitive ? '(sensitive)' : output.value;
+  }
+
+  return outputs;
+}
+
+// Summarize `terraform show -json` of a saved plan: action counts plus
+// per-resource address, action and the attributes that change. Resources
+// imported without changes count as imports.
+function summarizePlan(showJson) {
+  const plan = JSON.parse(showJson);
+  const summary = { create: 0, update: 0, delete: 0, import: 0, resources: [] };
+
+  for (const change of plan.resource_changes || []) {
+    const actions = change.change.actions;
+    if (change.change.importing) {
+      summary.import++;
+    }
+    if (actions.length === 1 && (actions[0] === 'no-op' || actions[0] === 'read')) {
+      if (change.change.importing) {
+        summary.resources.push({ address: change.address, type: change.type, action: 'import', changedAttributes: [] });
+      }
+      continue;
+    }
+
+    let action;
+    if (actions.includes('create') && actions.includes('delete')) {
+      action = 'replace';
+      summary.create++;
+      summary.delete++;
+    } else if (actions.includes('create')) {
+      action = 'create';
+      summary.create++;
+    } else if (actions.includes('delete')) {
+      action = 'delete';
+      summary.delete++;
+    } else {
+      action = 'update';
+      summary.update++;
+    }
+
+    summary.resources.push({
+      address: change.address,
+      type: change.type,
+      action,
+      changedAttributes: changedAttributes(change.change)
+    });
+  }
+
+  return summary;
+}
+
+// Differences between recorded state and AWS from a refresh-only plan's
+// `terraform show -json`: [{ address, type, change: 'update' | 'delete',
+// attributes: [{ path, recorded, live }] }]. Sensitive values are masked.
+function summarizeDrift(showJson) {
+  const plan = JSON.parse(showJson);
+
+  return (plan.resource_drift || [])
+    .filter(drift => drift.mode !== 'data')
+    .map(({ address, type, change }) => {
+      const deleted = change.actions.includes('delete') || change.after === null;
+      return {
+        address,
+        type,
+        change: deleted ? 'delete' : 'update',
+        attributes: deleted
+          ? []
+          : attributeDiffs(change.before, change.after, {
+            recorded: change.before_sensitive,
+            live: change.after_sensitive
+          })
+      };
+    })
+    .filter(drift => drift.change === 'delete' || drift.attributes.length > 0);
+}
+
+// Leaf-level differences between two attribute values, e.g. versioning[0].enabled
+function attributeDiffs(recorded, live, sensitive = {}, at = '') {
+  const isObject = (value) => value !== null && typeof value === 'object';
+  const masked = (marker) => marker === true;
+
+  if (masked(sensitive.recorded) || masked(sensitive.live)) {
+    return JSON.stringify(recorded) === JSON.stringify(live)
+      ? []
+      : [{ path: at, recorded: '(sensitive)', live: '(sensitive)' }];
+  }
+
+  if (isObject(recorded) && isObject(live) && Array.isArray(recorded) === Array.isArray(live)) {
+    const keys = Array.isArray(recorded)
+      ? [...Array(Math.max(recorded.length, live.length)).keys()]
+      : [...new Set([...Object.keys(recorded), ...Object.keys(live)])].sort();
+
+    return keys.flatMap(key => attributeDiffs(
+      recorded[key] === undefined ? null : recorded[key],
+      live[key] === undefined ? null : live[key],
+      {
+        recorded: isObject(sensitive.recorded) ? sensitive.recorded[key] : undefined,
+        live: isObject(sensitive.live) ? sensitive.live[key] : undefined
+      },
+      Array.isArray(recorded) ? `${at}[${key}]` : at ? `${at}.${key}` : key
+    ));
+  }
+
+  return JSON.stringify(recorded) === JSON.stringify(live) ? [] : [{ path: at, recorded, live }];
+}
+
+// Resources that will exist after applying a saved plan, with their planned
+// attributes and, when they exist already, their current ones:
+// [{ address, type, values, before }] (used for cost estimates)
+function plannedResources(showJson) {
+  const plan = JSON.parse(showJson);
+
+  return (plan.resource_changes || [])
+    .filter(change => change.mode !== 'data' && change.change.actions.some(action => action === 'create' || action === 'update'))
+    .map(change => ({
+      address: change.address,
+      type: change.type,
+      values: change.change.after || {},
+      before: change.change.before || null
+    }));
+}
+
+function changedAttributes({ before, after, after_unknown: afterUnknown }) {
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+    ...Object.keys(afterUnknown || {})
+  ]);
+
+  return [...keys].filter(key => {
+    if (afterUnknown && afterUnknown[key] === true) return true;
+    const oldValue = before ? before[key] : null;
+    const newValue = after ? after[key] : null;
+    if (!before && (newValue === null || newValue === undefined)) return false;
+    return JSON.stringify(oldValue) !== JSON.stringify(newValue);
+  }).sort();
+}
+
+// Flatten resources (including child modules) out of `terraform show -json` state
+function stateResources(stateJson) {
+  const state = JSON.parse(stateJson);
+  const resources = [];
+
+  const collect = (module) => {
+    if (!module) return;
+    resources.push(...(module.resources || []).filter(r => r.mode === 'managed'));
+    (module.child_modules || []).forEach(collect);
+  };
+  collect(state.values && state.values.root_module);
+
+  return resources;
+}
+
+// Path of an action's workspace, and whether it still holds Terraform state
+function workspacePath(actionId) {
+  return path.join(WORKSPACE_BASE, actionId);
+}
+
+async function hasState(actionId) {
+  return fileExists(path.join(workspacePath(actionId), 'terraform.tfstate'));
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
   }
 }
 
@@ -125,13 +531,14 @@ async function cleanupOldWorkspaces(maxAgeMinutes = 60) {
     const now = Date.now();
 
     for (const workspace of workspaces) {
-      const workspacePath = path.join(WORKSPACE_BASE, workspace);
-      const stats = await fs.stat(workspacePath);
+      const workDir = workspacePath(workspace);
+      const stats = await fs.stat(workDir);
       const ageMinutes = (now - stats.mtimeMs) / 1000 / 60;
 
-      if (ageMinutes > maxAgeMinutes) {
+      // Workspaces holding state are still needed to destroy what they created
+      if (ageMinutes > maxAgeMinutes && !(await hasState(workspace))) {
         console.log(`Cleaning up old workspace: ${workspace}`);
-        await fs.rm(workspacePath, { recursive: true, force: true });
+        await fs.rm(workDir, { recursive: true, force: true });
       }
     }
   } catch (error) {
@@ -142,10 +549,24 @@ async function cleanupOldWorkspaces(maxAgeMinutes = 60) {
 // Run cleanup every hour
 setInterval(() => {
   cleanupOldWorkspaces(60);
-}, 60 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
 
 module.exports = {
+  COMMAND_TIMEOUT_MS,
+  GENERATED_CONFIG_FILE,
+  ensureWorkspaceDir,
+  writeConfigFiles,
   generateTerraformFiles,
   executeTerraform,
+  readSavedPlan,
+  writeSavedPlan,
+  isStalePlan,
+  parseOutputs,
+  summarizePlan,
+  summarizeDrift,
+  plannedResources,
+  stateResources,
+  workspacePath,
+  hasState,
   cleanupOldWorkspaces
 };
\ No newline at end of file
@@ -0,0 +1,117 @@
+// backend/utils/terraformImport.js
+const { IMPORTABLE_TYPES, MANAGED_BY_TAG } = require('./awsResources');
+
+/**
+ * Bringing existing resources under management.
+ *
+ * The configuration is only import blocks at first; `terraform plan
+ * -generate-config-out` writes matching resource blocks next to them, so the
+ * follow-up plan should change nothing. The ownership tags are added after
+ * the import, outside Terraform, and the provider ignores them so they never
+ * show up as drift.
+ */
+
+const MAX_IMPORTS = 20;
+
+// Tags the agent adds to imported resources; Terraform ignores these
+const OWNERSHIP_TAG_KEYS = [MANAGED_BY_TAG.Key, 'ActionId', 'ImportedAt'];
+
+/**
+ * Check resources a client asked to import: [{ type, id }].
+ * Returns { resources } or { error }
+ */
+function validateImportRequest(resources) {
+  if (!Array.isArray(resources) || resources.length === 0) {
+    return { error: 'Choose at least one resource to import' };
+  }
+  if (resources.length > MAX_IMPORTS) {
+    return { error: `At most ${MAX_IMPORTS} resources can be imported at once` };
+  }
+
+  const seen = new Set();
+  for (const resource of resources) {
+    const importable = resource && IMPORTABLE_TYPES[resource.type];
+    if (!importable) {
+      return { error: `${resource && resource.type} resources can't be imported yet` };
+    }
+    if (typeof resource.id !== 'string' || !importable.validId(resource.id)) {
+      return { error: `${resource.id} isn't a valid ${importable.label} ID` };
+    }
+
+    const key = `${resource.type}:${resource.id}`;
+    if (seen.has(key)) {
+      return { error: `${resource.id} was listed twice` };
+    }
+    seen.add(key);
+  }
+
+  return { resources: resources.map(({ type, id }) => ({ type, id })) };
+}
+
+// Terraform resource names for the imports, e.g. my.bucket -> my_bucket
+function assignAddresses(resources) {
+  const used = new Set();
+
+  return resources.map(resource => {
+    let name = resource.id.toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'imported';
+    if (/^[0-9]/.test(name)) name = `r_${name}`;
+
+    let unique = name;
+    for (let n = 2; used.has(`${resource.type}.${unique}`); n++) unique = `${name}_${n}`;
+    used.add(`${resource.type}.${unique}`);
+
+    return { ...resource, address: `${resource.type}.${unique}` };
+  });
+}
+
+/**
+ * Configuration holding only the import blocks for resources with addresses.
+ * The resource blocks are generated by Terraform from what exists.
+ */
+function renderImportConfig(resources, { region }) {
+  const imports = resources.map(({ address, id }) => `import {
+  to = ${address}
+  id = ${JSON.stringify(id)}
+}`);
+
+  return `terraform {
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = "~> 5.0"
+    }
+  }
+}
+
+provider "aws" {
+  region = "${region}"
+
+  # Ownership tags are added after import, outside Terraform
+  ignore_tags {
+    keys = [${OWNERSHIP_TAG_KEYS.map(key => `"${key}"`).join(', ')}]
+  }
+}
+
+${imports.join('\n\n')}
+`;
+}
+
+// Generated resource blocks appended to the import configuration
+function combineGeneratedConfig(importConfig, generatedConfig) {
+  const generated = generatedConfig
+    .split('\n')
+    .filter(line => !/^# __generated__/.test(line))
+    .join('\n')
+    .trim();
+
+  return `${importConfig.trim()}\n\n# Generated by Terraform from the existing resources\n${generated}\n`;
+}
+
+module.exports = {
+  MAX_IMPORTS,
+  OWNERSHIP_TAG_KEYS,
+  validateImportRequest,
+  assignAddresses,
+  renderImportConfig,
+  combineGeneratedConfig
+};
\ No newline at end of file
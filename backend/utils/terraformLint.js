@@ -0,0 +1,357 @@
+// backend/utils/terraformLint.js
+
+/**
+ * Lint checks for Terraform code that `terraform validate` doesn't make:
+ * unpinned providers, resources missing the agent's tags, and hardcoded
+ * regions that conflict with the provider's.
+ *
+ * The checks read the code line by line with a small block scanner (strings,
+ * comments and heredocs aware) rather than a full HCL parser, so every
+ * finding carries the line it was found on.
+ */
+
+// Resource types that take a tags map; the execution role only lets the
+// agent create them with ManagedBy = "TerraformAI"
+const TAGGABLE_TYPES = new Set([
+  'aws_s3_bucket', 'aws_instance', 'aws_ebs_volume', 'aws_security_group', 'aws_vpc', 'aws_subnet',
+  'aws_internet_gateway', 'aws_route_table', 'aws_nat_gateway', 'aws_eip', 'aws_lambda_function',
+  'aws_iam_role', 'aws_iam_policy', 'aws_cloudwatch_log_group', 'aws_dynamodb_table', 'aws_db_instance',
+  'aws_db_subnet_group', 'aws_api_gateway_rest_api', 'aws_api_gateway_stage', 'aws_kms_key',
+  'aws_lb', 'aws_alb', 'aws_sqs_queue', 'aws_sns_topic', 'aws_ecr_repository', 'aws_launch_template'
+]);
+
+// Providers that need no version pin (built into Terraform)
+const BUILTIN_PROVIDERS = new Set(['terraform']);
+
+// Providers code run on this server may use, and their resource type prefixes
+const ALLOWED_PROVIDER_SOURCES = ['hashicorp/aws', 'hashicorp/random', 'hashicorp/archive'];
+const ALLOWED_TYPE_PREFIXES = ['aws_', 'random_', 'archive_'];
+
+// Functions that read files from the server running Terraform
+const FILE_FUNCTIONS = /\b(file|filebase64|filebase64sha256|filebase64sha512|filemd5|filesha1|filesha256|filesha512|fileexists|fileset|templatefile|pathexpand|abspath)\s*\(/;
+
+// Attributes that point a resource at a file on the server, e.g. aws_s3_object.source
+const FILE_ATTRIBUTES = /^\s*(filename|source|source_file|source_dir)\s*=\s*"/;
+
+// Region names and availability zones, e.g. us-east-1 or eu-west-2b
+const REGION_PATTERN = /\b((?:us|eu|ap|sa|ca|me|af|il|mx)(?:-gov)?-(?:north|south|east|west|central|northeast|northwest|southeast|southwest)-\d)([a-z])?\b/g;
+
+// Remove comments from a line and count the braces outside strings
+function scanLine(text, state) {
+  let code = '';
+  let opens = 0;
+  let closes = 0;
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (state.inComment) {
+      if (char === '*' && next === '/') {
+        state.inComment = false;
+        i++;
+      }
+      continue;
+    }
+    if (inString) {
+      code += char;
+      if (char === '\\') {
+        code += next || '';
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+    if (char === '#' || (char === '/' && next === '/')) break;
+    if (char === '/' && next === '*') {
+      state.inComment = true;
+      i++;
+      continue;
+    }
+    if (char === '"') inString = true;
+    if (char === '{') opens++;
+    if (char === '}') closes++;
+    code += char;
+  }
+
+  return { code, opens, closes };
+}
+
+/**
+ * Split code into lines with their brace depth, and collect the top-level
+ * blocks: [{ kind, labels, line, endLine, entries }]
+ */
+function scanBlocks(terraformCode) {
+  const state = { inComment: false };
+  const lines = [];
+  const blocks = [];
+  let depth = 0;
+  let heredoc = null;
+  let current = null;
+
+  terraformCode.split('\n').forEach((text, index) => {
+    const entry = { line: index + 1, depth, code: text, heredoc: Boolean(heredoc) };
+    lines.push(entry);
+    if (current) current.entries.push(entry);
+
+    if (heredoc) {
+      if (text.trim() === heredoc) heredoc = null;
+      return;
+    }
+
+    const { code, opens, closes } = scanLine(text, state);
+    entry.code = code;
+
+    const start = depth === 0 && code.match(/^\s*([\w-]+)((?:\s+"[^"]*")*)\s*\{/);
+    if (start) {
+      current = {
+        kind: start[1],
+        labels: [...start[2].matchAll(/"([^"]*)"/g)].map(match => match[1]),
+        line: entry.line,
+        entries: [entry]
+      };
+      blocks.push(current);
+    }
+
+    const marker = code.match(/<<-?\s*(\w+)\s*$/);
+    if (marker) heredoc = marker[1];
+
+    depth = Math.max(0, depth + opens - closes);
+    if (current && depth === 0) {
+      current.endLine = entry.line;
+      current = null;
+    }
+  });
+
+  return { lines, blocks };
+}
+
+// Lines of a nested block or map that opens on `entry` (inclusive)
+function nestedEntries(block, entry) {
+  const inside = block.entries.filter(other => other.line > entry.line);
+  const end = inside.findIndex(other => other.depth <= entry.depth);
+  return [entry, ...(end === -1 ? inside : inside.slice(0, end))];
+}
+
+// Depth-1 attribute or nested block of a block, e.g. "tags" or "default_tags"
+function findMember(block, name) {
+  const pattern = new RegExp(`^\\s*${name}\\s*(=|\\{)`);
+  return block.entries.find(entry => entry.depth === block.entries[0].depth + 1 && pattern.test(entry.code));
+}
+
+function diagnostic(rule, line, summary, column) {
+  return { severity: 'warning', source: 'lint', rule, summary, file: 'main.tf', line, ...(column ? { column } : {}) };
+}
+
+function checkProviderPins({ blocks }) {
+  const diagnostics = [];
+  const declared = new Map();
+
+  for (const block of blocks.filter(b => b.kind === 'terraform')) {
+    const required = findMember(block, 'required_providers');
+    if (!required) continue;
+
+    const members = nestedEntries(block, required);
+    for (const entry of members.filter(member => member.depth === required.depth + 1)) {
+      const match = entry.code.match(/^\s*([\w-]+)\s*=\s*(\{|")/);
+      if (!match) continue;
+
+      // The legacy `aws = "~> 5.0"` form is a version constraint itself
+      const pinned = match[2] === '"' ||
+        nestedEntries(block, entry).some(member => /^\s*version\s*=/.test(member.code));
+      declared.set(match[1], { line: entry.line, pinned });
+    }
+  }
+
+  // Providers in use: provider blocks, plus the prefix of every resource and data source type
+  const used = new Map();
+  for (const block of blocks) {
+    const name = block.kind === 'provider' ? block.labels[0]
+      : ['resource', 'data'].includes(block.kind) && block.labels[0] ? block.labels[0].split('_')[0]
+        : null;
+    if (name && !used.has(name) && !BUILTIN_PROVIDERS.has(name)) used.set(name, block);
+  }
+
+  for (const [name, block] of used) {
+    const declaration = declared.get(name);
+    if (declaration && !declaration.pinned) {
+      diagnostics.push(diagnostic('unpinned-provider', declaration.line,
+        `Provider "${name}" has no version constraint; add version = "~> X.Y" so upgrades can't change the plan unexpectedly`));
+    }
+    // Without its own provider "aws" block the code gets the agent's pinned provider.tf
+    const coveredByAgent = name === 'aws' && !blocks.some(b => b.kind === 'provider' && b.labels[0] === 'aws');
+    if (!declaration && !coveredByAgent) {
+      diagnostics.push(diagnostic('unpinned-provider', block.line,
+        `Provider "${name}" isn't listed in required_providers, so any version may be installed`));
+    }
+  }
+
+  return diagnostics;
+}
+
+function checkTags({ blocks }) {
+  const diagnostics = [];
+
+  // default_tags on the AWS provider tag every resource it creates
+  const defaults = blocks
+    .filter(block => block.kind === 'provider' && block.labels[0] === 'aws')
+    .map(block => findMember(block, 'default_tags') && nestedEntries(block, findMember(block, 'default_tags')))
+    .filter(Boolean);
+  const defaultManagedBy = defaults.some(entries => entries.some(entry => /\bManagedBy\b/.test(entry.code)));
+  if (defaultManagedBy) return diagnostics;
+
+  // Imported resources get their ManagedBy tag outside Terraform, which is
+  // then told to ignore it
+  const ignoresManagedBy = blocks
+    .filter(block => block.kind === 'provider' && block.labels[0] === 'aws' && findMember(block, 'ignore_tags'))
+    .some(block => nestedEntries(block, findMember(block, 'ignore_tags')).some(entry => /\bManagedBy\b/.test(entry.code)));
+  if (ignoresManagedBy) return diagnostics;
+
+  for (const block of blocks.filter(b => b.kind === 'resource' && TAGGABLE_TYPES.has(b.labels[0]))) {
+    const [type, name] = block.labels;
+    const tags = findMember(block, 'tags');
+
+    if (!tags) {
+      if (defaults.length === 0) {
+        diagnostics.push(diagnostic('missing-tags', block.line,
+          `${type}.${name} has no tags; add ManagedBy = "TerraformAI" so the agent's role may create it and the inventory can find it`));
+      }
+      continue;
+    }
+
+    // Tags from a variable or local can't be checked here
+    if (!/=\s*\{/.test(tags.code)) continue;
+
+    if (!nestedEntries(block, tags).some(entry => /\bManagedBy\b/.test(entry.code))) {
+      diagnostics.push(diagnostic('missing-tags', tags.line,
+        `${type}.${name} isn't tagged ManagedBy = "TerraformAI"; the agent's role may only create resources with that tag`));
+    }
+  }
+
+  return diagnostics;
+}
+
+function checkRegions({ blocks, lines }, region) {
+  const diagnostics = [];
+  const providerBlocks = blocks.filter(block => block.kind === 'provider' && block.labels[0] === 'aws');
+
+  // The default (un-aliased) provider decides where resources go
+  let providerRegion = null;
+  for (const block of providerBlocks) {
+    const setting = findMember(block, 'region');
+    const literal = setting && setting.code.match(/=\s*"([^"]+)"/);
+    if (!literal || findMember(block, 'alias')) continue;
+
+    providerRegion = literal[1];
+    if (region && providerRegion !== region) {
+      diagnostics.push(diagnostic('hardcoded-region', setting.line,
+        `The provider is pinned to ${providerRegion}, but this request targets ${region}`));
+    }
+  }
+
+  const effectiveRegion = providerRegion || region;
+  if (!effectiveRegion) return diagnostics;
+
+  const inProvider = (entry) => providerBlocks.some(block => entry.line >= block.line && entry.line <= block.endLine);
+  for (const entry of lines.filter(line => !inProvider(line))) {
+    for (const match of entry.code.matchAll(REGION_PATTERN)) {
+      if (match[1] === effectiveRegion) continue;
+
+      const what = match[2] ? `availability zone ${match[0]}` : `region ${match[0]}`;
+      diagnostics.push(diagnostic('hardcoded-region', entry.line,
+        `Hardcoded ${what} conflicts with the provider region ${effectiveRegion}`, match.index + 1));
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Constructs that could reach outside Terraform's AWS API calls on this
+ * server: provisioners, modules, the external data source, other providers,
+ * and anything that reads local files. Generated and uploaded code both run
+ * here with the user's credentials, so these are errors, not warnings.
+ * Returns diagnostics: [{ severity: 'error', source: 'lint', rule: 'unsafe-construct', summary, file, line }]
+ */
+function forbiddenConstructs(terraformCode) {
+  const { lines, blocks } = scanBlocks(terraformCode);
+  const found = [];
+  const forbid = (line, summary) => found.push({
+    severity: 'error', source: 'lint', rule: 'unsafe-construct', summary, file: 'main.tf', line
+  });
+
+  for (const block of blocks) {
+    const [type] = block.labels;
+
+    if (block.kind === 'module') {
+      forbid(block.line, `uses the module "${type}"; modules aren't supported, put the resources in the configuration itself`);
+    }
+    if (['resource', 'data'].includes(block.kind) && type) {
+      if (block.kind === 'data' && type === 'external') {
+        forbid(block.line, 'uses the external data source, which would run a program on the server');
+      } else if (!ALLOWED_TYPE_PREFIXES.some(prefix => type.startsWith(prefix))) {
+        forbid(block.line, `uses ${type}; only AWS, random and archive resources are supported`);
+      }
+
+      for (const entry of block.entries.filter(e => !e.heredoc)) {
+        const provisioner = entry.code.match(/^\s*provisioner\s+"([\w-]+)"/);
+        if (provisioner) {
+          forbid(entry.line, `uses a "${provisioner[1]}" provisioner, which would run commands outside Terraform`);
+        }
+        // archive_file's source { filename } names an entry inside the zip, not a local file
+        const fileAttribute = entry.code.match(FILE_ATTRIBUTES);
+        if (fileAttribute && !(type === 'archive_file' && fileAttribute[1] === 'filename')) {
+          forbid(entry.line, `${fileAttribute[1]} points at a file on the server; inline the content instead`);
+        }
+      }
+    }
+    if (block.kind === 'terraform') {
+      for (const entry of block.entries) {
+        const source = entry.code.match(/^\s*source\s*=\s*"([^"]+)"/);
+        if (source && !ALLOWED_PROVIDER_SOURCES.includes(source[1])) {
+          forbid(entry.line, `requires the provider ${source[1]}; only ${ALLOWED_PROVIDER_SOURCES.join(', ')} are supported`);
+        }
+      }
+    }
+  }
+
+  // Heredocs are only code inside ${...}
+  for (const entry of lines) {
+    const code = entry.heredoc
+      ? [...entry.code.matchAll(/\$\{([^}]*)\}/g)].map(match => match[1]).join(' ')
+      : entry.code;
+    const call = code.match(FILE_FUNCTIONS);
+    if (call) {
+      forbid(entry.line, `calls ${call[1]}(), which reads files on the server`);
+    }
+  }
+
+  return found.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Lint Terraform code. region is where the request deploys (the provider
+ * region when the code doesn't set one).
+ * Returns diagnostics: [{ severity: 'warning', source: 'lint', rule, summary, file, line, column? }]
+ */
+function lintTerraform(terraformCode, { region } = {}) {
+  const scanned = scanBlocks(terraformCode);
+
+  return [
+    ...checkProviderPins(scanned),
+    ...checkTags(scanned),
+    ...checkRegions(scanned, region)
+  ].sort((a, b) => a.line - b.line);
+}
+
+module.exports = {
+  TAGGABLE_TYPES,
+  ALLOWED_PROVIDER_SOURCES,
+  scanBlocks,
+  nestedEntries,
+  findMember,
+  forbiddenConstructs,
+  lintTerraform
+};
\ No newline at end of file
@@ -0,0 +1,233 @@
+// backend/utils/terraformUpload.js
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { scanBlocks, nestedEntries, findMember, forbiddenConstructs } = require('./terraformLint');
+
+/**
+ * User-supplied Terraform: pasted or uploaded .tf files, or a zip of them.
+ *
+ * The files are combined into one configuration (Terraform reads a
+ * directory's .tf files as one module anyway) and their AWS provider blocks
+ * are replaced by the agent's, so runs always use the assumed-role
+ * credentials and the ManagedBy/ActionId tags the execution role requires.
+ * Backend and cloud blocks are dropped; the agent keeps the state.
+ */
+
+const MAX_FILES = 50;
+const MAX_TOTAL_BYTES = 512 * 1024;
+
+// Provider settings kept from an aliased provider block; everything else
+// (credentials, profiles, assume_role, endpoints) is dropped
+const KEPT_PROVIDER_SETTINGS = ['alias', 'region'];
+
+/**
+ * Read an upload: { files: [{ name, content }] } and/or { zip } (base64).
+ * Only .tf files in the zip's top-level configuration directory are read;
+ * nested directories would be modules.
+ * Returns { files: [{ name, content }] } or { error }
+ */
+function readUpload({ files = [], zip } = {}) {
+  if (!Array.isArray(files)) {
+    return { error: 'files must be a list of { name, content }' };
+  }
+
+  const read = [];
+  for (const file of files) {
+    if (!file || typeof file.content !== 'string') {
+      return { error: 'Every file needs its content as text' };
+    }
+    const name = path.basename(String(file.name || `pasted-${read.length + 1}.tf`));
+    if (!name.endsWith('.tf')) {
+      return { error: `${name} isn't a .tf file` };
+    }
+    read.push({ name, content: file.content });
+  }
+
+  if (zip) {
+    let entries;
+    try {
+      entries = new AdmZip(Buffer.from(zip, 'base64')).getEntries()
+        .filter(entry => !entry.isDirectory && entry.entryName.endsWith('.tf') &&
+          !entry.entryName.split('/').some(part => part.startsWith('.')));
+    } catch (error) {
+      return { error: `The zip file couldn't be read: ${error.message}` };
+    }
+
+    // The configuration is the shallowest directory holding .tf files
+    const depth = (entry) => entry.entryName.split('/').length;
+    const rootDepth = Math.min(...entries.map(depth));
+    const root = entries.filter(entry => depth(entry) === rootDepth);
+    const rootDir = root.length > 0 ? path.posix.dirname(root[0].entryName) : '.';
+
+    for (const entry of root.filter(entry => path.posix.dirname(entry.entryName) === rootDir)) {
+      if (entry.header.size > MAX_TOTAL_BYTES) {
+        return { error: `${entry.entryName} is larger than ${MAX_TOTAL_BYTES / 1024}KB` };
+      }
+      read.push({ name: path.posix.basename(entry.entryName), content: entry.getData().toString('utf8') });
+    }
+  }
+
+  if (read.length === 0) {
+    return { error: 'Upload at least one .tf file, or a zip containing them' };
+  }
+  if (read.length > MAX_FILES) {
+    return { error: `At most ${MAX_FILES} files can be uploaded at once` };
+  }
+  if (read.reduce((total, file) => total + Buffer.byteLength(file.content), 0) > MAX_TOTAL_BYTES) {
+    return { error: `Uploads are limited to ${MAX_TOTAL_BYTES / 1024}KB of Terraform` };
+  }
+
+  const names = read.map(file => file.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    return { error: `${duplicate} was uploaded twice` };
+  }
+
+  return { files: read.sort((a, b) => a.name.localeCompare(b.name)) };
+}
+
+// The region an uploaded default AWS provider block sets, if it's a literal
+function uploadedRegion(terraformCode) {
+  const { blocks } = scanBlocks(terraformCode);
+  for (const block of blocks.filter(b => b.kind === 'provider' && b.labels[0] === 'aws' && !findMember(b, 'alias'))) {
+    const setting = findMember(block, 'region');
+    const literal = setting && setting.code.match(/=\s*"([^"]+)"/);
+    if (literal) return literal[1];
+  }
+  return null;
+}
+
+function agentProvider({ region, actionId, alias }) {
+  return `provider "aws" {${alias ? `\n  alias  = "${alias}"` : ''}
+  region = "${region}"
+
+  default_tags {
+    tags = {
+      ManagedBy = "TerraformAI"
+      ActionId  = "${actionId}"
+    }
+  }
+}`;
+}
+
+/**
+ * Replace the upload's AWS provider blocks with the agent's and drop backend
+ * and cloud blocks. Aliased providers keep their alias and region only.
+ * locate(line) names a line of terraformCode in the notes.
+ * Returns { terraformCode, overrides: [human-readable notes] }
+ */
+function overrideProviders(terraformCode, { region, actionId, locate = line => `line ${line}` }) {
+  const { lines, blocks } = scanBlocks(terraformCode);
+  const removed = new Set();
+  const overrides = [];
+  const aliased = [];
+
+  const remove = (from, to) => {
+    for (let line = from; line <= to; line++) removed.add(line);
+  };
+
+  for (const block of blocks) {
+    if (block.kind === 'provider' && block.labels[0] === 'aws') {
+      const settings = block.entries
+        .filter(entry => entry.depth === block.entries[0].depth + 1)
+        .map(entry => (entry.code.match(/^\s*(\w+)\s*[={]/) || [])[1])
+        .filter(Boolean);
+      const dropped = settings.filter(setting => !KEPT_PROVIDER_SETTINGS.includes(setting));
+      const alias = findMember(block, 'alias');
+
+      if (alias) {
+        const aliasName = (alias.code.match(/=\s*"([^"]+)"/) || [])[1];
+        const regionSetting = findMember(block, 'region');
+        const aliasRegion = (regionSetting && (regionSetting.code.match(/=\s*"([^"]+)"/) || [])[1]) || region;
+        aliased.push(agentProvider({ region: aliasRegion, actionId, alias: aliasName }));
+      }
+
+      remove(block.line, block.endLine);
+      overrides.push(`Replaced provider "aws"${alias ? ' (alias)' : ''} at ${locate(block.line)}` +
+        (dropped.length > 0 ? `; ignored ${dropped.join(', ')}` : '') +
+        ' - Terraform runs with your connected role');
+    }
+
+    if (block.kind === 'terraform') {
+      for (const entry of block.entries) {
+        const nested = entry.depth === block.entries[0].depth + 1 && entry.code.match(/^\s*(backend|cloud)\b/);
+        if (nested) {
+          const inner = nestedEntries(block, entry);
+          remove(entry.line, inner[inner.length - 1].line);
+          overrides.push(`Removed the ${nested[1]} block at ${locate(entry.line)} - TerraformAI keeps this configuration's state`);
+        }
+      }
+
+      // Drop a terraform block that only held a backend
+      const inner = block.entries.slice(1, -1);
+      if (inner.length > 0 && inner.every(entry => removed.has(entry.line) || !entry.code.trim())) {
+        remove(block.line, block.endLine);
+      }
+    }
+  }
+
+  const kept = lines.filter(entry => !removed.has(entry.line)).map(entry => terraformCode.split('\n')[entry.line - 1]);
+  const declaresAws = blocks.some(block => block.kind === 'terraform' && findMember(block, 'required_providers') &&
+    nestedEntries(block, findMember(block, 'required_providers')).some(entry => /^\s*aws\s*=/.test(entry.code)));
+  const declaresProviders = blocks.some(block => block.kind === 'terraform' && findMember(block, 'required_providers'));
+
+  // Without any required_providers the agent pins AWS itself; an existing
+  // block is left for the lint check to flag rather than edited
+  const header = [
+    ...(!declaresAws && !declaresProviders ? [`terraform {
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = "~> 5.0"
+    }
+  }
+}`] : []),
+    agentProvider({ region, actionId }),
+    ...aliased
+  ].join('\n\n');
+
+  return {
+    terraformCode: `# Provider configured by TerraformAI: credentials come from your connected role\n${header}\n\n${kept.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`,
+    overrides
+  };
+}
+
+/**
+ * Turn uploaded files into a configuration the agent can plan and apply.
+ * region falls back to the upload's own provider region, then us-east-1.
+ * Returns { terraformCode, region, overrides, diagnostics } where
+ * diagnostics are the unsafe constructs that stop it from running at all.
+ */
+function prepareUpload(files, { region, actionId }) {
+  // Each file starts with a banner line, so notes can point back at the file's own lines
+  const starts = [];
+  let nextLine = 1;
+  const combined = files
+    .map(({ name, content }) => {
+      const body = content.trim();
+      starts.push({ name, line: nextLine + 1 });
+      nextLine += body.split('\n').length + 2;
+      return `# ---- ${name} ----\n${body}`;
+    })
+    .join('\n\n');
+  const locate = (line) => {
+    const file = starts.filter(start => start.line <= line).pop();
+    return `${file.name} line ${line - file.line + 1}`;
+  };
+
+  const targetRegion = region || uploadedRegion(combined) || 'us-east-1';
+  const { terraformCode, overrides } = overrideProviders(combined, { region: targetRegion, actionId, locate });
+
+  return {
+    terraformCode,
+    region: targetRegion,
+    overrides,
+    diagnostics: forbiddenConstructs(terraformCode)
+  };
+}
+
+module.exports = {
+  readUpload,
+  overrideProviders,
+  prepareUpload
+};
\ No newline at end of file
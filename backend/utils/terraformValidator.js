@@ -0,0 +1,180 @@
+// backend/utils/terraformValidator.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ensureWorkspaceDir, writeConfigFiles, executeTerraform } = require('./terraformExecutor');
+const { lintTerraform, forbiddenConstructs } = require('./terraformLint');
+
+/**
+ * Static checks every configuration goes through before it is shown:
+ * `terraform fmt` and `terraform validate` in a throwaway sandbox (no
+ * backend, no credentials, no state), then the lint checks.
+ *
+ * `terraform init` downloads and runs whatever providers and modules the
+ * code names, so code with unsafe constructs (unapproved providers,
+ * modules, the external data source, ...) is refused before Terraform runs.
+ *
+ * Diagnostics point at lines of the formatted code, which is what the
+ * caller should show and plan from:
+ *   { severity: 'error' | 'warning', source: 'fmt' | 'validate' | 'lint',
+ *     rule?, summary, detail?, file, line?, column?, endLine? }
+ */
+
+// `terraform fmt` reports syntax errors as text, e.g.
+//   Error: Invalid expression
+//
+//     on main.tf line 3, in resource "aws_s3_bucket" "main":
+//      3:   bucket =
+//
+//   Expected the start of an expression, but found an invalid expression token.
+function parseTextDiagnostics(output, source) {
+  const diagnostics = [];
+  let current = null;
+
+  for (const raw of output.split(/\r?\n/)) {
+    const line = raw.replace(/^[│╷╵]\s?/, '');
+    const heading = line.match(/^(Error|Warning): (.+)$/);
+
+    if (heading) {
+      current = { severity: heading[1].toLowerCase(), source, summary: heading[2].trim(), detail: '', file: 'main.tf' };
+      diagnostics.push(current);
+      continue;
+    }
+    if (!current) continue;
+
+    const location = line.match(/^\s+on (\S+) line (\d+)/);
+    if (location) {
+      current.file = location[1];
+      current.line = Number(location[2]);
+    } else if (line.trim() && !/^\s+\d+:/.test(line) && !/^\s+[│├└]/.test(line)) {
+      current.detail = `${current.detail} ${line.trim()}`.trim();
+    }
+  }
+
+  return diagnostics;
+}
+
+// `terraform validate -json` diagnostics carry a source range
+function parseValidateOutput(output) {
+  const parsed = JSON.parse(output);
+
+  return (parsed.diagnostics || []).map(({ severity, summary, detail, range }) => ({
+    severity,
+    source: 'validate',
+    summary,
+    ...(detail ? { detail } : {}),
+    file: range ? range.filename : 'main.tf',
+    ...(range ? { line: range.start.line, column: range.start.column, endLine: range.end.line } : {})
+  }));
+}
+
+// A diagnostic for a check that couldn't run; it doesn't block the plan
+function unverified(step, error) {
+  return {
+    severity: 'warning',
+    source: step === 'fmt' ? 'fmt' : 'validate',
+    summary: `terraform ${step} couldn't run, so this configuration wasn't fully checked`,
+    detail: error.split('\n').find(line => line.trim()) || error
+  };
+}
+
+/**
+ * Format, validate and lint Terraform code for a region.
+ * Returns:
+ *   status         'valid' | 'invalid' (errors found) | 'unverified' (Terraform couldn't run)
+ *   terraformCode  the code as `terraform fmt` left it
+ *   formatted      whether fmt changed anything
+ *   diagnostics    errors first, then warnings, in line order
+ */
+async function validateTerraform(terraformCode, { region } = {}) {
+  const unsafe = forbiddenConstructs(terraformCode);
+  if (unsafe.length > 0) {
+    console.log(`🧪 Validation invalid: ${unsafe.length} unsafe construct${unsafe.length === 1 ? '' : 's'}, Terraform not run`);
+    return {
+      status: 'invalid',
+      terraformCode,
+      formatted: false,
+      diagnostics: unsafe
+    };
+  }
+
+  await ensureWorkspaceDir();
+  const sandbox = await fs.mkdtemp(path.join(os.tmpdir(), 'terraform-ai-validate-'));
+
+  try {
+    await writeConfigFiles(sandbox, terraformCode, { region });
+
+    const diagnostics = [];
+    let status = 'valid';
+    let formattedCode = terraformCode;
+
+    const fmtResult = await executeTerraform(sandbox, 'fmt');
+    if (fmtResult.success) {
+      formattedCode = await fs.readFile(path.join(sandbox, 'main.tf'), 'utf8');
+    } else {
+      const syntaxErrors = parseTextDiagnostics(fmtResult.error, 'fmt');
+      if (syntaxErrors.length > 0) {
+        diagnostics.push(...syntaxErrors);
+      } else {
+        diagnostics.push(unverified('fmt', fmtResult.error));
+        status = 'unverified';
+      }
+    }
+
+    // validate needs the configuration to parse, and providers installed
+    if (!diagnostics.some(d => d.severity === 'error') && status === 'valid') {
+      const initResult = await executeTerraform(sandbox, 'init-offline');
+
+      if (!initResult.success) {
+        const configErrors = parseTextDiagnostics(initResult.error, 'validate')
+          .filter(d => d.severity === 'error' && d.line);
+        if (configErrors.length > 0) {
+          diagnostics.push(...configErrors);
+        } else {
+          diagnostics.push(unverified('init', initResult.error));
+          status = 'unverified';
+        }
+      } else {
+        const validateResult = await executeTerraform(sandbox, 'validate');
+        try {
+          diagnostics.push(...parseValidateOutput(validateResult.output));
+        } catch (error) {
+          diagnostics.push(unverified('validate', validateResult.error || error.message));
+          status = 'unverified';
+        }
+      }
+    }
+
+    diagnostics.push(...lintTerraform(formattedCode, { region }));
+
+    if (diagnostics.some(d => d.severity === 'error')) {
+      status = 'invalid';
+    }
+
+    const order = { error: 0, warning: 1 };
+    diagnostics.sort((a, b) => order[a.severity] - order[b.severity] || (a.line || 0) - (b.line || 0));
+
+    console.log(`🧪 Validation ${status}: ${diagnostics.length} diagnostic${diagnostics.length === 1 ? '' : 's'}`);
+
+    return {
+      status,
+      terraformCode: formattedCode,
+      formatted: formattedCode !== terraformCode,
+      diagnostics
+    };
+  } finally {
+    await fs.rm(sandbox, { recursive: true, force: true });
+  }
+}
+
+// One line per diagnostic for messages and logs
+function describeDiagnostics(diagnostics) {
+  return diagnostics.map(({ severity, file, line, summary }) =>
+    `${severity === 'error' ? '❌' : '⚠️'} ${file && line ? `${file}:${line} ` : ''}${summary}`
+  );
+}
+
+module.exports = {
+  validateTerraform,
+  describeDiagnostics
+};
\ No newline at end of file
@@ -0,0 +1,83 @@
+// backend/utils/textDiff.js
+
+/**
+ * Line diffs between two versions of a draft's Terraform code.
+ */
+
+// Above this many line pairs the LCS table gets too big; fall back to replace-all
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+
+// Longest-common-subsequence line diff: [{ type: ' ' | '-' | '+', line }]
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(line => ({ type: '-', line })),
+      ...b.map(line => ({ type: '+', line }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: '-', line: a[i++] });
+    } else {
+      lines.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: '-', line: a[i++] });
+  while (j < b.length) lines.push({ type: '+', line: b[j++] });
+
+  return lines;
+}
+
+/**
+ * Unified-style diff text with `context` unchanged lines around each change.
+ * Returns '' when nothing changed.
+ */
+function unifiedDiff(before, after, { context = 3 } = {}) {
+  const lines = diffLines(before, after);
+  const changed = lines.map(({ type }) => type !== ' ');
+  if (!changed.includes(true)) return '';
+
+  const keep = lines.map((_, index) => {
+    for (let k = Math.max(0, index - context); k <= Math.min(lines.length - 1, index + context); k++) {
+      if (changed[k]) return true;
+    }
+    return false;
+  });
+
+  const output = [];
+  lines.forEach(({ type, line }, index) => {
+    if (keep[index]) {
+      output.push(`${type} ${line}`);
+    } else if (keep[index - 1]) {
+      output.push('  ...');
+    }
+  });
+
+  return output.join('\n');
+}
+
+module.exports = {
+  diffLines,
+  unifiedDiff
+};
\ No newline at end of file
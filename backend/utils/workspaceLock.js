@@ -0,0 +1,91 @@
+// backend/utils/workspaceLock.js
+const crypto = require('crypto');
+const path = require('path');
+const { createActionStore } = require('./actionStore');
+const { publish, isCancelled } = require('./logStream');
+
+/**
+ * One Terraform run at a time in each action's workspace.
+ *
+ * Drift checks, reconcile and destroy plans, and the applies of reconcile
+ * and destroy actions all run in the workspace of the action they're about.
+ * A run holds that workspace's lock, kept in a store every instance shares,
+ * and renews it while it runs; the lock of a process that died expires
+ * after LOCK_TTL_MS.
+ *
+ * Routes planning for a user give up right away when the workspace is busy
+ * (WORKSPACE_BUSY); jobs wait their turn.
+ */
+
+const DEFAULT_LOCK_STORE_DIR = path.join(__dirname, '..', 'workspace-lock-store');
+
+// A lock nobody renewed for this long was left by a process that died
+const LOCK_TTL_MS = 2 * 60 * 1000;
+
+// How often a waiting job tries for the lock again
+const WAIT_INTERVAL_MS = 2 * 1000;
+
+function createWorkspaceLocks({
+  store = createActionStore({
+    dir: process.env.WORKSPACE_LOCK_STORE_DIR || DEFAULT_LOCK_STORE_DIR,
+    prefix: 'terraform-ai:workspace-lock:'
+  }),
+  ttlMs = LOCK_TTL_MS,
+  waitMs = WAIT_INTERVAL_MS
+} = {}) {
+  // The lock's token, or null while someone else holds it
+  async function acquire(workspaceId, holder) {
+    const token = crypto.randomBytes(8).toString('hex');
+    const lock = await store.update(workspaceId, current =>
+      (current ? null : { id: workspaceId, holder, token, expiresAt: Date.now() + ttlMs }));
+    return lock ? token : null;
+  }
+
+  // Only the holder's own lock is touched, in case it expired and was taken
+  async function extend(workspaceId, token, expiresAt) {
+    await store.update(workspaceId, current =>
+      (current && current.token === token ? { ...current, expiresAt } : null));
+  }
+
+  /**
+   * Run fn holding the workspace's lock. Throws WORKSPACE_BUSY when another
+   * run holds it; with wait, waits for it instead, unless the run's log
+   * channel is cancelled meanwhile (TERRAFORM_CANCELLED).
+   */
+  async function withWorkspace(workspaceId, fn, { holder, wait = false, channel } = {}) {
+    let token = await acquire(workspaceId, holder);
+    if (!token && wait && channel) {
+      publish(channel, 'system', 'Waiting for another Terraform run in this workspace to finish...');
+    }
+    while (!token) {
+      if (!wait) throw new Error('WORKSPACE_BUSY');
+      if (channel && isCancelled(channel)) throw new Error('TERRAFORM_CANCELLED');
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      token = await acquire(workspaceId, holder);
+    }
+
+    const renewal = setInterval(() => {
+      extend(workspaceId, token, Date.now() + ttlMs)
+        .catch(error => console.error(`Failed to renew the lock on ${workspaceId}:`, error.message));
+    }, ttlMs / 4);
+    renewal.unref();
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(renewal);
+      // An expiry in the past releases it
+      await extend(workspaceId, token, Date.now() - 1)
+        .catch(error => console.error(`Failed to release the lock on ${workspaceId}:`, error.message));
+    }
+  }
+
+  return {
+    withWorkspace,
+    cleanup: () => store.cleanup()
+  };
+}
+
+module.exports = {
+  createWorkspaceLocks
+};
\ No newline at end of file
@@ -604,13 +604,18 @@
 
 // RealTerraformAgent.jsx - Complete Working Version
 import React, { useState, useRef, useEffect } from 'react';
-import { Send, Loader2, Bot, User, Shield, Code, Terminal, CheckCircle, AlertTriangle, Info, ExternalLink, Copy, Check } from 'lucide-react';
+import { Send, Loader2, Bot, User, Shield, Code, Terminal, CheckCircle, AlertTriangle, Info, ExternalLink, Copy, Check, Layers, RefreshCw, X, Settings, GitCompare, MessageSquarePlus, FileUp } from 'lucide-react';
 
 const API_URL = window.location.hostname === 'localhost' 
   ? 'http://localhost:3001' 
   : 'https://terraform-ai-agent-real.onrender.com';
 
+// Dollar amounts in the cost breakdown; savings from a change are negative
+const formatMoney = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+
 export default function RealTerraformAgent() {
+  const [auth, setAuth] = useState(null);
+  const [authError, setAuthError] = useState(() => new URLSearchParams(window.location.search).get('authError'));
   const [userConnection, setUserConnection] = useState(null);
   const [showOnboardingModal, setShowOnboardingModal] = useState(false);
   const [onboardingStep, setOnboardingStep] = useState(1);
@@ -620,27 +625,98 @@ export default function RealTerraformAgent() {
   const [verifying, setVerifying] = useState(false);
   const [messages, setMessages] = useState([{
     role: 'assistant',
-    content: '👋 Hi! I\'m your AWS Terraform Assistant.\n\n**Ask me anything about AWS:**\n• "What is Amazon S3?"\n• "Explain EC2 pricing"\n• "Best practices for VPC"\n\n**Or tell me what to create:**\n• "Create an S3 bucket"\n• "Deploy a Lambda function"\n\n💡 No login needed for questions! When you want to create resources, I\'ll guide you through a secure 2-minute AWS setup.'
+    content: '👋 Hi! I\'m your AWS Terraform Assistant.\n\n**Ask me anything about AWS:**\n• "What is Amazon S3?"\n• "Explain EC2 pricing"\n• "Best practices for VPC"\n\n**Or tell me what to create:**\n• "Create an S3 bucket"\n• "Deploy a Lambda function"\n\n💡 No AWS connection needed for questions! When you want to create resources, I\'ll guide you through a secure 2-minute AWS setup.'
   }]);
   const [input, setInput] = useState('');
   const [loading, setLoading] = useState(false);
   const [pendingAction, setPendingAction] = useState(null);
   const [pendingCreation, setPendingCreation] = useState(null);
+  const [pendingDestroy, setPendingDestroy] = useState(null);
+  const [showResourcesPanel, setShowResourcesPanel] = useState(false);
+  const [showReviewModal, setShowReviewModal] = useState(false);
+  const [review, setReview] = useState({ pasted: '', files: [], region: '' });
+  const [reviewValidation, setReviewValidation] = useState(null);
+  const [checkingReview, setCheckingReview] = useState(false);
+  const [inventory, setInventory] = useState(null);
+  const [inventoryLoading, setInventoryLoading] = useState(false);
+  const [importRegion, setImportRegion] = useState('us-east-1');
+  const [importCandidates, setImportCandidates] = useState(null);
+  const [importSelection, setImportSelection] = useState([]);
+  const [importLoading, setImportLoading] = useState(false);
+  const [drift, setDrift] = useState(null);
+  const [driftChecking, setDriftChecking] = useState(false);
+  const [liveLogs, setLiveLogs] = useState({});
+  const [activeStream, setActiveStream] = useState(null);
+  const [channelJobs, setChannelJobs] = useState({});
+  const [sessionId, setSessionId] = useState(() => sessionStorage.getItem('chat_session'));
+  const [roleOptions, setRoleOptions] = useState(null);
+  const [roleScope, setRoleScope] = useState({ services: [], regions: [] });
+  const [templateLaunch, setTemplateLaunch] = useState(null);
   const messagesEndRef = useRef(null);
 
-  const TERRAFORM_AI_ACCOUNT_ID = '639713290923';
 
   useEffect(() => {
     scrollToBottom();
   }, [messages]);
 
+  // Who is signed in; the sign-in redirect comes back with ?authError on failure
   useEffect(() => {
-    const savedConnection = localStorage.getItem('aws_connection');
-    if (savedConnection) {
-      setUserConnection(JSON.parse(savedConnection));
+    if (authError) {
+      window.history.replaceState(null, '', window.location.pathname);
     }
+    // Connections used to live in the browser; they are kept server-side now
+    localStorage.removeItem('aws_connection');
+
+    apiFetch(`${API_URL}/api/auth/me`)
+      .then(response => response.json())
+      .then(setAuth)
+      .catch(() => setAuth({ authenticated: false, unreachable: true }));
   }, []);
 
+  // The signed-in user's AWS connection lives on the server
+  useEffect(() => {
+    if (!auth?.authenticated) return;
+
+    apiFetch(`${API_URL}/api/connection`)
+      .then(response => response.json())
+      .then(connection => setUserConnection(connection.connected ? connection : null))
+      .catch(error => console.error('Failed to load AWS connection:', error));
+  }, [auth]);
+
+  // API calls carry the session cookie, and the header the backend requires
+  // of cookie-authenticated requests. An expired session shows the sign-in screen.
+  const apiFetch = async (url, options = {}) => {
+    const response = await fetch(url, {
+      ...options,
+      credentials: 'include',
+      headers: { 'X-Requested-With': 'terraform-ai', ...options.headers }
+    });
+    if (response.status === 401) {
+      const body = await response.clone().json().catch(() => null);
+      if (body?.error === 'AUTH_REQUIRED') {
+        setAuth({ authenticated: false });
+        setUserConnection(null);
+      }
+    }
+    return response;
+  };
+
+  const signIn = () => {
+    window.location.href = `${API_URL}/api/auth/login?returnTo=${encodeURIComponent(window.location.pathname)}`;
+  };
+
+  const signOut = async () => {
+    try {
+      await apiFetch(`${API_URL}/api/auth/logout`, { method: 'POST' });
+    } catch (error) {
+      console.error('Failed to sign out:', error);
+    }
+    sessionStorage.removeItem('chat_session');
+    setSessionId(null);
+    setUserConnection(null);
+    setAuth({ authenticated: false });
+  };
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
@@ -651,19 +727,331 @@ export default function RealTerraformAgent() {
       .join('');
   };
 
-  const startOnboarding = () => {
-    const newExternalId = generateExternalId();
-    setExternalId(newExternalId);
+  // Follow a plan/apply/destroy run's output over Server-Sent Events
+  const followLogs = (channelId) => {
+    setLiveLogs(prev => ({ ...prev, [channelId]: { lines: [], status: 'running' } }));
+
+    const source = new EventSource(`${API_URL}/api/actions/${channelId}/logs`, { withCredentials: true });
+    source.onmessage = (event) => {
+      const entry = JSON.parse(event.data);
+      setLiveLogs(prev => ({
+        ...prev,
+        [channelId]: { ...prev[channelId], lines: [...(prev[channelId]?.lines || []), entry] }
+      }));
+    };
+    source.addEventListener('end', (event) => {
+      const { status } = JSON.parse(event.data);
+      setLiveLogs(prev => ({ ...prev, [channelId]: { ...prev[channelId], status } }));
+      source.close();
+    });
+
+    return () => source.close();
+  };
+
+  const cancelRun = async (channelId) => {
+    if (!userConnection) return;
+
+    const jobId = channelJobs[channelId];
+    const cancelUrl = jobId
+      ? `${API_URL}/api/jobs/${jobId}/cancel`
+      : `${API_URL}/api/actions/${channelId}/cancel`;
+
+    try {
+      await apiFetch(cancelUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      setLiveLogs(prev => ({ ...prev, [channelId]: { ...prev[channelId], status: 'cancelling' } }));
+    } catch (error) {
+      console.error('Failed to cancel run:', error);
+    }
+  };
+
+  const renderLogConsole = (channelId) => {
+    const log = liveLogs[channelId];
+    if (!log) return null;
+
+    return (
+      <div className="mt-4 bg-black/70 rounded-xl p-4 border border-slate-800">
+        <div className="flex items-center justify-between mb-2">
+          <div className="flex items-center gap-2">
+            <Terminal className="w-4 h-4 text-green-400" />
+            <span className="text-sm font-semibold text-green-400">Terraform Output</span>
+            {['running', 'queued'].includes(log.status) && <Loader2 className="w-3 h-3 text-green-400 animate-spin" />}
+            {log.status !== 'running' && <span className="text-xs text-slate-400">({log.status})</span>}
+          </div>
+          {['running', 'queued'].includes(log.status) && (
+            <button
+              onClick={() => cancelRun(channelId)}
+              className="text-xs bg-red-900/50 hover:bg-red-800/60 text-red-200 px-3 py-1 rounded-lg border border-red-800/50"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+        <pre className="text-xs font-mono max-h-64 overflow-y-auto whitespace-pre-wrap">
+          {log.lines.map((entry, i) => (
+            <div key={i} className={entry.stream === 'stderr' ? 'text-red-300' : entry.stream === 'system' ? 'text-purple-300' : 'text-slate-300'}>
+              {entry.line}
+            </div>
+          ))}
+        </pre>
+      </div>
+    );
+  };
+
+  // Poll a queued apply/destroy job until it finishes
+  const waitForJob = async (jobId, channelId) => {
+    setChannelJobs(prev => ({ ...prev, [channelId]: jobId }));
+
+    while (true) {
+      const response = await apiFetch(`${API_URL}/api/jobs/${jobId}`);
+      const job = await response.json();
+
+      if (!response.ok) {
+        throw new Error(job.error || 'Failed to get job status');
+      }
+      if (['succeeded', 'failed', 'cancelled'].includes(job.status)) {
+        return job;
+      }
+      if (job.status === 'queued') {
+        setLiveLogs(prev => ({ ...prev, [channelId]: { ...prev[channelId], status: 'queued' } }));
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+  };
+
+  const reportJob = (job, failureMessage) => {
+    if (job.status === 'succeeded') {
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: job.result.message,
+        outputs: job.result.outputs,
+        success: true,
+        actionId: job.result.actionId
+      }]);
+    } else if (job.errorDetails?.needsPermissionUpdate) {
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: '⚠️ Permission Update Required',
+        needsPermissionUpdate: true,
+        missingActions: job.errorDetails.missingActions
+      }]);
+    } else if (job.status === 'cancelled') {
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: '🛑 Cancelled. Anything Terraform already changed stays as it is.'
+      }]);
+    } else {
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: `❌ ${failureMessage}\n\n${job.error}`
+      }]);
+    }
+  };
+
+  // Diagnostics for a line of the generated main.tf, worst first
+  const lineDiagnostics = (validation, line) => (validation?.diagnostics || [])
+    .filter(d => d.file === 'main.tf' && d.line && line >= d.line && line <= (d.endLine || d.line));
+
+  const startOnboarding = async () => {
     setOnboardingStep(1);
+    setTemplateLaunch(null);
     setShowOnboardingModal(true);
+
+    loadRoleOptions();
+
+    // The backend generates and keeps the external ID for this user
+    try {
+      const response = await apiFetch(`${API_URL}/api/connection/start`, { method: 'POST' });
+      const data = await response.json();
+      setExternalId(data.externalId || '');
+    } catch (error) {
+      console.error('Failed to start connection:', error);
+    }
   };
 
-  const getCloudFormationUrl = () => {
-    const templateUrl = 'https://terraform-ai-cloudformation-templates.s3.amazonaws.com/terraform-ai-role.yaml';
-    const region = 'us-east-1';
-    const stackName = 'TerraformAI-Access';
-    
-    return `https://console.aws.amazon.com/cloudformation/home?region=${region}#/stacks/quickcreate?templateURL=${templateUrl}&stackName=${stackName}&param_ExternalId=${externalId}&param_TerraformAIAccountId=${TERRAFORM_AI_ACCOUNT_ID}`;
+  const loadRoleOptions = async () => {
+    if (roleOptions) return;
+    try {
+      const response = await apiFetch(`${API_URL}/api/role-template/options`);
+      const data = await response.json();
+      setRoleOptions(data);
+      setRoleScope(data.defaults);
+    } catch (error) {
+      console.error('Failed to load role options:', error);
+    }
+  };
+
+  const openReview = () => {
+    if (!userConnection) {
+      startOnboarding();
+      return;
+    }
+    loadRoleOptions();
+    setShowReviewModal(true);
+  };
+
+  // Open the review with code from the chat, to edit it before it's planned
+  const editCode = (terraformCode) => {
+    setReview({ pasted: terraformCode, files: [], region: '' });
+    setReviewValidation(null);
+    openReview();
+  };
+
+  // fmt, validate and lint the pasted code; diagnostics point at the formatted code
+  const checkPasted = async () => {
+    setCheckingReview(true);
+    try {
+      const response = await apiFetch(`${API_URL}/api/validate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ terraformCode: review.pasted, region: review.region || undefined })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setReviewValidation({ status: 'invalid', diagnostics: [{ severity: 'error', summary: data.message || data.error }] });
+        return;
+      }
+      setReview(prev => ({ ...prev, pasted: data.terraformCode }));
+      setReviewValidation(data);
+    } catch (error) {
+      setReviewValidation({ status: 'unverified', diagnostics: [{ severity: 'warning', summary: 'Couldn\'t check the code. Please try again.' }] });
+    } finally {
+      setCheckingReview(false);
+    }
+  };
+
+  const readFile = (file, asDataUrl) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    if (asDataUrl) reader.readAsDataURL(file);
+    else reader.readAsText(file);
+  });
+
+  // Send pasted or uploaded Terraform to be explained and planned
+  const submitReview = async () => {
+    const zipFile = review.files.find(file => file.name.endsWith('.zip'));
+    const files = await Promise.all(review.files
+      .filter(file => file.name.endsWith('.tf'))
+      .map(async file => ({ name: file.name, content: await readFile(file) })));
+    if (review.pasted.trim()) {
+      files.push({ name: 'pasted.tf', content: review.pasted });
+    }
+    const zip = zipFile ? (await readFile(zipFile, true)).split(',')[1] : undefined;
+
+    const names = [...files.map(file => file.name), ...(zipFile ? [zipFile.name] : [])];
+    setShowReviewModal(false);
+    setReview({ pasted: '', files: [], region: '' });
+    setReviewValidation(null);
+    setMessages(prev => [...prev, { role: 'user', content: `📤 Review my Terraform: ${names.join(', ')}` }]);
+    setLoading(true);
+
+    const streamId = generateExternalId().slice(0, 32);
+    const stopFollowing = followLogs(streamId);
+    setActiveStream(streamId);
+
+    try {
+      const response = await apiFetch(`${API_URL}/api/review`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          files,
+          zip,
+          region: review.region || undefined,
+          streamId
+        })
+      });
+      showReply(await response.json());
+    } catch (error) {
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: '❌ Sorry, I couldn\'t review that Terraform. Please try again.'
+      }]);
+    } finally {
+      stopFollowing();
+      setActiveStream(null);
+      setLoading(false);
+    }
+  };
+
+  const toggleScope = (key, value) => {
+    setRoleScope(prev => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter(v => v !== value) : [...prev[key], value]
+    }));
+  };
+
+  const downloadTemplate = (template) => {
+    const url = URL.createObjectURL(new Blob([template], { type: 'application/x-yaml' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'terraform-ai-role.yaml';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Build a role template for the chosen scope and open it in CloudFormation
+  const launchStack = async () => {
+    const popup = window.open('', '_blank');
+    try {
+      const response = await apiFetch(`${API_URL}/api/role-template`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(roleScope)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        popup?.close();
+        alert(data.message || data.error);
+        return;
+      }
+
+      // Without a hosted template the user uploads the downloaded file instead
+      if (!data.launchUrl) {
+        downloadTemplate(data.template);
+      }
+      setTemplateLaunch(data);
+      if (popup) popup.location.href = data.launchUrl || data.consoleUrl;
+    } catch (error) {
+      popup?.close();
+      alert('Failed to build the role template. Please try again.');
+    }
+  };
+
+  const requestPermissionUpdate = async (missingActions) => {
+    try {
+      const scope = userConnection?.scope || roleOptions?.defaults || { services: [], regions: ['us-east-1'] };
+      const response = await apiFetch(`${API_URL}/api/role-template/update`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...scope, missingActions })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        alert(data.message || data.error);
+        return;
+      }
+
+      if (!data.templateUrl) {
+        downloadTemplate(data.template);
+      }
+      setUserConnection({ ...userConnection, scope: { services: data.services, regions: data.regions } });
+
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: `🔧 Updated permissions template ready${data.addedServices.length ? ` (adds ${data.addedServices.join(', ')})` : ''}.\n\n${data.instructions}${data.templateUrl ? `\n\nTemplate URL: ${data.templateUrl}` : ''}\n\nOnce the stack update finishes, confirm the plan again.`
+      }]);
+      window.open(data.consoleUrl, '_blank');
+    } catch (error) {
+      alert('Failed to build the updated template. Please try again.');
+    }
   };
 
   const copyToClipboard = (text) => {
@@ -673,25 +1061,27 @@ export default function RealTerraformAgent() {
   };
 
   const verifyConnection = async () => {
-    if (!roleArn || !externalId) {
+    if (!roleArn) {
       alert('Please enter the Role ARN from CloudFormation');
       return;
     }
 
     setVerifying(true);
     try {
-      const response = await fetch(`${API_URL}/api/auth/verify-role`, {
+      const response = await apiFetch(`${API_URL}/api/auth/verify-role`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ roleArn, externalId })
+        body: JSON.stringify({
+          roleArn,
+          scope: templateLaunch ? { services: templateLaunch.services, regions: templateLaunch.regions } : undefined
+        })
       });
 
       const data = await response.json();
 
       if (data.valid) {
-        const connection = { roleArn, externalId, accountId: data.accountId };
+        const connection = data.connection;
         setUserConnection(connection);
-        localStorage.setItem('aws_connection', JSON.stringify(connection));
         setShowOnboardingModal(false);
         
         setMessages(prev => [...prev, {
@@ -700,7 +1090,7 @@ export default function RealTerraformAgent() {
         }]);
 
         if (pendingCreation) {
-          processMessage(pendingCreation, connection);
+          processMessage(pendingCreation.message, connection, pendingCreation.intent);
           setPendingCreation(null);
         }
       } else {
@@ -721,120 +1111,532 @@ export default function RealTerraformAgent() {
     
     setMessages(prev => [...prev, { role: 'user', content: userMessage }]);
 
-    const lowerMessage = userMessage.toLowerCase();
-    const isCreationRequest = ['create', 'deploy', 'setup', 'build', 'launch', 'make', 'provision'].some(word => lowerMessage.includes(word));
+    processMessage(userMessage, userConnection);
+  };
+
+  // The backend decides (from the message's intent) whether an AWS connection is needed
+  const requestConnection = (userMessage, intent) => {
+    setPendingCreation({ message: userMessage, intent });
+    setMessages(prev => [...prev, {
+      role: 'assistant',
+      content: '🔐 To create AWS resources in YOUR account, let\'s set up a secure connection.\n\n**How it works:**\n1. You deploy a secure IAM Role in your AWS account (takes 2 minutes)\n2. This role allows me to create resources on your behalf\n3. You maintain full control and can revoke access anytime\n\n**Security:**\n✅ No credentials shared\n✅ Temporary access tokens (expire in 1 hour)\n✅ You control permissions\n✅ Full audit trail in CloudTrail\n✅ Industry standard (used by Terraform Cloud, Datadog, etc.)\n\nClick "Setup Secure Connection" below to get started.',
+      needsAuth: true
+    }]);
+  };
+
+  const answerClarification = (clarification, option) => {
+    setMessages(prev => [
+      ...prev.map(m => m.clarification === clarification ? { ...m, clarification: null } : m),
+      { role: 'user', content: option.label }
+    ]);
+    processMessage(clarification.message, userConnection, option.intent);
+  };
+
+  // Chat sessions keep the history and draft plan server-side so follow-ups can refine it
+  const startSession = async () => {
+    const response = await apiFetch(`${API_URL}/api/sessions`, { method: 'POST' });
+    const data = await response.json();
+    sessionStorage.setItem('chat_session', data.sessionId);
+    setSessionId(data.sessionId);
+    return data.sessionId;
+  };
+
+  const postChat = async (body) => {
+    const currentSession = sessionId || await startSession();
+    const send = (id) => apiFetch(`${API_URL}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, sessionId: id })
+    }).then(response => response.json());
+
+    const data = await send(currentSession);
+    // Expired or deleted session: start a new one and send the message again
+    return data.sessionExpired ? send(await startSession()) : data;
+  };
+
+  const startNewChat = async () => {
+    if (loading) return;
+    if (sessionId) {
+      apiFetch(`${API_URL}/api/sessions/${sessionId}`, { method: 'DELETE' }).catch(() => {});
+      sessionStorage.removeItem('chat_session');
+      setSessionId(null);
+    }
+    setPendingAction(null);
+    setPendingCreation(null);
+    setMessages(prev => [prev[0]]);
+  };
+
+  const processMessage = async (userMessage, connection, intent) => {
+    setLoading(true);
+
+    const streamId = connection ? generateExternalId().slice(0, 32) : null;
+    const stopFollowing = streamId ? followLogs(streamId) : () => {};
+    setActiveStream(streamId);
+
+    try {
+      const data = await postChat({
+        message: userMessage,
+        streamId,
+        intent
+      });
+
+      showReply(data, userMessage);
+    } catch (error) {
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: '❌ Sorry, I encountered an error. Please try again.'
+      }]);
+    } finally {
+      stopFollowing();
+      setActiveStream(null);
+      setLoading(false);
+    }
+  };
+
+  // Quota responses say which limit was hit and when it resets
+  const errorText = (data, fallback) => data.error === 'QUOTA_EXCEEDED'
+    ? `⏳ ${data.message}`
+    : `❌ ${data.message || data.error || fallback}`;
 
-    if (isCreationRequest && !userConnection) {
-      setPendingCreation(userMessage);
+  // Turn a chat or review response into the next assistant message
+  const showReply = (data, userMessage) => {
+    if (data.needsConnection) {
+      requestConnection(userMessage, data.intent);
+    } else if (data.clarification) {
       setMessages(prev => [...prev, {
         role: 'assistant',
-        content: '🔐 To create AWS resources in YOUR account, let\'s set up a secure connection.\n\n**How it works:**\n1. You deploy a secure IAM Role in your AWS account (takes 2 minutes)\n2. This role allows me to create resources on your behalf\n3. You maintain full control and can revoke access anytime\n\n**Security:**\n✅ No credentials shared\n✅ Temporary access tokens (expire in 1 hour)\n✅ You control permissions\n✅ Full audit trail in CloudTrail\n✅ Industry standard (used by Terraform Cloud, Datadog, etc.)\n\nClick "Setup Secure Connection" below to get started.',
-        needsAuth: true
+        content: data.message,
+        clarification: { ...data.clarification, message: userMessage }
       }]);
+    } else if (data.requiresConfirmation) {
+      setPendingAction(data);
+      // Only the latest draft can be confirmed
+      setMessages(prev => [...prev.map(m => m.requiresConfirmation ? { ...m, requiresConfirmation: false } : m), {
+        role: 'assistant',
+        content: data.message,
+        actionId: data.actionId,
+        diff: data.diff,
+        terraformCode: data.terraformCode,
+        terraformPlan: data.plan,
+        planSummary: data.planSummary,
+        parameters: data.parameters,
+        unresolved: data.unresolved,
+        resources: data.resources,
+        estimatedCost: data.estimatedCost,
+        costEstimate: data.costEstimate,
+        validation: data.validation,
+        overrides: data.overrides,
+        policy: data.policy,
+        blocked: data.blocked,
+        warnings: data.warnings,
+        requiresConfirmation: true
+      }]);
+    } else if (data.needsPermissionUpdate) {
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: '⚠️ Permission Update Required',
+        needsPermissionUpdate: true,
+        missingActions: data.missingActions
+      }]);
+    } else {
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: data.error === 'QUOTA_EXCEEDED' ? errorText(data) : data.message,
+        terraformCode: data.validation ? data.terraformCode : undefined,
+        validation: data.validation
+      }]);
+    }
+  };
+
+  // Tell the backend a plan was turned down, so the audit trail has the decision
+  const declineAction = (actionId) => {
+    apiFetch(`${API_URL}/api/decline`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        actionId
+      })
+    }).catch(error => console.error('Failed to record declined action:', error));
+  };
+
+  const handleConfirm = async (approved) => {
+    if (!pendingAction) return;
+    setLoading(true);
+    setPendingAction(null);
+
+    if (!approved) {
+      declineAction(pendingAction.actionId);
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: '❌ Action cancelled. No resources created. No charges.\n\nFeel free to modify the plan!'
+      }]);
+      setLoading(false);
       return;
     }
 
-    processMessage(userMessage, userConnection);
+    setMessages(prev => prev.map(m =>
+      m.requiresConfirmation && m.actionId === pendingAction.actionId ? { ...m, logChannel: pendingAction.actionId } : m
+    ));
+    followLogs(pendingAction.actionId);
+
+    try {
+      const response = await apiFetch(`${API_URL}/api/apply`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          actionId: pendingAction.actionId
+        })
+      });
+
+      const data = await response.json();
+
+      if (data.needsPermissionUpdate) {
+        setMessages(prev => [...prev, {
+          role: 'assistant',
+          content: '⚠️ Permission Update Required',
+          needsPermissionUpdate: true,
+          missingActions: data.missingActions
+        }]);
+        return;
+      }
+
+      if (data.message === 'POLICY_DENIED') {
+        setMessages(prev => [...prev, {
+          role: 'assistant',
+          content: `⛔ Blocked by policy:\n${data.violations.map(v => `• [${v.ruleId}] ${v.address}: ${v.message}`).join('\n')}`
+        }]);
+        return;
+      }
+
+      if (!data.jobId) {
+        setMessages(prev => [...prev, {
+          role: 'assistant',
+          content: errorText(data)
+        }]);
+        return;
+      }
+
+      const job = await waitForJob(data.jobId, pendingAction.actionId);
+      reportJob(job, 'Failed to create resources.');
+    } catch (error) {
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: '❌ Failed to create resources. Please try again.'
+      }]);
+    } finally {
+      setLoading(false);
+    }
   };
 
-  const processMessage = async (userMessage, connection) => {
+  const requestDestroy = async (actionId) => {
+    if (!userConnection || loading) return;
     setLoading(true);
 
+    const streamId = generateExternalId().slice(0, 32);
+    const stopFollowing = followLogs(streamId);
+    setActiveStream(streamId);
+
     try {
-      const response = await fetch(`${API_URL}/api/chat`, {
+      const response = await apiFetch(`${API_URL}/api/destroy`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          message: userMessage,
-          roleArn: connection?.roleArn,
-          externalId: connection?.externalId
+          actionId,
+          streamId
         })
       });
 
       const data = await response.json();
 
       if (data.requiresConfirmation) {
-        setPendingAction(data);
+        setPendingDestroy(data);
         setMessages(prev => [...prev, {
           role: 'assistant',
           content: data.message,
-          terraformCode: data.terraformCode,
+          actionId: data.actionId,
           terraformPlan: data.plan,
-          resources: data.resources,
-          estimatedCost: data.estimatedCost,
+          planSummary: data.planSummary,
           warnings: data.warnings,
-          requiresConfirmation: true
+          requiresDestroyConfirmation: true
+        }]);
+      } else if (data.needsPermissionUpdate) {
+        setMessages(prev => [...prev, {
+          role: 'assistant',
+          content: '⚠️ Permission Update Required',
+          needsPermissionUpdate: true,
+          missingActions: data.missingActions
         }]);
       } else {
         setMessages(prev => [...prev, {
           role: 'assistant',
-          content: data.message
+          content: data.workspaceBusy || data.error === 'QUOTA_EXCEEDED' ? errorText(data) : `❌ ${data.error || 'Failed to plan destroy.'}`
         }]);
       }
     } catch (error) {
       setMessages(prev => [...prev, {
         role: 'assistant',
-        content: '❌ Sorry, I encountered an error. Please try again.'
+        content: '❌ Failed to plan destroy. Please try again.'
+      }]);
+    } finally {
+      stopFollowing();
+      setActiveStream(null);
+      setLoading(false);
+    }
+  };
+
+  const handleDestroyConfirm = async (approved) => {
+    if (!pendingDestroy) return;
+    setLoading(true);
+    setPendingDestroy(null);
+
+    if (!approved) {
+      declineAction(pendingDestroy.actionId);
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: '👍 Destroy cancelled. Your resources are untouched.'
+      }]);
+      setLoading(false);
+      return;
+    }
+
+    setMessages(prev => prev.map(m =>
+      m.requiresDestroyConfirmation && m.actionId === pendingDestroy.actionId ? { ...m, logChannel: pendingDestroy.actionId } : m
+    ));
+    followLogs(pendingDestroy.actionId);
+
+    try {
+      const response = await apiFetch(`${API_URL}/api/destroy/confirm`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          actionId: pendingDestroy.actionId
+        })
+      });
+
+      const data = await response.json();
+
+      if (!data.jobId) {
+        setMessages(prev => [...prev, {
+          role: 'assistant',
+          content: errorText(data)
+        }]);
+        return;
+      }
+
+      const job = await waitForJob(data.jobId, pendingDestroy.actionId);
+      reportJob(job, 'Failed to destroy resources.');
+    } catch (error) {
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: '❌ Failed to destroy resources. Please try again.'
+      }]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadResources = async () => {
+    if (!userConnection) return;
+    setInventoryLoading(true);
+
+    try {
+      const response = await apiFetch(`${API_URL}/api/resources`);
+
+      const data = await response.json();
+      setInventory(response.ok ? data : { resources: [], errors: [{ region: 'all', message: data.message || data.error }] });
+    } catch (error) {
+      setInventory({ resources: [], errors: [{ region: 'all', message: 'Failed to load resources. Please try again.' }] });
+    } finally {
+      setInventoryLoading(false);
+    }
+  };
+
+  const openResourcesPanel = () => {
+    setShowResourcesPanel(true);
+    loadRoleOptions();
+    loadResources();
+    loadDrift();
+  };
+
+  // Latest drift report per applied action, and the schedule
+  const loadDrift = async () => {
+    if (!userConnection) return;
+
+    try {
+      const response = await apiFetch(`${API_URL}/api/drift`);
+      const data = await response.json();
+      setDrift(response.ok ? data : { reports: [], schedule: { enabled: false }, error: data.message || data.error });
+    } catch (error) {
+      setDrift({ reports: [], schedule: { enabled: false }, error: 'Failed to load drift reports.' });
+    }
+  };
+
+  const checkDrift = async () => {
+    setDriftChecking(true);
+
+    try {
+      const response = await apiFetch(`${API_URL}/api/drift/check`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      const data = await response.json();
+
+      if (!data.jobId) {
+        setDrift(prev => ({ ...prev, error: data.message || data.error }));
+        return;
+      }
+
+      const job = await waitForJob(data.jobId, data.logChannel);
+      if (job.status !== 'succeeded') {
+        setDrift(prev => ({ ...prev, error: job.error }));
+        return;
+      }
+      await loadDrift();
+    } catch (error) {
+      setDrift(prev => ({ ...prev, error: 'Failed to check for drift. Please try again.' }));
+    } finally {
+      setDriftChecking(false);
+    }
+  };
+
+  const setDriftSchedule = async (enabled) => {
+    const intervalHours = 24;
+
+    try {
+      const response = await apiFetch(`${API_URL}/api/drift/schedule`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          enabled,
+          intervalHours
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setDrift(prev => ({ ...prev, error: data.message || data.error }));
+        return;
+      }
+      setDrift(prev => ({ ...prev, schedule: data.schedule }));
+    } catch (error) {
+      setDrift(prev => ({ ...prev, error: 'Failed to update the drift schedule.' }));
+    }
+  };
+
+  // Plan undoing drift; confirming it goes through /apply
+  const reconcileDrift = async (actionId) => {
+    setShowResourcesPanel(false);
+    setMessages(prev => [...prev, { role: 'user', content: `🔁 Reconcile drift for ${actionId}` }]);
+    setLoading(true);
+
+    const streamId = generateExternalId().slice(0, 32);
+    const stopFollowing = followLogs(streamId);
+    setActiveStream(streamId);
+
+    try {
+      const response = await apiFetch(`${API_URL}/api/drift/reconcile`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          actionId,
+          streamId
+        })
+      });
+      const data = await response.json();
+      showReply(response.ok || data.needsPermissionUpdate ? data : { message: errorText(data) });
+    } catch (error) {
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: '❌ Sorry, I couldn\'t plan the reconcile. Please try again.'
       }]);
     } finally {
+      stopFollowing();
+      setActiveStream(null);
       setLoading(false);
     }
   };
 
-  const handleConfirm = async (approved) => {
-    if (!pendingAction) return;
+  // Existing resources in a region the agent doesn't manage yet
+  const discoverImports = async () => {
+    setImportLoading(true);
+    setImportSelection([]);
+
+    try {
+      const response = await apiFetch(`${API_URL}/api/import/discover`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          region: importRegion
+        })
+      });
+
+      const data = await response.json();
+      setImportCandidates(response.ok ? data : { resources: [], errors: [{ type: 'all', message: data.message || data.error }] });
+    } catch (error) {
+      setImportCandidates({ resources: [], errors: [{ type: 'all', message: 'Failed to look for resources. Please try again.' }] });
+    } finally {
+      setImportLoading(false);
+    }
+  };
+
+  const toggleImport = (resource) => {
+    setImportSelection(prev => prev.some(r => r.arn === resource.arn)
+      ? prev.filter(r => r.arn !== resource.arn)
+      : [...prev, resource]);
+  };
+
+  // Plan importing the selected resources; confirming it goes through /apply
+  const submitImport = async () => {
+    const selected = importSelection;
+    setShowResourcesPanel(false);
+    setImportCandidates(null);
+    setImportSelection([]);
+    setMessages(prev => [...prev, {
+      role: 'user',
+      content: `📥 Bring under management: ${selected.map(r => r.name === r.id ? r.id : `${r.name} (${r.id})`).join(', ')}`
+    }]);
     setLoading(true);
-    setPendingAction(null);
 
-    if (!approved) {
-      setMessages(prev => [...prev, {
-        role: 'assistant',
-        content: '❌ Action cancelled. No resources created. No charges.\n\nFeel free to modify the plan!'
-      }]);
-      setLoading(false);
-      return;
-    }
+    const streamId = generateExternalId().slice(0, 32);
+    const stopFollowing = followLogs(streamId);
+    setActiveStream(streamId);
 
     try {
-      const response = await fetch(`${API_URL}/api/apply`, {
+      const response = await apiFetch(`${API_URL}/api/import/plan`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          actionId: pendingAction.actionId,
-          roleArn: userConnection.roleArn,
-          externalId: userConnection.externalId
+          region: importRegion,
+          resources: selected.map(({ type, id }) => ({ type, id })),
+          streamId
         })
       });
-
-      const data = await response.json();
-      
-      if (data.needsPermissionUpdate || (data.message && data.message === 'PERMISSION_UPDATE_REQUIRED')) {
-        setMessages(prev => [...prev, {
-          role: 'assistant',
-          content: '⚠️ Permission Update Required',
-          needsPermissionUpdate: true
-        }]);
-      } else {
-        setMessages(prev => [...prev, {
-          role: 'assistant',
-          content: data.message,
-          outputs: data.outputs,
-          success: data.success
-        }]);
-      }
+      showReply(await response.json());
     } catch (error) {
       setMessages(prev => [...prev, {
         role: 'assistant',
-        content: '❌ Failed to create resources. Please try again.'
+        content: '❌ Sorry, I couldn\'t plan that import. Please try again.'
       }]);
     } finally {
+      stopFollowing();
+      setActiveStream(null);
       setLoading(false);
     }
   };
 
-  const handleDisconnect = () => {
+  const handleDisconnect = async () => {
+    try {
+      await apiFetch(`${API_URL}/api/connection`, { method: 'DELETE' });
+    } catch (error) {
+      alert('Failed to disconnect. Please try again.');
+      return;
+    }
     setUserConnection(null);
-    localStorage.removeItem('aws_connection');
+    setInventory(null);
+    setImportCandidates(null);
+    setDrift(null);
+    setShowResourcesPanel(false);
     setMessages(prev => [...prev, {
       role: 'assistant',
       content: '👋 AWS connection removed. You can still ask questions!\n\nWhen you\'re ready to create resources again, just let me know.'
@@ -848,6 +1650,46 @@ export default function RealTerraformAgent() {
     }
   };
 
+  if (!auth?.authenticated) {
+    return (
+      <div className="flex h-screen items-center justify-center bg-gradient-to-br from-slate-950 via-purple-950 to-slate-950 px-6">
+        <div className="bg-slate-900/80 backdrop-blur-sm border border-slate-800 rounded-2xl p-8 max-w-md w-full shadow-2xl text-center">
+          <div className="bg-gradient-to-r from-purple-500 to-pink-500 p-3 rounded-xl inline-flex mb-4">
+            <Terminal className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-2xl font-bold text-white">AWS Terraform AI Agent</h1>
+          {!auth ? (
+            <Loader2 className="w-6 h-6 text-purple-400 animate-spin mx-auto mt-6" />
+          ) : (
+            <>
+              <p className="text-slate-400 text-sm mt-2">
+                Sign in to chat, plan and apply Terraform in your AWS accounts.
+              </p>
+              {authError && (
+                <p className="mt-4 text-sm text-red-300 bg-red-950/40 border border-red-800/50 rounded-lg p-3">{authError}</p>
+              )}
+              {auth.unreachable && (
+                <p className="mt-4 text-sm text-amber-200 bg-amber-950/40 border border-amber-800/50 rounded-lg p-3">Can't reach the server. Please try again shortly.</p>
+              )}
+              {auth.loginAvailable === false ? (
+                <p className="mt-6 text-sm text-slate-400">Sign-in isn't configured on this server yet.</p>
+              ) : (
+                <button
+                  onClick={signIn}
+                  disabled={auth.unreachable}
+                  className="mt-6 w-full bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 disabled:from-slate-700 disabled:to-slate-700 text-white rounded-xl py-3 font-semibold transition-all flex items-center justify-center gap-2 shadow-lg"
+                >
+                  <User className="w-5 h-5" />
+                  Sign in
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="flex flex-col h-screen bg-gradient-to-br from-slate-950 via-purple-950 to-slate-950">
       <div className="bg-black/30 backdrop-blur-xl border-b border-purple-500/20 px-6 py-4 shadow-lg">
@@ -875,6 +1717,30 @@ export default function RealTerraformAgent() {
           </div>
           
           <div className="flex items-center gap-3">
+            <button
+              onClick={startNewChat}
+              className="bg-slate-800 hover:bg-slate-700 text-white px-4 py-2 rounded-lg text-sm transition-all flex items-center gap-2 border border-slate-700"
+            >
+              <MessageSquarePlus className="w-4 h-4" />
+              New chat
+            </button>
+            <button
+              onClick={openReview}
+              disabled={loading}
+              className="bg-slate-800 hover:bg-slate-700 text-white px-4 py-2 rounded-lg text-sm transition-all flex items-center gap-2 border border-slate-700"
+            >
+              <FileUp className="w-4 h-4" />
+              Review Terraform
+            </button>
+            {userConnection && (
+              <button
+                onClick={openResourcesPanel}
+                className="bg-slate-800 hover:bg-slate-700 text-white px-4 py-2 rounded-lg text-sm transition-all flex items-center gap-2 border border-slate-700"
+              >
+                <Layers className="w-4 h-4" />
+                Resources
+              </button>
+            )}
             {userConnection ? (
               <button
                 onClick={handleDisconnect}
@@ -892,6 +1758,14 @@ export default function RealTerraformAgent() {
                 Setup Secure Connection
               </button>
             )}
+            <button
+              onClick={signOut}
+              title={auth.user.email || auth.user.name || ''}
+              className="bg-slate-800 hover:bg-slate-700 text-white px-4 py-2 rounded-lg text-sm transition-all flex items-center gap-2 border border-slate-700"
+            >
+              <User className="w-4 h-4" />
+              Sign out
+            </button>
           </div>
         </div>
       </div>
@@ -924,6 +1798,21 @@ export default function RealTerraformAgent() {
                     </button>
                   )}
 
+                  {msg.clarification && (
+                    <div className="mt-4 flex flex-wrap gap-2">
+                      {msg.clarification.options.map((option) => (
+                        <button
+                          key={option.intent}
+                          onClick={() => answerClarification(msg.clarification, option)}
+                          disabled={loading}
+                          className="bg-slate-800 hover:bg-slate-700 disabled:opacity-50 text-white text-sm rounded-lg py-2 px-3 border border-slate-700 transition-all"
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
                   {msg.needsPermissionUpdate && (
                     <div className="mt-4 bg-amber-950/50 border border-amber-800/50 rounded-xl p-5">
                       <div className="flex items-start gap-3 mb-4">
@@ -932,9 +1821,28 @@ export default function RealTerraformAgent() {
                           <h4 className="font-semibold text-amber-200 text-lg mb-3">
                             🔧 Permission Update Required
                           </h4>
-                          <p className="text-amber-100 text-sm mb-4">
-                            Your connection was created before we added encryption support. You need to reconnect with updated permissions.
-                          </p>
+                          {msg.missingActions && msg.missingActions.length > 0 ? (
+                            <div className="text-amber-100 text-sm mb-4">
+                              <p className="mb-2">Your IAM role is missing permissions this plan needs:</p>
+                              <ul className="font-mono text-xs space-y-1">
+                                {msg.missingActions.map((action) => (
+                                  <li key={action}>• {action}</li>
+                                ))}
+                              </ul>
+                              <p className="mt-2">Update your TerraformAI-Access stack with the added permissions, then try again.</p>
+                              <button
+                                onClick={() => requestPermissionUpdate(msg.missingActions)}
+                                className="mt-3 px-4 py-2 bg-amber-600 hover:bg-amber-700 text-white rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+                              >
+                                <ExternalLink className="w-4 h-4" />
+                                Get Updated Permissions Template
+                              </button>
+                            </div>
+                          ) : (
+                            <p className="text-amber-100 text-sm mb-4">
+                              Your connection was created before we added encryption support. You need to reconnect with updated permissions.
+                            </p>
+                          )}
                           <div className="bg-amber-900/30 rounded-lg p-4 space-y-3 text-sm">
                             <div className="flex items-start gap-2">
                               <span className="text-amber-300 font-bold">1.</span>
@@ -971,6 +1879,16 @@ export default function RealTerraformAgent() {
                     </div>
                   )}
 
+                  {msg.success && msg.actionId && userConnection && (
+                    <button
+                      onClick={() => requestDestroy(msg.actionId)}
+                      disabled={loading}
+                      className="mt-4 bg-red-900/50 hover:bg-red-800/60 disabled:bg-slate-800 text-red-200 rounded-lg px-4 py-2 text-sm font-medium transition-all border border-red-800/50"
+                    >
+                      🗑️ Destroy These Resources
+                    </button>
+                  )}
+
                   {msg.terraformCode && (
                     <div className="mt-4 bg-slate-950 rounded-xl p-4 border border-slate-800">
                       <div className="flex items-center justify-between mb-3">
@@ -978,14 +1896,145 @@ export default function RealTerraformAgent() {
                           <Code className="w-4 h-4 text-purple-400" />
                           <span className="text-sm font-semibold text-purple-400">Terraform Code</span>
                         </div>
-                        <button
-                          onClick={() => navigator.clipboard.writeText(msg.terraformCode)}
-                          className="text-xs text-slate-400 hover:text-white transition-colors"
-                        >
-                          Copy
-                        </button>
+                        <div className="flex items-center gap-3">
+                          <button
+                            onClick={() => editCode(msg.terraformCode)}
+                            className="text-xs text-slate-400 hover:text-white transition-colors"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => navigator.clipboard.writeText(msg.terraformCode)}
+                            className="text-xs text-slate-400 hover:text-white transition-colors"
+                          >
+                            Copy
+                          </button>
+                        </div>
+                      </div>
+                      <pre className="text-xs text-slate-300 overflow-x-auto font-mono bg-black/50 p-3 rounded-lg">
+                        {msg.terraformCode.split('\n').map((line, index) => {
+                          const flagged = lineDiagnostics(msg.validation, index + 1);
+                          const hasError = flagged.some(d => d.severity === 'error');
+                          return (
+                            <div
+                              key={index}
+                              title={flagged.map(d => d.summary).join('\n') || undefined}
+                              className={`flex ${hasError ? 'bg-red-950/70 border-l-2 border-red-500' : flagged.length > 0 ? 'bg-amber-950/50 border-l-2 border-amber-500' : 'border-l-2 border-transparent'}`}
+                            >
+                              <span className="select-none text-slate-600 w-10 pr-3 text-right shrink-0">{index + 1}</span>
+                              <span>{line || ' '}</span>
+                            </div>
+                          );
+                        })}
+                      </pre>
+
+                      {msg.validation && (
+                        <div className="mt-3 space-y-2">
+                          {msg.validation.diagnostics.length === 0 ? (
+                            <p className="text-xs text-green-400 flex items-center gap-1">
+                              <CheckCircle className="w-3 h-3" />
+                              terraform fmt, validate and lint checks passed
+                            </p>
+                          ) : msg.validation.diagnostics.map((d, i) => (
+                            <div key={i} className={`text-xs rounded-lg p-2 border ${d.severity === 'error' ? 'bg-red-950/30 border-red-800/40 text-red-200' : 'bg-amber-950/30 border-amber-800/30 text-amber-200'}`}>
+                              <div className="flex items-start gap-2">
+                                <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" />
+                                <span>
+                                  {d.line && <span className="font-mono">{d.file !== 'main.tf' ? `${d.file}:` : 'Line '}{d.line}: </span>}
+                                  {d.summary}
+                                  <span className="ml-1 text-slate-500">[{d.rule || d.source}]</span>
+                                </span>
+                              </div>
+                              {d.detail && <p className="mt-1 ml-5 text-slate-400">{d.detail}</p>}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {msg.terraformPlan && msg.planSummary && (
+                    <div className="mt-4 bg-slate-950 rounded-xl p-4 border border-slate-800">
+                      <div className="flex items-center justify-between mb-3">
+                        <div className="flex items-center gap-2">
+                          <Terminal className="w-4 h-4 text-purple-400" />
+                          <span className="text-sm font-semibold text-purple-400">Terraform Plan</span>
+                        </div>
+                        <span className="text-xs text-slate-400">
+                          {msg.planSummary.import > 0 && (
+                            <><span className="text-blue-400">↓{msg.planSummary.import}</span>{' '}</>
+                          )}
+                          <span className="text-green-400">+{msg.planSummary.create}</span>{' '}
+                          <span className="text-amber-400">~{msg.planSummary.update}</span>{' '}
+                          <span className="text-red-400">-{msg.planSummary.delete}</span>
+                        </span>
+                      </div>
+                      <ul className="text-xs text-slate-300 space-y-1 mb-3 font-mono">
+                        {msg.planSummary.resources.map((r, i) => (
+                          <li key={i}>
+                            <span className={r.action === 'create' ? 'text-green-400' : r.action === 'update' ? 'text-amber-400' : r.action === 'import' ? 'text-blue-400' : 'text-red-400'}>
+                              {r.action}
+                            </span>{' '}
+                            {r.address}
+                            {r.changedAttributes.length > 0 && (
+                              <span className="text-slate-500"> ({r.changedAttributes.join(', ')})</span>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                      <pre className="text-xs text-slate-300 overflow-x-auto font-mono bg-black/50 p-3 rounded-lg max-h-64 overflow-y-auto">{msg.terraformPlan}</pre>
+                    </div>
+                  )}
+
+                  {msg.parameters && msg.parameters.length > 0 && (
+                    <div className="mt-4 bg-slate-950 rounded-xl p-4 border border-slate-800">
+                      <div className="flex items-center gap-2 mb-3">
+                        <Settings className="w-4 h-4 text-slate-400" />
+                        <span className="text-sm font-semibold text-slate-300">Settings</span>
+                      </div>
+                      <ul className="text-xs text-slate-300 space-y-1">
+                        {msg.parameters.map((p) => (
+                          <li key={p.key}>
+                            <span className="text-slate-500">{p.label}:</span>{' '}
+                            <span className="font-mono">{p.value}</span>
+                            {p.source === 'default' && <span className="text-slate-500"> (default)</span>}
+                          </li>
+                        ))}
+                      </ul>
+                      {msg.unresolved && msg.unresolved.length > 0 && (
+                        <p className="text-xs text-amber-300 mt-3">
+                          ❓ Not understood, so ignored: {msg.unresolved.map(u => `"${u}"`).join(', ')}
+                        </p>
+                      )}
+                    </div>
+                  )}
+
+                  {msg.diff && (
+                    <div className="mt-4 bg-slate-950 rounded-xl p-4 border border-slate-800">
+                      <div className="flex items-center gap-2 mb-3">
+                        <GitCompare className="w-4 h-4 text-slate-400" />
+                        <span className="text-sm font-semibold text-slate-300">Changes from draft v{msg.diff.fromVersion}</span>
                       </div>
-                      <pre className="text-xs text-slate-300 overflow-x-auto font-mono bg-black/50 p-3 rounded-lg">{msg.terraformCode}</pre>
+                      {(msg.diff.resources.added.length > 0 || msg.diff.resources.removed.length > 0) && (
+                        <ul className="text-xs space-y-1 mb-3">
+                          {msg.diff.resources.added.map((r, i) => (
+                            <li key={`added-${i}`} className="text-green-400">+ {r}</li>
+                          ))}
+                          {msg.diff.resources.removed.map((r, i) => (
+                            <li key={`removed-${i}`} className="text-red-400">- {r}</li>
+                          ))}
+                        </ul>
+                      )}
+                      <pre className="text-xs font-mono bg-black/50 p-3 rounded-lg overflow-x-auto max-h-64 overflow-y-auto">
+                        {msg.diff.code.split('\n').map((line, i) => (
+                          <div
+                            key={i}
+                            className={line.startsWith('+') ? 'text-green-400' : line.startsWith('-') ? 'text-red-400' : 'text-slate-500'}
+                          >
+                            {line}
+                          </div>
+                        ))}
+                      </pre>
                     </div>
                   )}
 
@@ -1031,18 +2080,80 @@ export default function RealTerraformAgent() {
                               <li>• Estimated cost: <strong>{msg.estimatedCost || 'See above'}</strong></li>
                             </ul>
                           </div>
+
+                          {msg.costEstimate && (
+                            <div className="bg-slate-900/60 border border-slate-700/50 rounded-lg p-3">
+                              <p className="text-slate-200 font-semibold mb-2">
+                                💵 Monthly Cost Breakdown ({msg.costEstimate.region})
+                              </p>
+                              {msg.costEstimate.lineItems.length > 0 ? (
+                                <table className="w-full text-xs text-slate-300">
+                                  <tbody>
+                                    {msg.costEstimate.lineItems.map((item, i) => (
+                                      <tr key={i} className="border-b border-slate-800">
+                                        <td className="py-1 pr-2">{item.description}</td>
+                                        <td className="py-1 pr-2 text-slate-500 whitespace-nowrap">
+                                          {item.quantity.toLocaleString()} {item.unit} × ${item.unitPrice}
+                                        </td>
+                                        <td className="py-1 text-right font-mono">{formatMoney(item.monthly)}</td>
+                                      </tr>
+                                    ))}
+                                    <tr className="font-semibold text-slate-100">
+                                      <td className="pt-2" colSpan={2}>Total</td>
+                                      <td className="pt-2 text-right font-mono">{formatMoney(msg.costEstimate.monthlyTotal)}</td>
+                                    </tr>
+                                  </tbody>
+                                </table>
+                              ) : (
+                                <p className="text-xs text-slate-400">
+                                  {msg.costEstimate.unchanged?.length > 0 ? 'This plan doesn\'t change what you pay.' : 'No billable resources in this plan.'}
+                                </p>
+                              )}
+                              {msg.costEstimate.unpriced.length > 0 && (
+                                <p className="text-xs text-amber-300 mt-2">
+                                  Not priced: {msg.costEstimate.unpriced.join(', ')}
+                                </p>
+                              )}
+                              <details className="mt-2 text-xs text-slate-400">
+                                <summary className="cursor-pointer">Assumptions</summary>
+                                <ul className="mt-1 space-y-1">
+                                  {msg.costEstimate.assumptions.map((a, i) => (
+                                    <li key={i}>• {a}</li>
+                                  ))}
+                                </ul>
+                              </details>
+                            </div>
+                          )}
                           
                           <div className="bg-blue-900/30 border border-blue-700/50 rounded-lg p-3">
                             <p className="text-blue-200 font-semibold mb-2">ℹ️ Important Reminders:</p>
                             <ul className="text-blue-300 space-y-1 text-xs">
                               <li>• Review the Terraform plan carefully above</li>
                               <li>• Check estimated monthly costs</li>
-                              <li>• Use <code className="bg-black/30 px-1 rounded">terraform destroy</code> when done</li>
+                              <li>• Use "Destroy These Resources" (or <code className="bg-black/30 px-1 rounded">terraform destroy</code>) when done</li>
                               <li>• Set up AWS Budget alerts in your account</li>
                               <li>• You can delete resources anytime in AWS Console</li>
                             </ul>
                           </div>
 
+                          {msg.policy && (
+                            <div className={`${msg.blocked ? 'bg-red-900/30 border-red-700/50' : 'bg-slate-900/60 border-slate-700/50'} border rounded-lg p-3`}>
+                              <p className={`${msg.blocked ? 'text-red-200' : 'text-slate-200'} font-semibold mb-2`}>
+                                🛡️ Policy Check: {msg.policy.decision === 'deny' ? 'Blocked' : msg.policy.decision === 'warn' ? 'Passed with warnings' : 'Passed'}
+                              </p>
+                              <ul className="text-xs space-y-1">
+                                {msg.policy.rules.map((rule) => (
+                                  <li
+                                    key={rule.id}
+                                    className={rule.result === 'deny' ? 'text-red-300' : rule.result === 'warn' ? 'text-amber-300' : 'text-slate-400'}
+                                  >
+                                    {rule.result === 'deny' ? '⛔' : rule.result === 'warn' ? '⚠️' : '✅'} {rule.description}
+                                  </li>
+                                ))}
+                              </ul>
+                            </div>
+                          )}
+
                           {msg.warnings && msg.warnings.length > 0 && (
                             <div className="bg-amber-900/30 border border-amber-700/50 rounded-lg p-3">
                               <p className="text-amber-200 font-semibold mb-2">⚠️ Specific Warnings:</p>
@@ -1059,11 +2170,11 @@ export default function RealTerraformAgent() {
                     <div className="flex gap-3 mt-4">
                       <button
                         onClick={() => handleConfirm(true)}
-                        disabled={loading}
+                        disabled={loading || msg.blocked}
                         className="flex-1 bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-700 hover:to-emerald-700 disabled:from-slate-700 disabled:to-slate-700 text-white rounded-lg py-3 px-4 font-semibold transition-all shadow-lg flex items-center justify-center gap-2"
                       >
                         <CheckCircle className="w-5 h-5" />
-                        I Understand, Create Resources
+                        {msg.blocked ? 'Blocked by Policy' : 'I Understand, Create Resources'}
                       </button>
                       <button
                         onClick={() => handleConfirm(false)}
@@ -1076,6 +2187,48 @@ export default function RealTerraformAgent() {
                   </div>
                 </div>
               )}
+
+              {msg.logChannel && (
+                <div className="max-w-3xl ml-14">
+                  {renderLogConsole(msg.logChannel)}
+                </div>
+              )}
+
+              {msg.requiresDestroyConfirmation && pendingDestroy && (
+                <div className="mt-4 max-w-3xl ml-14">
+                  <div className="bg-red-950/50 backdrop-blur-sm border border-red-800/50 rounded-xl p-5 shadow-xl">
+                    <div className="flex items-start gap-3 mb-4">
+                      <AlertTriangle className="w-6 h-6 text-red-400 flex-shrink-0 mt-1" />
+                      <div className="flex-1">
+                        <p className="font-semibold text-red-200 mb-2 text-lg">🗑️ Confirm Destroy</p>
+                        {msg.warnings && msg.warnings.length > 0 && (
+                          <ul className="text-red-300 space-y-1 text-xs">
+                            {msg.warnings.map((w, i) => (
+                              <li key={i}>• {w}</li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex gap-3 mt-4">
+                      <button
+                        onClick={() => handleDestroyConfirm(true)}
+                        disabled={loading}
+                        className="flex-1 bg-red-700 hover:bg-red-800 disabled:bg-slate-700 text-white rounded-lg py-3 px-4 font-semibold transition-all shadow-lg"
+                      >
+                        Destroy Resources
+                      </button>
+                      <button
+                        onClick={() => handleDestroyConfirm(false)}
+                        disabled={loading}
+                        className="flex-1 bg-slate-800 hover:bg-slate-700 text-white rounded-lg py-3 px-4 font-semibold transition-all border border-slate-700"
+                      >
+                        Keep Resources
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              )}
             </div>
           ))}
           
@@ -1090,6 +2243,12 @@ export default function RealTerraformAgent() {
               </div>
             </div>
           )}
+
+          {loading && activeStream && liveLogs[activeStream]?.lines.length > 0 && (
+            <div className="max-w-3xl ml-14">
+              {renderLogConsole(activeStream)}
+            </div>
+          )}
           
           <div ref={messagesEndRef} />
         </div>
@@ -1116,6 +2275,350 @@ export default function RealTerraformAgent() {
         </div>
       </div>
 
+      {showReviewModal && (
+        <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+          <div className="bg-slate-900 rounded-2xl max-w-3xl w-full p-8 border border-slate-800 shadow-2xl max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center gap-3">
+                <FileUp className="w-8 h-8 text-purple-400" />
+                <div>
+                  <h3 className="text-2xl font-bold text-white">Review Your Terraform</h3>
+                  <p className="text-slate-400 text-sm mt-1">I'll explain it, plan it and check it against your policies before anything is applied</p>
+                </div>
+              </div>
+              <button onClick={() => setShowReviewModal(false)} className="text-slate-400 hover:text-white">
+                <X className="w-6 h-6" />
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <textarea
+                value={review.pasted}
+                onChange={(e) => {
+                  setReview(prev => ({ ...prev, pasted: e.target.value }));
+                  setReviewValidation(null);
+                }}
+                placeholder={'Paste Terraform here, e.g.\n\nresource "aws_s3_bucket" "logs" {\n  bucket = "my-logs"\n}'}
+                rows={10}
+                className="w-full bg-black/50 text-slate-200 font-mono text-xs rounded-xl p-4 border border-slate-800 focus:outline-none focus:ring-2 focus:ring-purple-500/50"
+              />
+
+              {review.pasted.trim() && (
+                <div className="space-y-2">
+                  <button
+                    onClick={checkPasted}
+                    disabled={checkingReview}
+                    className="text-sm bg-slate-800 hover:bg-slate-700 disabled:opacity-50 text-white rounded-lg px-4 py-2 transition-colors flex items-center gap-2"
+                  >
+                    {checkingReview ? <Loader2 className="w-4 h-4 animate-spin" /> : <CheckCircle className="w-4 h-4" />}
+                    Check pasted code
+                  </button>
+                  {reviewValidation && (reviewValidation.diagnostics.length === 0 ? (
+                    <p className="text-xs text-green-400 flex items-center gap-1">
+                      <CheckCircle className="w-3 h-3" />
+                      terraform fmt, validate and lint checks passed
+                    </p>
+                  ) : reviewValidation.diagnostics.map((d, i) => (
+                    <div key={i} className={`text-xs rounded-lg p-2 border ${d.severity === 'error' ? 'bg-red-950/30 border-red-800/40 text-red-200' : 'bg-amber-950/30 border-amber-800/30 text-amber-200'}`}>
+                      <div className="flex items-start gap-2">
+                        <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" />
+                        <span>
+                          {d.line && <span className="font-mono">Line {d.line}: </span>}
+                          {d.summary}
+                          {(d.rule || d.source) && <span className="ml-1 text-slate-500">[{d.rule || d.source}]</span>}
+                        </span>
+                      </div>
+                      {d.detail && <p className="mt-1 ml-5 text-slate-400">{d.detail}</p>}
+                    </div>
+                  )))}
+                </div>
+              )}
+
+              <div className="bg-slate-950 rounded-xl p-4 border border-slate-800">
+                <p className="text-sm text-slate-300 mb-2">Or upload <code>.tf</code> files or a <code>.zip</code> of them</p>
+                <input
+                  type="file"
+                  accept=".tf,.zip"
+                  multiple
+                  onChange={(e) => setReview(prev => ({ ...prev, files: [...e.target.files] }))}
+                  className="text-sm text-slate-400"
+                />
+                {review.files.length > 0 && (
+                  <p className="text-xs text-slate-500 mt-2">{review.files.map(file => file.name).join(', ')}</p>
+                )}
+              </div>
+
+              <div className="flex items-center gap-3">
+                <label className="text-sm text-slate-300">Region</label>
+                <select
+                  value={review.region}
+                  onChange={(e) => setReview(prev => ({ ...prev, region: e.target.value }))}
+                  className="bg-slate-950 text-white text-sm rounded-lg px-3 py-2 border border-slate-800"
+                >
+                  <option value="">From the configuration (or us-east-1)</option>
+                  {(roleOptions?.regions || []).map(region => (
+                    <option key={region} value={region}>{region}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="bg-amber-950/30 border border-amber-800/30 rounded-xl p-4">
+                <p className="text-xs text-amber-200">
+                  🔒 Your provider blocks are replaced so Terraform always runs with your connected role, and backend blocks are removed because TerraformAI keeps the state. Modules, provisioners and local files aren't supported.
+                </p>
+              </div>
+
+              <button
+                onClick={submitReview}
+                disabled={!review.pasted.trim() && review.files.length === 0}
+                className="w-full bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 disabled:from-slate-700 disabled:to-slate-700 text-white rounded-xl py-4 font-semibold transition-all flex items-center justify-center gap-2 shadow-lg"
+              >
+                <Shield className="w-5 h-5" />
+                Review & Plan
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showResourcesPanel && (
+        <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+          <div className="bg-slate-900 rounded-2xl max-w-4xl w-full p-8 border border-slate-800 shadow-2xl max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center gap-3">
+                <Layers className="w-8 h-8 text-purple-400" />
+                <div>
+                  <h3 className="text-2xl font-bold text-white">Managed Resources</h3>
+                  <p className="text-slate-400 text-sm mt-1">Everything tagged ManagedBy=TerraformAI in account {userConnection?.accountId}</p>
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={loadResources}
+                  disabled={inventoryLoading}
+                  className="p-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors"
+                >
+                  <RefreshCw className={`w-5 h-5 text-slate-300 ${inventoryLoading ? 'animate-spin' : ''}`} />
+                </button>
+                <button
+                  onClick={() => setShowResourcesPanel(false)}
+                  className="p-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors"
+                >
+                  <X className="w-5 h-5 text-slate-300" />
+                </button>
+              </div>
+            </div>
+
+            {inventoryLoading && !inventory && (
+              <div className="flex items-center gap-3 text-slate-300 text-sm">
+                <Loader2 className="w-5 h-5 text-purple-400 animate-spin" />
+                Scanning regions...
+              </div>
+            )}
+
+            {inventory && inventory.resources.length === 0 && !inventoryLoading && (
+              <p className="text-sm text-slate-400">No managed resources found.</p>
+            )}
+
+            {inventory && inventory.resources.length > 0 && (
+              <table className="w-full text-xs text-left text-slate-300">
+                <thead className="text-slate-400 border-b border-slate-800">
+                  <tr>
+                    <th className="py-2 pr-3">Name</th>
+                    <th className="py-2 pr-3">Type</th>
+                    <th className="py-2 pr-3">Region</th>
+                    <th className="py-2 pr-3">Created</th>
+                    <th className="py-2">Source Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {inventory.resources.map((r) => (
+                    <tr key={r.arn} className="border-b border-slate-800/50" title={r.arn}>
+                      <td className="py-2 pr-3 font-mono text-white">{r.name}</td>
+                      <td className="py-2 pr-3">{r.service}:{r.resourceType}</td>
+                      <td className="py-2 pr-3">{r.region}</td>
+                      <td className="py-2 pr-3">{r.createdAt ? new Date(r.createdAt).toLocaleString() : '—'}</td>
+                      <td className="py-2 font-mono">{r.sourceAction || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {inventory && inventory.errors && inventory.errors.length > 0 && (
+              <div className="mt-4 bg-amber-950/30 border border-amber-800/30 rounded-xl p-4">
+                <ul className="text-xs text-amber-200 space-y-1">
+                  {inventory.errors.map((e, i) => (
+                    <li key={i}>⚠️ {e.region}: {e.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="mt-8 pt-6 border-t border-slate-800">
+              <div className="flex items-center justify-between">
+                <h4 className="text-lg font-semibold text-white">Drift</h4>
+                <div className="flex items-center gap-3">
+                  <label className="flex items-center gap-2 text-xs text-slate-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(drift?.schedule?.enabled)}
+                      onChange={(e) => setDriftSchedule(e.target.checked)}
+                      disabled={!drift}
+                    />
+                    Check daily
+                  </label>
+                  <button
+                    onClick={checkDrift}
+                    disabled={driftChecking}
+                    className="px-4 py-2 bg-slate-800 hover:bg-slate-700 disabled:opacity-50 text-white text-sm rounded-lg transition-colors flex items-center gap-2"
+                  >
+                    {driftChecking ? <Loader2 className="w-4 h-4 animate-spin" /> : <GitCompare className="w-4 h-4" />}
+                    Check now
+                  </button>
+                </div>
+              </div>
+              <p className="text-slate-400 text-sm mt-1 mb-4">
+                Compares each applied action's resources in AWS with what Terraform recorded, to catch changes made by hand.
+                {drift?.schedule?.enabled && ` Next scheduled check: ${new Date(drift.schedule.nextRunAt).toLocaleString()}.`}
+              </p>
+
+              {drift?.error && (
+                <p className="text-xs text-amber-200 mb-4">⚠️ {drift.error}</p>
+              )}
+
+              {drift && drift.reports.length === 0 && (
+                <p className="text-sm text-slate-400">No applied actions to check.</p>
+              )}
+
+              {drift && drift.reports.length > 0 && (
+                <ul className="space-y-3">
+                  {drift.reports.map((report) => (
+                    <li key={report.actionId} className="bg-slate-950 rounded-xl p-4 border border-slate-800">
+                      <div className="flex items-center justify-between gap-3">
+                        <div className="text-xs">
+                          <div className="text-white">{report.message}</div>
+                          <div className="text-slate-500 font-mono">{report.actionId} · {report.region}</div>
+                        </div>
+                        <div className="flex items-center gap-2 text-xs">
+                          {!report.drift && <span className="text-slate-500">Not checked yet</span>}
+                          {report.drift?.status === 'in-sync' && <span className="text-green-400">✓ In sync</span>}
+                          {report.drift?.status === 'drifted' && <span className="text-amber-400">⚠️ Drifted</span>}
+                          {['error', 'unavailable'].includes(report.drift?.status) && (
+                            <span className="text-red-400" title={report.drift.error}>Couldn't check</span>
+                          )}
+                          {report.drift?.status === 'drifted' && (
+                            <button
+                              onClick={() => reconcileDrift(report.actionId)}
+                              disabled={loading}
+                              className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+                            >
+                              Reconcile
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                      {report.drift?.status === 'drifted' && (
+                        <ul className="mt-3 text-xs font-mono space-y-2">
+                          {report.drift.resources.map((r) => (
+                            <li key={r.address}>
+                              <span className={r.change === 'delete' ? 'text-red-400' : 'text-amber-400'}>
+                                {r.change === 'delete' ? 'deleted' : 'changed'}
+                              </span>{' '}
+                              <span className="text-slate-300">{r.address}</span>
+                              {r.attributes.map((a) => (
+                                <div key={a.path} className="ml-4 text-slate-400">
+                                  {a.path}: <span className="text-green-400">{JSON.stringify(a.recorded)}</span> → <span className="text-amber-400">{JSON.stringify(a.live)}</span>
+                                </div>
+                              ))}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      {report.drift?.checkedAt && (
+                        <div className="mt-2 text-[11px] text-slate-500">Checked {new Date(report.drift.checkedAt).toLocaleString()}</div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="mt-8 pt-6 border-t border-slate-800">
+              <h4 className="text-lg font-semibold text-white">Import existing resources</h4>
+              <p className="text-slate-400 text-sm mt-1 mb-4">
+                Bring resources created outside Terraform AI under management. Terraform generates their configuration and the plan must change nothing before you can confirm.
+              </p>
+              <div className="flex items-center gap-2 mb-4">
+                <select
+                  value={importRegion}
+                  onChange={(e) => {
+                    setImportRegion(e.target.value);
+                    setImportCandidates(null);
+                    setImportSelection([]);
+                  }}
+                  className="bg-slate-950 text-white text-sm rounded-lg px-3 py-2 border border-slate-800"
+                >
+                  {(roleOptions?.regions || ['us-east-1']).map(region => (
+                    <option key={region} value={region}>{region}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={discoverImports}
+                  disabled={importLoading}
+                  className="px-4 py-2 bg-slate-800 hover:bg-slate-700 disabled:opacity-50 text-white text-sm rounded-lg transition-colors flex items-center gap-2"
+                >
+                  {importLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+                  Find resources
+                </button>
+              </div>
+
+              {importCandidates && importCandidates.resources.length === 0 && !importLoading && (
+                <p className="text-sm text-slate-400">No unmanaged resources found in {importRegion}.</p>
+              )}
+
+              {importCandidates && importCandidates.resources.length > 0 && (
+                <ul className="text-xs text-slate-300 space-y-1 mb-4">
+                  {importCandidates.resources.map((r) => (
+                    <li key={r.arn}>
+                      <label className="flex items-center gap-2 py-1 cursor-pointer" title={r.arn}>
+                        <input
+                          type="checkbox"
+                          checked={importSelection.some(s => s.arn === r.arn)}
+                          onChange={() => toggleImport(r)}
+                        />
+                        <span className="font-mono text-white">{r.name}</span>
+                        <span className="text-slate-500">
+                          {r.label}{r.name !== r.id ? ` · ${r.id}` : ''}{r.details ? ` · ${r.details}` : ''}
+                        </span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {importCandidates && importCandidates.errors && importCandidates.errors.length > 0 && (
+                <ul className="text-xs text-amber-200 space-y-1 mb-4">
+                  {importCandidates.errors.map((e, i) => (
+                    <li key={i}>⚠️ {e.type}: {e.message}</li>
+                  ))}
+                </ul>
+              )}
+
+              {importSelection.length > 0 && (
+                <button
+                  onClick={submitImport}
+                  disabled={loading}
+                  className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white text-sm font-semibold rounded-lg transition-colors"
+                >
+                  Bring {importSelection.length} under management
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
       {showOnboardingModal && (
         <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50">
           <div className="bg-slate-900 rounded-2xl max-w-2xl w-full p-8 border border-slate-800 shadow-2xl max-h-[90vh] overflow-y-auto">
@@ -1171,9 +2674,49 @@ export default function RealTerraformAgent() {
                   </div>
                 </div>
 
+                {roleOptions && (
+                  <div className="bg-slate-950 rounded-xl p-4 border border-slate-800 space-y-4">
+                    <div>
+                      <p className="text-sm text-slate-300 mb-2">
+                        <strong className="text-white">Permissions:</strong> the role can only manage resources tagged ManagedBy=TerraformAI in these services
+                      </p>
+                      <div className="grid grid-cols-2 gap-2">
+                        {roleOptions.services.map((service) => (
+                          <label key={service.id} className="flex items-start gap-2 text-xs text-slate-300 cursor-pointer" title={service.description}>
+                            <input
+                              type="checkbox"
+                              checked={roleScope.services.includes(service.id)}
+                              onChange={() => toggleScope('services', service.id)}
+                              className="mt-0.5"
+                            />
+                            {service.label}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                    <div>
+                      <p className="text-sm text-slate-300 mb-2">
+                        <strong className="text-white">Regions:</strong> {roleScope.regions.length} selected
+                      </p>
+                      <div className="flex flex-wrap gap-1 max-h-28 overflow-y-auto">
+                        {roleOptions.regions.map((region) => (
+                          <button
+                            key={region}
+                            onClick={() => toggleScope('regions', region)}
+                            className={`px-2 py-1 rounded text-xs font-mono border transition-colors ${roleScope.regions.includes(region) ? 'bg-purple-600 border-purple-500 text-white' : 'bg-slate-900 border-slate-700 text-slate-400 hover:bg-slate-800'}`}
+                          >
+                            {region}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  </div>
+                )}
+
                 <button
-                  onClick={() => window.open(getCloudFormationUrl(), '_blank')}
-                  className="w-full bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white rounded-xl py-4 font-semibold transition-all flex items-center justify-center gap-2 shadow-lg"
+                  onClick={launchStack}
+                  disabled={!roleOptions || roleScope.services.length === 0 || roleScope.regions.length === 0}
+                  className="w-full bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 disabled:from-slate-700 disabled:to-slate-700 text-white rounded-xl py-4 font-semibold transition-all flex items-center justify-center gap-2 shadow-lg"
                 >
                   <ExternalLink className="w-5 h-5" />
                   Open AWS CloudFormation (Pre-filled)
@@ -1181,7 +2724,11 @@ export default function RealTerraformAgent() {
 
                 <div className="bg-amber-950/30 border border-amber-800/30 rounded-xl p-4">
                   <p className="text-xs text-amber-200">
-                    💡 <strong>In AWS:</strong> Everything is pre-filled! Just scroll to the bottom, check the IAM acknowledgment box, click "Create stack", wait 30 seconds, then go to Outputs tab to copy your Role ARN.
+                    {templateLaunch && !templateLaunch.launchUrl ? (
+                      <>💡 <strong>In AWS:</strong> Choose "Upload a template file" and pick the downloaded <code>terraform-ai-role.yaml</code>, name the stack TerraformAI-Access and paste your External ID. Then check the IAM acknowledgment box, click "Create stack", wait 30 seconds and copy your Role ARN from the Outputs tab.</>
+                    ) : (
+                      <>💡 <strong>In AWS:</strong> Everything is pre-filled! Just scroll to the bottom, check the IAM acknowledgment box, click "Create stack", wait 30 seconds, then go to Outputs tab to copy your Role ARN.</>
+                    )}
                   </p>
                 </div>
 